@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Activity Tracker command line
+ * Usage: actrak <command> [arguments] [--option=value]
+ */
+const commands = {
+  replay: require('../src/cli/replay-command'),
+  config: require('../src/cli/config-command'),
+  migrate: require('../src/cli/migrate-command'),
+  schema: require('../src/cli/schema-command'),
+  seed: require('../src/cli/seed-command'),
+  totals: require('../src/cli/totals-command')
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the command name
+ * @returns {Object} Positional arguments and options
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.substring(2).split('=');
+      options[key] = rest.length > 0 ? rest.join('=') : true;
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { args, options };
+}
+
+/**
+ * Print usage for all commands
+ */
+function printUsage() {
+  console.log('Usage: actrak <command> [arguments] [--option=value]\n');
+  console.log('Commands:');
+
+  Object.keys(commands).forEach(name => {
+    console.log(`  ${commands[name].usage.padEnd(64)} ${commands[name].description}`);
+  });
+}
+
+async function main() {
+  const [name, ...rest] = process.argv.slice(2);
+  const command = commands[name];
+
+  if (!command) {
+    printUsage();
+    return name ? 1 : 0;
+  }
+
+  const { args, options } = parseArgs(rest);
+
+  if (options.help) {
+    console.log(`Usage: actrak ${command.usage}`);
+    return 0;
+  }
+
+  return command.run(args, options);
+}
+
+main()
+  .then(code => process.exit(code || 0))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
\ No newline at end of file
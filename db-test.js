@@ -78,7 +78,7 @@ async function testDatabase() {
       console.error('Error testing users table:', error);
       // Try to create users table if it doesn't exist
       if (error.code === '42P01') { // undefined_table error code
-        console.log('Users table does not exist. Please run the db-setup-fix.js script first.');
+        console.log('Users table does not exist. Please run `npx actrak migrate up` first.');
       }
     }
     
@@ -96,7 +96,7 @@ async function testDatabase() {
     } catch (error) {
       console.error('Error testing activity_types table:', error);
       if (error.code === '42P01') { // undefined_table error code
-        console.log('activity_types table does not exist. Please run the db-setup-fix.js script first.');
+        console.log('activity_types table does not exist. Please run `npx actrak migrate up` first.');
       }
     }
     
@@ -114,7 +114,7 @@ async function testDatabase() {
     } catch (error) {
       console.error('Error testing activity_logs table:', error);
       if (error.code === '42P01') { // undefined_table error code
-        console.log('activity_logs table does not exist. Please run the db-setup-fix.js script first.');
+        console.log('activity_logs table does not exist. Please run `npx actrak migrate up` first.');
       }
     }
     
@@ -35,7 +35,7 @@ async function fixActivityDisplay() {
     // First run the db-based fixes
     console.log('Running database fixes to ensure proper table and field references...');
     await new Promise((resolve, reject) => {
-      exec('node fix-activity-tables-revised.js', (error, stdout, stderr) => {
+      exec('node bin/actrak.js migrate up', (error, stdout, stderr) => {
         if (error) {
           console.error('Error running database fixes:', error);
           console.error(stderr);
@@ -54,7 +54,7 @@ async function fixActivityDisplay() {
     `);
     
     if (!tableCheck.rows[0].exists) {
-      throw new Error('activity_types table does not exist. Run fix-activity-tables-revised.js first');
+      throw new Error('activity_types table does not exist. Run npx actrak migrate up first');
     }
     
     // Step 2: Fix the routes-builder.js file - removing trailing spaces in API routes
@@ -1,4 +1,10 @@
 const Component = require('./core/component-class');
+const {
+  ActivityTypeRepository,
+  LogRepository,
+  GoalRepository,
+  DailyTotalRepository
+} = require('./shared/database/repositories');
 
 /**
  * Activity Component
@@ -30,8 +36,17 @@ class ActivityComponent extends Component {
       throw new Error('Database dependency not available');
     }
     
-    // Register event handlers
-    this.registerEvents();
+    this.activityTypes = new ActivityTypeRepository(this.db);
+    this.logs = new LogRepository(this.db);
+    this.goals = new GoalRepository(this.db);
+    this.dailyTotals = new DailyTotalRepository(this.db);
+    
+    // Get outbox dependency
+    this.outbox = this.getDependency('Outbox');
+    
+    if (!this.outbox) {
+      throw new Error('Outbox dependency not available');
+    }
     
     return true;
   }
@@ -47,6 +62,7 @@ class ActivityComponent extends Component {
     this.subscribe('activity:created', this._handleActivityCreated.bind(this));
     this.subscribe('activity:updated', this._handleActivityUpdated.bind(this));
     this.subscribe('activity:deleted', this._handleActivityDeleted.bind(this));
+    this.subscribe('activity:restored', this._handleActivityRestored.bind(this));
     this.subscribe('log:created', this._handleLogCreated.bind(this));
   }
 
@@ -83,6 +99,15 @@ class ActivityComponent extends Component {
     this._clearUserCache(data.userId);
   }
 
+  /**
+   * Handle activity restored event
+   * @param {Object} data - Activity data
+   */
+  _handleActivityRestored(data) {
+    // Clear user activity types cache
+    this._clearUserCache(data.userId);
+  }
+
   /**
    * Handle log created event
    * @param {Object} data - Log data
@@ -108,16 +133,15 @@ class ActivityComponent extends Component {
       }
       
       // Get from database
-      const query = 'SELECT * FROM activity_types WHERE user_id = $1 ORDER BY name';
-      const result = await this.db.query(query, [userId]);
+      const activityTypes = await this.activityTypes.findByUser(userId);
       
       // Update cache
       this.activityCache.set(cacheKey, {
-        data: result.rows,
+        data: activityTypes,
         expiry: Date.now() + this.cacheTimeout
       });
       
-      return result.rows;
+      return activityTypes;
     } catch (error) {
       console.error('[Activity] Error getting activity types:', error);
       throw error;
@@ -140,10 +164,7 @@ class ActivityComponent extends Component {
       }
       
       // Get from database
-      const query = 'SELECT * FROM activity_types WHERE activity_type_id = $1';
-      const result = await this.db.query(query, [activityId]);
-      
-      const activity = result.rows[0];
+      const activity = await this.activityTypes.findById(activityId);
       
       if (activity) {
         // Update cache
@@ -171,26 +192,14 @@ class ActivityComponent extends Component {
   async createActivity(userId, name, unit, isPublic = false) {
     try {
       // Create activity in database
-      const query = `
-        INSERT INTO activity_types (user_id, name, unit, is_public) 
-        VALUES ($1, $2, $3, $4) 
-        RETURNING *
-      `;
-      
-      const result = await this.db.query(query, [
-        userId,
-        name,
-        unit,
-        isPublic
-      ]);
-      
-      const activity = result.rows[0];
+      const activity = await this.activityTypes.create({ userId, name, unit, isPublic });
       
       // Publish activity created event
       this.publish('activity:created', {
         activityId: activity.activity_type_id,
         userId,
         name,
+        snapshot: { before: null, after: activity },
         timestamp: new Date()
       });
       
@@ -211,34 +220,22 @@ class ActivityComponent extends Component {
    */
   async updateActivity(activityId, name, unit, isPublic) {
     try {
-      // Get current activity to check ownership
-      const activity = await this.getActivityById(activityId);
+      // Read the stored row rather than the cache, it is the audited "before"
+      const activity = await this.activityTypes.findById(activityId);
       
       if (!activity) {
         throw new Error('Activity not found');
       }
       
       // Update activity in database
-      const query = `
-        UPDATE activity_types SET name = $2, unit = $3, is_public = $4, updated_at = NOW() 
-        WHERE activity_type_id = $1 
-        RETURNING *
-      `;
-      
-      const result = await this.db.query(query, [
-        activityId,
-        name,
-        unit,
-        isPublic
-      ]);
-      
-      const updatedActivity = result.rows[0];
+      const updatedActivity = await this.activityTypes.update(activityId, { name, unit, isPublic });
       
       // Publish activity updated event
       this.publish('activity:updated', {
         activityId,
         userId: activity.user_id,
         name,
+        snapshot: { before: activity, after: updatedActivity },
         timestamp: new Date()
       });
       
@@ -251,13 +248,15 @@ class ActivityComponent extends Component {
 
   /**
    * Delete an activity
+   * The activity moves to the trash together with its logs and goals, so it
+   * can be restored until the Trash component purges it.
    * @param {number} activityId - Activity ID
    * @returns {Promise<boolean>} True if activity was deleted
    */
   async deleteActivity(activityId) {
     try {
-      // Get current activity to check ownership and get user ID
-      const activity = await this.getActivityById(activityId);
+      // Read the stored row rather than the cache, it is the audited "before"
+      const activity = await this.activityTypes.findById(activityId);
       
       if (!activity) {
         throw new Error('Activity not found');
@@ -265,20 +264,33 @@ class ActivityComponent extends Component {
       
       const userId = activity.user_id;
       
-      // Delete activity from database
-      const query = 'DELETE FROM activity_types WHERE activity_type_id = $1';
-      const result = await this.db.query(query, [activityId]);
+      // Everything deleted together shares a deletion time, which restore relies on
+      const deletedAt = new Date();
+      
+      const event = await this.db.transaction(async (client) => {
+        if (!(await this.activityTypes.softDelete(activityId, deletedAt, client))) {
+          return null;
+        }
+        
+        const logs = await this.logs.softDeleteByActivity(activityId, deletedAt, client);
+        const goals = await this.goals.softDeleteByActivity(activityId, deletedAt, client);
+        
+        return this.outbox.enqueue(client, 'activity:deleted', {
+          activityId,
+          userId,
+          logs,
+          goals,
+          snapshot: { before: activity, after: { ...activity, deleted_at: deletedAt } },
+          timestamp: new Date()
+        });
+      });
       
-      if (result.rowCount === 0) {
+      if (!event) {
         return false;
       }
       
-      // Publish activity deleted event
-      this.publish('activity:deleted', {
-        activityId,
-        userId,
-        timestamp: new Date()
-      });
+      // Deliver activity deleted event and wait for the daily totals
+      await this._deliver(event);
       
       return true;
     } catch (error) {
@@ -288,52 +300,60 @@ class ActivityComponent extends Component {
   }
 
   /**
-   * Get activity logs for a user
-   * @param {number} userId - User ID
-   * @param {number} activityId - Activity ID (optional)
-   * @param {Object} options - Query options (limit, offset, startDate, endDate)
-   * @returns {Promise<Array>} Array of log objects
+   * Restore an activity from the trash with the logs and goals deleted along with it
+   * @param {number} activityId - Activity ID
+   * @returns {Promise<Object>} Restored activity with the number of restored logs and goals
    */
-  async getActivityLogs(userId, activityId = null, options = {}) {
+  async restoreActivity(activityId) {
     try {
-      const {
-        limit = 100,
-        offset = 0,
-        startDate = null,
-        endDate = null,
-        orderBy = 'logged_at',
-        orderDir = 'DESC'
-      } = options;
-      
-      // Build query
-      let query = 'SELECT * FROM activity_logs WHERE user_id = $1';
-      const params = [userId];
-      
-      // Add activity filter if provided
-      if (activityId) {
-        query += ' AND activity_type_id = $' + (params.length + 1);
-        params.push(activityId);
-      }
-      
-      // Add date filters if provided
-      if (startDate) {
-        query += ' AND logged_at >= $' + (params.length + 1);
-        params.push(startDate);
-      }
+      const activity = await this.activityTypes.findDeletedById(activityId);
       
-      if (endDate) {
-        query += ' AND logged_at <= $' + (params.length + 1);
-        params.push(endDate);
+      if (!activity) {
+        throw new Error('Activity not found in the trash');
       }
       
-      // Add order and limit
-      query += ` ORDER BY ${orderBy} ${orderDir} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-      params.push(limit, offset);
+      const { restored, event } = await this.db.transaction(async (client) => {
+        const row = await this.activityTypes.restore(activityId, client);
+        
+        const result = {
+          activity: row,
+          logs: await this.logs.restoreByActivity(activityId, activity.deleted_at, client),
+          goals: await this.goals.restoreByActivity(activityId, activity.deleted_at, client)
+        };
+        
+        const outboxRecord = await this.outbox.enqueue(client, 'activity:restored', {
+          activityId,
+          userId: activity.user_id,
+          name: activity.name,
+          logs: result.logs,
+          goals: result.goals,
+          snapshot: { before: activity, after: row },
+          timestamp: new Date()
+        });
+        
+        return { restored: result, event: outboxRecord };
+      });
       
-      // Execute query
-      const result = await this.db.query(query, params);
+      // Deliver activity restored event and wait for the daily totals
+      await this._deliver(event);
       
-      return result.rows;
+      return restored;
+    } catch (error) {
+      console.error('[Activity] Error restoring activity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get activity logs for a user
+   * @param {number} userId - User ID
+   * @param {number} activityId - Activity ID (optional)
+   * @param {Object} options - Query options (limit, offset, startDate, endDate, orderBy, orderDir)
+   * @returns {Promise<Array>} Array of log objects
+   */
+  async getActivityLogs(userId, activityId = null, options = {}) {
+    try {
+      return await this.logs.findByUser(userId, { ...options, activityId });
     } catch (error) {
       console.error('[Activity] Error getting activity logs:', error);
       throw error;
@@ -362,32 +382,31 @@ class ActivityComponent extends Component {
         throw new Error('Activity does not belong to user');
       }
       
-      // Create log in database
-      const query = `
-        INSERT INTO activity_logs (user_id, activity_type_id, count, notes, logged_at) 
-        VALUES ($1, $2, $3, $4, $5) 
-        RETURNING *
-      `;
-      
-      const result = await this.db.query(query, [
-        userId,
-        activityId,
-        count,
-        notes,
-        loggedAt
-      ]);
-      
-      const log = result.rows[0];
-      
-      // Publish log created event
-      this.publish('log:created', {
-        logId: log.log_id,
-        userId,
-        activityId,
-        count,
-        timestamp: new Date()
+      // Store the log and its event together so the event survives a crash
+      const { log, event } = await this.db.transaction(async (client) => {
+        const created = await this.logs.create({
+          userId,
+          activityId,
+          count,
+          notes,
+          loggedAt
+        }, client);
+        
+        const outboxRecord = await this.outbox.enqueue(client, 'log:created', {
+          logId: created.log_id,
+          userId,
+          activityId,
+          count,
+          snapshot: { before: null, after: created },
+          timestamp: new Date()
+        });
+        
+        return { log: created, event: outboxRecord };
       });
       
+      // Deliver log created event and wait for the daily totals and goal/achievement handlers
+      await this._deliver(event);
+      
       return log;
     } catch (error) {
       console.error('[Activity] Error creating activity log:', error);
@@ -405,40 +424,31 @@ class ActivityComponent extends Component {
   async updateActivityLog(logId, count, notes) {
     try {
       // Get current log to check ownership
-      const query = 'SELECT * FROM activity_logs WHERE log_id = $1';
-      const result = await this.db.query(query, [logId]);
-      
-      const log = result.rows[0];
+      const log = await this.logs.findById(logId);
       
       if (!log) {
         throw new Error('Log not found');
       }
       
-      // Update log in database
-      const updateQuery = `
-        UPDATE activity_logs 
-        SET count = $2, notes = $3, updated_at = NOW() 
-        WHERE log_id = $1 
-        RETURNING *
-      `;
-      
-      const updateResult = await this.db.query(updateQuery, [
-        logId,
-        count,
-        notes
-      ]);
-      
-      const updatedLog = updateResult.rows[0];
-      
-      // Publish log updated event
-      this.publish('log:updated', {
-        logId,
-        userId: log.user_id,
-        activityId: log.activity_type_id,
-        count,
-        timestamp: new Date()
+      // Update log in database and store its event in the same transaction
+      const { updatedLog, event } = await this.db.transaction(async (client) => {
+        const updated = await this.logs.update(logId, { count, notes }, client);
+        
+        const outboxRecord = await this.outbox.enqueue(client, 'log:updated', {
+          logId,
+          userId: log.user_id,
+          activityId: log.activity_type_id,
+          count,
+          snapshot: { before: log, after: updated },
+          timestamp: new Date()
+        });
+        
+        return { updatedLog: updated, event: outboxRecord };
       });
       
+      // Deliver log updated event and wait for the daily totals
+      await this._deliver(event);
+      
       return updatedLog;
     } catch (error) {
       console.error('[Activity] Error updating activity log:', error);
@@ -447,37 +457,41 @@ class ActivityComponent extends Component {
   }
 
   /**
-   * Delete an activity log
+   * Delete an activity log (moves it to the trash)
    * @param {number} logId - Log ID
    * @returns {Promise<boolean>} True if log was deleted
    */
   async deleteActivityLog(logId) {
     try {
       // Get current log to check ownership
-      const query = 'SELECT * FROM activity_logs WHERE log_id = $1';
-      const result = await this.db.query(query, [logId]);
-      
-      const log = result.rows[0];
+      const log = await this.logs.findById(logId);
       
       if (!log) {
         throw new Error('Log not found');
       }
       
-      // Delete log from database
-      const deleteQuery = 'DELETE FROM activity_logs WHERE log_id = $1';
-      const deleteResult = await this.db.query(deleteQuery, [logId]);
+      // Move log to the trash and store its event in the same transaction
+      const deletedAt = new Date();
+      const event = await this.db.transaction(async (client) => {
+        if (!(await this.logs.softDelete(logId, deletedAt, client))) {
+          return null;
+        }
+        
+        return this.outbox.enqueue(client, 'log:deleted', {
+          logId,
+          userId: log.user_id,
+          activityId: log.activity_type_id,
+          snapshot: { before: log, after: { ...log, deleted_at: deletedAt } },
+          timestamp: new Date()
+        });
+      });
       
-      if (deleteResult.rowCount === 0) {
+      if (!event) {
         return false;
       }
       
-      // Publish log deleted event
-      this.publish('log:deleted', {
-        logId,
-        userId: log.user_id,
-        activityId: log.activity_type_id,
-        timestamp: new Date()
-      });
+      // Deliver log deleted event and wait for the daily totals
+      await this._deliver(event);
       
       return true;
     } catch (error) {
@@ -486,6 +500,76 @@ class ActivityComponent extends Component {
     }
   }
 
+  /**
+   * Restore an activity log from the trash
+   * @param {number} logId - Log ID
+   * @returns {Promise<Object>} Restored log object
+   * @throws {Error} With statusCode 409 if the log's activity is in the trash
+   */
+  async restoreActivityLog(logId) {
+    try {
+      const log = await this.logs.findDeletedById(logId);
+      
+      if (!log) {
+        throw new Error('Log not found in the trash');
+      }
+      
+      if (!(await this.getActivityById(log.activity_type_id))) {
+        const error = new Error('The log\'s activity is in the trash, restore the activity instead');
+        error.statusCode = 409;
+        throw error;
+      }
+      
+      // Restore the log and store its event in the same transaction
+      const { restored, event } = await this.db.transaction(async (client) => {
+        const row = await this.logs.restore(logId, client);
+        
+        const outboxRecord = await this.outbox.enqueue(client, 'log:restored', {
+          logId,
+          userId: log.user_id,
+          activityId: log.activity_type_id,
+          count: parseFloat(log.count),
+          snapshot: { before: log, after: row },
+          timestamp: new Date()
+        });
+        
+        return { restored: row, event: outboxRecord };
+      });
+      
+      // Deliver log restored event and wait for the daily totals
+      await this._deliver(event);
+      
+      return restored;
+    } catch (error) {
+      console.error('[Activity] Error restoring activity log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver an outbox record stored by one of the methods above
+   * Waits for the handlers, so derived state such as the daily totals is
+   * current when the method returns. The change is committed by then, so a
+   * delivery error is only logged; the outbox dispatcher delivers the event later.
+   * @param {Object} event - Outbox record returned by enqueue
+   * @returns {Promise<Object|null>} Delivery report, or null if delivery failed
+   */
+  async _deliver(event) {
+    try {
+      const report = await this.outbox.deliver(event);
+      
+      if (report && (report.failed > 0 || report.timedOut > 0)) {
+        console.warn(`[Activity] Some ${event.event} handlers did not complete:`,
+          report.results.filter(result => result.status !== 'fulfilled'));
+      }
+      
+      return report;
+    } catch (error) {
+      console.error(`[Activity] Error delivering ${event.event} event ${event.outboxId}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Get activity statistics
    * @param {number} userId - User ID
@@ -507,55 +591,41 @@ class ActivityComponent extends Component {
         endDate = new Date();
       }
       
-      // Get logs for this activity
-      const logs = await this.getActivityLogs(userId, activityId);
-      
-      // Calculate today's total
+      // Calculate today's, this week's, this month's and this year's start
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       
-      const todayLogs = logs.filter(log => {
-        const logDate = new Date(log.logged_at);
-        return logDate >= today;
-      });
-      
-      const todayTotal = todayLogs.reduce((sum, log) => sum + parseFloat(log.count || 0), 0);
-      
-      // Calculate this week's total
-      const weekStart = new Date();
+      const weekStart = new Date(today);
       weekStart.setDate(weekStart.getDate() - weekStart.getDay()); // Start of week (Sunday)
-      weekStart.setHours(0, 0, 0, 0);
-      
-      const weekLogs = logs.filter(log => {
-        const logDate = new Date(log.logged_at);
-        return logDate >= weekStart;
-      });
-      
-      const weekTotal = weekLogs.reduce((sum, log) => sum + parseFloat(log.count || 0), 0);
       
-      // Calculate this month's total
-      const monthStart = new Date();
+      const monthStart = new Date(today);
       monthStart.setDate(1); // Start of month
-      monthStart.setHours(0, 0, 0, 0);
       
-      const monthLogs = logs.filter(log => {
-        const logDate = new Date(log.logged_at);
-        return logDate >= monthStart;
-      });
+      const yearStart = new Date(today);
+      yearStart.setMonth(0, 1); // Start of year (January 1)
       
-      const monthTotal = monthLogs.reduce((sum, log) => sum + parseFloat(log.count || 0), 0);
+      // Get the daily totals covering both the running totals and the requested range
+      const rangeStart = new Date(startDate);
+      rangeStart.setHours(0, 0, 0, 0);
       
-      // Calculate this year's total
-      const yearStart = new Date();
-      yearStart.setMonth(0, 1); // Start of year (January 1)
-      yearStart.setHours(0, 0, 0, 0);
+      const days = await this.dailyTotals.findDays(
+        userId,
+        activityId,
+        new Date(Math.min(rangeStart, weekStart, yearStart)),
+        new Date(Math.max(endDate, new Date()))
+      );
       
-      const yearLogs = logs.filter(log => {
-        const logDate = new Date(log.logged_at);
-        return logDate >= yearStart;
-      });
+      const sumSince = (since) => days
+        .filter(row => new Date(row.day) >= since)
+        .reduce((sum, row) => sum + row.total, 0);
       
-      const yearTotal = yearLogs.reduce((sum, log) => sum + parseFloat(log.count || 0), 0);
+      const todayTotal = sumSince(today);
+      const weekTotal = sumSince(weekStart);
+      const monthTotal = sumSince(monthStart);
+      const yearTotal = sumSince(yearStart);
+      
+      // Days within the requested range
+      const rangeDays = days.filter(row => new Date(row.day) >= rangeStart && new Date(row.day) <= endDate);
       
       // Additional stats based on the requested period
       let periodStats = [];
@@ -563,19 +633,19 @@ class ActivityComponent extends Component {
       switch (period) {
         case 'daily':
           // Daily stats for the last 30 days
-          periodStats = await this._getDailyStats(logs, startDate, endDate);
+          periodStats = await this._getDailyStats(rangeDays, startDate, endDate);
           break;
         case 'weekly':
           // Weekly stats
-          periodStats = await this._getWeeklyStats(logs, startDate, endDate);
+          periodStats = await this._getWeeklyStats(rangeDays);
           break;
         case 'monthly':
           // Monthly stats
-          periodStats = await this._getMonthlyStats(logs, startDate, endDate);
+          periodStats = await this._getMonthlyStats(rangeDays);
           break;
         case 'yearly':
           // Yearly stats
-          periodStats = await this._getYearlyStats(logs, startDate, endDate);
+          periodStats = await this._getYearlyStats(rangeDays);
           break;
       }
       
@@ -603,14 +673,14 @@ class ActivityComponent extends Component {
 
   /**
    * Get daily stats for an activity
-   * @param {Array} logs - Activity logs
+   * @param {Array} days - Daily totals within the range
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
    * @returns {Promise<Array>} Daily stats
    * @private
    */
-  async _getDailyStats(logs, startDate, endDate) {
-    // Group logs by day
+  async _getDailyStats(days, startDate, endDate) {
+    // Group totals by day
     const dailyStats = {};
     
     // Initialize all days in the range
@@ -627,16 +697,9 @@ class ActivityComponent extends Component {
       currentDate.setDate(currentDate.getDate() + 1);
     }
     
-    // Group logs by day
-    logs.forEach(log => {
-      const logDate = new Date(log.logged_at);
-      
-      // Skip logs outside the date range
-      if (logDate < startDate || logDate > endDate) {
-        return;
-      }
-      
-      const dateKey = logDate.toISOString().split('T')[0];
+    // Fill in the days with logs
+    days.forEach(row => {
+      const dateKey = new Date(row.day).toISOString().split('T')[0];
       
       if (!dailyStats[dateKey]) {
         dailyStats[dateKey] = {
@@ -646,8 +709,8 @@ class ActivityComponent extends Component {
         };
       }
       
-      dailyStats[dateKey].total += parseFloat(log.count || 0);
-      dailyStats[dateKey].count++;
+      dailyStats[dateKey].total += row.total;
+      dailyStats[dateKey].count += row.entries;
     });
     
     // Convert to array and sort by date
@@ -656,24 +719,17 @@ class ActivityComponent extends Component {
 
   /**
    * Get weekly stats for an activity
-   * @param {Array} logs - Activity logs
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
+   * @param {Array} days - Daily totals within the range
    * @returns {Promise<Array>} Weekly stats
    * @private
    */
-  async _getWeeklyStats(logs, startDate, endDate) {
+  async _getWeeklyStats(days) {
     // Similar implementation to _getDailyStats but grouped by week
     // This is a simplified implementation just to get it working
     const weeklyStats = {};
     
-    logs.forEach(log => {
-      const logDate = new Date(log.logged_at);
-      
-      // Skip logs outside the date range
-      if (logDate < startDate || logDate > endDate) {
-        return;
-      }
+    days.forEach(row => {
+      const logDate = new Date(row.day);
       
       // Get week number (1-53)
       const weekStart = new Date(logDate);
@@ -688,8 +744,8 @@ class ActivityComponent extends Component {
         };
       }
       
-      weeklyStats[weekKey].total += parseFloat(log.count || 0);
-      weeklyStats[weekKey].count++;
+      weeklyStats[weekKey].total += row.total;
+      weeklyStats[weekKey].count += row.entries;
     });
     
     // Convert to array and sort by week
@@ -698,24 +754,16 @@ class ActivityComponent extends Component {
 
   /**
    * Get monthly stats for an activity
-   * @param {Array} logs - Activity logs
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
+   * @param {Array} days - Daily totals within the range
    * @returns {Promise<Array>} Monthly stats
    * @private
    */
-  async _getMonthlyStats(logs, startDate, endDate) {
+  async _getMonthlyStats(days) {
     // Similar implementation to _getDailyStats but grouped by month
     const monthlyStats = {};
     
-    logs.forEach(log => {
-      const logDate = new Date(log.logged_at);
-      
-      // Skip logs outside the date range
-      if (logDate < startDate || logDate > endDate) {
-        return;
-      }
-      
+    days.forEach(row => {
+      const logDate = new Date(row.day);
       const monthKey = `${logDate.getFullYear()}-${String(logDate.getMonth() + 1).padStart(2, '0')}`;
       
       if (!monthlyStats[monthKey]) {
@@ -726,8 +774,8 @@ class ActivityComponent extends Component {
         };
       }
       
-      monthlyStats[monthKey].total += parseFloat(log.count || 0);
-      monthlyStats[monthKey].count++;
+      monthlyStats[monthKey].total += row.total;
+      monthlyStats[monthKey].count += row.entries;
     });
     
     // Convert to array and sort by month
@@ -736,25 +784,16 @@ class ActivityComponent extends Component {
 
   /**
    * Get yearly stats for an activity
-   * @param {Array} logs - Activity logs
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
+   * @param {Array} days - Daily totals within the range
    * @returns {Promise<Array>} Yearly stats
    * @private
    */
-  async _getYearlyStats(logs, startDate, endDate) {
+  async _getYearlyStats(days) {
     // Similar implementation to _getDailyStats but grouped by year
     const yearlyStats = {};
     
-    logs.forEach(log => {
-      const logDate = new Date(log.logged_at);
-      
-      // Skip logs outside the date range
-      if (logDate < startDate || logDate > endDate) {
-        return;
-      }
-      
-      const yearKey = logDate.getFullYear().toString();
+    days.forEach(row => {
+      const yearKey = new Date(row.day).getFullYear().toString();
       
       if (!yearlyStats[yearKey]) {
         yearlyStats[yearKey] = {
@@ -764,8 +803,8 @@ class ActivityComponent extends Component {
         };
       }
       
-      yearlyStats[yearKey].total += parseFloat(log.count || 0);
-      yearlyStats[yearKey].count++;
+      yearlyStats[yearKey].total += row.total;
+      yearlyStats[yearKey].count += row.entries;
     });
     
     // Convert to array and sort by year
@@ -8,6 +8,7 @@ const fs = require('fs');
 
 // Core components
 const eventBus = require('./core/event-bus');
+const eventRegistry = require('./core/event-registry');
 const configManager = require('./core/config-manager');
 const Orchestrator = require('./core/orchestrator');
 
@@ -16,10 +17,20 @@ const Database = require('./database-component');
 const AuthComponent = require('./auth-component');
 const ActivityComponent = require('./activity-component');
 const GoalComponent = require('./components/goals/GoalComponent'); // Import Goal component
+const OutboxComponent = require('./components/outbox/OutboxComponent');
+const DeadLetterComponent = require('./components/dead-letters/DeadLetterComponent');
+const FeatureFlagsComponent = require('./components/feature-flags/FeatureFlagsComponent');
+const AchievementComponent = require('./components/achievements/AchievementComponent');
+const AnalyticsComponent = require('./components/analytics/AnalyticsComponent');
+const NotificationComponent = require('./components/notifications/NotificationComponent');
+const TrashComponent = require('./components/trash/TrashComponent');
+const AuditComponent = require('./components/audit/AuditComponent');
+const DailyTotalsComponent = require('./components/daily-totals/DailyTotalsComponent');
+const LogArchiveComponent = require('./components/log-archive/LogArchiveComponent');
 
 // Middleware and routes
 const { errorLogger, errorHandler } = require('./shared/middlewares/errorHandler');
-const apiRateLimiter = require('./shared/middlewares/rateLimiter');
+const createApiRateLimiter = require('./shared/middlewares/rateLimiter');
 const apiLogger = require('./shared/middlewares/logger');
 const routesBuilder = require('./routes-builder');  // Changed to use the correct routes-builder
 
@@ -30,9 +41,11 @@ class Application {
   /**
    * Create a new application
    * @param {Object} options - Application options
+   * @param {boolean} options.server - Whether to start the HTTP server and background jobs (default true)
    */
   constructor(options = {}) {
     this.options = options;
+    this.serverEnabled = options.server !== false;
     this.debug = process.env.NODE_ENV === 'development';
     
     // Express app
@@ -41,15 +54,9 @@ class Application {
     // Application orchestrator
     this.orchestrator = null;
     
-    // Component initialization order
-    this.initOrder = [
-      'ConfigManager',
-      'Database',
-      'Auth',
-      'Activity',
-      'Goal',     // Add Goal to init order
-      'Express'
-    ];
+    // HTTP requests currently being handled, awaited on shutdown
+    this.activeRequests = new Set();
+    this.shuttingDown = false;
   }
 
   /**
@@ -60,23 +67,21 @@ class Application {
     try {
       console.log('Initializing application...');
       
-      // Initialize config manager first
-      await configManager.init();
-      
-      // Log loaded database configuration for debugging
-      const dbConfig = configManager.getConfig('database');
-      console.log('Database Config:', JSON.stringify({
-        host: dbConfig.host,
-        port: dbConfig.port,
-        database: dbConfig.name,
-        user: dbConfig.user,
-        // Don't log password, just whether it exists
-        passwordSet: !!dbConfig.password
-      }, null, 2));
-      
-      // Create orchestrator
+      // Initialize config manager first; invalid configuration stops startup
+      const configured = await configManager.init();
+      
+      if (!configured) {
+        throw new Error('Invalid configuration, see errors above');
+      }
+      
+      // Apply event payload validation mode
+      eventRegistry.setMode(configManager.get('events.validation', 'warn'));
+      
+      // Log loaded database configuration for debugging (secrets are redacted)
+      console.log('Database Config:', JSON.stringify(configManager.getConfig('database'), null, 2));
+      
+      // Create orchestrator (initialization order follows the registered dependencies)
       this.orchestrator = new Orchestrator({
-        initOrder: this.initOrder,
         debug: this.debug
       });
       
@@ -93,7 +98,24 @@ class Application {
         retryDelay: 2000 // Reduce delay for faster feedback
       });
       
-      this.orchestrator.register('Database', database);
+      this.orchestrator.register('Database', database, ['ConfigManager']);
+      
+      // Register dead letter store for event deliveries that exhaust their retries
+      const deadLetterComponent = new DeadLetterComponent({
+        debug: this.debug
+      });
+      
+      this.orchestrator.register('DeadLetter', deadLetterComponent, ['Database']);
+      
+      // Register outbox component with dependencies
+      const outboxComponent = new OutboxComponent({
+        debug: this.debug,
+        autoDispatch: this.serverEnabled,
+        pollInterval: configManager.get('outbox.pollInterval', 5000),
+        cleanupInterval: configManager.get('outbox.cleanupInterval', 60 * 60 * 1000)
+      });
+      
+      this.orchestrator.register('Outbox', outboxComponent, ['Database', 'ConfigManager']);
       
       // Register auth component with dependencies
       const authComponent = new AuthComponent({
@@ -102,31 +124,92 @@ class Application {
       
       this.orchestrator.register('Auth', authComponent, ['Database']);
       
+      // Register feature flags, targeted by user roles from Auth
+      const featureFlagsComponent = new FeatureFlagsComponent({
+        debug: this.debug
+      });
+      
+      this.orchestrator.register('FeatureFlags', featureFlagsComponent, ['Database', 'ConfigManager', 'Auth']);
+      
       // Register activity component with dependencies
       const activityComponent = new ActivityComponent({
         debug: this.debug
       });
       
-      this.orchestrator.register('Activity', activityComponent, ['Database']);
+      this.orchestrator.register('Activity', activityComponent, ['Database', 'Outbox']);
+      
+      // Register daily totals, kept up to date from log events for stats, goals and analytics
+      const dailyTotalsComponent = new DailyTotalsComponent({
+        debug: this.debug
+      });
+      
+      this.orchestrator.register('DailyTotals', dailyTotalsComponent, ['Database']);
       
       // Register goal component with dependencies
       const goalComponent = new GoalComponent({
         debug: this.debug
       });
       
-      this.orchestrator.register('Goal', goalComponent, ['Database', 'Activity']);
+      this.orchestrator.register('Goal', goalComponent, ['Database', 'Activity', 'Outbox']);
       
-      // Create Express application
-      const expressComponent = await this._createExpressApp();
+      // Register trash component, which purges deleted items past their retention
+      const trashComponent = new TrashComponent({
+        debug: this.debug,
+        autoPurge: this.serverEnabled,
+        purgeInterval: configManager.get('trash.purgeInterval', 60 * 60 * 1000)
+      });
       
-      this.orchestrator.register('Express', expressComponent, [
-        'Auth', 
-        'Activity',
-        'Goal'  // Add Goal as dependency for Express
-      ]);
+      this.orchestrator.register('Trash', trashComponent, ['Database', 'ConfigManager', 'Activity', 'Goal']);
+      
+      // Register log archive component, which archives raw logs past their retention
+      const logArchiveComponent = new LogArchiveComponent({
+        debug: this.debug,
+        autoArchive: this.serverEnabled,
+        archiveInterval: configManager.get('archive.archiveInterval', 24 * 60 * 60 * 1000)
+      });
+      
+      this.orchestrator.register('LogArchive', logArchiveComponent, ['Database', 'ConfigManager']);
+      
+      // Register audit component, which records activity, log, goal, user and achievement events
+      const auditComponent = new AuditComponent({
+        debug: this.debug
+      });
+      
+      this.orchestrator.register('Audit', auditComponent, ['Database']);
+      
+      // Register optional subsystems that are switched on in the configuration
+      const optional = this._registerOptionalComponents();
+      
+      // Register enabled plugins from the plugins directory
+      const plugins = this.orchestrator.loadPlugins(configManager.get('plugins.directory', './plugins'), {
+        enabled: configManager.get('plugins.enabled', {}),
+        options: configManager.get('plugins.options', {})
+      });
+      
+      // Create Express application
+      if (this.serverEnabled) {
+        const expressComponent = await this._createExpressApp();
+        
+        this.orchestrator.register('Express', expressComponent, [
+          'Auth', 
+          'Activity',
+          'Goal',  // Add Goal as dependency for Express
+          'Trash',
+          'Audit',
+          'DeadLetter',
+          'FeatureFlags',
+          ...optional,
+          ...plugins  // Plugin routes are mounted by routes-builder
+        ]);
+      }
       
       // Initialize all components through orchestrator
-      await this.orchestrator.init();
+      const initialized = await this.orchestrator.init();
+      
+      if (!initialized) {
+        const { lastError } = this.orchestrator.getHealth();
+        throw new Error(`Component initialization failed: ${lastError ? lastError.message : 'unknown error'}`);
+      }
       
       // Listen for application events
       this._setupApplicationEvents();
@@ -140,6 +223,43 @@ class Application {
     }
   }
 
+  /**
+   * Register the optional subsystems enabled under components.<name>.enabled
+   * A subsystem whose dependencies aren't registered stops startup
+   * @returns {Array<string>} Names of the registered components
+   * @throws {Error} If an enabled component is missing a dependency
+   */
+  _registerOptionalComponents() {
+    const subsystems = [
+      { key: 'notifications', name: 'Notification', ComponentClass: NotificationComponent, dependencies: ['Database'] },
+      { key: 'achievements', name: 'Achievement', ComponentClass: AchievementComponent, dependencies: ['Database'] },
+      { key: 'analytics', name: 'Analytics', ComponentClass: AnalyticsComponent, dependencies: ['Database', 'Activity', 'Goal'] }
+    ];
+    
+    const registered = [];
+    
+    for (const { key, name, ComponentClass, dependencies } of subsystems) {
+      if (!configManager.get(`components.${key}.enabled`, true)) {
+        console.log(`Component "${name}" is disabled (components.${key}.enabled)`);
+        continue;
+      }
+      
+      const missing = dependencies.filter(dep => !this.orchestrator.getComponent(dep));
+      
+      if (missing.length > 0) {
+        throw new Error(`Component "${name}" is enabled but its dependencies are not registered: ${missing.join(', ')}`);
+      }
+      
+      this.orchestrator.register(name, new ComponentClass({
+        debug: this.debug
+      }), dependencies);
+      
+      registered.push(name);
+    }
+    
+    return registered;
+  }
+
   /**
    * Create Express application
    * @returns {Promise<Object>} Express component
@@ -163,6 +283,27 @@ class Application {
           { flags: 'a' }
         );
         
+        // Track in-flight requests so shutdown can wait for them
+        this.app.use((req, res, next) => {
+          // Requests arriving on kept-alive connections during shutdown are turned away
+          if (this.shuttingDown) {
+            res.set('Connection', 'close');
+            return res.status(503).json({
+              error: 'Service Unavailable',
+              message: 'Server is shutting down'
+            });
+          }
+          
+          const request = { method: req.method, url: req.originalUrl, req, startedAt: Date.now() };
+          this.activeRequests.add(request);
+          
+          const done = () => this.activeRequests.delete(request);
+          res.on('finish', done);
+          res.on('close', done);
+          
+          next();
+        });
+        
         // Security middleware with modified CSP to allow external scripts
         this.app.use(helmet({
           contentSecurityPolicy: {
@@ -180,23 +321,32 @@ class Application {
         // Logging middleware
         this.app.use(morgan('combined', { stream: accessLogStream }));
         this.app.use(morgan('dev'));
-        this.app.use(apiLogger);
         
-        // Enhanced CORS middleware
+        // Enhanced CORS middleware; allowed origins are read per request so reloads apply
         this.app.use(cors({
-          origin: '*', // Allow all origins
+          origin: (origin, callback) => {
+            const allowed = configManager.get('server.corsOrigins', ['*']);
+            callback(null, allowed.includes('*') ? '*' : allowed.includes(origin));
+          },
           methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-          allowedHeaders: ['Content-Type', 'Authorization']
+          allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+          exposedHeaders: ['X-Request-Id']
         }));
         
         // Body parser middleware
         this.app.use(bodyParser.json());
         this.app.use(bodyParser.urlencoded({ extended: true }));
         
+        // API logger assigns the correlation ID; it runs after the body parsers
+        // so the request context isn't lost across their stream callbacks
+        this.app.use(apiLogger);
+        
         // Serve static files
         this.app.use(express.static(path.join(__dirname, '..', 'public')));
         
         // Apply rate limiting to all API routes except auth
+        const apiRateLimiter = createApiRateLimiter();
+        
         this.app.use('/api', (req, res, next) => {
           if (!req.path.startsWith('/auth')) {
             apiRateLimiter(req, res, next);
@@ -256,6 +406,9 @@ class Application {
         return true;
       },
       
+      // Routes hold references to component instances, which survive restarts
+      restartable: false,
+      
       shutdown: async () => {
         // Close the Express server
         if (this.server) {
@@ -293,10 +446,20 @@ class Application {
       console.error(`Application error in component ${data.component}:`, data.error);
     });
     
+    // Apply settings read outside of request handling
+    eventBus.subscribe('config:changed', (data) => {
+      if (data.paths.includes('events.validation')) {
+        eventRegistry.setMode(configManager.get('events.validation'));
+      }
+    });
+    
     // Handle process signals
     process.on('SIGINT', this._handleShutdown.bind(this));
     process.on('SIGTERM', this._handleShutdown.bind(this));
     
+    // SIGHUP re-reads the configuration
+    process.on('SIGHUP', this._handleReload.bind(this));
+    
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
       console.error('Unhandled Promise Rejection:', err);
@@ -304,13 +467,39 @@ class Application {
     });
   }
 
+  /**
+   * Handle a configuration reload request (SIGHUP)
+   */
+  async _handleReload() {
+    console.log('Reloading configuration...');
+    
+    const result = await configManager.reload();
+    
+    if (!result.success) {
+      console.error(`Configuration reload failed:\n${result.errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+  }
+
   /**
    * Handle application shutdown
    */
   async _handleShutdown() {
+    // A second signal while draining shouldn't start another shutdown
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+    
     console.log('Shutting down application...');
     
     try {
+      const outstanding = await this._drain(configManager.get('server.shutdownTimeout', 10000));
+      const drained = outstanding.requests.length === 0 &&
+        outstanding.handlers.length === 0 &&
+        outstanding.retries.length === 0;
+      
+      if (!drained) {
+        this._reportOutstanding(outstanding);
+      }
+      
       // Publish shutdown event
       eventBus.publish('app:shutdown', {
         timestamp: new Date()
@@ -319,7 +508,8 @@ class Application {
       // Shutdown all components through orchestrator
       await this.orchestrator.shutdown();
       
-      console.log('Application shut down successfully');
+      // Outstanding work is only logged: a requested shutdown that completed isn't a failure
+      console.log(drained ? 'Application shut down successfully' : 'Application shut down with outstanding work');
       process.exit(0);
     } catch (error) {
       console.error('Error shutting down application:', error);
@@ -327,6 +517,78 @@ class Application {
     }
   }
 
+  /**
+   * Stop accepting connections and wait for in-flight work
+   * Waits for active HTTP requests first, then for async event handlers
+   * (including those the requests triggered), all within one deadline
+   * @param {number} timeout - Max time to wait in ms
+   * @returns {Promise<Object>} Work still outstanding ({ requests, handlers, retries })
+   */
+  async _drain(timeout) {
+    const deadline = Date.now() + timeout;
+    
+    console.log(`Draining in-flight work (up to ${timeout}ms)...`);
+    
+    if (this.orchestrator) {
+      this.orchestrator.beginDrain();
+    }
+    
+    if (this.server) {
+      // Stop accepting new connections and drop idle kept-alive ones (Node 18.2+)
+      this.server.close();
+      
+      if (typeof this.server.closeIdleConnections === 'function') {
+        this.server.closeIdleConnections();
+      }
+    }
+    
+    while (this.activeRequests.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    
+    const pending = await eventBus.drain(Math.max(0, deadline - Date.now()));
+    const now = Date.now();
+    
+    if (this.server) {
+      // Anything still connected is cut off now (Node 18.2+; older versions
+      // leave it to the process exit)
+      if (typeof this.server.closeAllConnections === 'function') {
+        this.server.closeAllConnections();
+      }
+    }
+    
+    return {
+      requests: [...this.activeRequests].map(request => ({
+        method: request.method,
+        url: request.url,
+        requestId: request.req.id || null,
+        runningFor: now - request.startedAt
+      })),
+      handlers: pending.handlers,
+      retries: pending.retries
+    };
+  }
+
+  /**
+   * Log work that was still outstanding when the drain deadline passed
+   * @param {Object} outstanding - Outstanding work from _drain
+   */
+  _reportOutstanding(outstanding) {
+    console.warn('Shutdown deadline reached with outstanding work:');
+    
+    outstanding.requests.forEach(request => {
+      console.warn(`  request ${request.method} ${request.url}${request.requestId ? ` [${request.requestId}]` : ''} (running ${request.runningFor}ms)`);
+    });
+    
+    outstanding.handlers.forEach(handler => {
+      console.warn(`  handler ${handler.subscriber} for "${handler.event}" (running ${handler.runningFor}ms)`);
+    });
+    
+    outstanding.retries.forEach(retry => {
+      console.warn(`  retry ${retry.subscriber} for "${retry.event}" (attempt ${retry.attempt}, due in ${retry.dueIn}ms)`);
+    });
+  }
+
   /**
    * Get application health
    * @returns {Object} Health status
@@ -341,10 +603,16 @@ const app = new Application();
 
 // If this file is run directly, start the application
 if (require.main === module) {
-  app.init().catch(error => {
+  app.init().then(success => {
+    if (!success) {
+      console.error('Failed to start application');
+      process.exit(1);
+    }
+  }).catch(error => {
     console.error('Failed to start application:', error);
     process.exit(1);
   });
 }
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+module.exports.Application = Application;
\ No newline at end of file
@@ -2,6 +2,8 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const Component = require('./core/component-class');
 const configManager = require('./core/config-manager');
+const { UserRepository } = require('./shared/database/repositories');
+const { withoutSecrets } = require('./shared/database/repositories/UserRepository');
 
 /**
  * Authentication Component
@@ -33,37 +35,12 @@ class AuthComponent extends Component {
       throw new Error('Database dependency not available');
     }
     
-    // Register event handlers
-    this.registerEvents();
+    this.users = new UserRepository(this.db);
     
     // Test database connection
     try {
       await this.db.query('SELECT NOW()');
       console.log('[Auth] Database connection test successful');
-      
-      // Check database schema
-      try {
-        const userSchema = await this.db.query(`
-          SELECT column_name, data_type 
-          FROM information_schema.columns 
-          WHERE table_name = 'users'
-        `);
-        
-        console.log('[Auth] User table schema:', userSchema.rows);
-        
-        // Check if we have a password or password_hash field
-        const passwordField = userSchema.rows.find(col => 
-          col.column_name === 'password' || col.column_name === 'password_hash'
-        );
-        
-        if (passwordField) {
-          console.log(`[Auth] Found password field: ${passwordField.column_name}`);
-        } else {
-          console.warn('[Auth] No password field found in users table!');
-        }
-      } catch (error) {
-        console.error('[Auth] Error checking database schema:', error);
-      }
     } catch (error) {
       console.error('[Auth] Database connection test failed:', error);
       throw error;
@@ -84,6 +61,7 @@ class AuthComponent extends Component {
     this.subscribe('user:updated', this._handleUserUpdated.bind(this));
     this.subscribe('user:deleted', this._handleUserDeleted.bind(this));
     this.subscribe('user:password_changed', this._handlePasswordChanged.bind(this));
+    this.subscribe('config:changed', this._handleConfigChanged.bind(this));
   }
 
   /**
@@ -125,6 +103,17 @@ class AuthComponent extends Component {
     this.invalidateUserTokens(data.userId);
   }
 
+  /**
+   * Handle config changed event
+   * Cached roles include "admin" from security.adminUsers, so drop them when it changes
+   * @param {Object} data - Changed configuration paths
+   */
+  _handleConfigChanged(data) {
+    if (data.paths.includes('security.adminUsers')) {
+      this.userPermissions.clear();
+    }
+  }
+
   /**
    * Register a new user
    * @param {Object} userData - User registration data
@@ -144,25 +133,18 @@ class AuthComponent extends Component {
       // Hash password
       const hashedPassword = await this._hashPassword(password);
       
-      // Create user in database - using password_hash instead of password
-      const query = `
-        INSERT INTO users (username, email, password_hash) 
-        VALUES ($1, $2, $3) 
-        RETURNING user_id, username, email, created_at
-      `;
-      
-      const result = await this.db.query(query, [
+      // Create user in database
+      const newUser = await this.users.create({
         username,
         email,
-        hashedPassword
-      ]);
-      
-      const newUser = result.rows[0];
+        passwordHash: hashedPassword
+      });
       
       // Publish user created event
       this.publish('user:created', {
         userId: newUser.user_id,
         username: newUser.username,
+        snapshot: { before: null, after: newUser },
         timestamp: new Date()
       });
       
@@ -215,12 +197,13 @@ class AuthComponent extends Component {
       const token = this._generateToken(user);
       
       // Update last login time
-      await this._updateLastLogin(user.user_id);
+      const loggedIn = await this._updateLastLogin(user.user_id);
       
       // Publish login event
       this.publish('user:login', {
         userId: user.user_id,
         username: user.username,
+        snapshot: { before: withoutSecrets(user), after: withoutSecrets(loggedIn) },
         timestamp: new Date()
       });
       
@@ -326,18 +309,13 @@ class AuthComponent extends Component {
       // Hash new password
       const hashedPassword = await this._hashPassword(newPassword);
       
-      // Update password in database - using password_hash instead of password
-      const query = `
-        UPDATE users 
-        SET password_hash = $1, updated_at = NOW() 
-        WHERE user_id = $2
-      `;
-      
-      await this.db.query(query, [hashedPassword, userId]);
+      // Update password in database
+      const updated = await this.users.updatePassword(userId, hashedPassword);
       
       // Publish password changed event
       this.publish('user:password_changed', {
         userId,
+        snapshot: { before: withoutSecrets(user), after: withoutSecrets(updated) },
         timestamp: new Date()
       });
       
@@ -366,18 +344,13 @@ class AuthComponent extends Component {
       const resetToken = this._generateRandomToken();
       
       // Store reset token in database with expiration
-      const query = `
-        UPDATE users 
-        SET reset_token = $1, reset_token_expires = NOW() + INTERVAL '1 hour' 
-        WHERE user_id = $2
-      `;
-      
-      await this.db.query(query, [resetToken, user.user_id]);
+      const updated = await this.users.setResetToken(user.user_id, resetToken);
       
       // Publish password reset requested event
       this.publish('user:password_reset_requested', {
         userId: user.user_id,
         email: user.email,
+        snapshot: { before: withoutSecrets(user), after: withoutSecrets(updated) },
         timestamp: new Date()
       });
       
@@ -397,13 +370,7 @@ class AuthComponent extends Component {
   async resetPassword(resetToken, newPassword) {
     try {
       // Find user by reset token
-      const query = `
-        SELECT * FROM users 
-        WHERE reset_token = $1 AND reset_token_expires > NOW()
-      `;
-      
-      const result = await this.db.query(query, [resetToken]);
-      const user = result.rows[0];
+      const user = await this.users.findByResetToken(resetToken);
       
       if (!user) {
         throw new Error('Invalid or expired reset token');
@@ -412,18 +379,13 @@ class AuthComponent extends Component {
       // Hash new password
       const hashedPassword = await this._hashPassword(newPassword);
       
-      // Update password and clear reset token - using password_hash instead of password
-      const updateQuery = `
-        UPDATE users 
-        SET password_hash = $1, reset_token = NULL, reset_token_expires = NULL, updated_at = NOW() 
-        WHERE user_id = $2
-      `;
-      
-      await this.db.query(updateQuery, [hashedPassword, user.user_id]);
+      // Update password and clear reset token
+      const updated = await this.users.resetPassword(user.user_id, hashedPassword);
       
       // Publish password reset event
       this.publish('user:password_reset', {
         userId: user.user_id,
+        snapshot: { before: withoutSecrets(user), after: withoutSecrets(updated) },
         timestamp: new Date()
       });
       
@@ -462,6 +424,46 @@ class AuthComponent extends Component {
     }
   }
 
+  /**
+   * Get the roles of a user
+   * Every user has the "user" role. Additional roles come from the users.role
+   * column when the schema has one, and "admin" from security.adminUsers.
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} Role names
+   */
+  async getUserRoles(userId) {
+    if (this.userPermissions.has(userId)) {
+      return this.userPermissions.get(userId);
+    }
+    
+    const user = await this._getUserById(userId);
+    
+    if (!user) {
+      return [];
+    }
+    
+    const roles = new Set(['user']);
+    
+    if (user.role) {
+      roles.add(user.role);
+    }
+    
+    let adminUsers = configManager.get('security.adminUsers', []);
+    
+    if (typeof adminUsers === 'string') {
+      adminUsers = adminUsers.split(',').map(name => name.trim());
+    }
+    
+    if (adminUsers.includes(user.username)) {
+      roles.add('admin');
+    }
+    
+    const result = [...roles];
+    this.userPermissions.set(userId, result);
+    
+    return result;
+  }
+
   /**
    * Hash password
    * @param {string} password - Plain text password
@@ -482,6 +484,39 @@ class AuthComponent extends Component {
     return await bcrypt.compare(password, hash);
   }
 
+  /**
+   * Check auth health
+   * Verifies a signing key is configured and can sign and verify a token
+   * @returns {Promise<Object>} Health result
+   */
+  async healthCheck() {
+    const secret = configManager.get('security.jwtSecret');
+    
+    if (!secret) {
+      return {
+        status: 'unhealthy',
+        error: 'JWT signing key is not configured'
+      };
+    }
+    
+    const token = jwt.sign({ healthCheck: true }, secret, { expiresIn: '1m' });
+    jwt.verify(token, secret);
+    
+    if (secret === 'your-secret-key') {
+      return {
+        status: 'degraded',
+        error: 'Using the default JWT signing key'
+      };
+    }
+    
+    return {
+      status: 'healthy',
+      details: {
+        expiration: configManager.get('security.jwtExpiration', '7d')
+      }
+    };
+  }
+
   /**
    * Generate JWT token
    * @param {Object} user - User object
@@ -494,7 +529,6 @@ class AuthComponent extends Component {
     };
     
     const secret = configManager.get('security.jwtSecret');
-    console.log('[Auth] JWT Secret:', secret ? `${secret.substring(0, 3)}...${secret.slice(-3)}` : 'not set');
     
     const expiresIn = configManager.get('security.jwtExpiration', '7d');
     
@@ -533,16 +567,11 @@ class AuthComponent extends Component {
     try {
       console.log('[Auth] Searching for user with username/email:', username, email);
       
-      const query = `
-        SELECT * FROM users 
-        WHERE username = $1 OR email = $2
-      `;
-      
-      const result = await this.db.query(query, [username, email]);
+      const user = await this.users.findByUsernameOrEmail(username, email);
       
-      console.log('[Auth] User search result:', result.rows.length > 0 ? 'User found' : 'User not found');
+      console.log('[Auth] User search result:', user ? 'User found' : 'User not found');
       
-      return result.rows[0];
+      return user;
     } catch (error) {
       console.error('[Auth] Error in _findUserByUsernameOrEmail:', error);
       throw error;
@@ -555,13 +584,7 @@ class AuthComponent extends Component {
    * @returns {Promise<Object>} User object
    */
   async _findUserByEmail(email) {
-    const query = `
-      SELECT * FROM users 
-      WHERE email = $1
-    `;
-    
-    const result = await this.db.query(query, [email]);
-    return result.rows[0];
+    return this.users.findByEmail(email);
   }
 
   /**
@@ -570,28 +593,16 @@ class AuthComponent extends Component {
    * @returns {Promise<Object>} User object
    */
   async _getUserById(userId) {
-    const query = `
-      SELECT * FROM users 
-      WHERE user_id = $1
-    `;
-    
-    const result = await this.db.query(query, [userId]);
-    return result.rows[0];
+    return this.users.findById(userId);
   }
 
   /**
    * Update last login time for user
    * @param {number} userId - User ID
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|null>} Updated user row
    */
   async _updateLastLogin(userId) {
-    const query = `
-      UPDATE users 
-      SET last_login = NOW() 
-      WHERE user_id = $1
-    `;
-    
-    await this.db.query(query, [userId]);
+    return this.users.touchLastLogin(userId);
   }
 }
 
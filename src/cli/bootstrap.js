@@ -0,0 +1,62 @@
+/**
+ * Command line bootstrap
+ * Boots the application components without the HTTP server or background jobs
+ */
+
+/**
+ * Initialize the application for a command
+ * @returns {Promise<Object>} Initialized application
+ */
+async function bootApplication() {
+  // Required lazily so commands that don't need the app stay fast
+  const { Application } = require('../app');
+
+  const application = new Application({ server: false });
+  const success = await application.init();
+
+  if (!success) {
+    throw new Error('Application failed to initialize, see errors above');
+  }
+
+  return application;
+}
+
+/**
+ * Shut down an application booted by bootApplication
+ * @param {Object} application - Application instance
+ * @returns {Promise<void>}
+ */
+async function shutdownApplication(application) {
+  if (application && application.orchestrator) {
+    await application.orchestrator.shutdown();
+  }
+}
+
+/**
+ * Connect to the database without booting the other components
+ * Used by commands that must run before the schema is in place
+ * @returns {Promise<Object>} Initialized Database component
+ */
+async function connectDatabase() {
+  const configManager = require('../core/config-manager');
+  const Database = require('../database-component');
+
+  if (!(await configManager.init())) {
+    throw new Error('Invalid configuration, see errors above');
+  }
+
+  // Commands using this repair or report the schema, so drift must not stop them
+  const database = new Database({ schemaCheck: 'off' });
+
+  if (!(await database.init())) {
+    throw new Error('Could not connect to the database, see errors above');
+  }
+
+  return database;
+}
+
+module.exports = {
+  bootApplication,
+  shutdownApplication,
+  connectDatabase
+};
\ No newline at end of file
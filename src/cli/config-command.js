@@ -0,0 +1,41 @@
+const configManager = require('../core/config-manager');
+
+/**
+ * Config command
+ * Prints the effective configuration and where each value came from,
+ * without booting the application
+ */
+module.exports = {
+  usage: 'config [--json]',
+  description: 'Print the effective configuration with value sources',
+
+  /**
+   * Run the command
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} options - Command options
+   * @returns {Promise<number>} Exit code
+   */
+  async run(args, options) {
+    // Validation errors are logged by the configuration manager
+    const configured = await configManager.init();
+    
+    if (!configured) {
+      return 1;
+    }
+    
+    const entries = configManager.getEffectiveConfig();
+    
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return 0;
+    }
+    
+    console.log(`Environment: ${configManager.get('app.environment')}\n`);
+    
+    entries.forEach(({ path, value, source }) => {
+      console.log(`  ${path.padEnd(36)} ${JSON.stringify(value).padEnd(40)} ${source}`);
+    });
+    
+    return 0;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { connectDatabase } = require('./bootstrap');
+const Migrator = require('../core/migrator');
+
+/**
+ * Migrate command
+ * Applies, reverts or lists the numbered schema migrations in src/migrations
+ */
+module.exports = {
+  usage: 'migrate <up|down|status> [--to=<version>] [--steps=<n>]',
+  description: 'Apply, revert or list database migrations',
+
+  /**
+   * Run the command
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} options - Command options
+   * @returns {Promise<number>} Exit code
+   */
+  async run(args, options) {
+    const [action = 'status'] = args;
+    
+    if (!['up', 'down', 'status'].includes(action)) {
+      console.error(`Unknown migrate action "${action}", expected up, down or status`);
+      return 1;
+    }
+    
+    const to = options.to !== undefined ? parseInt(options.to, 10) : null;
+    const steps = options.steps !== undefined ? parseInt(options.steps, 10) : 1;
+    
+    if (Number.isNaN(to) || Number.isNaN(steps) || steps < 1) {
+      console.error('--to must be a version number and --steps a positive number');
+      return 1;
+    }
+    
+    const database = await connectDatabase();
+    
+    try {
+      const migrator = new Migrator(database);
+      
+      if (action === 'up') {
+        const applied = await migrator.up({ to: to === null ? Infinity : to });
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        return 0;
+      }
+      
+      if (action === 'down') {
+        const reverted = await migrator.down({ steps, to });
+        console.log(`Reverted ${reverted.length} migration(s)`);
+        return 0;
+      }
+      
+      const status = await migrator.status();
+      
+      console.log(`Current version: ${status.current} (${status.pending} pending)\n`);
+      
+      status.migrations.forEach(migration => {
+        const state = migration.applied ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        const modified = migration.modified ? ', but its file changed since' : '';
+        console.log(`  ${migration.applied ? '[x]' : '[ ]'} ${migration.id.padEnd(40)} ${state}${modified}`);
+      });
+      
+      status.missing.forEach(migration => {
+        console.log(`  [?] ${String(migration.version).padStart(3, '0')}_${migration.name.padEnd(36)} applied, but its file is missing`);
+      });
+      
+      return 0;
+    } finally {
+      await database.shutdown();
+    }
+  }
+};
\ No newline at end of file
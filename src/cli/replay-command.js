@@ -0,0 +1,53 @@
+const { bootApplication, shutdownApplication } = require('./bootstrap');
+
+/**
+ * Replay command
+ * Re-publishes stored outbox events so derived state (achievements,
+ * notifications, analytics) can be rebuilt
+ */
+module.exports = {
+  usage: 'replay --since=<timestamp> [--until=<timestamp>] [--events=a,b]',
+  description: 'Re-publish stored events from a point in time',
+
+  /**
+   * Run the command
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} options - Command options
+   * @returns {Promise<number>} Exit code
+   */
+  async run(args, options) {
+    const since = new Date(options.since);
+    const until = options.until ? new Date(options.until) : null;
+    
+    if (!options.since || isNaN(since.getTime())) {
+      console.error('A valid --since timestamp is required (e.g. --since=2024-01-01T00:00:00Z)');
+      return 1;
+    }
+    
+    if (until && isNaN(until.getTime())) {
+      console.error('Invalid --until timestamp');
+      return 1;
+    }
+    
+    const events = typeof options.events === 'string'
+      ? options.events.split(',').map(event => event.trim()).filter(Boolean)
+      : null;
+    
+    const application = await bootApplication();
+    
+    try {
+      const outbox = application.orchestrator.getComponent('Outbox');
+      const summary = await outbox.replay(since, { until, events });
+      
+      console.log(`Replayed ${summary.replayed} events (${summary.failed} with handler failures)`);
+      
+      Object.keys(summary.events).forEach(event => {
+        console.log(`  ${event}: ${summary.events[event]}`);
+      });
+      
+      return summary.failed > 0 ? 2 : 0;
+    } finally {
+      await shutdownApplication(application);
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { connectDatabase } = require('./bootstrap');
+
+/**
+ * Schema command
+ * Compares the live database schema with the tables and columns the
+ * application expects and lists pending migrations
+ */
+module.exports = {
+  usage: 'schema doctor [--json]',
+  description: 'Check the database schema for drift',
+
+  /**
+   * Run the command
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} options - Command options
+   * @returns {Promise<number>} Exit code (1 when the schema has drifted)
+   */
+  async run(args, options) {
+    const [action = 'doctor'] = args;
+    
+    if (action !== 'doctor') {
+      console.error(`Unknown schema action "${action}", expected doctor`);
+      return 1;
+    }
+    
+    const database = await connectDatabase();
+    
+    try {
+      const report = await database.checkSchema();
+      
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return report.ok ? 0 : 1;
+      }
+      
+      if (report.ok) {
+        console.log('Database schema is up to date');
+        return 0;
+      }
+      
+      if (report.missingTables.length > 0) {
+        console.log('Missing tables:');
+        report.missingTables.forEach(table => console.log(`  ${table}`));
+      }
+      
+      if (report.missingColumns.length > 0) {
+        console.log('Missing columns:');
+        report.missingColumns.forEach(({ table, column }) => console.log(`  ${table}.${column}`));
+      }
+      
+      if (report.pendingMigrations.length > 0) {
+        console.log('Pending migrations:');
+        report.pendingMigrations.forEach(id => console.log(`  ${id}`));
+      }
+      
+      console.log('\nRun `npx actrak migrate up` to bring the schema up to date.');
+      return 1;
+    } finally {
+      await database.shutdown();
+    }
+  }
+};
\ No newline at end of file
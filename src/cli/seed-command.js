@@ -0,0 +1,103 @@
+const { connectDatabase } = require('./bootstrap');
+const configManager = require('../core/config-manager');
+const { createRepositories } = require('../shared/database/repositories');
+const { DEMO_EMAIL_DOMAIN, generateDemoData, writeDemoData } = require('../shared/database/demo-data');
+
+/**
+ * Seed command
+ * Fills the database with demo users, activities, months of logs, goals and
+ * achievements. The data is generated from a seed, so the same seed and end
+ * date always produce the same data.
+ */
+module.exports = {
+  usage: 'seed [--seed=<value>] [--users=<n>] [--days=<n>] [--end=<YYYY-MM-DD>] [--password=<pw>] [--reset]',
+  description: 'Generate reproducible demo data',
+
+  /**
+   * Run the command
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} options - Command options
+   * @returns {Promise<number>} Exit code
+   */
+  async run(args, options) {
+    const seed = options.seed === undefined || options.seed === true ? 1 : options.seed;
+    const users = options.users !== undefined ? parseInt(options.users, 10) : 5;
+    const days = options.days !== undefined ? parseInt(options.days, 10) : 120;
+    const password = typeof options.password === 'string' ? options.password : 'demo1234';
+    
+    if (!(users >= 1 && users <= 1000) || !(days >= 1 && days <= 3650)) {
+      console.error('--users must be between 1 and 1000 and --days between 1 and 3650');
+      return 1;
+    }
+    
+    let endDate = new Date();
+    
+    if (options.end !== undefined) {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(options.end);
+      
+      if (!match) {
+        console.error('--end must be a date like 2024-06-30');
+        return 1;
+      }
+      
+      endDate = new Date(match[1], match[2] - 1, match[3]);
+    }
+    
+    const database = await connectDatabase();
+    
+    try {
+      const report = await database.checkSchema();
+      
+      if (!report.ok) {
+        console.error('The database schema is not up to date, run "actrak migrate up" first');
+        return 1;
+      }
+      
+      if (database.driver === 'memory') {
+        console.warn('Seeding the in-memory database, the data is lost when this command exits');
+      }
+      
+      // Numeric seeds are used as is, anything else is hashed
+      const dataSet = generateDemoData({
+        seed: /^\d+$/.test(String(seed)) ? parseInt(seed, 10) : seed,
+        users,
+        days,
+        endDate
+      });
+      
+      const repositories = createRepositories(database);
+      
+      if (options.reset) {
+        const removed = await repositories.users.deleteByEmailDomain(DEMO_EMAIL_DOMAIN);
+        console.log(`Removed ${removed} existing demo user(s)`);
+      }
+      
+      for (const person of dataSet.users) {
+        const existing = await repositories.users.findByUsernameOrEmail(person.username, person.email);
+        
+        if (existing) {
+          console.error(existing.email.endsWith(`@${DEMO_EMAIL_DOMAIN}`)
+            ? `Demo user "${existing.username}" already exists, run with --reset to replace the demo data`
+            : `Username "${person.username}" is taken by a user that isn't a demo user`);
+          return 1;
+        }
+      }
+      
+      // Required lazily so loading the command line doesn't load the native module
+      const bcrypt = require('bcrypt');
+      const passwordHash = await bcrypt.hash(password, configManager.get('security.bcryptRounds', 10));
+      const summary = await writeDemoData(database, dataSet, { passwordHash });
+      
+      const lastDay = new Date(dataSet.endDate.getTime() - 1);
+      
+      console.log(`Seeded demo data from seed ${seed} covering ${dataSet.startDate.toDateString()} to ${lastDay.toDateString()}:`);
+      console.log(`  ${summary.users} users, ${summary.activityTypes} activity types, ${summary.logs} logs`);
+      console.log(`  ${summary.goals} goals (${summary.completedGoals} completed), ${summary.achievements} achievements`);
+      console.log(`\nLog in as ${dataSet.users.map(person => person.username).slice(0, 3).join(', ')}${users > 3 ? ', ...' : ''} with password "${password}"`);
+      
+      return 0;
+    } finally {
+      await database.shutdown();
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { connectDatabase } = require('./bootstrap');
+const { DailyTotalRepository } = require('../shared/database/repositories');
+
+/**
+ * Totals command
+ * Recomputes daily_activity_totals from the logs, e.g. after logs were
+ * changed directly in the database or events were lost
+ */
+module.exports = {
+  usage: 'totals rebuild [--user=<id>]',
+  description: 'Recompute the daily activity totals from the logs',
+
+  /**
+   * Run the command
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} options - Command options
+   * @returns {Promise<number>} Exit code
+   */
+  async run(args, options) {
+    const [action = 'rebuild'] = args;
+    
+    if (action !== 'rebuild') {
+      console.error(`Unknown totals action "${action}", expected rebuild`);
+      return 1;
+    }
+    
+    if (options.user !== undefined && !/^\d+$/.test(String(options.user))) {
+      console.error('--user must be a user ID');
+      return 1;
+    }
+    
+    const userId = options.user !== undefined ? parseInt(options.user, 10) : null;
+    
+    const database = await connectDatabase();
+    
+    try {
+      const report = await database.checkSchema();
+      
+      if (!report.ok) {
+        console.error('The database schema is not up to date, run "actrak migrate up" first');
+        return 1;
+      }
+      
+      const dailyTotals = new DailyTotalRepository(database);
+      const days = await database.transaction(client => dailyTotals.rebuild(userId, client));
+      
+      console.log(`Rebuilt ${days} daily total(s)${userId ? ` for user ${userId}` : ''}`);
+      return 0;
+    } finally {
+      await database.shutdown();
+    }
+  }
+};
\ No newline at end of file
@@ -1,8 +1,15 @@
 const Component = require('../../core/component-class');
+const { AchievementRepository, GoalRepository, LogRepository } = require('../../shared/database/repositories');
 
 /**
  * Achievement Component
  * Handles achievements, badges, and points system
+ *
+ * Achievement types are awarded automatically based on their JSON criteria:
+ *   { "type": "streak", "days": 7 }       - logs on consecutive days
+ *   { "type": "milestone", "count": 100 } - total logged count
+ *   { "type": "goals", "count": 5 }       - completed goals
+ * Streak and milestone criteria may add "activityId" to count a single activity.
  */
 class AchievementComponent extends Component {
   /**
@@ -11,6 +18,12 @@ class AchievementComponent extends Component {
    */
   constructor(options = {}) {
     super('Achievement', options);
+    
+    // Max time (ms) an achievement check may hold up the publisher
+    this.handlerTimeout = options.handlerTimeout || 2000;
+    
+    // Retry failed checks before they are dead-lettered
+    this.retryPolicy = options.retryPolicy || { attempts: 3, backoff: 1000 };
   }
 
   /**
@@ -24,8 +37,9 @@ class AchievementComponent extends Component {
       throw new Error('Database dependency not available');
     }
     
-    // Register event handlers
-    this.registerEvents();
+    this.achievements = new AchievementRepository(this.db);
+    this.goals = new GoalRepository(this.db);
+    this.logs = new LogRepository(this.db);
     
     return true;
   }
@@ -38,37 +52,36 @@ class AchievementComponent extends Component {
     super.registerEvents();
     
     // Achievement-specific events
-    this.subscribe('log:created', this._handleLogCreated.bind(this));
-    this.subscribe('goal:achieved', this._handleGoalAchieved.bind(this));
+    const subscriptionOptions = {
+      timeout: this.handlerTimeout,
+      retry: this.retryPolicy
+    };
+    
+    this.subscribe('log:created', this._handleLogCreated.bind(this), subscriptionOptions);
+    this.subscribe('goal:achieved', this._handleGoalAchieved.bind(this), subscriptionOptions);
   }
 
   /**
    * Handle log created event - check for possible achievements
+   * Errors propagate to the event bus so the check is retried or dead-lettered
    * @param {Object} data - Log data
    */
   async _handleLogCreated(data) {
-    try {
-      // Check for streak achievements
-      await this._checkStreakAchievements(data.userId, data.activityId);
-      
-      // Check for milestone achievements
-      await this._checkMilestoneAchievements(data.userId, data.activityId);
-    } catch (error) {
-      console.error('[Achievement] Error handling log created event:', error);
-    }
+    // Check for streak achievements
+    await this._checkStreakAchievements(data.userId, data.activityId);
+    
+    // Check for milestone achievements
+    await this._checkMilestoneAchievements(data.userId, data.activityId);
   }
 
   /**
    * Handle goal achieved event - award achievement
+   * Errors propagate to the event bus so the check is retried or dead-lettered
    * @param {Object} data - Goal data
    */
   async _handleGoalAchieved(data) {
-    try {
-      // Check for goal type achievements
-      await this._checkGoalAchievements(data.userId, data.goalId);
-    } catch (error) {
-      console.error('[Achievement] Error handling goal achieved event:', error);
-    }
+    // Check for goal type achievements
+    await this._checkGoalAchievements(data.userId, data.goalId);
   }
 
   /**
@@ -78,16 +91,7 @@ class AchievementComponent extends Component {
    */
   async getUserAchievements(userId) {
     try {
-      const query = `
-        SELECT ua.*, at.name, at.description, at.icon, at.point_value
-        FROM user_achievements ua
-        JOIN achievement_types at ON ua.achievement_type_id = at.achievement_type_id
-        WHERE ua.user_id = $1
-        ORDER BY ua.earned_at DESC
-      `;
-      
-      const result = await this.db.query(query, [userId]);
-      return result.rows;
+      return await this.achievements.findByUser(userId);
     } catch (error) {
       console.error('[Achievement] Error getting user achievements:', error);
       throw error;
@@ -101,14 +105,7 @@ class AchievementComponent extends Component {
    */
   async getAchievementById(achievementId) {
     try {
-      const query = `
-        SELECT at.*
-        FROM achievement_types at
-        WHERE at.achievement_type_id = $1
-      `;
-      
-      const result = await this.db.query(query, [achievementId]);
-      return result.rows[0];
+      return await this.achievements.findTypeById(achievementId);
     } catch (error) {
       console.error('[Achievement] Error getting achievement by ID:', error);
       throw error;
@@ -121,9 +118,7 @@ class AchievementComponent extends Component {
    */
   async getAchievementTypes() {
     try {
-      const query = 'SELECT * FROM achievement_types WHERE is_active = true ORDER BY name';
-      const result = await this.db.query(query);
-      return result.rows;
+      return await this.achievements.findActiveTypes();
     } catch (error) {
       console.error('[Achievement] Error getting achievement types:', error);
       throw error;
@@ -137,28 +132,7 @@ class AchievementComponent extends Component {
    */
   async createAchievementType(typeData) {
     try {
-      const query = `
-        INSERT INTO achievement_types (
-          name, 
-          description, 
-          icon, 
-          criteria, 
-          point_value,
-          is_active
-        ) 
-        VALUES ($1, $2, $3, $4, $5, true) 
-        RETURNING *
-      `;
-      
-      const result = await this.db.query(query, [
-        typeData.name,
-        typeData.description,
-        typeData.icon,
-        JSON.stringify(typeData.criteria),
-        typeData.pointValue
-      ]);
-      
-      return result.rows[0];
+      return await this.achievements.createType(typeData);
     } catch (error) {
       console.error('[Achievement] Error creating achievement type:', error);
       throw error;
@@ -173,58 +147,7 @@ class AchievementComponent extends Component {
    */
   async updateAchievementType(typeId, typeData) {
     try {
-      // Build update query dynamically based on provided fields
-      let updateFields = [];
-      let values = [typeId];
-      let valueIndex = 2;
-      
-      if (typeData.name !== undefined) {
-        updateFields.push(`name = $${valueIndex++}`);
-        values.push(typeData.name);
-      }
-      
-      if (typeData.description !== undefined) {
-        updateFields.push(`description = $${valueIndex++}`);
-        values.push(typeData.description);
-      }
-      
-      if (typeData.icon !== undefined) {
-        updateFields.push(`icon = $${valueIndex++}`);
-        values.push(typeData.icon);
-      }
-      
-      if (typeData.criteria !== undefined) {
-        updateFields.push(`criteria = $${valueIndex++}`);
-        values.push(JSON.stringify(typeData.criteria));
-      }
-      
-      if (typeData.pointValue !== undefined) {
-        updateFields.push(`point_value = $${valueIndex++}`);
-        values.push(typeData.pointValue);
-      }
-      
-      if (typeData.isActive !== undefined) {
-        updateFields.push(`is_active = $${valueIndex++}`);
-        values.push(typeData.isActive);
-      }
-      
-      // Add updated_at timestamp
-      updateFields.push('updated_at = NOW()');
-      
-      if (updateFields.length === 0) {
-        return await this.getAchievementById(typeId); // Nothing to update
-      }
-      
-      // Update achievement type in database
-      const query = `
-        UPDATE achievement_types 
-        SET ${updateFields.join(', ')} 
-        WHERE achievement_type_id = $1 
-        RETURNING *
-      `;
-      
-      const result = await this.db.query(query, values);
-      return result.rows[0];
+      return await this.achievements.updateType(typeId, typeData);
     } catch (error) {
       console.error('[Achievement] Error updating achievement type:', error);
       throw error;
@@ -241,15 +164,10 @@ class AchievementComponent extends Component {
   async awardAchievement(userId, achievementTypeId, customMessage = null) {
     try {
       // Check if user already has this achievement
-      const existingQuery = `
-        SELECT * FROM user_achievements
-        WHERE user_id = $1 AND achievement_type_id = $2
-      `;
-      
-      const existingResult = await this.db.query(existingQuery, [userId, achievementTypeId]);
+      const existing = await this.achievements.findUserAchievement(userId, achievementTypeId);
       
-      if (existingResult.rows.length > 0) {
-        return existingResult.rows[0]; // User already has this achievement
+      if (existing) {
+        return existing;
       }
       
       // Get achievement type details
@@ -260,24 +178,12 @@ class AchievementComponent extends Component {
       }
       
       // Award achievement to user
-      const query = `
-        INSERT INTO user_achievements (
-          user_id, 
-          achievement_type_id, 
-          earned_at,
-          custom_message
-        ) 
-        VALUES ($1, $2, NOW(), $3) 
-        RETURNING *
-      `;
+      const achievement = await this.achievements.award(userId, achievementTypeId, { customMessage });
       
-      const result = await this.db.query(query, [
-        userId,
-        achievementTypeId,
-        customMessage
-      ]);
-      
-      const achievement = result.rows[0];
+      if (!achievement) {
+        // Awarded concurrently by another check
+        return this.achievements.findUserAchievement(userId, achievementTypeId);
+      }
       
       // Update user's points
       await this._updateUserPoints(userId, achievementType.point_value);
@@ -313,24 +219,7 @@ class AchievementComponent extends Component {
    */
   async getLeaderboard(options = {}) {
     try {
-      const { limit = 10, offset = 0 } = options;
-      
-      const query = `
-        SELECT 
-          u.user_id, 
-          u.username, 
-          COALESCE(up.points, 0) as points,
-          COUNT(ua.user_achievement_id) as achievements_count
-        FROM users u
-        LEFT JOIN user_points up ON u.user_id = up.user_id
-        LEFT JOIN user_achievements ua ON u.user_id = ua.user_id
-        GROUP BY u.user_id, u.username, up.points
-        ORDER BY points DESC, achievements_count DESC
-        LIMIT $1 OFFSET $2
-      `;
-      
-      const result = await this.db.query(query, [limit, offset]);
-      return result.rows;
+      return await this.achievements.leaderboard(options);
     } catch (error) {
       console.error('[Achievement] Error getting leaderboard:', error);
       throw error;
@@ -339,52 +228,108 @@ class AchievementComponent extends Component {
 
   /**
    * Check for streak achievements
+   * Criteria: { "type": "streak", "days": 7, "activityId": 3 } - a log on each
+   * of the last `days` days, counting back from the most recent log
    * @param {number} userId - User ID
    * @param {number} activityId - Activity ID
    * @returns {Promise<void>}
    */
   async _checkStreakAchievements(userId, activityId) {
-    try {
-      // Implementation would check for consecutive days of activity
-      // and award streak-based achievements
-      // For demonstration purposes, this is a stub
-    } catch (error) {
-      console.error('[Achievement] Error checking streak achievements:', error);
+    const candidates = await this._getUnearnedTypes(userId, 'streak', activityId);
+    
+    for (const { type, criteria } of candidates) {
+      const days = await this.logs.findRecentDays(userId, {
+        activityId: criteria.activityId,
+        limit: parseInt(criteria.days)
+      });
+      
+      if (this._countConsecutiveDays(days) >= criteria.days) {
+        await this.awardAchievement(userId, type.achievement_type_id);
+      }
     }
   }
 
   /**
    * Check for milestone achievements
+   * Criteria: { "type": "milestone", "count": 100, "activityId": 3 } - total logged count
    * @param {number} userId - User ID
    * @param {number} activityId - Activity ID
    * @returns {Promise<void>}
    */
   async _checkMilestoneAchievements(userId, activityId) {
-    try {
-      // Implementation would check for total count milestones
-      // and award milestone-based achievements
-      // For demonstration purposes, this is a stub
-    } catch (error) {
-      console.error('[Achievement] Error checking milestone achievements:', error);
+    const candidates = await this._getUnearnedTypes(userId, 'milestone', activityId);
+    
+    for (const { type, criteria } of candidates) {
+      const total = await this.logs.sumForUser(userId, criteria.activityId);
+      
+      if (total >= criteria.count) {
+        await this.awardAchievement(userId, type.achievement_type_id);
+      }
     }
   }
 
   /**
    * Check for goal achievements
+   * Criteria: { "type": "goals", "count": 5 } - number of completed goals
    * @param {number} userId - User ID
    * @param {number} goalId - Goal ID
    * @returns {Promise<void>}
    */
   async _checkGoalAchievements(userId, goalId) {
-    try {
-      // Implementation would check for goal-related achievements
-      // and award goal-based achievements
-      // For demonstration purposes, this is a stub
-    } catch (error) {
-      console.error('[Achievement] Error checking goal achievements:', error);
+    const candidates = await this._getUnearnedTypes(userId, 'goals');
+    
+    if (candidates.length === 0) return;
+    
+    const completed = await this.goals.countCompleted(userId);
+    
+    for (const { type, criteria } of candidates) {
+      if (completed >= criteria.count) {
+        await this.awardAchievement(userId, type.achievement_type_id);
+      }
     }
   }
 
+  /**
+   * Get active achievement types of a criteria type the user hasn't earned yet
+   * @param {number} userId - User ID
+   * @param {string} criteriaType - Criteria type (streak, milestone, goals)
+   * @param {number} activityId - Only include types for this activity or for any activity (optional)
+   * @returns {Promise<Array>} Candidates ({ type, criteria })
+   */
+  async _getUnearnedTypes(userId, criteriaType, activityId = null) {
+    const types = await this.achievements.findUnearnedTypes(userId);
+    
+    return types
+      .map(type => ({
+        type,
+        criteria: typeof type.criteria === 'string' ? JSON.parse(type.criteria) : (type.criteria || {})
+      }))
+      .filter(({ criteria }) => criteria.type === criteriaType)
+      .filter(({ criteria }) => !activityId || !criteria.activityId ||
+        parseInt(criteria.activityId) === parseInt(activityId));
+  }
+
+  /**
+   * Count consecutive days from the most recent day
+   * @param {Array<Date|string>} days - Distinct days, most recent first
+   * @returns {number} Length of the streak
+   */
+  _countConsecutiveDays(days) {
+    if (days.length === 0) return 0;
+    
+    const oneDay = 24 * 60 * 60 * 1000;
+    let streak = 1;
+    
+    for (let i = 1; i < days.length; i++) {
+      const gap = Math.round((new Date(days[i - 1]) - new Date(days[i])) / oneDay);
+      
+      if (gap !== 1) break;
+      streak++;
+    }
+    
+    return streak;
+  }
+
   /**
    * Update user's achievement points
    * @param {number} userId - User ID
@@ -393,29 +338,7 @@ class AchievementComponent extends Component {
    */
   async _updateUserPoints(userId, pointsToAdd) {
     try {
-      // Check if user has points record
-      const checkQuery = 'SELECT * FROM user_points WHERE user_id = $1';
-      const checkResult = await this.db.query(checkQuery, [userId]);
-      
-      if (checkResult.rows.length === 0) {
-        // Create new points record
-        const insertQuery = `
-          INSERT INTO user_points (user_id, points) 
-          VALUES ($1, $2)
-        `;
-        
-        await this.db.query(insertQuery, [userId, pointsToAdd]);
-      } else {
-        // Update existing points
-        const updateQuery = `
-          UPDATE user_points 
-          SET points = points + $2 
-          WHERE user_id = $1
-        `;
-        
-        await this.db.query(updateQuery, [userId, pointsToAdd]);
-      }
-      
+      await this.achievements.addPoints(userId, pointsToAdd);
       return true;
     } catch (error) {
       console.error('[Achievement] Error updating user points:', error);
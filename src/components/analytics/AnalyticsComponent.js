@@ -1,4 +1,17 @@
 const Component = require('../../core/component-class');
+const {
+  ActivityTypeRepository,
+  DailyTotalRepository,
+  GoalRepository,
+  LogRepository,
+  UserRepository
+} = require('../../shared/database/repositories');
+
+// Export formats
+const EXPORT_FORMATS = ['json', 'csv'];
+
+// Log columns in CSV exports
+const EXPORT_COLUMNS = ['log_id', 'logged_at', 'activity_type_id', 'activity_name', 'unit', 'category', 'count', 'notes', 'archived'];
 
 /**
  * Analytics Component
@@ -24,6 +37,12 @@ class AnalyticsComponent extends Component {
       throw new Error('Database dependency not available');
     }
     
+    this.activityTypes = new ActivityTypeRepository(this.db);
+    this.dailyTotals = new DailyTotalRepository(this.db);
+    this.goals = new GoalRepository(this.db);
+    this.logs = new LogRepository(this.db);
+    this.users = new UserRepository(this.db);
+    
     // Get activity dependency
     this.activityComponent = this.getDependency('Activity');
     
@@ -38,9 +57,6 @@ class AnalyticsComponent extends Component {
       throw new Error('Goal component dependency not available');
     }
     
-    // Register event handlers
-    this.registerEvents();
-    
     return true;
   }
 
@@ -148,17 +164,7 @@ class AnalyticsComponent extends Component {
    */
   async _getActiveDays(userId, startDate, endDate) {
     try {
-      const query = `
-        SELECT DISTINCT DATE(logged_at) as active_day
-        FROM activity_logs
-        WHERE user_id = $1
-          AND logged_at >= $2
-          AND logged_at <= $3
-        ORDER BY active_day
-      `;
-      
-      const result = await this.db.query(query, [userId, startDate, endDate]);
-      return result.rows.map(row => row.active_day);
+      return await this.dailyTotals.findActiveDays(userId, startDate, endDate);
     } catch (error) {
       console.error('[Analytics] Error getting active days:', error);
       return [];
@@ -185,29 +191,9 @@ class AnalyticsComponent extends Component {
       }
       
       // Get total activity counts
-      const totalQuery = `
-        SELECT 
-          at.activity_type_id,
-          at.name,
-          at.unit,
-          COALESCE(SUM(al.count), 0) as total_count,
-          COUNT(DISTINCT DATE(al.logged_at)) as active_days,
-          MIN(al.logged_at) as first_log,
-          MAX(al.logged_at) as last_log
-        FROM activity_typesat
-        LEFT JOIN activity_logs al ON at.activity_type_id = al.activity_type_id 
-          AND al.user_id = $1
-          AND al.logged_at >= $2
-          AND al.logged_at <= $3
-        WHERE at.user_id = $1
-        GROUP BY at.activity_type_id, at.name, at.unit
-        ORDER BY total_count DESC
-      `;
-      
-      const totalResult = await this.db.query(totalQuery, [userId, startDate, endDate]);
+      const activityStats = await this.dailyTotals.summarizeByActivity(userId, startDate, endDate);
       
       // Calculate overall stats
-      const activityStats = totalResult.rows;
       const totalactivity_types= activityStats.length;
       const activeactivity_types= activityStats.filter(a => a.total_count > 0).length;
       
@@ -273,43 +259,15 @@ class AnalyticsComponent extends Component {
         endDate = new Date();
       }
       
-      // Build date grouping SQL
-      let dateGroup, periodFormat;
-      
-      switch (groupBy) {
-        case 'weekly':
-          dateGroup = "DATE_TRUNC('week', logged_at)";
-          periodFormat = 'YYYY-WW';
-          break;
-        case 'monthly':
-          dateGroup = "DATE_TRUNC('month', logged_at)";
-          periodFormat = 'YYYY-MM';
-          break;
-        case 'daily':
-        default:
-          dateGroup = 'DATE(logged_at)';
-          periodFormat = 'YYYY-MM-DD';
-          groupBy = 'daily';
+      if (!['daily', 'weekly', 'monthly'].includes(groupBy)) {
+        groupBy = 'daily';
       }
       
       // Get activity types
       const activityTypes = await this.activityComponent.getAllActivityTypes(userId);
       
       // Get activity breakdown
-      const query = `
-        SELECT 
-          ${dateGroup} as period,
-          activity_type_id,
-          SUM(count) as total
-        FROM activity_logs
-        WHERE user_id = $1
-          AND logged_at >= $2
-          AND logged_at <= $3
-        GROUP BY period, activity_type_id
-        ORDER BY period ASC, activity_type_id
-      `;
-      
-      const result = await this.db.query(query, [userId, startDate, endDate]);
+      const rows = await this.dailyTotals.totalsByPeriod(userId, startDate, endDate, groupBy);
       
       // Process results into a structured format
       const breakdownByPeriod = {};
@@ -324,7 +282,7 @@ class AnalyticsComponent extends Component {
       });
       
       // Group by period
-      result.rows.forEach(row => {
+      rows.forEach(row => {
         const period = row.period.toISOString().split('T')[0]; // Format as YYYY-MM-DD
         
         if (!breakdownByPeriod[period]) {
@@ -372,58 +330,12 @@ class AnalyticsComponent extends Component {
    */
   async getActivityTrends(userId, activityId = null, period = 'weekly', limit = 12) {
     try {
-      // Build date grouping SQL
-      let dateGroup, periodFormat;
-      
-      switch (period) {
-        case 'monthly':
-          dateGroup = "DATE_TRUNC('month', logged_at)";
-          periodFormat = 'YYYY-MM';
-          break;
-        case 'weekly':
-        default:
-          dateGroup = "DATE_TRUNC('week', logged_at)";
-          periodFormat = 'YYYY-WW';
-          period = 'weekly';
-      }
-      
-      // Build query
-      let query;
-      let params;
-      
-      if (activityId) {
-        // Specific activity
-        query = `
-          SELECT 
-            ${dateGroup} as period,
-            COALESCE(SUM(count), 0) as total,
-            COUNT(DISTINCT DATE(logged_at)) as active_days
-          FROM activity_logs
-          WHERE user_id = $1
-            AND activity_type_id = $2
-          GROUP BY period
-          ORDER BY period DESC
-          LIMIT $3
-        `;
-        
-        params = [userId, activityId, limit];
-      } else {
-        // All activity_typesquery = `
-          SELECT 
-            ${dateGroup} as period,
-            activity_type_id,
-            COALESCE(SUM(count), 0) as total,
-            COUNT(DISTINCT DATE(logged_at)) as active_days
-          FROM activity_logs
-          WHERE user_id = $1
-          GROUP BY period, activity_type_id
-          ORDER BY period DESC, activity_type_id
-        `;
-        
-        params = [userId];
+      if (period !== 'monthly') {
+        period = 'weekly';
       }
       
-      const result = await this.db.query(query, params);
+      // Per period for one activity, or per period and activity for all of them
+      const rows = await this.dailyTotals.trendsByPeriod(userId, period, { activityId, limit });
       
       // Process results as appropriate for the query type
       // Implementation would format data for trends visualization
@@ -549,19 +461,47 @@ class AnalyticsComponent extends Component {
 
   /**
    * Export user data
+   * Includes archived logs, flagged with `archived: true`.
    * @param {number} userId - User ID
-   * @param {string} format - Export format (json, csv, xlsx)
+   * @param {string} format - Export format (json or csv)
    * @param {Date} startDate - Start date (optional)
    * @param {Date} endDate - End date (optional)
-   * @returns {Promise<Object|string|Buffer>} Exported data
+   * @returns {Promise<Object|string>} Export object, or CSV text
    */
   async exportUserData(userId, format = 'json', startDate = null, endDate = null) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      const error = new Error('Invalid export format');
+      error.name = 'ValidationError';
+      error.details = [`format must be one of ${EXPORT_FORMATS.join(', ')}`];
+      throw error;
+    }
+    
     try {
-      // Implementation would format and export user data in the requested format
+      const rows = await this.logs.findForExport(userId, { startDate, endDate });
+      
+      const logs = rows.map(row => ({
+        log_id: row.log_id,
+        logged_at: row.logged_at,
+        activity_type_id: row.activity_type_id,
+        activity_name: row.activity_name,
+        unit: row.unit,
+        category: row.category,
+        count: parseFloat(row.count),
+        notes: row.notes,
+        archived: row.archived
+      }));
+      
+      if (format === 'csv') {
+        return this._toCsv(logs, EXPORT_COLUMNS);
+      }
+      
       return {
         userId,
         format,
-        timestamp: new Date()
+        startDate,
+        endDate,
+        timestamp: new Date(),
+        logs
       };
     } catch (error) {
       console.error('[Analytics] Error exporting user data:', error);
@@ -569,25 +509,54 @@ class AnalyticsComponent extends Component {
     }
   }
 
+  /**
+   * Format rows as CSV with a header line
+   * @param {Array<Object>} rows - Rows
+   * @param {Array<string>} columns - Column names, in order
+   * @returns {string} CSV text
+   * @private
+   */
+  _toCsv(rows, columns) {
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(values => values.map(escape).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
   /**
    * Get system-wide statistics (admin only)
    * @returns {Promise<Object>} System statistics
    */
   async getSystemStatistics() {
     try {
-      // Implementation would fetch and format system-wide statistics
+      const weekAgo = new Date();
+      weekAgo.setDate(weekAgo.getDate() - 7);
+      
+      const [users, totalTypes, totalLogs, goals] = await Promise.all([
+        this.users.countAll(weekAgo),
+        this.activityTypes.countAll(),
+        this.logs.countAll(),
+        this.goals.countAll()
+      ]);
+      
       return {
         users: {
-          total: 0,
-          newLast7Days: 0
+          total: users.total,
+          newLast7Days: users.recent
         },
         activity_types: {
-          totalTypes: 0,
-          totalLogs: 0
+          totalTypes,
+          totalLogs
         },
         goals: {
-          total: 0,
-          completed: 0
+          total: goals.total,
+          completed: goals.completed
         },
         timestamp: new Date()
       };
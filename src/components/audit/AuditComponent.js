@@ -0,0 +1,245 @@
+const Component = require('../../core/component-class');
+const requestContext = require('../../core/request-context');
+const { withoutSecrets } = require('../../shared/database/repositories/UserRepository');
+
+// Audited entities by event prefix: the payload field holding the entity ID
+// and whether the event carries the changed rows in its snapshot field
+const ENTITIES = {
+  activity: { idField: 'activityId', snapshot: true },
+  log: { idField: 'logId', snapshot: true },
+  goal: { idField: 'goalId', snapshot: true },
+  user: { idField: 'userId', snapshot: true },
+  // Awards aren't rows that change; the snapshot is the event payload
+  achievement: { idField: 'achievementId', snapshot: false }
+};
+
+// Envelope fields left out of payload snapshots
+const ENVELOPE_FIELDS = ['timestamp', 'replayed', 'requestId', 'snapshot'];
+
+/**
+ * Audit Component
+ * Records every activity, log, goal, user and achievement event in the
+ * audit_log table: who did it (the authenticated user of the request), to
+ * which entity, the entity's state before and after, and the client IP and
+ * correlation ID of the request.
+ *
+ * The before and after snapshots come from the event's snapshot field, which
+ * the publisher fills with the rows it read and wrote in the change itself;
+ * they are never read back later, when the entity may have changed again.
+ * Events without one (e.g. user:logout) are recorded without snapshots.
+ */
+class AuditComponent extends Component {
+  /**
+   * Create a new audit component
+   * @param {Object} options - Component options
+   * @param {Object} options.retryPolicy - Retry policy for failed audit writes
+   */
+  constructor(options = {}) {
+    super('Audit', options);
+    
+    // Retry failed writes before they are dead-lettered
+    this.retryPolicy = options.retryPolicy || { attempts: 3, backoff: 1000 };
+  }
+
+  /**
+   * Initialize component
+   */
+  async _init() {
+    // Get database dependency
+    this.db = this.getDependency('Database');
+    
+    if (!this.db) {
+      throw new Error('Database dependency not available');
+    }
+    
+    return true;
+  }
+
+  /**
+   * Register event handlers
+   */
+  registerEvents() {
+    // Call parent method to register default events
+    super.registerEvents();
+    
+    Object.keys(ENTITIES).forEach(prefix => {
+      this.subscribe(`${prefix}:*`, this._handleEvent.bind(this), { retry: this.retryPolicy });
+    });
+  }
+
+  /**
+   * Record an audited event
+   * @param {Object} data - Event data
+   * @param {string} event - Event name
+   * @returns {Promise<Object|null>} Audit entry, or null if the event was already recorded
+   */
+  async _handleEvent(data, event) {
+    const [entityType, action] = event.split(':');
+    const entity = ENTITIES[entityType];
+    const entityId = data[entity.idField];
+    
+    const context = requestContext.get() || {};
+    const requestId = data.requestId || context.requestId || null;
+    
+    // Replays re-publish events recorded the first time round; a dead-letter
+    // retry of this handler is only recorded if the first attempt wasn't
+    if (data.replayed && await this._isRecorded(event, entityType, entityId, requestId)) {
+      return null;
+    }
+    
+    const { before, after } = entity.snapshot
+      ? this._changeSnapshot(entityType, data.snapshot)
+      : { before: null, after: this._payloadSnapshot(data) };
+    
+    // Registration, login and password resets happen without a token
+    const actorId = context.userId || (entityType === 'user' ? data.userId : null);
+    
+    const query = `
+      INSERT INTO audit_log (
+        event_name, action, entity_type, entity_id, user_id, actor_id,
+        before, after, ip, request_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+    
+    const result = await this.db.query(query, [
+      event,
+      action,
+      entityType,
+      entityId,
+      data.userId || null,
+      actorId,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      context.ip || null,
+      requestId
+    ]);
+    
+    if (this.debug) {
+      console.log(`[Audit] Recorded ${event} on ${entityType} ${entityId} by ${actorId || 'system'}`);
+    }
+    
+    return result.rows[0];
+  }
+
+  /**
+   * Search the audit log
+   * @param {Object} filters - Search filters
+   * @param {number} filters.userId - Entries about this user's data (optional)
+   * @param {number} filters.actorId - Entries caused by this user (optional)
+   * @param {string} filters.entityType - activity, log, goal, user or achievement (optional)
+   * @param {number} filters.entityId - Entity ID, with entityType (optional)
+   * @param {string} filters.action - Action, e.g. "updated" (optional)
+   * @param {string} filters.requestId - Correlation ID (optional)
+   * @param {Date} filters.from - Recorded at or after (optional)
+   * @param {Date} filters.to - Recorded before (optional)
+   * @param {number} filters.limit - Max entries (default 50)
+   * @param {number} filters.offset - Entries to skip
+   * @returns {Promise<Array<Object>>} Audit entries, newest first
+   */
+  async search(filters = {}) {
+    const {
+      userId = null,
+      actorId = null,
+      entityType = null,
+      entityId = null,
+      action = null,
+      requestId = null,
+      from = null,
+      to = null,
+      limit = 50,
+      offset = 0
+    } = filters;
+    
+    let query = 'SELECT * FROM audit_log WHERE 1 = 1';
+    const params = [];
+    
+    const filterColumns = {
+      user_id: userId,
+      actor_id: actorId,
+      entity_type: entityType,
+      entity_id: entityId,
+      action,
+      request_id: requestId
+    };
+    
+    Object.keys(filterColumns).forEach(column => {
+      if (filterColumns[column]) {
+        query += ` AND ${column} = $${params.length + 1}`;
+        params.push(filterColumns[column]);
+      }
+    });
+    
+    if (from) {
+      query += ' AND created_at >= $' + (params.length + 1);
+      params.push(from);
+    }
+    
+    if (to) {
+      query += ' AND created_at < $' + (params.length + 1);
+      params.push(to);
+    }
+    
+    query += ` ORDER BY created_at DESC, audit_id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(limit, offset);
+    
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Take the before and after snapshots from an event's snapshot field
+   * User rows are stripped of their secrets even if a publisher left them in
+   * @param {string} entityType - Entity type
+   * @param {Object} snapshot - Snapshot field of the event (optional)
+   * @returns {Object} Before and after snapshots, null where not given
+   */
+  _changeSnapshot(entityType, snapshot) {
+    const before = (snapshot && snapshot.before) || null;
+    const after = (snapshot && snapshot.after) || null;
+    
+    if (entityType === 'user') {
+      return { before: withoutSecrets(before), after: withoutSecrets(after) };
+    }
+    
+    return { before, after };
+  }
+
+  /**
+   * Build a snapshot from an event payload
+   * @param {Object} data - Event data
+   * @returns {Object} Payload without the envelope fields
+   */
+  _payloadSnapshot(data) {
+    const snapshot = { ...data };
+    ENVELOPE_FIELDS.forEach(field => delete snapshot[field]);
+    return snapshot;
+  }
+
+  /**
+   * Check whether a replayed event was already recorded
+   * Events without a correlation ID can't be told apart and count as recorded
+   * @param {string} event - Event name
+   * @param {string} entityType - Entity type
+   * @param {number} entityId - Entity ID
+   * @param {string|null} requestId - Correlation ID
+   * @returns {Promise<boolean>} True if an entry exists
+   */
+  async _isRecorded(event, entityType, entityId, requestId) {
+    if (!requestId) {
+      return true;
+    }
+    
+    const query = `
+      SELECT 1 FROM audit_log
+      WHERE event_name = $1 AND entity_type = $2 AND entity_id = $3 AND request_id = $4
+      LIMIT 1
+    `;
+    
+    const result = await this.db.query(query, [event, entityType, entityId, requestId]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = AuditComponent;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const Component = require('../../core/component-class');
+const { LogRepository, DailyTotalRepository } = require('../../shared/database/repositories');
+
+/**
+ * Daily Totals Component
+ * Keeps daily_activity_totals in line with the logs: each log event
+ * recomputes the day of the log, and trashing or restoring an activity type
+ * recomputes all of its days. Recomputing is idempotent, so replayed and
+ * retried events are safe. Publishes totals:updated once the totals are
+ * current, which is when goal progress should be checked.
+ */
+class DailyTotalsComponent extends Component {
+  /**
+   * Create a new daily totals component
+   * @param {Object} options - Component options
+   * @param {Object} options.retryPolicy - Retry policy for failed refreshes
+   */
+  constructor(options = {}) {
+    super('DailyTotals', options);
+    
+    // Retry failed refreshes before they are dead-lettered
+    this.retryPolicy = options.retryPolicy || { attempts: 3, backoff: 1000 };
+  }
+
+  /**
+   * Initialize component
+   */
+  async _init() {
+    // Get database dependency
+    this.db = this.getDependency('Database');
+    
+    if (!this.db) {
+      throw new Error('Database dependency not available');
+    }
+    
+    this.logs = new LogRepository(this.db);
+    this.dailyTotals = new DailyTotalRepository(this.db);
+    
+    return true;
+  }
+
+  /**
+   * Register event handlers
+   */
+  registerEvents() {
+    // Call parent method to register default events
+    super.registerEvents();
+    
+    const options = { retry: this.retryPolicy };
+    
+    ['log:created', 'log:updated', 'log:deleted', 'log:restored'].forEach(event => {
+      this.subscribe(event, this._handleLogChanged.bind(this), options);
+    });
+    
+    // Logs trashed or restored along with their activity type publish no events of their own
+    this.subscribe('activity:deleted', this._handleActivityChanged.bind(this), options);
+    this.subscribe('activity:restored', this._handleActivityChanged.bind(this), options);
+  }
+
+  /**
+   * Handle a log event - recompute the log's day
+   * Errors propagate to the event bus so the refresh is retried or dead-lettered
+   * @param {Object} data - Log data
+   */
+  async _handleLogChanged(data) {
+    // Deleted logs are in the trash; logs purged since (e.g. on replay) no longer count anyway
+    const log = await this.logs.findById(data.logId) || await this.logs.findDeletedById(data.logId);
+    
+    if (!log) {
+      return;
+    }
+    
+    await this.dailyTotals.refreshDay(log.user_id, log.activity_type_id, log.logged_at);
+    
+    this.publish('totals:updated', {
+      userId: log.user_id,
+      activityId: log.activity_type_id,
+      day: log.logged_at,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Handle an activity type being trashed or restored - recompute all of its days
+   * Errors propagate to the event bus so the refresh is retried or dead-lettered
+   * @param {Object} data - Activity data
+   */
+  async _handleActivityChanged(data) {
+    await this.dailyTotals.refreshActivity(data.activityId);
+    
+    this.publish('totals:updated', {
+      userId: data.userId,
+      activityId: data.activityId,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = DailyTotalsComponent;
\ No newline at end of file
@@ -0,0 +1,180 @@
+const Component = require('../../core/component-class');
+const eventBus = require('../../core/event-bus');
+
+/**
+ * Dead Letter Component
+ * Stores event deliveries that still failed after every retry so they can be
+ * inspected, retried against the same subscriber, or discarded
+ */
+class DeadLetterComponent extends Component {
+  /**
+   * Create a new dead letter component
+   * @param {Object} options - Component options
+   */
+  constructor(options = {}) {
+    super('DeadLetter', options);
+  }
+
+  /**
+   * Initialize component
+   */
+  async _init() {
+    // Get database dependency
+    this.db = this.getDependency('Database');
+    
+    if (!this.db) {
+      throw new Error('Database dependency not available');
+    }
+    
+    // Receive failed deliveries from the event bus
+    eventBus.setDeadLetterHandler(this.store.bind(this));
+    
+    return true;
+  }
+
+  /**
+   * Store a failed delivery
+   * @param {Object} entry - Dead letter entry from the event bus
+   * @returns {Promise<Object>} Stored dead letter
+   */
+  async store(entry) {
+    const query = `
+      INSERT INTO event_dead_letters (event_name, subscriber, payload, error, stack, attempts)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    
+    const result = await this.db.query(query, [
+      entry.event,
+      entry.subscriber,
+      JSON.stringify(entry.data || {}),
+      entry.error,
+      entry.stack,
+      entry.attempts
+    ]);
+    
+    console.error(`[DeadLetter] ${entry.subscriber} failed "${entry.event}" after ${entry.attempts} attempt(s): ${entry.error}`);
+    
+    return result.rows[0];
+  }
+
+  /**
+   * List dead letters
+   * @param {Object} options - Query options (status, event, subscriber, limit, offset)
+   * @returns {Promise<Array>} Dead letters, newest first
+   */
+  async list(options = {}) {
+    const {
+      status = 'pending',
+      event = null,
+      subscriber = null,
+      limit = 50,
+      offset = 0
+    } = options;
+    
+    let query = 'SELECT * FROM event_dead_letters WHERE 1 = 1';
+    const params = [];
+    
+    if (status && status !== 'all') {
+      query += ' AND status = $' + (params.length + 1);
+      params.push(status);
+    }
+    
+    if (event) {
+      query += ' AND event_name = $' + (params.length + 1);
+      params.push(event);
+    }
+    
+    if (subscriber) {
+      query += ' AND subscriber = $' + (params.length + 1);
+      params.push(subscriber);
+    }
+    
+    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(limit, offset);
+    
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a dead letter by ID
+   * @param {number} deadLetterId - Dead letter ID
+   * @returns {Promise<Object>} Dead letter
+   */
+  async getById(deadLetterId) {
+    const query = 'SELECT * FROM event_dead_letters WHERE dead_letter_id = $1';
+    const result = await this.db.query(query, [deadLetterId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Deliver a dead letter to its subscriber again
+   * @param {number} deadLetterId - Dead letter ID
+   * @returns {Promise<Object>} Updated dead letter and the delivery result
+   */
+  async retry(deadLetterId) {
+    const deadLetter = await this.getById(deadLetterId);
+    
+    if (!deadLetter) {
+      throw new Error('Dead letter not found');
+    }
+    
+    if (deadLetter.status !== 'pending') {
+      throw new Error(`Dead letter is already ${deadLetter.status}`);
+    }
+    
+    const result = await eventBus.redeliver(
+      deadLetter.event_name,
+      deadLetter.subscriber,
+      { ...deadLetter.payload, replayed: true }
+    );
+    
+    const succeeded = result.status === 'fulfilled';
+    
+    const query = `
+      UPDATE event_dead_letters
+      SET status = $2, attempts = attempts + 1, error = COALESCE($3, error), updated_at = NOW()
+      WHERE dead_letter_id = $1
+      RETURNING *
+    `;
+    
+    const updated = await this.db.query(query, [
+      deadLetterId,
+      succeeded ? 'retried' : 'pending',
+      result.error
+    ]);
+    
+    return {
+      deadLetter: updated.rows[0],
+      result
+    };
+  }
+
+  /**
+   * Discard a dead letter
+   * The row is kept with status "discarded" for reference
+   * @param {number} deadLetterId - Dead letter ID
+   * @returns {Promise<boolean>} True if the dead letter was discarded
+   */
+  async discard(deadLetterId) {
+    const query = `
+      UPDATE event_dead_letters
+      SET status = 'discarded', updated_at = NOW()
+      WHERE dead_letter_id = $1 AND status = 'pending'
+    `;
+    
+    const result = await this.db.query(query, [deadLetterId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Shutdown component
+   */
+  async _shutdown() {
+    eventBus.setDeadLetterHandler(null);
+    return true;
+  }
+}
+
+module.exports = DeadLetterComponent;
\ No newline at end of file
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const Component = require('../../core/component-class');
+
+// Flag names as used in code and URLs (e.g. "goal-types.weekly")
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,99}$/;
+
+/**
+ * Feature Flags Component
+ * Decides which features are enabled for a user. Flags are defined under
+ * `features.flags` in the configuration and in the feature_flags table;
+ * a table row overrides the configured definition of the same name.
+ *
+ * A flag definition:
+ *   enabled    - Master switch; a disabled flag is off for everyone
+ *   percentage - Share of users (0-100) the flag is on for, stable per user
+ *   users      - User IDs the flag is always on for
+ *   roles      - Roles (see Auth.getUserRoles) the flag is always on for
+ * An enabled flag without percentage or targeting is on for everyone; one
+ * with only users/roles is on just for them.
+ */
+class FeatureFlagsComponent extends Component {
+  /**
+   * Create a new feature flags component
+   * @param {Object} options - Component options
+   * @param {number} options.refreshInterval - How often (ms) to reload flags changed by other instances
+   */
+  constructor(options = {}) {
+    super('FeatureFlags', options);
+    
+    this.refreshInterval = options.refreshInterval || 30000;
+    this.refreshTimer = null;
+    
+    // Flag name -> definition, merged from configuration and database
+    this.flags = new Map();
+  }
+
+  /**
+   * Initialize component
+   */
+  async _init() {
+    // Get dependencies
+    this.db = this.getDependency('Database');
+    this.config = this.getDependency('ConfigManager');
+    this.auth = this.getDependency('Auth');
+    
+    if (!this.db || !this.config) {
+      throw new Error('Database and ConfigManager dependencies not available');
+    }
+    
+    await this.refresh();
+    
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(error => {
+        console.error('[FeatureFlags] Error refreshing flags:', error);
+      });
+    }, this.refreshInterval);
+    
+    return true;
+  }
+
+  /**
+   * Register event handlers
+   */
+  registerEvents() {
+    // Call parent method to register default events
+    super.registerEvents();
+    
+    // Pick up flags changed by a configuration reload
+    this.subscribe('config:changed', this._handleConfigChanged.bind(this));
+  }
+
+  /**
+   * Reload flag definitions from the configuration and the database
+   * Invalid configured flags are skipped with a warning
+   * @returns {Promise<number>} Number of flags
+   */
+  async refresh() {
+    const flags = new Map();
+    const configured = this.config.get('features.flags', {});
+    
+    Object.keys(configured).forEach(name => {
+      const errors = this.validate(name, configured[name]);
+      
+      if (errors.length > 0) {
+        console.warn(`[FeatureFlags] Ignoring configured flag "${name}": ${errors.join('; ')}`);
+        return;
+      }
+      
+      flags.set(name, this._normalize(name, configured[name], 'config'));
+    });
+    
+    const result = await this.db.query('SELECT * FROM feature_flags ORDER BY flag_name');
+    
+    result.rows.forEach(row => {
+      flags.set(row.flag_name, this._normalize(row.flag_name, {
+        description: row.description,
+        enabled: row.enabled,
+        percentage: row.percentage,
+        users: row.user_ids,
+        roles: row.roles
+      }, 'database'));
+    });
+    
+    this.flags = flags;
+    
+    return flags.size;
+  }
+
+  /**
+   * Check whether a flag is enabled for a user
+   * @param {string} flag - Flag name
+   * @param {Object|number|null} user - User ({ id, roles? }) or user ID; null for anonymous
+   * @returns {Promise<boolean>} True if enabled; unknown flags are disabled
+   */
+  async isEnabled(flag, user = null) {
+    const definition = this.flags.get(flag);
+    
+    if (!definition || !definition.enabled) {
+      return false;
+    }
+    
+    const userId = user && typeof user === 'object' ? user.id : user;
+    const targeted = definition.users.length > 0 || definition.roles.length > 0;
+    
+    if (userId !== null && userId !== undefined) {
+      if (definition.users.includes(Number(userId))) {
+        return true;
+      }
+      
+      if (definition.roles.length > 0) {
+        const roles = await this._getRoles(user, userId);
+        
+        if (roles.some(role => definition.roles.includes(role))) {
+          return true;
+        }
+      }
+    }
+    
+    if (definition.percentage !== null) {
+      if (userId === null || userId === undefined) {
+        return definition.percentage === 100;
+      }
+      
+      return this._bucket(flag, userId) < definition.percentage;
+    }
+    
+    return !targeted;
+  }
+
+  /**
+   * Evaluate every flag for a user
+   * @param {Object|number|null} user - User ({ id, roles? }) or user ID
+   * @returns {Promise<Object>} Flag name -> enabled
+   */
+  async getEnabledFlags(user = null) {
+    const result = {};
+    
+    // Look the roles up once instead of per flag
+    const userId = user && typeof user === 'object' ? user.id : user;
+    const withRoles = userId !== null && userId !== undefined
+      ? { id: userId, roles: await this._getRoles(user, userId) }
+      : null;
+    
+    for (const name of [...this.flags.keys()].sort()) {
+      result[name] = await this.isEnabled(name, withRoles);
+    }
+    
+    return result;
+  }
+
+  /**
+   * List flag definitions
+   * @returns {Array<Object>} Definitions sorted by name, with their source
+   */
+  list() {
+    return [...this.flags.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a flag definition
+   * @param {string} name - Flag name
+   * @returns {Object|null} Definition
+   */
+  get(name) {
+    return this.flags.get(name) || null;
+  }
+
+  /**
+   * Create or replace a flag in the database
+   * @param {string} name - Flag name
+   * @param {Object} definition - Flag definition
+   * @returns {Promise<Object>} Stored definition
+   * @throws {Error} ValidationError if the definition is invalid
+   */
+  async setFlag(name, definition) {
+    const errors = this.validate(name, definition);
+    
+    if (errors.length > 0) {
+      const error = new Error(`Invalid feature flag "${name}"`);
+      error.name = 'ValidationError';
+      error.details = errors;
+      throw error;
+    }
+    
+    const flag = this._normalize(name, definition, 'database');
+    
+    const query = `
+      INSERT INTO feature_flags (flag_name, description, enabled, percentage, user_ids, roles)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (flag_name) DO UPDATE
+      SET description = $2, enabled = $3, percentage = $4, user_ids = $5, roles = $6, updated_at = NOW()
+    `;
+    
+    await this.db.query(query, [
+      flag.name,
+      flag.description,
+      flag.enabled,
+      flag.percentage,
+      flag.users,
+      flag.roles
+    ]);
+    
+    this.flags.set(name, flag);
+    
+    this.publish('feature:updated', {
+      name,
+      enabled: flag.enabled,
+      timestamp: new Date()
+    });
+    
+    return flag;
+  }
+
+  /**
+   * Remove a flag from the database
+   * A configured flag of the same name applies again afterwards
+   * @param {string} name - Flag name
+   * @returns {Promise<boolean>} True if the flag was removed
+   */
+  async deleteFlag(name) {
+    const result = await this.db.query('DELETE FROM feature_flags WHERE flag_name = $1', [name]);
+    
+    if (result.rowCount === 0) {
+      return false;
+    }
+    
+    await this.refresh();
+    
+    this.publish('feature:deleted', {
+      name,
+      timestamp: new Date()
+    });
+    
+    return true;
+  }
+
+  /**
+   * Validate a flag definition
+   * @param {string} name - Flag name
+   * @param {Object} definition - Flag definition
+   * @returns {Array<string>} Validation errors
+   */
+  validate(name, definition) {
+    const errors = [];
+    
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      errors.push('name must be lowercase letters, digits, ".", "_" or "-" (up to 100 characters)');
+    }
+    
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return [...errors, 'definition must be an object'];
+    }
+    
+    if (typeof definition.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+    
+    const { percentage } = definition;
+    
+    if (percentage !== undefined && percentage !== null &&
+      (!Number.isInteger(percentage) || percentage < 0 || percentage > 100)) {
+      errors.push('percentage must be an integer between 0 and 100');
+    }
+    
+    if (definition.users !== undefined &&
+      (!Array.isArray(definition.users) || !definition.users.every(id => Number.isInteger(Number(id))))) {
+      errors.push('users must be a list of user IDs');
+    }
+    
+    if (definition.roles !== undefined &&
+      (!Array.isArray(definition.roles) || !definition.roles.every(role => typeof role === 'string'))) {
+      errors.push('roles must be a list of role names');
+    }
+    
+    if (definition.description !== undefined && definition.description !== null &&
+      typeof definition.description !== 'string') {
+      errors.push('description must be a string');
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Fill in the optional fields of a definition
+   * @param {string} name - Flag name
+   * @param {Object} definition - Valid flag definition
+   * @param {string} source - 'config' or 'database'
+   * @returns {Object} Flag
+   */
+  _normalize(name, definition, source) {
+    return {
+      name,
+      description: definition.description || null,
+      enabled: definition.enabled,
+      percentage: definition.percentage === undefined ? null : definition.percentage,
+      users: (definition.users || []).map(Number),
+      roles: definition.roles || [],
+      source
+    };
+  }
+
+  /**
+   * Get a user's roles
+   * @param {Object|number} user - User or user ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} Roles
+   */
+  async _getRoles(user, userId) {
+    if (user && typeof user === 'object' && Array.isArray(user.roles)) {
+      return user.roles;
+    }
+    
+    return this.auth ? this.auth.getUserRoles(userId) : ['user'];
+  }
+
+  /**
+   * Place a user in one of 100 buckets for a flag
+   * The same user always lands in the same bucket, so raising the percentage
+   * only adds users; each flag gets its own distribution
+   * @param {string} flag - Flag name
+   * @param {number} userId - User ID
+   * @returns {number} Bucket (0-99)
+   */
+  _bucket(flag, userId) {
+    const hash = crypto.createHash('sha1').update(`${flag}:${userId}`).digest();
+    return hash.readUInt32BE(0) % 100;
+  }
+
+  /**
+   * Handle configuration changes
+   * @param {Object} data - config:changed payload
+   */
+  async _handleConfigChanged(data) {
+    if (data.paths.includes('features.flags')) {
+      await this.refresh();
+      console.log(`[FeatureFlags] Reloaded ${this.flags.size} flags after configuration change`);
+    }
+  }
+
+  /**
+   * Shutdown component
+   */
+  async _shutdown() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    
+    return true;
+  }
+}
+
+module.exports = FeatureFlagsComponent;
\ No newline at end of file
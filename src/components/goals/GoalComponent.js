@@ -1,4 +1,5 @@
 const Component = require('../../core/component-class');
+const { GoalRepository, DailyTotalRepository } = require('../../shared/database/repositories');
 
 /**
  * Goal Component
@@ -8,9 +9,13 @@ class GoalComponent extends Component {
   /**
    * Create a new goal component
    * @param {Object} options - Component options
+   * @param {Object} options.retryPolicy - Retry policy for failed progress checks
    */
   constructor(options = {}) {
     super('Goal', options);
+    
+    // Retry failed progress checks before they are dead-lettered
+    this.retryPolicy = options.retryPolicy || { attempts: 3, backoff: 1000 };
   }
 
   /**
@@ -24,6 +29,9 @@ class GoalComponent extends Component {
       throw new Error('Database dependency not available');
     }
     
+    this.goals = new GoalRepository(this.db);
+    this.dailyTotals = new DailyTotalRepository(this.db);
+    
     // Get activity dependency
     this.activityComponent = this.getDependency('Activity');
     
@@ -31,8 +39,12 @@ class GoalComponent extends Component {
       throw new Error('Activity component dependency not available');
     }
     
-    // Register event handlers
-    this.registerEvents();
+    // Get outbox dependency
+    this.outbox = this.getDependency('Outbox');
+    
+    if (!this.outbox) {
+      throw new Error('Outbox dependency not available');
+    }
     
     // Log our initialization
     console.log("[Goal] Component initialized");
@@ -47,45 +59,54 @@ class GoalComponent extends Component {
     // Call parent method to register default events
     super.registerEvents();
     
-    // Goal-specific events
-    this.subscribe('log:created', this._handleLogCreated.bind(this));
+    // Goal-specific events; progress is read from the daily totals, so check once they're current
+    this.subscribe('totals:updated', this._handleTotalsUpdated.bind(this), { retry: this.retryPolicy });
   }
 
   /**
-   * Handle log created event - check if any goals are achieved
-   * @param {Object} data - Log data
+   * Handle totals updated event - check if any goals are achieved
+   * Errors propagate to the event bus so the check is retried or dead-lettered
+   * @param {Object} data - Totals data
    */
-  async _handleLogCreated(data) {
-    try {
-      // Check if any goals are achieved by this log
-      const goals = await this.getUserGoalsByActivity(data.userId, data.activityId);
+  async _handleTotalsUpdated(data) {
+    // Check if any goals are achieved by the changed logs
+    const goals = await this.getUserGoalsByActivity(data.userId, data.activityId);
+    
+    for (const goal of goals) {
+      // Get goal progress
+      const progress = await this.getGoalProgress(goal.goal_id);
       
-      for (const goal of goals) {
-        // Get goal progress
-        const progress = await this.getGoalProgress(goal.goal_id);
+      // If goal is newly completed, publish goal achieved event
+      if (progress.completed && !goal.is_completed) {
+        // Get activity info
+        const activity = await this.activityComponent.getActivityById(goal.activity_type_id);
         
-        // If goal is newly completed, publish goal achieved event
-        if (progress.completed && !goal.is_completed) {
-          // Update goal as completed
-          await this._markGoalAsCompleted(goal.goal_id);
+        // Mark goal as completed and store the event in one transaction;
+        // a concurrent check that completed it first gets no event
+        const event = await this.db.transaction(async (client) => {
+          const completed = await this.goals.markCompleted(goal.goal_id, client);
           
-          // Get activity info
-          const activity = await this.activityComponent.getActivityById(goal.activity_type_id);
+          if (!completed) {
+            return null;
+          }
           
-          // Publish goal achieved event
-          this.publish('goal:achieved', {
+          return this.outbox.enqueue(client, 'goal:achieved', {
             userId: data.userId,
             goalId: goal.goal_id,
             goalName: activity.name,
             goalTarget: goal.target_value,
             goalUnit: activity.unit,
             goalPeriod: this._formatPeriodType(goal.period_type),
+            snapshot: { before: goal, after: completed },
             timestamp: new Date()
           });
+        });
+        
+        // Deliver goal achieved event
+        if (event) {
+          await this.outbox.deliver(event);
         }
       }
-    } catch (error) {
-      console.error('[Goal] Error handling log created event:', error);
     }
   }
 
@@ -96,11 +117,9 @@ class GoalComponent extends Component {
    */
   async getUserGoals(userId) {
     try {
-      const query = 'SELECT * FROM goals WHERE user_id = $1 ORDER BY created_at DESC';
-      const result = await this.db.query(query, [userId]);
+      const goals = await this.goals.findByUser(userId);
       
       // Get activity names for all goals
-      const goals = result.rows;
       for (const goal of goals) {
         if (goal.activity_type_id) {
           const activity = await this.activityComponent.getActivityById(goal.activity_type_id);
@@ -126,9 +145,7 @@ class GoalComponent extends Component {
    */
   async getUserGoalsByActivity(userId, activityId) {
     try {
-      const query = 'SELECT * FROM goals WHERE user_id = $1 AND activity_type_id = $2 AND is_active = true';
-      const result = await this.db.query(query, [userId, activityId]);
-      return result.rows;
+      return await this.goals.findActiveByActivity(userId, activityId);
     } catch (error) {
       console.error('[Goal] Error getting user goals by activity:', error);
       throw error;
@@ -142,10 +159,8 @@ class GoalComponent extends Component {
    */
   async getGoalById(goalId) {
     try {
-      const query = 'SELECT * FROM goals WHERE goal_id = $1';
-      const result = await this.db.query(query, [goalId]);
+      const goal = await this.goals.findById(goalId);
       
-      const goal = result.rows[0];
       if (goal && goal.activity_type_id) {
         const activity = await this.activityComponent.getActivityById(goal.activity_type_id);
         if (activity) {
@@ -177,43 +192,20 @@ class GoalComponent extends Component {
         throw new Error('Activity not found');
       }
       
-      // Create goal in database with required fields
-      const query = `
-        INSERT INTO goals (
-          user_id, 
-          activity_type_id, 
-          name,
-          description,
-          target_value, 
-          period_type, 
-          start_date, 
-          end_date, 
-          is_active
-        ) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true) 
-        RETURNING *
-      `;
-      
-      // Generate goal name from activity
-      const goalName = `${activity.name} Goal`;
-      const goalDescription = `Target: ${goalData.targetCount} ${activity.unit} (${this._formatPeriodType(goalData.periodType)})`;
-      
-      const result = await this.db.query(query, [
+      // Create goal in database, named after its activity
+      const created = await this.goals.create({
         userId,
         activityId,
-        goalName, // Add name field
-        goalDescription, // Add description field
-        goalData.targetCount,
-        goalData.periodType,
-        goalData.startDate,
-        goalData.endDate
-      ]);
-      
-      const goal = result.rows[0];
+        name: `${activity.name} Goal`,
+        description: `Target: ${goalData.targetCount} ${activity.unit} (${this._formatPeriodType(goalData.periodType)})`,
+        targetValue: goalData.targetCount,
+        periodType: goalData.periodType,
+        startDate: goalData.startDate,
+        endDate: goalData.endDate
+      });
       
       // Add activity data for the client
-      goal.activity_name = activity.name;
-      goal.unit = activity.unit;
+      const goal = { ...created, activity_name: activity.name, unit: activity.unit };
       
       // Publish goal created event with activity data
       this.publish('goal:created', {
@@ -223,6 +215,7 @@ class GoalComponent extends Component {
         activityName: activity.name,
         activityUnit: activity.unit,
         activityCategory: activity.category,
+        snapshot: { before: null, after: created },
         timestamp: new Date()
       });
       
@@ -242,65 +235,27 @@ class GoalComponent extends Component {
   async updateGoal(goalId, goalData) {
     try {
       // Get current goal to check ownership
-      const goal = await this.getGoalById(goalId);
+      const goal = await this.goals.findById(goalId);
       
       if (!goal) {
         throw new Error('Goal not found');
       }
       
-      // Build update query dynamically based on provided fields
-      let updateFields = [];
-      let values = [goalId];
-      let valueIndex = 2;
-      
-      if (goalData.targetCount !== undefined) {
-        updateFields.push(`target_value = $${valueIndex++}`);
-        values.push(goalData.targetCount);
-      }
-      
-      if (goalData.periodType !== undefined) {
-        updateFields.push(`period_type = $${valueIndex++}`);
-        values.push(goalData.periodType);
-      }
-      
-      if (goalData.startDate !== undefined) {
-        updateFields.push(`start_date = $${valueIndex++}`);
-        values.push(goalData.startDate);
-      }
-      
-      if (goalData.endDate !== undefined) {
-        updateFields.push(`end_date = $${valueIndex++}`);
-        values.push(goalData.endDate);
-      }
-      
-      if (goalData.isActive !== undefined) {
-        updateFields.push(`is_active = $${valueIndex++}`);
-        values.push(goalData.isActive);
-      }
-      
-      // Add updated_at timestamp
-      updateFields.push('updated_at = NOW()');
-      
-      if (updateFields.length === 0) {
-        return goal; // Nothing to update
-      }
-      
-      // Update goal in database
-      const query = `
-        UPDATE goals 
-        SET ${updateFields.join(', ')} 
-        WHERE goal_id = $1 
-        RETURNING *
-      `;
-      
-      const result = await this.db.query(query, values);
-      
-      const updatedGoal = result.rows[0];
+      // Update the provided fields in the database
+      const updated = await this.goals.update(goalId, {
+        targetValue: goalData.targetCount,
+        periodType: goalData.periodType,
+        startDate: goalData.startDate,
+        endDate: goalData.endDate,
+        isActive: goalData.isActive
+      });
       
       // Get activity info for the event
       const activity = await this.activityComponent.getActivityById(goal.activity_type_id);
       
       // Add activity data for the client
+      const updatedGoal = { ...updated };
+      
       if (activity) {
         updatedGoal.activity_name = activity.name;
         updatedGoal.unit = activity.unit;
@@ -314,6 +269,7 @@ class GoalComponent extends Component {
         activityName: activity ? activity.name : 'Unknown',
         activityUnit: activity ? activity.unit : '',
         activityCategory: activity ? activity.category : 'other',
+        snapshot: { before: goal, after: updated },
         timestamp: new Date()
       });
       
@@ -325,14 +281,14 @@ class GoalComponent extends Component {
   }
 
   /**
-   * Delete a goal
+   * Delete a goal (moves it to the trash)
    * @param {number} goalId - Goal ID
    * @returns {Promise<boolean>} True if goal was deleted
    */
   async deleteGoal(goalId) {
     try {
       // Get current goal to get user ID
-      const goal = await this.getGoalById(goalId);
+      const goal = await this.goals.findById(goalId);
       
       if (!goal) {
         throw new Error('Goal not found');
@@ -340,11 +296,11 @@ class GoalComponent extends Component {
       
       const userId = goal.user_id;
       
-      // Delete goal from database
-      const query = 'DELETE FROM goals WHERE goal_id = $1';
-      const result = await this.db.query(query, [goalId]);
+      // Move goal to the trash
+      const deletedAt = new Date();
+      const deleted = await this.goals.softDelete(goalId, deletedAt);
       
-      if (result.rowCount === 0) {
+      if (!deleted) {
         return false;
       }
       
@@ -352,6 +308,7 @@ class GoalComponent extends Component {
       this.publish('goal:deleted', {
         goalId,
         userId,
+        snapshot: { before: goal, after: { ...goal, deleted_at: deletedAt } },
         timestamp: new Date()
       });
       
@@ -362,6 +319,49 @@ class GoalComponent extends Component {
     }
   }
 
+  /**
+   * Restore a goal from the trash
+   * @param {number} goalId - Goal ID
+   * @returns {Promise<Object>} Restored goal object
+   * @throws {Error} With statusCode 409 if the goal's activity is in the trash
+   */
+  async restoreGoal(goalId) {
+    try {
+      const goal = await this.goals.findDeletedById(goalId);
+      
+      if (!goal) {
+        throw new Error('Goal not found in the trash');
+      }
+      
+      const activity = await this.activityComponent.getActivityById(goal.activity_type_id);
+      
+      if (!activity) {
+        const error = new Error('The goal\'s activity is in the trash, restore the activity instead');
+        error.statusCode = 409;
+        throw error;
+      }
+      
+      const row = await this.goals.restore(goalId);
+      
+      // Add activity data for the client
+      const restored = { ...row, activity_name: activity.name, unit: activity.unit };
+      
+      // Publish goal restored event
+      this.publish('goal:restored', {
+        goalId,
+        userId: goal.user_id,
+        activityId: goal.activity_type_id,
+        snapshot: { before: goal, after: row },
+        timestamp: new Date()
+      });
+      
+      return restored;
+    } catch (error) {
+      console.error('[Goal] Error restoring goal:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get goal progress
    * @param {number} goalId - Goal ID
@@ -400,28 +400,14 @@ class GoalComponent extends Component {
         endDate: endDate.toISOString()
       });
       
-      // Get activity logs for the period
-      const query = `
-        SELECT COALESCE(SUM(count), 0) as total, COUNT(*) as entries
-        FROM activity_logs
-        WHERE user_id = $1
-          AND activity_type_id = $2
-          AND logged_at >= $3
-          AND logged_at <= $4
-      `;
-      
-      const result = await this.db.query(query, [
-        goal.user_id,
-        goal.activity_type_id,
-        startDate,
-        endDate
-      ]);
-      
-      console.log('[Goal] Activity logs found:', result.rows[0]);
+      // Sum the activity logs for the period
+      const totals = await this.dailyTotals.sumForPeriod(goal.user_id, goal.activity_type_id, startDate, endDate);
+      
+      console.log('[Goal] Activity logs found:', totals);
       
       // Extract values
-      const currentCount = parseFloat(result.rows[0].total);
-      const entryCount = parseInt(result.rows[0].entries);
+      const currentCount = totals.total;
+      const entryCount = totals.entries;
       const targetCount = goal.target_value;
       
       // Calculate progress
@@ -454,27 +440,6 @@ class GoalComponent extends Component {
     }
   }
 
-  /**
-   * Mark a goal as completed
-   * @param {number} goalId - Goal ID
-   * @returns {Promise<boolean>} True if goal was marked as completed
-   */
-  async _markGoalAsCompleted(goalId) {
-    try {
-      const query = `
-        UPDATE goals 
-        SET is_completed = true, completed_at = NOW() 
-        WHERE goal_id = $1
-      `;
-      
-      await this.db.query(query, [goalId]);
-      return true;
-    } catch (error) {
-      console.error('[Goal] Error marking goal as completed:', error);
-      return false;
-    }
-  }
-
   /**
    * Calculate date range for a period
    * @param {string} periodType - Period type (daily, weekly, monthly, yearly)
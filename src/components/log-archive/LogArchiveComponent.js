@@ -0,0 +1,134 @@
+const Component = require('../../core/component-class');
+const { LogRepository } = require('../../shared/database/repositories');
+
+/**
+ * Log Archive Component
+ * Moves raw logs older than `archive.retentionMonths` from activity_logs to
+ * activity_logs_archive. Their days stay in daily_activity_totals, and the
+ * totals are recomputed from both tables, so stats, goals, analytics,
+ * achievements and exports see archived logs like live ones.
+ */
+class LogArchiveComponent extends Component {
+  /**
+   * Create a new log archive component
+   * @param {Object} options - Component options
+   * @param {boolean} options.autoArchive - Whether to run the archive job
+   * @param {number} options.archiveInterval - Archive job interval in ms
+   */
+  constructor(options = {}) {
+    super('LogArchive', options);
+    
+    this.autoArchive = options.autoArchive !== false;
+    this.archiveInterval = options.archiveInterval || 24 * 60 * 60 * 1000;
+    
+    this.archiveTimer = null;
+    this.archiving = false;
+  }
+
+  /**
+   * Initialize component
+   */
+  async _init() {
+    // Get dependencies
+    this.db = this.getDependency('Database');
+    this.config = this.getDependency('ConfigManager');
+    
+    if (!this.db) {
+      throw new Error('Database dependency not available');
+    }
+    
+    this.logs = new LogRepository(this.db);
+    
+    if (this.autoArchive) {
+      this.archiveTimer = setInterval(() => {
+        this.archive().catch(error => {
+          console.error('[LogArchive] Error archiving logs:', error);
+        });
+      }, this.archiveInterval);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get the retention period
+   * Read on every use so a configuration reload applies right away
+   * @returns {number} Months logs stay live (0 keeps them forever)
+   */
+  getRetentionMonths() {
+    return this.config ? this.config.get('archive.retentionMonths', 0) : 0;
+  }
+
+  /**
+   * Get the start of the first day whose logs stay live
+   * @param {Date} now - Reference time
+   * @returns {Date|null} Cutoff, or null when archiving is off
+   */
+  getCutoff(now = new Date()) {
+    const months = this.getRetentionMonths();
+    
+    if (!months) return null;
+    
+    // Whole days only, so a day's logs are never split between the tables
+    const cutoff = new Date(now);
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setMonth(cutoff.getMonth() - months);
+    
+    return cutoff;
+  }
+
+  /**
+   * Move every live log from before the cutoff to the archive
+   * Runs in batches of `archive.batchSize` logs, one transaction each.
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {Promise<Object>} { before, logs } with the number of archived logs
+   */
+  async archive(now = new Date()) {
+    const before = this.getCutoff(now);
+    
+    if (!before || this.archiving) {
+      return { before, logs: 0 };
+    }
+    
+    this.archiving = true;
+    
+    try {
+      const batchSize = this.config ? this.config.get('archive.batchSize', 1000) : 1000;
+      let logs = 0;
+      let moved;
+      
+      do {
+        moved = await this.db.transaction(client => this.logs.archiveBefore(before, batchSize, client));
+        logs += moved;
+      } while (moved === batchSize);
+      
+      if (logs > 0) {
+        console.log(`[LogArchive] Archived ${logs} logs from before ${before.toISOString()}`);
+        
+        this.publish('logs:archived', {
+          before,
+          logs,
+          timestamp: new Date()
+        });
+      }
+      
+      return { before, logs };
+    } finally {
+      this.archiving = false;
+    }
+  }
+
+  /**
+   * Shutdown component
+   */
+  async _shutdown() {
+    if (this.archiveTimer) {
+      clearInterval(this.archiveTimer);
+      this.archiveTimer = null;
+    }
+    
+    return true;
+  }
+}
+
+module.exports = LogArchiveComponent;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const Component = require('../../core/component-class');
+const configManager = require('../../core/config-manager');
 
 /**
  * Notification Component
@@ -8,12 +9,19 @@ class NotificationComponent extends Component {
   /**
    * Create a new notification component
    * @param {Object} options - Component options
+   * @param {Object} options.transport - Email transport with sendMail() and verify() (e.g. a nodemailer transport)
    */
   constructor(options = {}) {
     super('Notification', options);
     
+    // Email transport; without one, emails are only logged
+    this.transport = options.transport || null;
+    
     // Job scheduling
     this.scheduledJobs = new Map();
+    
+    // Retry failed notifications before they are dead-lettered
+    this.retryPolicy = options.retryPolicy || { attempts: 3, backoff: 2000 };
   }
 
   /**
@@ -27,9 +35,6 @@ class NotificationComponent extends Component {
       throw new Error('Database dependency not available');
     }
     
-    // Register event handlers
-    this.registerEvents();
-    
     return true;
   }
 
@@ -42,8 +47,8 @@ class NotificationComponent extends Component {
     
     // Notification-specific events
     this.subscribe('user:created', this._handleUserCreated.bind(this));
-    this.subscribe('goal:achieved', this._handleGoalAchieved.bind(this));
-    this.subscribe('achievement:earned', this._handleAchievementEarned.bind(this));
+    this.subscribe('goal:achieved', this._handleGoalAchieved.bind(this), { retry: this.retryPolicy });
+    this.subscribe('achievement:earned', this._handleAchievementEarned.bind(this), { retry: this.retryPolicy });
   }
 
   /**
@@ -61,28 +66,34 @@ class NotificationComponent extends Component {
 
   /**
    * Handle goal achieved event
+   * Errors propagate to the event bus so the notification is retried or dead-lettered
    * @param {Object} data - Goal data
    */
   async _handleGoalAchieved(data) {
-    try {
-      console.log(`[Notification] Goal achieved for user ${data.userId}: ${data.goalName}`);
-      // Implementation would send goal achievement notification
-    } catch (error) {
-      console.error('[Notification] Error handling goal achieved event:', error);
-    }
+    console.log(`[Notification] Goal achieved for user ${data.userId}: ${data.goalName}`);
+    
+    await this.sendNotification(
+      data.userId,
+      'Goal achieved',
+      `You reached your ${data.goalPeriod.toLowerCase()} ${data.goalName} goal of ${data.goalTarget} ${data.goalUnit}`,
+      'success'
+    );
   }
 
   /**
    * Handle achievement earned event
+   * Errors propagate to the event bus so the notification is retried or dead-lettered
    * @param {Object} data - Achievement data
    */
   async _handleAchievementEarned(data) {
-    try {
-      console.log(`[Notification] Achievement earned for user ${data.userId}: ${data.achievementName}`);
-      // Implementation would send achievement notification
-    } catch (error) {
-      console.error('[Notification] Error handling achievement earned event:', error);
-    }
+    console.log(`[Notification] Achievement earned for user ${data.userId}: ${data.achievementName}`);
+    
+    await this.sendNotification(
+      data.userId,
+      'Achievement earned',
+      data.achievementDescription || data.achievementName,
+      'achievement'
+    );
   }
 
   /**
@@ -96,7 +107,17 @@ class NotificationComponent extends Component {
   async sendEmail(to, subject, text, html) {
     try {
       console.log(`[Notification] Sending email to ${to}: ${subject}`);
-      // In a real implementation, this would use nodemailer or similar
+      
+      if (this.transport) {
+        await this.transport.sendMail({
+          from: configManager.get('email.from'),
+          to,
+          subject,
+          text,
+          html
+        });
+      }
+      
       return true;
     } catch (error) {
       console.error('[Notification] Error sending email:', error);
@@ -111,13 +132,14 @@ class NotificationComponent extends Component {
    * @param {string} message - Notification message
    * @param {string} type - Notification type
    * @returns {Promise<boolean>} True if notification was sent
+   * @throws {Error} If the notification could not be stored
    */
   async sendNotification(userId, title, message, type = 'info') {
     try {
       console.log(`[Notification] Sending ${type} notification to user ${userId}: ${title}`);
       
-      // In a real implementation, this would store the notification in the database
-      // and potentially trigger a real-time update via WebSockets
+      // In a real implementation, this would potentially trigger
+      // a real-time update via WebSockets
       
       // Record notification in database
       const query = `
@@ -126,12 +148,7 @@ class NotificationComponent extends Component {
         RETURNING *
       `;
       
-      try {
-        await this.db.query(query, [userId, title, message, type]);
-      } catch (dbError) {
-        // If the table doesn't exist yet, just log the error
-        console.error('[Notification] Error storing notification in database:', dbError);
-      }
+      await this.db.query(query, [userId, title, message, type]);
       
       // Publish notification created event
       this.publish('notification:created', {
@@ -145,8 +162,33 @@ class NotificationComponent extends Component {
       return true;
     } catch (error) {
       console.error('[Notification] Error sending notification:', error);
-      return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Check notification health
+   * Verifies the email transport can reach its server
+   * @returns {Promise<Object>} Health result
+   */
+  async healthCheck() {
+    if (!this.transport) {
+      return {
+        status: 'degraded',
+        error: 'No email transport configured, emails are only logged'
+      };
+    }
+    
+    if (typeof this.transport.verify === 'function') {
+      await this.transport.verify();
     }
+    
+    return {
+      status: 'healthy',
+      details: {
+        host: configManager.get('email.host')
+      }
+    };
   }
 
   /**
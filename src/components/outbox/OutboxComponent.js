@@ -0,0 +1,344 @@
+const Component = require('../../core/component-class');
+const eventRegistry = require('../../core/event-registry');
+const requestContext = require('../../core/request-context');
+
+/**
+ * Outbox Component
+ * Persists domain events in Postgres in the same transaction as the change
+ * that caused them, delivers them through the event bus and marks them done.
+ * Rows left behind by a crash are picked up by the dispatcher on its next poll.
+ *
+ * A row is marked `failed` when a subscriber threw, and is not dispatched again:
+ * the other subscribers already handled it. The event bus retries the failing
+ * subscriber by its retry policy and then stores it as a dead letter, which
+ * admins retry or discard under /api/admin/dead-letters. Dispatched rows are
+ * deleted after `outbox.retentionDays`, which also bounds how far back replay goes.
+ */
+class OutboxComponent extends Component {
+  /**
+   * Create a new outbox component
+   * @param {Object} options - Component options
+   * @param {boolean} options.autoDispatch - Whether to poll for undelivered events
+   * @param {number} options.pollInterval - Dispatcher poll interval in ms
+   * @param {number} options.claimDelay - Age in ms before a pending event is picked up by the poller
+   * @param {number} options.lockTimeout - Age in ms after which an in-flight event is considered abandoned
+   * @param {number} options.batchSize - Max events delivered per poll
+   * @param {number} options.cleanupInterval - Interval in ms between deletions of old dispatched events
+   */
+  constructor(options = {}) {
+    super('Outbox', options);
+    
+    this.autoDispatch = options.autoDispatch !== false;
+    this.pollInterval = options.pollInterval || 5000;
+    this.claimDelay = options.claimDelay || 10000;
+    this.lockTimeout = options.lockTimeout || 60000;
+    this.batchSize = options.batchSize || 50;
+    this.cleanupInterval = options.cleanupInterval || 60 * 60 * 1000;
+    
+    this.pollTimer = null;
+    this.cleanupTimer = null;
+    this.dispatching = false;
+  }
+
+  /**
+   * Initialize component
+   */
+  async _init() {
+    // Get dependencies
+    this.db = this.getDependency('Database');
+    this.config = this.getDependency('ConfigManager');
+    
+    if (!this.db) {
+      throw new Error('Database dependency not available');
+    }
+    
+    if (this.autoDispatch) {
+      this.pollTimer = setInterval(() => {
+        this.dispatchPending().catch(error => {
+          console.error('[Outbox] Error dispatching pending events:', error);
+        });
+      }, this.pollInterval);
+      
+      this.cleanupTimer = setInterval(() => {
+        this.cleanup().catch(error => {
+          console.error('[Outbox] Error deleting dispatched events:', error);
+        });
+      }, this.cleanupInterval);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get the retention period
+   * Read on every use so a configuration reload applies right away
+   * @returns {number} Days dispatched events are kept (0 keeps them forever)
+   */
+  getRetentionDays() {
+    return this.config ? this.config.get('outbox.retentionDays', 30) : 30;
+  }
+
+  /**
+   * Store an event in the outbox
+   * Pass the transaction client so the event commits or rolls back with the change
+   * @param {Object} client - Transaction client (or the Database component)
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Promise<Object>} Outbox record ({ outboxId, event, data })
+   */
+  async enqueue(client, event, data = {}) {
+    // Store the correlation ID with the event so later deliveries keep it
+    data = this._withRequestId(data);
+    
+    // Validate now so a bad payload fails the transaction instead of delivery
+    eventRegistry.check(event, data, this.name);
+    
+    const query = `
+      INSERT INTO event_outbox (event_name, payload)
+      VALUES ($1, $2)
+      RETURNING outbox_id
+    `;
+    
+    const result = await client.query(query, [event, JSON.stringify(data)]);
+    
+    return {
+      outboxId: result.rows[0].outbox_id,
+      event,
+      data
+    };
+  }
+
+  /**
+   * Deliver an outbox record right away
+   * Called after the enclosing transaction commits
+   * @param {Object} record - Outbox record returned by enqueue
+   * @returns {Promise<Object|null>} Delivery report, or null if another dispatcher owns the record
+   */
+  async deliver(record) {
+    const claimQuery = `
+      UPDATE event_outbox
+      SET status = 'processing', locked_at = NOW(), attempts = attempts + 1
+      WHERE outbox_id = $1 AND status = 'pending'
+      RETURNING outbox_id
+    `;
+    
+    const claimed = await this.db.query(claimQuery, [record.outboxId]);
+    
+    if (claimed.rowCount === 0) {
+      return null;
+    }
+    
+    return this._publish(record);
+  }
+
+  /**
+   * Deliver events that were not delivered right after commit
+   * (e.g. because the process crashed) or whose delivery was abandoned
+   * @returns {Promise<number>} Number of events delivered
+   */
+  async dispatchPending() {
+    if (this.dispatching) return 0;
+    
+    this.dispatching = true;
+    
+    try {
+      const query = `
+        UPDATE event_outbox
+        SET status = 'processing', locked_at = NOW(), attempts = attempts + 1
+        WHERE outbox_id IN (
+          SELECT outbox_id FROM event_outbox
+          WHERE (status = 'pending' AND created_at < NOW() - ($1 * INTERVAL '1 millisecond'))
+             OR (status = 'processing' AND locked_at < NOW() - ($2 * INTERVAL '1 millisecond'))
+          ORDER BY outbox_id
+          LIMIT $3
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+      
+      const result = await this.db.query(query, [this.claimDelay, this.lockTimeout, this.batchSize]);
+      
+      // Deliver in creation order
+      const records = result.rows
+        .sort((a, b) => a.outbox_id - b.outbox_id)
+        .map(row => this._fromRow(row));
+      
+      for (const record of records) {
+        await this._publish(record);
+      }
+      
+      if (this.debug && records.length > 0) {
+        console.log(`[Outbox] Dispatched ${records.length} pending events`);
+      }
+      
+      return records.length;
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * Delete dispatched events older than the retention period
+   * Pending, in-flight and failed events are kept.
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async cleanup(now = new Date()) {
+    const days = this.getRetentionDays();
+    
+    if (!days) return 0;
+    
+    const before = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    
+    const result = await this.db.query(
+      "DELETE FROM event_outbox WHERE status = 'dispatched' AND dispatched_at < $1",
+      [before]
+    );
+    
+    if (result.rowCount > 0) {
+      console.log(`[Outbox] Deleted ${result.rowCount} events dispatched before ${before.toISOString()}`);
+    }
+    
+    return result.rowCount;
+  }
+
+  /**
+   * Re-publish stored events from a point in time
+   * Used to rebuild derived state such as achievements and notifications.
+   * Handlers receive the original payload with `replayed: true`.
+   * @param {Date} since - Replay events created at or after this time
+   * @param {Object} options - Replay options
+   * @param {Array<string>} options.events - Only replay these event names (optional)
+   * @param {Date} options.until - Only replay events created before this time (optional)
+   * @returns {Promise<Object>} Replay summary
+   */
+  async replay(since, options = {}) {
+    const { events = null, until = null } = options;
+    
+    let query = 'SELECT * FROM event_outbox WHERE created_at >= $1';
+    const params = [since];
+    
+    if (events && events.length > 0) {
+      query += ' AND event_name = ANY($' + (params.length + 1) + ')';
+      params.push(events);
+    }
+    
+    if (until) {
+      query += ' AND created_at < $' + (params.length + 1);
+      params.push(until);
+    }
+    
+    query += ' ORDER BY outbox_id';
+    
+    const result = await this.db.query(query, params);
+    
+    const summary = {
+      since,
+      until,
+      replayed: 0,
+      failed: 0,
+      events: {}
+    };
+    
+    for (const row of result.rows) {
+      const record = this._fromRow(row);
+      
+      const report = await this.publishAsync(record.event, {
+        ...record.data,
+        replayed: true
+      });
+      
+      summary.replayed++;
+      summary.events[record.event] = (summary.events[record.event] || 0) + 1;
+      
+      if (report.failed > 0 || report.timedOut > 0) {
+        summary.failed++;
+      }
+    }
+    
+    this.publish('outbox:replayed', {
+      since,
+      until,
+      replayed: summary.replayed,
+      failed: summary.failed,
+      timestamp: new Date()
+    });
+    
+    return summary;
+  }
+
+  /**
+   * Publish a claimed record and store the outcome
+   * A failed record is final, its failing subscribers end up as dead letters
+   * @param {Object} record - Outbox record
+   * @returns {Promise<Object>} Delivery report
+   */
+  async _publish(record) {
+    // Restore the originating request's context for events delivered by the poller;
+    // deliveries right after commit keep the full context (client IP, user)
+    const current = requestContext.get();
+    const context = record.data.requestId && (!current || current.requestId !== record.data.requestId)
+      ? { requestId: record.data.requestId }
+      : current;
+    const report = await requestContext.run(context, () => this.publishAsync(record.event, record.data));
+    
+    const failures = report.results.filter(result => result.status !== 'fulfilled');
+    const lastError = failures.length > 0
+      ? failures.map(failure => `${failure.subscriber}: ${failure.error}`).join('; ')
+      : null;
+    
+    const query = `
+      UPDATE event_outbox
+      SET status = $2, last_error = $3, dispatched_at = NOW(), locked_at = NULL
+      WHERE outbox_id = $1
+    `;
+    
+    try {
+      await this.db.query(query, [
+        record.outboxId,
+        failures.length > 0 ? 'failed' : 'dispatched',
+        lastError
+      ]);
+    } catch (error) {
+      // The event was delivered; the poller will retry the row once the lock expires
+      console.error(`[Outbox] Error marking event ${record.outboxId} as delivered:`, error);
+    }
+    
+    return report;
+  }
+
+  /**
+   * Convert a database row to an outbox record
+   * @param {Object} row - event_outbox row
+   * @returns {Object} Outbox record
+   */
+  _fromRow(row) {
+    return {
+      outboxId: row.outbox_id,
+      event: row.event_name,
+      data: row.payload || {},
+      status: row.status,
+      attempts: row.attempts,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Shutdown component
+   */
+  async _shutdown() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+    
+    return true;
+  }
+}
+
+module.exports = OutboxComponent;
\ No newline at end of file
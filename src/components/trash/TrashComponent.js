@@ -0,0 +1,196 @@
+const Component = require('../../core/component-class');
+const { ActivityTypeRepository, LogRepository, GoalRepository } = require('../../shared/database/repositories');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash Component
+ * Lists the activities, logs and goals users deleted, restores them through
+ * the components that own them and permanently purges items that have been
+ * in the trash longer than `trash.retentionDays`.
+ */
+class TrashComponent extends Component {
+  /**
+   * Create a new trash component
+   * @param {Object} options - Component options
+   * @param {boolean} options.autoPurge - Whether to run the purge job
+   * @param {number} options.purgeInterval - Purge job interval in ms
+   */
+  constructor(options = {}) {
+    super('Trash', options);
+    
+    this.autoPurge = options.autoPurge !== false;
+    this.purgeInterval = options.purgeInterval || 60 * 60 * 1000;
+    
+    this.purgeTimer = null;
+    this.purging = false;
+  }
+
+  /**
+   * Initialize component
+   */
+  async _init() {
+    // Get dependencies
+    this.db = this.getDependency('Database');
+    this.config = this.getDependency('ConfigManager');
+    this.activityComponent = this.getDependency('Activity');
+    this.goalComponent = this.getDependency('Goal');
+    
+    if (!this.db || !this.activityComponent || !this.goalComponent) {
+      throw new Error('Database, Activity and Goal dependencies not available');
+    }
+    
+    this.activityTypes = new ActivityTypeRepository(this.db);
+    this.logs = new LogRepository(this.db);
+    this.goals = new GoalRepository(this.db);
+    
+    if (this.autoPurge) {
+      this.purgeTimer = setInterval(() => {
+        this.purge().catch(error => {
+          console.error('[Trash] Error purging the trash:', error);
+        });
+      }, this.purgeInterval);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get the retention period
+   * Read on every use so a configuration reload applies right away
+   * @returns {number} Days items stay in the trash
+   */
+  getRetentionDays() {
+    return this.config ? this.config.get('trash.retentionDays', 30) : 30;
+  }
+
+  /**
+   * List a user's trash
+   * Activities include the number of logs and goals deleted along with them;
+   * logs and goals are the ones deleted on their own.
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { retentionDays, activities, logs, goals }, each item with a purge_at date
+   */
+  async listTrash(userId) {
+    try {
+      const retentionDays = this.getRetentionDays();
+      
+      const withPurgeDate = rows => rows.map(row => ({
+        ...row,
+        purge_at: new Date(new Date(row.deleted_at).getTime() + retentionDays * DAY)
+      }));
+      
+      const [activities, logs, goals] = await Promise.all([
+        this.activityTypes.findDeletedByUser(userId),
+        this.logs.findDeletedByUser(userId),
+        this.goals.findDeletedByUser(userId)
+      ]);
+      
+      return {
+        retentionDays,
+        activities: withPurgeDate(activities.map(activity => ({
+          ...activity,
+          log_count: parseInt(activity.log_count, 10),
+          goal_count: parseInt(activity.goal_count, 10)
+        }))),
+        logs: withPurgeDate(logs),
+        goals: withPurgeDate(goals)
+      };
+    } catch (error) {
+      console.error('[Trash] Error listing the trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an item in the trash
+   * @param {string} type - activities, logs or goals
+   * @param {number} id - Item ID
+   * @returns {Promise<Object|null>} Deleted row
+   */
+  async getItem(type, id) {
+    const repositories = {
+      activities: this.activityTypes,
+      logs: this.logs,
+      goals: this.goals
+    };
+    
+    if (!repositories[type]) {
+      throw new Error(`Unknown trash type "${type}"`);
+    }
+    
+    return repositories[type].findDeletedById(id);
+  }
+
+  /**
+   * Restore an item from the trash
+   * An activity comes back with the logs and goals deleted along with it.
+   * @param {string} type - activities, logs or goals
+   * @param {number} id - Item ID
+   * @returns {Promise<Object>} Restored item
+   */
+  async restore(type, id) {
+    switch (type) {
+      case 'activities':
+        return this.activityComponent.restoreActivity(id);
+      case 'logs':
+        return this.activityComponent.restoreActivityLog(id);
+      case 'goals':
+        return this.goalComponent.restoreGoal(id);
+      default:
+        throw new Error(`Unknown trash type "${type}"`);
+    }
+  }
+
+  /**
+   * Permanently delete everything that has been in the trash longer than the retention period
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {Promise<Object>} Number of deleted activities, logs and goals
+   */
+  async purge(now = new Date()) {
+    if (this.purging) {
+      return { activities: 0, logs: 0, goals: 0 };
+    }
+    
+    this.purging = true;
+    
+    try {
+      const before = new Date(now.getTime() - this.getRetentionDays() * DAY);
+      
+      // Logs and goals first, so the counts don't depend on the activity cascade
+      const purged = await this.db.transaction(async (client) => ({
+        logs: await this.logs.purgeDeleted(before, client),
+        goals: await this.goals.purgeDeleted(before, client),
+        activities: await this.activityTypes.purgeDeleted(before, client)
+      }));
+      
+      if (purged.activities + purged.logs + purged.goals > 0) {
+        console.log(`[Trash] Purged ${purged.activities} activities, ${purged.logs} logs and ${purged.goals} goals deleted before ${before.toISOString()}`);
+        
+        this.publish('trash:purged', {
+          before,
+          ...purged,
+          timestamp: new Date()
+        });
+      }
+      
+      return purged;
+    } finally {
+      this.purging = false;
+    }
+  }
+
+  /**
+   * Shutdown component
+   */
+  async _shutdown() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+    
+    return true;
+  }
+}
+
+module.exports = TrashComponent;
\ No newline at end of file
@@ -1,4 +1,6 @@
 const eventBus = require('./EventBus');
+const eventRegistry = require('./event-registry');
+const requestContext = require('./request-context');
 
 /**
  * Base Component Class
@@ -15,8 +17,12 @@ class Component {
     this.options = options;
     this.initialized = false;
     this.subscriptions = [];
+    this.publishedEvents = new Set();
     this.debug = process.env.NODE_ENV === 'development';
     
+    // Set by the orchestrator, which then drives init and shutdown
+    this.orchestrated = false;
+    
     // Store dependencies to avoid circular references
     this.dependencies = {};
   }
@@ -55,6 +61,9 @@ class Component {
     } catch (error) {
       console.error(`[${this.name}] Initialization error:`, error);
       
+      // Drop the handlers registered above so a later init doesn't add them twice
+      this.unsubscribeAll();
+      
       // Publish initialization error event
       eventBus.publish('component:error', {
         name: this.name,
@@ -81,31 +90,85 @@ class Component {
    * To be overridden by derived classes
    */
   registerEvents() {
-    // Default event handlers
-    this.subscribe('app:shutdown', this.shutdown.bind(this));
+    // Orchestrated components are shut down in dependency order instead
+    if (!this.orchestrated) {
+      this.subscribe('app:shutdown', this.shutdown.bind(this));
+    }
+    
+    // Subscriptions declared in options (e.g. from a plugin manifest): event -> method name
+    Object.entries(this.options.subscriptions || {}).forEach(([event, handler]) => {
+      this.subscribe(event, this[handler].bind(this));
+    });
   }
 
   /**
-   * Subscribe to an event
-   * @param {string} event - Event name
-   * @param {Function} callback - Event handler
+   * Subscribe to an event or event pattern
+   * @param {string} event - Event name or pattern (e.g. "log:*", "**")
+   * @param {Function} callback - Event handler, called with (data, event)
+   * @param {Object} options - Subscription options (e.g. timeout)
    * @returns {Object} Subscription object
    */
-  subscribe(event, callback) {
-    const subscription = eventBus.subscribe(event, callback, this);
+  subscribe(event, callback, options = {}) {
+    const subscription = eventBus.subscribe(event, callback, this, options);
     this.subscriptions.push(subscription);
     return subscription;
   }
 
+  /**
+   * Remove every subscription made by this component
+   */
+  unsubscribeAll() {
+    this.subscriptions.forEach(subscription => {
+      subscription.unsubscribe();
+    });
+    
+    this.subscriptions = [];
+  }
+
   /**
    * Publish an event
+   * The payload is validated against the event's registered schema
+   * and tagged with the current request's correlation ID
    * @param {string} event - Event name
    * @param {*} data - Event data
    * @returns {boolean} True if event was published
    */
   publish(event, data = null) {
+    data = this._withRequestId(data);
+    eventRegistry.check(event, data, this.name);
+    this.publishedEvents.add(event);
     return eventBus.publish(event, data);
   }
+
+  /**
+   * Publish an event and wait for all subscribers
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   * @param {Object} options - Publish options (e.g. timeout)
+   * @returns {Promise<Object>} Delivery report
+   */
+  async publishAsync(event, data = null, options = {}) {
+    data = this._withRequestId(data);
+    eventRegistry.check(event, data, this.name);
+    this.publishedEvents.add(event);
+    return eventBus.publishAsync(event, data, options);
+  }
+
+  /**
+   * Add the current correlation ID to an event payload
+   * Payloads that already carry one (e.g. replayed events) are left alone
+   * @param {*} data - Event data
+   * @returns {*} Event data with requestId when inside a request
+   */
+  _withRequestId(data) {
+    const requestId = requestContext.getRequestId();
+    
+    if (!requestId || !data || typeof data !== 'object' || Array.isArray(data) || data.requestId) {
+      return data;
+    }
+    
+    return { ...data, requestId };
+  }
   
   /**
    * Set a dependency
@@ -125,6 +188,17 @@ class Component {
     return this.dependencies[name];
   }
 
+  /**
+   * Check component health
+   * Override in derived classes to check external resources. Return
+   * { status, details } where status is 'healthy', 'degraded' or 'unhealthy';
+   * a thrown error counts as unhealthy.
+   * @returns {Promise<Object|null>} Health result, or null if the component has no check
+   */
+  async healthCheck() {
+    return null;
+  }
+
   /**
    * Shutdown the component
    * @returns {Promise<boolean>} True if shutdown was successful
@@ -141,11 +215,8 @@ class Component {
       await this._shutdown();
       
       // Unsubscribe from all events
-      this.subscriptions.forEach(subscription => {
-        subscription.unsubscribe();
-      });
+      this.unsubscribeAll();
       
-      this.subscriptions = [];
       this.initialized = false;
       
       if (this.debug) {
@@ -186,6 +257,8 @@ class Component {
       name: this.name,
       initialized: this.initialized,
       subscriptions: this.subscriptions.length,
+      subscribedEvents: this.subscriptions.map(subscription => subscription.event),
+      publishedEvents: [...this.publishedEvents],
       dependencies: Object.keys(this.dependencies)
     };
   }
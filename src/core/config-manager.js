@@ -2,14 +2,35 @@ const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 const Component = require('./component-class');
+const configSchema = require('./config-schema');
+
+// Profile files hold per-environment overrides for several categories
+const PROFILES = configSchema.app.environment.enum;
+
+/**
+ * Error thrown when the configuration doesn't match the schema
+ */
+class ConfigValidationError extends Error {
+  /**
+   * @param {Array<string>} errors - One message per invalid key
+   */
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
 
 /**
  * Configuration Manager
- * Handles application configuration from multiple sources:
- * - Environment variables
+ * Handles application configuration from multiple sources, in increasing priority:
+ * - Schema defaults and their environment variables (see config-schema.js)
  * - .env files
- * - Configuration files
+ * - Configuration files (config/<category>.json)
+ * - Environment profile (config/<environment>.json)
+ * - APP_CATEGORY_KEY environment variables
  * - Command line arguments
+ * The merged configuration is validated against the schema on init.
  */
 class ConfigManager extends Component {
   /**
@@ -19,43 +40,25 @@ class ConfigManager extends Component {
   constructor(options = {}) {
     super('ConfigManager', options);
     
+    this.schema = options.schema || configSchema;
+    
+    // Source of every configured value, by path (e.g. "server.port" -> "env:PORT")
+    this.sources = {};
+    
+    // Errors found while reading sources, reported with the validation errors
+    this.loadErrors = [];
+    
+    // Variables set from the .env file, which a reload may update or remove
+    this.envFileKeys = new Set();
+    
+    // Random JWT secret used when none is configured, kept across reloads
+    this.generatedSecret = null;
+    
+    this.reloading = false;
+    
     // Default configuration
-    this.config = {
-      app: {
-        name: 'ActivityTrackerApp',
-        version: '1.0.0',
-        environment: process.env.NODE_ENV || 'development'
-      },
-      server: {
-        port: parseInt(process.env.PORT) || 3001,
-        host: process.env.HOST || 'localhost'
-      },
-      database: {
-        host: process.env.DB_HOST || 'localhost',
-        port: parseInt(process.env.DB_PORT) || 5432,
-        name: process.env.DB_NAME || 'activity_tracker',
-        user: process.env.DB_USER || 'postgres',
-        password: process.env.DB_PASSWORD || 'kermit'
-      },
-      security: {
-        jwtSecret: process.env.JWT_SECRET || 'your-secret-key',
-        jwtExpiration: process.env.JWT_EXPIRATION || '7d',
-        bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10
-      },
-      email: {
-        host: process.env.EMAIL_HOST || 'smtp.example.com',
-        port: parseInt(process.env.EMAIL_PORT) || 587,
-        secure: process.env.EMAIL_SECURE === 'true',
-        user: process.env.EMAIL_USER || '',
-        password: process.env.EMAIL_PASSWORD || '',
-        from: process.env.EMAIL_FROM || '"Activity Tracker" <noreply@activitytracker.app>'
-      },
-      logging: {
-        level: process.env.LOG_LEVEL || 'info',
-        format: process.env.LOG_FORMAT || 'combined',
-        directory: process.env.LOG_DIR || './logs'
-      }
-    };
+    this.config = {};
+    this._loadDefaults();
     
     // Configuration sources
     this.configPath = options.configPath || './config';
@@ -65,16 +68,81 @@ class ConfigManager extends Component {
   /**
    * Initialize configuration manager
    * Load configuration from all sources
+   * @throws {ConfigValidationError} If any key is unknown or invalid
    */
   async _init() {
-    // Load .env file
-    this._loadEnvFile();
+    await this._load();
+    
+    return true;
+  }
+
+  /**
+   * Re-read every source and apply the result
+   * An invalid result is rejected and the current configuration kept.
+   * Changed keys are published in a config:changed event.
+   * @returns {Promise<Object>} Result ({ success, changes, restartRequired, errors })
+   */
+  async reload() {
+    if (this.reloading) {
+      return { success: false, changes: [], restartRequired: [], errors: ['A reload is already in progress'] };
+    }
+    
+    this.reloading = true;
+    
+    const previous = { config: this.config, sources: this.sources };
+    
+    try {
+      await this._load();
+    } catch (error) {
+      this.config = previous.config;
+      this.sources = previous.sources;
+      
+      console.error(`[${this.name}] Reload failed, keeping the current configuration: ${error.message}`);
+      
+      return { success: false, changes: [], restartRequired: [], errors: error.errors || [error.message] };
+    } finally {
+      this.reloading = false;
+    }
+    
+    const changes = this._diff(previous.config);
+    const restartRequired = changes.filter(change => change.restartRequired).map(change => change.path);
+    
+    if (changes.length > 0) {
+      console.log(`[${this.name}] Configuration reloaded, changed: ${changes.map(change => change.path).join(', ')}`);
+      
+      if (restartRequired.length > 0) {
+        console.warn(`[${this.name}] Restart required for ${restartRequired.join(', ')} to take effect`);
+      }
+      
+      this._publishChanges(changes, 'reload');
+    } else if (this.debug) {
+      console.log(`[${this.name}] Configuration reloaded, nothing changed`);
+    }
+    
+    return { success: true, changes, restartRequired, errors: [] };
+  }
+
+  /**
+   * Load configuration from all sources, in priority order
+   * @throws {ConfigValidationError} If any key is unknown or invalid
+   */
+  async _load() {
+    this.loadErrors = [];
+    
+    // Read the .env file; process.env isn't touched until the result is valid
+    const envFile = this._loadEnvFile();
+    
+    // Rebuild defaults with the .env variables
+    this._loadDefaults(envFile.env);
     
     // Load configuration files
     await this._loadConfigFiles();
     
+    // Apply the profile of the current environment
+    this._loadProfile();
+    
     // Override with environment variables
-    this._loadEnvironmentVariables();
+    this._loadEnvironmentVariables(envFile.env);
     
     // Load command line arguments
     this._loadCommandLineArgs();
@@ -82,32 +150,130 @@ class ConfigManager extends Component {
     // Validate configuration
     this._validateConfig();
     
-    return true;
+    this._applyEnvFile(envFile);
   }
 
   /**
-   * Load environment variables from .env file
+   * Build the default configuration from the schema
+   * Keys with an `env` variable take its value when it is set; secrets can
+   * also be read from the file named by `<env>_FILE` (e.g. DB_PASSWORD_FILE),
+   * which takes precedence over the variable itself
+   * @param {Object} env - Environment variables (defaults to process.env)
    */
-  _loadEnvFile() {
-    try {
-      if (fs.existsSync(this.envPath)) {
-        const result = dotenv.config({ path: this.envPath });
+  _loadDefaults(env = process.env) {
+    this.config = {};
+    this.sources = {};
+    
+    const build = (node, parts) => {
+      Object.keys(node).forEach(key => {
+        const spec = node[key];
+        const keyParts = [...parts, key];
         
-        if (result.error) {
-          throw result.error;
+        if (!this._isSpec(spec)) {
+          build(spec, keyParts);
+          return;
         }
         
-        if (this.debug) {
-          console.log(`[${this.name}] Loaded environment variables from ${this.envPath}`);
+        const fileVariable = spec.secret && spec.env ? `${spec.env}_FILE` : null;
+        
+        const secret = fileVariable && env[fileVariable] !== undefined
+          ? this._readSecretFile(fileVariable, env)
+          : undefined;
+        
+        if (secret !== undefined) {
+          this._setValue(keyParts, secret, `env:${fileVariable}`);
+        } else if (spec.env && env[spec.env] !== undefined) {
+          this._setValue(keyParts, this._parseValue(env[spec.env], spec), `env:${spec.env}`);
+        } else {
+          this._setValue(keyParts, this._clone(spec.default), 'default');
         }
+      });
+    };
+    
+    build(this.schema, []);
+  }
+
+  /**
+   * Read a secret from the file named by an environment variable
+   * A single trailing newline is removed
+   * @param {string} variable - Environment variable holding the file path
+   * @param {Object} env - Environment variables (defaults to process.env)
+   * @returns {string|undefined} Secret, or undefined if the file can't be read
+   */
+  _readSecretFile(variable, env = process.env) {
+    const filePath = env[variable];
+    
+    try {
+      return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+      this.loadErrors.push(`${variable}: cannot read secret file ${filePath} (${error.code || error.message})`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Read environment variables from the .env file
+   * Variables set in the real environment take precedence over the file;
+   * on reload, variables that came from the file are updated or removed.
+   * @returns {Object} Environment with the file applied ({ env, keys }),
+   * where keys are the variables that now come from the file
+   */
+  _loadEnvFile() {
+    const env = { ...process.env };
+    const keys = new Set();
+    
+    try {
+      const values = fs.existsSync(this.envPath)
+        ? dotenv.parse(fs.readFileSync(this.envPath))
+        : {};
+      
+      // Drop variables that were removed from the file
+      this.envFileKeys.forEach(key => {
+        if (!(key in values)) {
+          delete env[key];
+        }
+      });
+      
+      Object.keys(values).forEach(key => {
+        if (process.env[key] === undefined || this.envFileKeys.has(key)) {
+          env[key] = values[key];
+          keys.add(key);
+        }
+      });
+      
+      if (this.debug && Object.keys(values).length > 0) {
+        console.log(`[${this.name}] Loaded environment variables from ${this.envPath}`);
       }
+      
+      return { env, keys };
     } catch (error) {
       console.error(`[${this.name}] Error loading .env file:`, error);
+      return { env: { ...process.env }, keys: new Set(this.envFileKeys) };
     }
   }
 
+  /**
+   * Copy the .env file's variables into process.env
+   * Called once the configuration built from them is valid
+   * @param {Object} envFile - Result of _loadEnvFile
+   */
+  _applyEnvFile({ env, keys }) {
+    this.envFileKeys.forEach(key => {
+      if (!keys.has(key)) {
+        delete process.env[key];
+      }
+    });
+    
+    keys.forEach(key => {
+      process.env[key] = env[key];
+    });
+    
+    this.envFileKeys = keys;
+  }
+
   /**
    * Load configuration from JSON files
+   * Each file holds one category (e.g. database.json -> database)
    */
   async _loadConfigFiles() {
     try {
@@ -118,29 +284,25 @@ class ConfigManager extends Component {
         return;
       }
       
-      // Get all JSON files in the config directory
+      // Get all JSON files in the config directory except environment profiles
       const files = fs.readdirSync(this.configPath)
-        .filter(file => file.endsWith('.json'));
+        .filter(file => file.endsWith('.json'))
+        .filter(file => !PROFILES.includes(path.basename(file, '.json')));
       
       for (const file of files) {
-        try {
-          const filePath = path.join(this.configPath, file);
-          const configData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          
-          // Extract category from filename (e.g., database.json -> database)
-          const category = path.basename(file, '.json');
-          
-          // Merge with current config
-          this.config[category] = {
-            ...this.config[category] || {},
-            ...configData
-          };
-          
-          if (this.debug) {
-            console.log(`[${this.name}] Loaded configuration from ${filePath}`);
-          }
-        } catch (fileError) {
-          console.error(`[${this.name}] Error loading config file ${file}:`, fileError);
+        const filePath = path.join(this.configPath, file);
+        const configData = this._readJsonFile(filePath);
+        
+        if (!configData) continue;
+        
+        // Extract category from filename (e.g., database.json -> database)
+        const category = path.basename(file, '.json');
+        
+        // Merge with current config
+        this._mergeValue([category], configData, `file:${filePath}`);
+        
+        if (this.debug) {
+          console.log(`[${this.name}] Loaded configuration from ${filePath}`);
         }
       }
     } catch (error) {
@@ -148,62 +310,83 @@ class ConfigManager extends Component {
     }
   }
 
+  /**
+   * Load the profile of the current environment (e.g. config/production.json)
+   * A profile maps categories to the keys it overrides
+   */
+  _loadProfile() {
+    const environment = this.get('app.environment');
+    const filePath = path.join(this.configPath, `${environment}.json`);
+    
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+    
+    const profile = this._readJsonFile(filePath);
+    
+    if (!profile) return;
+    
+    this._mergeValue([], profile, `profile:${filePath}`);
+    
+    if (this.debug) {
+      console.log(`[${this.name}] Applied ${environment} profile from ${filePath}`);
+    }
+  }
+
+  /**
+   * Read a JSON object from a file
+   * @param {string} filePath - File path
+   * @returns {Object|null} Parsed object, or null if it couldn't be read
+   */
+  _readJsonFile(filePath) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      
+      if (!this._isPlainObject(data)) {
+        throw new Error('expected a JSON object');
+      }
+      
+      return data;
+    } catch (error) {
+      this.loadErrors.push(`${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Override configuration with environment variables
    * Environment variables should be in the format APP_CATEGORY_KEY
+   * (keys are matched case-insensitively, e.g. APP_SERVER_SHUTDOWNTIMEOUT);
+   * secrets can be read from a file with APP_CATEGORY_KEY_FILE
+   * @param {Object} env - Environment variables (defaults to process.env)
    */
-  _loadEnvironmentVariables() {
+  _loadEnvironmentVariables(env = process.env) {
     // Find all environment variables with the APP_ prefix
-    const envVars = Object.keys(process.env)
+    const envVars = Object.keys(env)
       .filter(key => key.startsWith('APP_'));
     
     for (const key of envVars) {
-      try {
-        // Parse path from environment variable name
-        // APP_SERVER_PORT -> ['APP', 'SERVER', 'PORT'] -> ['server', 'port']
-        const parts = key.split('_').slice(1).map(part => part.toLowerCase());
-        
-        if (parts.length < 2) continue;
-        
-        // Extract category and nested path
-        const category = parts[0];
-        const path = parts.slice(1);
-        
-        // Create category if it doesn't exist
-        if (!this.config[category]) {
-          this.config[category] = {};
-        }
-        
-        // Set value in config
-        let target = this.config[category];
-        
-        for (let i = 0; i < path.length - 1; i++) {
-          const part = path[i];
-          
-          if (!target[part]) {
-            target[part] = {};
-          }
-          
-          target = target[part];
-        }
-        
-        // Set the final property
-        const finalKey = path[path.length - 1];
-        const value = process.env[key];
+      // Parse path from environment variable name
+      // APP_SERVER_PORT -> ['APP', 'SERVER', 'PORT'] -> ['server', 'port']
+      const parts = this._resolvePath(key.split('_').slice(1));
+      
+      if (parts.length < 2) continue;
+      
+      // APP_DATABASE_PASSWORD_FILE -> contents of the file for database.password
+      const secretParts = parts.slice(0, -1);
+      const secretSpec = key.endsWith('_FILE') ? this._specAt(secretParts) : null;
+      
+      if (secretSpec && secretSpec.secret) {
+        const secret = this._readSecretFile(key, env);
         
-        // Try to parse value as number or boolean
-        if (value === 'true') {
-          target[finalKey] = true;
-        } else if (value === 'false') {
-          target[finalKey] = false;
-        } else if (!isNaN(value) && value.trim() !== '') {
-          target[finalKey] = Number(value);
-        } else {
-          target[finalKey] = value;
+        if (secret !== undefined) {
+          this._setValue(secretParts, secret, `env:${key}`);
         }
-      } catch (error) {
-        console.error(`[${this.name}] Error processing environment variable ${key}:`, error);
+        continue;
       }
+      
+      const spec = this._specAt(parts);
+      this._setValue(parts, this._parseValue(env[key], spec), `env:${key}`);
     }
   }
 
@@ -217,81 +400,445 @@ class ConfigManager extends Component {
     for (const arg of args) {
       if (!arg.startsWith('--')) continue;
       
-      try {
-        // Parse argument
-        const parts = arg.substring(2).split('=');
-        
-        if (parts.length !== 2) continue;
-        
-        const path = parts[0].split('.');
-        const value = parts[1];
-        
-        if (path.length < 2) continue;
-        
-        // Extract category and nested path
-        const category = path[0];
-        const keyPath = path.slice(1);
-        
-        // Create category if it doesn't exist
-        if (!this.config[category]) {
-          this.config[category] = {};
-        }
-        
-        // Set value in config
-        let target = this.config[category];
-        
-        for (let i = 0; i < keyPath.length - 1; i++) {
-          const part = keyPath[i];
-          
-          if (!target[part]) {
-            target[part] = {};
-          }
-          
-          target = target[part];
-        }
-        
-        // Set the final property
-        const finalKey = keyPath[keyPath.length - 1];
-        
-        // Try to parse value as number or boolean
-        if (value === 'true') {
-          target[finalKey] = true;
-        } else if (value === 'false') {
-          target[finalKey] = false;
-        } else if (!isNaN(value) && value.trim() !== '') {
-          target[finalKey] = Number(value);
-        } else {
-          target[finalKey] = value;
-        }
-      } catch (error) {
-        console.error(`[${this.name}] Error processing command line argument ${arg}:`, error);
-      }
+      // Parse argument
+      const parts = arg.substring(2).split('=');
+      
+      if (parts.length !== 2) continue;
+      
+      const keyPath = this._resolvePath(parts[0].split('.'));
+      
+      if (keyPath.length < 2) continue;
+      
+      const spec = this._specAt(keyPath);
+      this._setValue(keyPath, this._parseValue(parts[1], spec), `cli:--${parts[0]}`);
     }
   }
 
   /**
    * Validate configuration
-   * Ensure required values are present
+   * Checks every key against the schema, then fills in values that must be present
+   * @throws {ConfigValidationError} If any key is unknown or invalid
    */
   _validateConfig() {
-    // Validate server configuration
-    if (!this.config.server.port) {
-      console.warn('[ConfigManager] Server port not configured, using default 3001');
-      this.config.server.port = 3001;
+    const errors = [...this.loadErrors, ...this._collectErrors(this.config, this.schema, [])];
+    
+    if (this.config.app.environment === 'production') {
+      errors.push(...this._checkProductionSecrets());
+    }
+    
+    if (errors.length > 0) {
+      throw new ConfigValidationError(errors);
     }
     
-    // Validate security configuration
-    if (!this.config.security.jwtSecret || this.config.security.jwtSecret === 'your-secret-key') {
-      console.warn('[ConfigManager] JWT secret not configured, using random secret');
-      this.config.security.jwtSecret = this._generateRandomString(32);
+    // Validate security configuration (outside production, which requires a secret)
+    if (this._isUnsetSecret(this.config.security.jwtSecret, this._specAt(['security', 'jwtSecret']))) {
+      if (!this.generatedSecret) {
+        console.warn('[ConfigManager] JWT secret not configured, using random secret; tokens won\'t survive a restart');
+        this.generatedSecret = this._generateRandomString(32);
+      }
+      
+      this.config.security.jwtSecret = this.generatedSecret;
+      this.sources['security.jwtSecret'] = 'generated';
     }
     
     // Validate database configuration
-    if (!this.config.database.password && process.env.NODE_ENV === 'production') {
+    if (!this.config.database.password && this.config.app.environment === 'production') {
       console.warn('[ConfigManager] Database password not configured in production environment');
     }
   }
-  
+
+  /**
+   * Check that secrets with a built-in default are configured explicitly
+   * Defaults like the database password and JWT secret are public, as are the
+   * sample values in the committed config.env, and a generated JWT secret
+   * would log everyone out on restart and differ per instance
+   * @returns {Array<string>} Error messages
+   */
+  _checkProductionSecrets() {
+    return this._leaves()
+      .filter(({ spec }) => spec.secret && spec.default)
+      .filter(({ parts, spec }) => this._isUnsetSecret(this._valueAt(this.config, parts), spec))
+      .map(({ parts, spec }) => {
+        const keyPath = parts.join('.');
+        const variables = spec.env ? ` (set ${spec.env} or ${spec.env}_FILE)` : '';
+        return `${keyPath}: must be configured in production, the built-in default or a sample value is not allowed${variables} (from ${this._sourceOf(keyPath)})`;
+      });
+  }
+
+  /**
+   * Check whether a secret is missing or still a known public value
+   * @param {*} value - Configured value
+   * @param {Object} spec - Key spec
+   * @returns {boolean} True if the secret is empty, the default or a placeholder
+   */
+  _isUnsetSecret(value, spec) {
+    return !value || value === spec.default || (spec.placeholders || []).includes(value);
+  }
+
+  /**
+   * Collect schema violations
+   * @param {*} value - Configuration value
+   * @param {Object} node - Schema group or spec
+   * @param {Array<string>} parts - Path of the value
+   * @param {string} source - Source to report (defaults to the recorded source of each key)
+   * @returns {Array<string>} Error messages
+   */
+  _collectErrors(value, node, parts, source = null) {
+    const keyPath = parts.join('.');
+    
+    if (this._isSpec(node)) {
+      const error = this._checkValue(value, node);
+      return error ? [`${keyPath}: ${error} (from ${source || this._sourceOf(keyPath)})`] : [];
+    }
+    
+    if (!this._isPlainObject(value)) {
+      return [`${keyPath}: expected a group of settings (from ${source || this._sourceOf(keyPath)})`];
+    }
+    
+    const errors = [];
+    
+    Object.keys(value).forEach(key => {
+      const childPath = [...parts, key];
+      
+      if (!node[key]) {
+        const known = Object.keys(node).join(', ');
+        errors.push(`${childPath.join('.')}: unknown ${parts.length === 0 ? 'category' : 'key'}, expected one of ${known} (from ${source || this._sourceOf(childPath.join('.'))})`);
+        return;
+      }
+      
+      errors.push(...this._collectErrors(value[key], node[key], childPath, source));
+    });
+    
+    return errors;
+  }
+
+  /**
+   * Check a value against a spec
+   * @param {*} value - Value to check
+   * @param {Object} spec - Key spec
+   * @returns {string|null} Error description, or null if valid
+   */
+  _checkValue(value, spec) {
+    const types = [].concat(spec.type);
+    
+    if (!types.some(type => this._matchesType(value, type, spec))) {
+      return `expected ${types.join(' or ')}, got ${spec.secret ? typeof value : this._describe(value)}`;
+    }
+    
+    if (spec.enum && !spec.enum.includes(value)) {
+      return `expected one of ${spec.enum.join(', ')}, got ${this._describe(value)}`;
+    }
+    
+    if (typeof value === 'number') {
+      if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}, got ${value}`;
+      }
+      
+      if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}, got ${value}`;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check a value against a single type
+   * @param {*} value - Value to check
+   * @param {string} type - Type name
+   * @param {Object} spec - Key spec (for array items and map values)
+   * @returns {boolean} True if the value matches
+   */
+  _matchesType(value, type, spec) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && isFinite(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value) &&
+          (!spec.items || value.every(item => this._matchesType(item, spec.items, {})));
+      case 'object':
+        return this._isPlainObject(value);
+      case 'map':
+        return this._isPlainObject(value) &&
+          (!spec.values || Object.values(value).every(item => this._matchesType(item, spec.values, {})));
+      default:
+        throw new Error(`Unknown config schema type "${type}"`);
+    }
+  }
+
+  /**
+   * Set a value and record its source
+   * @param {Array<string>} parts - Configuration path
+   * @param {*} value - Value
+   * @param {string} source - Where the value came from
+   */
+  _setValue(parts, value, source) {
+    let target = this.config;
+    
+    for (let i = 0; i < parts.length - 1; i++) {
+      const part = parts[i];
+      
+      if (!this._isPlainObject(target[part])) {
+        target[part] = {};
+      }
+      
+      target = target[part];
+    }
+    
+    target[parts[parts.length - 1]] = value;
+    
+    const keyPath = parts.join('.');
+    
+    // Values below a replaced object no longer come from their old sources
+    Object.keys(this.sources)
+      .filter(existing => existing.startsWith(`${keyPath}.`))
+      .forEach(existing => delete this.sources[existing]);
+    
+    this.sources[keyPath] = source;
+  }
+
+  /**
+   * Deep-merge an object from a file into the configuration
+   * Groups and maps are merged key by key; other values replace what's there
+   * @param {Array<string>} parts - Path to merge at
+   * @param {*} value - Value to merge
+   * @param {string} source - Where the value came from
+   */
+  _mergeValue(parts, value, source) {
+    const node = parts.length === 0 ? this.schema : this._specAt(parts);
+    const mergeable = node && (!this._isSpec(node) || node.type === 'map');
+    
+    if (!mergeable || !this._isPlainObject(value)) {
+      this._setValue(parts, value, source);
+      return;
+    }
+    
+    Object.keys(value).forEach(key => this._mergeValue([...parts, key], value[key], source));
+  }
+
+  /**
+   * Find the schema node for a path
+   * @param {Array<string>} parts - Configuration path
+   * @returns {Object|null} Group or spec, or null for unknown keys
+   */
+  _specAt(parts) {
+    let node = this.schema;
+    
+    for (const part of parts) {
+      if (this._isSpec(node)) {
+        // Keys of a map share the map's value type
+        node = node.type === 'map' ? { type: node.values || 'object' } : null;
+      } else {
+        node = node[part] || null;
+      }
+      
+      if (!node) return null;
+    }
+    
+    return node;
+  }
+
+  /**
+   * Match path segments to schema keys case-insensitively
+   * Unknown segments are kept so validation can report them
+   * @param {Array<string>} parts - Path segments (e.g. from APP_SERVER_SHUTDOWNTIMEOUT)
+   * @returns {Array<string>} Path using the schema's spelling
+   */
+  _resolvePath(parts) {
+    let node = this.schema;
+    
+    return parts.map(part => {
+      if (!node || this._isSpec(node)) {
+        node = null;
+        return part.toLowerCase();
+      }
+      
+      const key = Object.keys(node).find(candidate => candidate.toLowerCase() === part.toLowerCase());
+      node = key ? node[key] : null;
+      
+      return key || part.toLowerCase();
+    });
+  }
+
+  /**
+   * Parse a string value from the environment or command line
+   * Values that don't fit the spec are kept as strings so validation reports them
+   * @param {string} raw - Raw value
+   * @param {Object|null} spec - Key spec (null for unknown keys)
+   * @returns {*} Parsed value
+   */
+  _parseValue(raw, spec) {
+    const types = spec && spec.type ? [].concat(spec.type) : ['boolean', 'number', 'string'];
+    
+    if (types.includes('array')) {
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    
+    // Try to parse value as number or boolean
+    if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+      return raw === 'true';
+    }
+    
+    if ((types.includes('integer') || types.includes('number')) && !isNaN(raw) && raw.trim() !== '') {
+      return Number(raw);
+    }
+    
+    return raw;
+  }
+
+  /**
+   * Check whether a schema node is a key spec rather than a group
+   * @param {Object} node - Schema node
+   * @returns {boolean} True for specs
+   */
+  _isSpec(node) {
+    return typeof node.type === 'string' || Array.isArray(node.type);
+  }
+
+  /**
+   * Check whether a value is a plain object
+   * @param {*} value - Value
+   * @returns {boolean} True for plain objects
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Deep-copy a default so the schema's objects are never mutated
+   * @param {*} value - Value
+   * @returns {*} Copy
+   */
+  _clone(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Describe a value for error messages
+   * @param {*} value - Value
+   * @returns {string} Short description
+   */
+  _describe(value) {
+    const json = JSON.stringify(value);
+    const text = json === undefined ? String(value) : json;
+    return `${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value} ${text.length > 40 ? `${text.slice(0, 40)}...` : text}`;
+  }
+
+  /**
+   * Get the source of a configuration value
+   * @param {string} keyPath - Configuration path
+   * @returns {string} Source (e.g. "default", "env:PORT", "file:config/server.json")
+   */
+  _sourceOf(keyPath) {
+    if (this.sources[keyPath]) {
+      return this.sources[keyPath];
+    }
+    
+    // Unknown objects are recorded where they were set, unknown categories where their first key was
+    const parent = Object.keys(this.sources)
+      .filter(candidate => keyPath.startsWith(`${candidate}.`))
+      .sort((a, b) => b.length - a.length)[0];
+    const child = Object.keys(this.sources).find(candidate => candidate.startsWith(`${keyPath}.`));
+    
+    return this.sources[parent || child] || 'default';
+  }
+
+  /**
+   * Compare the configuration with a previous one
+   * @param {Object} previousConfig - Configuration before the change
+   * @returns {Array<Object>} Changes ({ path, previous, value, restartRequired }), secrets redacted
+   */
+  _diff(previousConfig) {
+    return this._leaves()
+      .filter(({ parts }) => {
+        const before = JSON.stringify(this._valueAt(previousConfig, parts));
+        const after = JSON.stringify(this._valueAt(this.config, parts));
+        return before !== after;
+      })
+      .map(({ parts, spec }) => this._describeChange(parts, spec, this._valueAt(previousConfig, parts)));
+  }
+
+  /**
+   * Describe a change of one key
+   * @param {Array<string>} parts - Configuration path
+   * @param {Object} spec - Key spec
+   * @param {*} previous - Value before the change
+   * @returns {Object} Change ({ path, previous, value, restartRequired })
+   */
+  _describeChange(parts, spec, previous) {
+    return {
+      path: parts.join('.'),
+      previous: this._redact(previous, spec),
+      value: this._redact(this._valueAt(this.config, parts), spec),
+      restartRequired: spec.restartRequired === true
+    };
+  }
+
+  /**
+   * Publish changed keys so components can react
+   * @param {Array<Object>} changes - Changes from _diff
+   * @param {string} trigger - What caused the change ('reload' or 'set')
+   */
+  _publishChanges(changes, trigger) {
+    this.publish('config:changed', {
+      paths: changes.map(change => change.path),
+      changes,
+      restartRequired: changes.filter(change => change.restartRequired).map(change => change.path),
+      trigger,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * List every key declared in the schema
+   * @returns {Array<Object>} Keys ({ parts, spec }) in schema order
+   */
+  _leaves() {
+    const leaves = [];
+    
+    const walk = (node, parts) => {
+      Object.keys(node).forEach(key => {
+        const spec = node[key];
+        
+        if (this._isSpec(spec)) {
+          leaves.push({ parts: [...parts, key], spec });
+        } else {
+          walk(spec, [...parts, key]);
+        }
+      });
+    };
+    
+    walk(this.schema, []);
+    
+    return leaves;
+  }
+
+  /**
+   * Read a value from a configuration object
+   * @param {Object} config - Configuration object
+   * @param {Array<string>} parts - Configuration path
+   * @returns {*} Value, or undefined if not set
+   */
+  _valueAt(config, parts) {
+    return parts.reduce((value, part) => (this._isPlainObject(value) ? value[part] : undefined), config);
+  }
+
+  /**
+   * Hide a secret value
+   * @param {*} value - Value
+   * @param {Object} spec - Key spec
+   * @returns {*} The value, or '[REDACTED]' for set secrets
+   */
+  _redact(value, spec) {
+    return spec.secret && value ? '[REDACTED]' : value;
+  }
+
   /**
    * Generate a random string
    * @param {number} length - String length
@@ -336,6 +883,7 @@ class ConfigManager extends Component {
 
   /**
    * Set configuration value by path
+   * The value is checked against the schema first
    * @param {string} path - Configuration path (e.g., "server.port")
    * @param {*} value - Configuration value
    * @returns {boolean} True if value was set
@@ -343,31 +891,30 @@ class ConfigManager extends Component {
   set(path, value) {
     try {
       const parts = path.split('.');
+      const node = this._specAt(parts);
       
-      if (parts.length === 0) {
+      if (parts.length < 2 || !node) {
+        console.error(`[${this.name}] Unknown config path ${path}`);
         return false;
       }
       
-      let target = this.config;
+      const errors = this._collectErrors(value, node, parts, 'runtime');
       
-      for (let i = 0; i < parts.length - 1; i++) {
-        const part = parts[i];
-        
-        if (!target[part]) {
-          target[part] = {};
-        }
-        
-        target = target[part];
+      if (errors.length > 0) {
+        console.error(`[${this.name}] Invalid value for ${path}: ${errors.join('; ')}`);
+        return false;
       }
       
-      target[parts[parts.length - 1]] = value;
+      const previous = this._clone(this.config);
+      
+      this._setValue(parts, value, 'runtime');
       
       // Publish configuration change event
-      this.publish('config:changed', {
-        path,
-        value,
-        timestamp: new Date()
-      });
+      const changes = this._diff(previous);
+      
+      if (changes.length > 0) {
+        this._publishChanges(changes, 'set');
+      }
       
       return true;
     } catch (error) {
@@ -378,18 +925,55 @@ class ConfigManager extends Component {
 
   /**
    * Get entire configuration or category
+   * Secret values are redacted unless requested; get() always returns them
    * @param {string} category - Configuration category (optional)
+   * @param {Object} options - Options
+   * @param {boolean} options.includeSecrets - Return secrets in clear (e.g. to open a connection)
    * @returns {Object} Configuration object
    */
-  getConfig(category = null) {
+  getConfig(category = null, options = {}) {
+    const config = this._clone(this.config);
+    
+    if (!options.includeSecrets) {
+      this._leaves()
+        .filter(({ spec }) => spec.secret)
+        .forEach(({ parts, spec }) => {
+          const parent = this._valueAt(config, parts.slice(0, -1));
+          const key = parts[parts.length - 1];
+          
+          if (parent && key in parent) {
+            parent[key] = this._redact(parent[key], spec);
+          }
+        });
+    }
+    
     if (category) {
-      return { ...this.config[category] };
+      return config[category] || {};
     }
     
-    return { ...this.config };
+    return config;
+  }
+
+  /**
+   * Get every configuration key with its value and source
+   * Secret values are redacted
+   * @returns {Array<Object>} Entries ({ path, value, source, restartRequired }) in schema order
+   */
+  getEffectiveConfig() {
+    return this._leaves().map(({ parts, spec }) => {
+      const keyPath = parts.join('.');
+      
+      return {
+        path: keyPath,
+        value: this._redact(this._valueAt(this.config, parts), spec),
+        source: this._sourceOf(keyPath),
+        restartRequired: spec.restartRequired === true
+      };
+    });
   }
 }
 
 // Create and export a singleton instance
 const configManager = new ConfigManager();
-module.exports = configManager;
\ No newline at end of file
+module.exports = configManager;
+module.exports.ConfigValidationError = ConfigValidationError;
\ No newline at end of file
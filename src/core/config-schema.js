@@ -0,0 +1,140 @@
+/**
+ * Configuration Schema - Declares every configuration key
+ * ConfigManager builds its defaults from this schema and rejects unknown keys
+ * and invalid values from every configuration source.
+ *
+ * Each key is described by a spec:
+ *   type            - 'string', 'integer', 'number', 'boolean', 'array', 'object' or 'map'
+ *                     (or a list of types); 'map' is an object with free-form keys
+ *   default         - Default value
+ *   env             - Environment variable read instead of the default when set
+ *   enum            - Allowed values
+ *   min/max         - Bounds for numbers
+ *   items           - Item type of an array
+ *   values          - Value type of a map
+ *   secret          - Redacted whenever the configuration is printed
+ *   placeholders    - Sample values of a secret (e.g. from the committed config.env)
+ *                     that, like the default, are refused in production
+ *   restartRequired - Read once at startup; a reloaded value only applies after a
+ *                     restart of the application (or of the component using it)
+ * An object without a `type` declares a nested group of keys.
+ */
+module.exports = {
+  app: {
+    name: { type: 'string', default: 'ActivityTrackerApp' },
+    version: { type: 'string', default: '1.0.0' },
+    environment: {
+      type: 'string',
+      enum: ['development', 'production', 'test'],
+      default: 'development',
+      env: 'NODE_ENV',
+      restartRequired: true
+    }
+  },
+  server: {
+    port: { type: 'integer', min: 1, max: 65535, default: 3001, env: 'PORT', restartRequired: true },
+    host: { type: 'string', default: 'localhost', env: 'HOST', restartRequired: true },
+    // Max time (ms) to wait for in-flight requests and event handlers on shutdown
+    shutdownTimeout: { type: 'integer', min: 0, default: 10000, env: 'SHUTDOWN_TIMEOUT' },
+    // Origins allowed to call the API ('*' for any; comma-separated in CORS_ORIGINS)
+    corsOrigins: { type: 'array', items: 'string', default: ['*'], env: 'CORS_ORIGINS' }
+  },
+  database: {
+    // "memory" runs on an in-process database (pg-mem) that starts empty, for tests and demos
+    driver: { type: 'string', enum: ['postgres', 'memory'], default: 'postgres', env: 'DB_DRIVER', restartRequired: true },
+    host: { type: 'string', default: 'localhost', env: 'DB_HOST', restartRequired: true },
+    port: { type: 'integer', min: 1, max: 65535, default: 5432, env: 'DB_PORT', restartRequired: true },
+    name: { type: 'string', default: 'activity_tracker', env: 'DB_NAME', restartRequired: true },
+    user: { type: 'string', default: 'postgres', env: 'DB_USER', restartRequired: true },
+    password: { type: 'string', default: 'kermit', env: 'DB_PASSWORD', secret: true, restartRequired: true },
+    // true or a node-postgres ssl options object
+    ssl: { type: ['boolean', 'object'], default: false, env: 'DB_SSL', restartRequired: true },
+    poolSize: { type: 'integer', min: 1, default: 20, env: 'DB_POOL_SIZE', restartRequired: true },
+    idleTimeout: { type: 'integer', min: 0, default: 30000, restartRequired: true },
+    connectionTimeout: { type: 'integer', min: 0, default: 2000, restartRequired: true },
+    // What to do when the live schema differs from src/shared/database/schema.js at startup
+    schemaCheck: { type: 'string', enum: ['strict', 'warn', 'off'], default: 'warn', env: 'DB_SCHEMA_CHECK', restartRequired: true }
+  },
+  security: {
+    jwtSecret: {
+      type: 'string',
+      default: 'your-secret-key',
+      env: 'JWT_SECRET',
+      secret: true,
+      placeholders: ['your_secret_key', 'secret', 'changeme']
+    },
+    jwtExpiration: { type: 'string', default: '7d', env: 'JWT_EXPIRATION' },
+    bcryptRounds: { type: 'integer', min: 4, max: 31, default: 10, env: 'BCRYPT_ROUNDS' },
+    // Usernames granted the admin role (comma-separated in ADMIN_USERS)
+    adminUsers: { type: 'array', items: 'string', default: [], env: 'ADMIN_USERS' }
+  },
+  rateLimit: {
+    // Length of a rate limit window in ms
+    windowMs: { type: 'integer', min: 1000, default: 60000, env: 'RATE_LIMIT_WINDOW', restartRequired: true },
+    // Requests allowed per IP and window on non-auth API routes (0 disables the limit)
+    max: { type: 'integer', min: 0, default: 0, env: 'RATE_LIMIT_MAX' }
+  },
+  email: {
+    host: { type: 'string', default: 'smtp.example.com', env: 'EMAIL_HOST', restartRequired: true },
+    port: { type: 'integer', min: 1, max: 65535, default: 587, env: 'EMAIL_PORT', restartRequired: true },
+    secure: { type: 'boolean', default: false, env: 'EMAIL_SECURE', restartRequired: true },
+    user: { type: 'string', default: '', env: 'EMAIL_USER', restartRequired: true },
+    password: { type: 'string', default: '', env: 'EMAIL_PASSWORD', secret: true, restartRequired: true },
+    from: { type: 'string', default: '"Activity Tracker" <noreply@activitytracker.app>', env: 'EMAIL_FROM' }
+  },
+  logging: {
+    // API request logs are written at info and above
+    level: { type: 'string', enum: ['error', 'warn', 'info', 'http', 'debug'], default: 'info', env: 'LOG_LEVEL' },
+    format: { type: 'string', default: 'combined', env: 'LOG_FORMAT', restartRequired: true },
+    directory: { type: 'string', default: './logs', env: 'LOG_DIR', restartRequired: true }
+  },
+  outbox: {
+    pollInterval: { type: 'integer', min: 100, default: 5000, restartRequired: true },
+    // Days dispatched events are kept for replay (0 keeps them forever)
+    retentionDays: { type: 'integer', min: 0, default: 30, env: 'OUTBOX_RETENTION_DAYS' },
+    // How often (ms) old dispatched events are deleted
+    cleanupInterval: { type: 'integer', min: 1000, default: 3600000, restartRequired: true }
+  },
+  trash: {
+    // Days deleted activities, logs and goals can be restored before they are purged
+    retentionDays: { type: 'integer', min: 1, default: 30, env: 'TRASH_RETENTION_DAYS' },
+    // How often (ms) the purge job runs
+    purgeInterval: { type: 'integer', min: 1000, default: 3600000, restartRequired: true }
+  },
+  archive: {
+    // Months raw logs stay in activity_logs before they are archived (0 keeps them forever)
+    retentionMonths: { type: 'integer', min: 0, default: 0, env: 'LOG_RETENTION_MONTHS' },
+    // Logs moved per transaction
+    batchSize: { type: 'integer', min: 1, default: 1000 },
+    // How often (ms) the archive job runs
+    archiveInterval: { type: 'integer', min: 1000, default: 86400000, restartRequired: true }
+  },
+  components: {
+    // Optional subsystems (APP_COMPONENTS_<NAME>_ENABLED=false to switch off)
+    achievements: {
+      enabled: { type: 'boolean', default: true, env: 'ACHIEVEMENTS_ENABLED', restartRequired: true }
+    },
+    analytics: {
+      enabled: { type: 'boolean', default: true, env: 'ANALYTICS_ENABLED', restartRequired: true }
+    },
+    notifications: {
+      enabled: { type: 'boolean', default: true, env: 'NOTIFICATIONS_ENABLED', restartRequired: true }
+    }
+  },
+  plugins: {
+    directory: { type: 'string', default: './plugins', env: 'PLUGINS_DIR', restartRequired: true },
+    // Plugin name -> true to load it; undiscovered names are ignored
+    enabled: { type: 'map', values: 'boolean', default: {}, restartRequired: true },
+    // Plugin name -> options passed to the plugin component
+    options: { type: 'map', values: 'object', default: {}, restartRequired: true }
+  },
+  features: {
+    // Flag name -> definition ({ enabled, percentage, users, roles, description });
+    // flags stored in the feature_flags table override these
+    flags: { type: 'map', values: 'object', default: {} }
+  },
+  events: {
+    // Payload validation: strict (throw), warn or off; the test profile uses strict
+    validation: { type: 'string', enum: ['strict', 'warn', 'off'], default: 'warn', env: 'EVENT_VALIDATION' }
+  }
+};
\ No newline at end of file
@@ -1,36 +1,87 @@
 /**
  * Event Bus - A central hub for application-wide events
  * Implements the publish-subscribe pattern for loosely coupled components
+ *
+ * Event names are colon-separated segments (e.g. "log:created"). Subscriptions
+ * may use patterns: "*" matches exactly one segment ("log:*", "*:deleted")
+ * and "**" matches any number of segments ("**" receives every event).
  */
 class EventBus {
   constructor() {
     this.events = {};
+    
+    // Pattern subscriptions, keyed by pattern
+    this.patterns = {};
     this.debug = process.env.NODE_ENV === 'development';
+    
+    // Default time (ms) an async handler may take in publishAsync
+    this.handlerTimeout = 5000;
+    
+    // Default retry policy for failing handlers (attempts include the first delivery)
+    this.retryPolicy = {
+      attempts: 1,
+      backoff: 1000,
+      factor: 2,
+      maxDelay: 30000
+    };
+    
+    // Pending retry timers (timer -> { event, subscriber, attempt, dueAt })
+    this.retryTimers = new Map();
+    
+    // Async handlers that haven't settled yet, awaited by drain()
+    this.inFlight = new Set();
+    
+    // Receives deliveries that still fail after all retries
+    this.deadLetterHandler = null;
   }
 
   /**
-   * Subscribe to an event
-   * @param {string} event - Event name
+   * Subscribe to an event or event pattern
+   * Handlers receive the event data and the published event name
+   * @param {string} event - Event name or pattern (e.g. "log:*", "*:deleted", "**")
    * @param {Function} callback - Event handler
    * @param {Object} context - Component instance context
+   * @param {Object} options - Subscription options
+   * @param {number} options.timeout - Handler timeout in ms for publishAsync
+   * @param {Object} options.retry - Retry policy ({ attempts, backoff, factor, maxDelay })
    * @returns {Object} Subscription object with unsubscribe method
    */
-  subscribe(event, callback, context = null) {
-    if (!this.events[event]) {
-      this.events[event] = [];
+  subscribe(event, callback, context = null, options = {}) {
+    const isPattern = this.isPattern(event);
+    const registry = isPattern ? this.patterns : this.events;
+    
+    if (!registry[event]) {
+      registry[event] = [];
     }
 
-    const subscription = { callback, context };
-    this.events[event].push(subscription);
+    const subscription = {
+      callback,
+      context,
+      timeout: options.timeout || null,
+      retry: options.retry || null,
+      matcher: isPattern ? this._compilePattern(event) : null,
+      active: true
+    };
+    registry[event].push(subscription);
 
     if (this.debug) {
-      console.log(`[EventBus] Subscribed to "${event}"`);
+      console.log(`[EventBus] Subscribed to ${isPattern ? 'pattern ' : ''}"${event}"`);
     }
 
     // Return unsubscribe method
     return {
+      event,
       unsubscribe: () => {
-        this.events[event] = this.events[event].filter(sub => sub !== subscription);
+        subscription.active = false;
+        
+        if (!registry[event]) return;
+        
+        registry[event] = registry[event].filter(sub => sub !== subscription);
+        
+        if (registry[event].length === 0) {
+          delete registry[event];
+        }
+        
         if (this.debug) {
           console.log(`[EventBus] Unsubscribed from "${event}"`);
         }
@@ -45,7 +96,9 @@ class EventBus {
    * @returns {boolean} True if event was published
    */
   publish(event, data = null) {
-    if (!this.events[event]) {
+    const subscriptions = this._getSubscriptions(event);
+    
+    if (subscriptions.length === 0) {
       if (this.debug) {
         console.log(`[EventBus] No subscribers for "${event}"`);
       }
@@ -56,23 +109,415 @@ class EventBus {
       console.log(`[EventBus] Publishing "${event}" with data:`, data);
     }
 
-    this.events[event].forEach(subscription => {
-      const { callback, context } = subscription;
-      if (context) {
-        callback.call(context, data);
+    subscriptions.forEach(subscription => {
+      // Isolate handlers so one failure doesn't stop the rest
+      try {
+        const result = this._invoke(subscription, data, event);
+        
+        // Async handlers are not awaited here, but must not reject silently
+        if (result && typeof result.then === 'function') {
+          this._track(event, subscription, result);
+          
+          result.catch(error => {
+            this._logHandlerError(event, subscription, error, data);
+            this._handleFailure(event, subscription, data, error, 1);
+          });
+        }
+      } catch (error) {
+        this._logHandlerError(event, subscription, error, data);
+        this._handleFailure(event, subscription, data, error, 1);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Publish an event and wait for every subscriber to finish
+   * Each handler runs in isolation with its own timeout
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   * @param {Object} options - Publish options
+   * @param {number} options.timeout - Timeout in ms overriding the subscription/bus default
+   * @returns {Promise<Object>} Delivery report with a result per subscriber
+   */
+  async publishAsync(event, data = null, options = {}) {
+    const subscriptions = this._getSubscriptions(event);
+    
+    const report = {
+      event,
+      subscribers: subscriptions.length,
+      succeeded: 0,
+      failed: 0,
+      timedOut: 0,
+      results: []
+    };
+    
+    if (subscriptions.length === 0) {
+      if (this.debug) {
+        console.log(`[EventBus] No subscribers for "${event}"`);
+      }
+      return report;
+    }
+
+    if (this.debug) {
+      console.log(`[EventBus] Publishing "${event}" (async) with data:`, data);
+    }
+
+    report.results = await Promise.all(subscriptions.map(subscription => {
+      const timeout = options.timeout || subscription.timeout || this.handlerTimeout;
+      return this._deliver(event, subscription, data, timeout);
+    }));
+    
+    report.results.forEach(result => {
+      if (result.status === 'fulfilled') {
+        report.succeeded++;
+      } else if (result.status === 'timeout') {
+        report.timedOut++;
       } else {
-        callback(data);
+        report.failed++;
       }
     });
 
+    return report;
+  }
+
+  /**
+   * Deliver an event to one named subscriber again
+   * Used to retry dead letters; failures are reported but not retried
+   * @param {string} event - Event name
+   * @param {string} subscriber - Subscriber name as reported in delivery results
+   * @param {*} data - Event data
+   * @returns {Promise<Object>} Subscriber result
+   */
+  async redeliver(event, subscriber, data = null) {
+    const subscription = this._getSubscriptions(event)
+      .find(sub => this._describe(sub) === subscriber);
+    
+    if (!subscription) {
+      throw new Error(`Subscriber "${subscriber}" is not subscribed to "${event}"`);
+    }
+    
+    const timeout = subscription.timeout || this.handlerTimeout;
+    return this._deliver(event, subscription, data, timeout, { manual: true });
+  }
+
+  /**
+   * Deliver an event to a single subscriber and record the outcome
+   * Failures are retried according to the subscription's retry policy. A
+   * timed-out handler keeps running, so it is only retried (or dead-lettered)
+   * if it fails in the end; one that finishes late counts as delivered.
+   * @param {string} event - Event name
+   * @param {Object} subscription - Subscription object
+   * @param {*} data - Event data
+   * @param {number} timeout - Timeout in ms
+   * @param {Object} options - Delivery options
+   * @param {number} options.attempt - Attempt number, starting at 1
+   * @param {boolean} options.manual - Skip retries and dead-lettering
+   * @returns {Promise<Object>} Subscriber result
+   * @private
+   */
+  async _deliver(event, subscription, data, timeout, options = {}) {
+    const { attempt = 1, manual = false } = options;
+    const start = Date.now();
+    const result = {
+      subscriber: this._describe(subscription),
+      status: 'fulfilled',
+      attempt,
+      duration: 0,
+      error: null
+    };
+    
+    let timer = null;
+    let handlerPromise = null;
+    
+    try {
+      const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`Handler timed out after ${timeout}ms`);
+          error.name = 'TimeoutError';
+          reject(error);
+        }, timeout);
+      });
+      
+      // Wrap in a promise so synchronous throws are caught too
+      handlerPromise = new Promise(resolve => {
+        resolve(this._invoke(subscription, data, event));
+      });
+      
+      // Tracked separately from the timeout: a timed-out handler may still be running
+      this._track(event, subscription, handlerPromise);
+      
+      await Promise.race([handlerPromise, timeoutPromise]);
+    } catch (error) {
+      result.status = error.name === 'TimeoutError' ? 'timeout' : 'rejected';
+      result.error = error.message;
+      this._logHandlerError(event, subscription, error, data);
+      
+      if (!manual && result.status === 'timeout') {
+        // Retrying while the first run is still going could apply the event twice
+        handlerPromise.catch(handlerError => {
+          this._logHandlerError(event, subscription, handlerError, data);
+          this._handleFailure(event, subscription, data, handlerError, attempt);
+        });
+      } else if (!manual) {
+        result.retrying = this._handleFailure(event, subscription, data, error, attempt);
+      }
+    } finally {
+      clearTimeout(timer);
+      result.duration = Date.now() - start;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Retry a failed delivery or hand it to the dead-letter handler
+   * @param {string} event - Event name
+   * @param {Object} subscription - Subscription object
+   * @param {*} data - Event data
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Number of the failed attempt
+   * @returns {boolean} True if another attempt was scheduled
+   * @private
+   */
+  _handleFailure(event, subscription, data, error, attempt) {
+    const policy = { ...this.retryPolicy, ...(subscription.retry || {}) };
+    
+    if (attempt >= policy.attempts) {
+      this._deadLetter(event, subscription, data, error, attempt);
+      return false;
+    }
+    
+    // Exponential backoff: backoff, backoff * factor, backoff * factor^2, ...
+    const delay = Math.min(policy.backoff * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+    
+    if (this.debug) {
+      console.log(`[EventBus] Retrying ${this._describe(subscription)} for "${event}" in ${delay}ms (attempt ${attempt + 1}/${policy.attempts})`);
+    }
+    
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      
+      if (!subscription.active) {
+        this._deadLetter(event, subscription, data, new Error('Subscriber unsubscribed before retry'), attempt);
+        return;
+      }
+      
+      const timeout = subscription.timeout || this.handlerTimeout;
+      this._deliver(event, subscription, data, timeout, { attempt: attempt + 1 });
+    }, delay);
+    
+    this.retryTimers.set(timer, {
+      event,
+      subscriber: this._describe(subscription),
+      attempt: attempt + 1,
+      dueAt: Date.now() + delay
+    });
+    
     return true;
   }
 
+  /**
+   * Track an async handler until it settles
+   * @param {string} event - Event name
+   * @param {Object} subscription - Subscription object
+   * @param {Promise} promise - Handler promise
+   * @private
+   */
+  _track(event, subscription, promise) {
+    const entry = {
+      event,
+      subscriber: this._describe(subscription),
+      startedAt: Date.now()
+    };
+    
+    const settle = () => this.inFlight.delete(entry);
+    
+    this.inFlight.add(entry);
+    promise.then(settle, settle);
+  }
+
+  /**
+   * Get async handlers still running and retries still scheduled
+   * @returns {Object} Outstanding work ({ handlers, retries })
+   */
+  getPending() {
+    const now = Date.now();
+    
+    return {
+      handlers: [...this.inFlight].map(entry => ({
+        event: entry.event,
+        subscriber: entry.subscriber,
+        runningFor: now - entry.startedAt
+      })),
+      retries: [...this.retryTimers.values()].map(retry => ({
+        event: retry.event,
+        subscriber: retry.subscriber,
+        attempt: retry.attempt,
+        dueIn: Math.max(0, retry.dueAt - now)
+      }))
+    };
+  }
+
+  /**
+   * Wait for running async handlers and scheduled retries to finish
+   * Used during shutdown so handlers aren't cut off mid-transaction
+   * @param {number} timeout - Max time to wait in ms
+   * @returns {Promise<Object>} Work still outstanding at the deadline ({ handlers, retries })
+   */
+  async drain(timeout) {
+    const deadline = Date.now() + timeout;
+    
+    while ((this.inFlight.size > 0 || this.retryTimers.size > 0) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    
+    return this.getPending();
+  }
+
+  /**
+   * Hand a delivery that exhausted its retries to the dead-letter handler
+   * @param {string} event - Event name
+   * @param {Object} subscription - Subscription object
+   * @param {*} data - Event data
+   * @param {Error} error - Last error
+   * @param {number} attempts - Number of attempts made
+   * @private
+   */
+  _deadLetter(event, subscription, data, error, attempts) {
+    const entry = {
+      event,
+      data,
+      subscriber: this._describe(subscription),
+      error: error ? error.message : 'Unknown error',
+      stack: error ? error.stack : null,
+      attempts,
+      timestamp: new Date()
+    };
+    
+    if (!this.deadLetterHandler) {
+      console.error(`[EventBus] Dead letter: ${entry.subscriber} failed "${event}" after ${attempts} attempt(s)`);
+      return;
+    }
+    
+    Promise.resolve()
+      .then(() => this.deadLetterHandler(entry))
+      .catch(handlerError => {
+        console.error('[EventBus] Error storing dead letter:', handlerError, entry);
+      });
+  }
+
+  /**
+   * Call a subscription handler with its context
+   * @param {Object} subscription - Subscription object
+   * @param {*} data - Event data
+   * @param {string} event - Published event name
+   * @returns {*} Handler return value
+   * @private
+   */
+  _invoke(subscription, data, event) {
+    const { callback, context } = subscription;
+    return context ? callback.call(context, data, event) : callback(data, event);
+  }
+
+  /**
+   * Get all subscriptions for an event, exact and pattern matches
+   * @param {string} event - Event name
+   * @returns {Array<Object>} Subscription objects
+   * @private
+   */
+  _getSubscriptions(event) {
+    const subscriptions = this.events[event] ? [...this.events[event]] : [];
+    
+    Object.keys(this.patterns).forEach(pattern => {
+      this.patterns[pattern].forEach(subscription => {
+        if (subscription.matcher.test(event)) {
+          subscriptions.push(subscription);
+        }
+      });
+    });
+    
+    return subscriptions;
+  }
+
+  /**
+   * Check whether an event name matches a subscription name or pattern
+   * @param {string} pattern - Event name or pattern
+   * @param {string} event - Event name
+   * @returns {boolean} True if the event would be delivered to the subscription
+   */
+  matches(pattern, event) {
+    return this.isPattern(pattern) ? this._compilePattern(pattern).test(event) : pattern === event;
+  }
+
+  /**
+   * Check whether an event name is a subscription pattern
+   * @param {string} event - Event name or pattern
+   * @returns {boolean} True if the name contains wildcards
+   */
+  isPattern(event) {
+    return event.includes('*');
+  }
+
+  /**
+   * Compile a subscription pattern into a regular expression
+   * @param {string} pattern - Event pattern
+   * @returns {RegExp} Matcher for event names
+   * @private
+   */
+  _compilePattern(pattern) {
+    const source = pattern
+      .split(':')
+      .map(segment => {
+        if (segment === '**') return '.+';
+        
+        return segment
+          .split('*')
+          .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('[^:]*');
+      })
+      .join(':');
+    
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Get a readable name for a subscriber
+   * @param {Object} subscription - Subscription object
+   * @returns {string} Subscriber name
+   * @private
+   */
+  _describe(subscription) {
+    const { callback, context } = subscription;
+    const handlerName = (callback.name || 'anonymous').replace(/^bound /, '');
+    return context && context.name ? `${context.name}.${handlerName}` : handlerName;
+  }
+
+  /**
+   * Log a handler failure
+   * @param {string} event - Event name
+   * @param {Object} subscription - Subscription object
+   * @param {Error} error - Handler error
+   * @param {*} data - Event data (its requestId is included in the log)
+   * @private
+   */
+  _logHandlerError(event, subscription, error, data = null) {
+    const requestId = data && data.requestId ? ` [${data.requestId}]` : '';
+    console.error(`[EventBus]${requestId} Handler ${this._describe(subscription)} failed for "${event}":`, error);
+  }
+
   /**
    * Clear all subscriptions for testing or hot reloading
+   * Scheduled retries are cancelled and running handlers are no longer awaited by drain()
    */
   clear() {
     this.events = {};
+    this.patterns = {};
+    
+    this.retryTimers.forEach((retry, timer) => clearTimeout(timer));
+    this.retryTimers.clear();
+    this.inFlight.clear();
     if (this.debug) {
       console.log('[EventBus] Cleared all subscriptions');
     }
@@ -87,7 +532,31 @@ class EventBus {
   }
 
   /**
-   * Get the list of registered events and their subscriber counts
+   * Set the default handler timeout used by publishAsync
+   * @param {number} timeout - Timeout in ms
+   */
+  setHandlerTimeout(timeout) {
+    this.handlerTimeout = timeout;
+  }
+
+  /**
+   * Set the default retry policy for subscriptions without their own
+   * @param {Object} policy - Retry policy ({ attempts, backoff, factor, maxDelay })
+   */
+  setRetryPolicy(policy) {
+    this.retryPolicy = { ...this.retryPolicy, ...policy };
+  }
+
+  /**
+   * Set the handler that stores deliveries which failed every attempt
+   * @param {Function|null} handler - Called with a dead-letter entry
+   */
+  setDeadLetterHandler(handler) {
+    this.deadLetterHandler = handler;
+  }
+
+  /**
+   * Get the list of registered events with their subscriber counts
    * @returns {Object} Event statistics
    */
   getStats() {
@@ -99,6 +568,20 @@ class EventBus {
     
     return stats;
   }
+
+  /**
+   * Get the list of subscribed patterns with their subscriber counts
+   * @returns {Object} Pattern statistics
+   */
+  getPatternStats() {
+    const stats = {};
+    
+    Object.keys(this.patterns).forEach(pattern => {
+      stats[pattern] = this.patterns[pattern].length;
+    });
+    
+    return stats;
+  }
 }
 
 // Create and export a singleton instance
@@ -0,0 +1,240 @@
+/**
+ * Event Registry - Declares the payload schema of every application event
+ * Used by Component.publish to validate payloads before they reach the bus
+ *
+ * A schema maps payload fields to a type spec string:
+ *   'string', 'number', 'boolean', 'date', 'id', 'object', 'array', 'any'
+ * A trailing '?' marks the field optional and '|' allows alternatives
+ * (e.g. 'number|string?'). 'id' accepts an integer or a numeric string,
+ * 'date' accepts a Date or an ISO date string (payloads read back from the outbox).
+ */
+
+/**
+ * Error thrown when an event payload does not match its schema in strict mode
+ */
+class EventValidationError extends Error {
+  /**
+   * @param {string} event - Event name
+   * @param {Array<string>} errors - Validation errors
+   */
+  constructor(event, errors) {
+    super(`Invalid payload for event "${event}": ${errors.join('; ')}`);
+    this.name = 'EventValidationError';
+    this.event = event;
+    this.details = errors;
+  }
+}
+
+// Fields every event may carry without declaring them
+const ENVELOPE = {
+  timestamp: 'date?',
+  replayed: 'boolean?',
+  // Correlation ID of the HTTP request that caused the event
+  requestId: 'string?',
+  // Changed row as { before, after }, as read and written by the publisher
+  snapshot: 'object?'
+};
+
+const MODES = ['strict', 'warn', 'off'];
+
+class EventRegistry {
+  constructor() {
+    this.definitions = new Map();
+    this.mode = process.env.NODE_ENV === 'test' ? 'strict' : 'warn';
+    
+    // Unregistered events we've already warned about
+    this.warnedUnknown = new Set();
+  }
+
+  /**
+   * Declare an event
+   * @param {string} event - Event name
+   * @param {Object} definition - Event definition
+   * @param {string} definition.description - What the event means
+   * @param {Object} definition.schema - Payload schema (field -> type spec)
+   * @param {Array<string>} definition.publishers - Components expected to publish the event
+   * @returns {EventRegistry} For method chaining
+   */
+  define(event, definition = {}) {
+    this.definitions.set(event, {
+      name: event,
+      description: definition.description || '',
+      schema: definition.schema || {},
+      publishers: definition.publishers || []
+    });
+    
+    return this;
+  }
+
+  /**
+   * Declare several events at once
+   * @param {Object} definitions - Map of event name to definition
+   * @returns {EventRegistry} For method chaining
+   */
+  defineAll(definitions) {
+    Object.keys(definitions).forEach(event => this.define(event, definitions[event]));
+    return this;
+  }
+
+  /**
+   * Get an event definition
+   * @param {string} event - Event name
+   * @returns {Object|null} Event definition
+   */
+  get(event) {
+    return this.definitions.get(event) || null;
+  }
+
+  /**
+   * List all event definitions
+   * @returns {Array<Object>} Event definitions sorted by name
+   */
+  list() {
+    return [...this.definitions.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Set the validation mode
+   * @param {string} mode - 'strict' (throw), 'warn' (log) or 'off'
+   */
+  setMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown event validation mode "${mode}", expected one of ${MODES.join(', ')}`);
+    }
+    
+    this.mode = mode;
+  }
+
+  /**
+   * Validate a payload against its event schema
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   * @returns {Array<string>} Validation errors (empty when valid or unregistered)
+   */
+  validate(event, data) {
+    const definition = this.get(event);
+    
+    if (!definition) {
+      return [];
+    }
+    
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return ['payload must be an object'];
+    }
+    
+    const errors = [];
+    const schema = { ...ENVELOPE, ...definition.schema };
+    
+    Object.keys(schema).forEach(field => {
+      const { types, optional } = this._parseSpec(schema[field]);
+      const value = data[field];
+      
+      if (value === undefined || value === null) {
+        if (!optional) {
+          errors.push(`missing required field "${field}"`);
+        }
+        return;
+      }
+      
+      if (!types.some(type => this._matchesType(type, value))) {
+        errors.push(`field "${field}" should be ${types.join(' or ')}`);
+      }
+    });
+    
+    Object.keys(data).forEach(field => {
+      if (!(field in schema)) {
+        errors.push(`unexpected field "${field}"`);
+      }
+    });
+    
+    return errors;
+  }
+
+  /**
+   * Check a payload before publishing
+   * Throws in strict mode, logs a warning in warn mode
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   * @param {string} publisher - Publishing component name (for messages)
+   * @returns {boolean} True if the payload is valid
+   */
+  check(event, data, publisher = null) {
+    if (this.mode === 'off') {
+      return true;
+    }
+    
+    if (!this.definitions.has(event)) {
+      if (!this.warnedUnknown.has(event)) {
+        this.warnedUnknown.add(event);
+        console.warn(`[EventRegistry] Event "${event}" has no registered schema${publisher ? ` (published by ${publisher})` : ''}`);
+      }
+      return true;
+    }
+    
+    const errors = this.validate(event, data);
+    
+    if (errors.length === 0) {
+      return true;
+    }
+    
+    const error = new EventValidationError(event, errors);
+    
+    if (this.mode === 'strict') {
+      throw error;
+    }
+    
+    console.warn(`[EventRegistry] ${error.message}${publisher ? ` (published by ${publisher})` : ''}`);
+    return false;
+  }
+
+  /**
+   * Parse a type spec string
+   * @param {string} spec - Type spec (e.g. 'number|string?')
+   * @returns {Object} Allowed types and whether the field is optional
+   * @private
+   */
+  _parseSpec(spec) {
+    const optional = spec.endsWith('?');
+    const types = (optional ? spec.slice(0, -1) : spec).split('|');
+    return { types, optional };
+  }
+
+  /**
+   * Check a value against a single type
+   * @param {string} type - Type name
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the value matches
+   * @private
+   */
+  _matchesType(type, value) {
+    switch (type) {
+      case 'any':
+        return true;
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number' && !isNaN(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'id':
+        return (typeof value === 'number' && Number.isInteger(value)) ||
+          (typeof value === 'string' && /^\d+$/.test(value));
+      case 'date':
+        return (value instanceof Date && !isNaN(value.getTime())) ||
+          (typeof value === 'string' && !isNaN(Date.parse(value)));
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      default:
+        throw new Error(`Unknown schema type "${type}"`);
+    }
+  }
+}
+
+// Create and export a singleton instance with the application's events
+const eventRegistry = new EventRegistry();
+eventRegistry.defineAll(require('../shared/events/schemas'));
+
+module.exports = eventRegistry;
+module.exports.EventValidationError = EventValidationError;
\ No newline at end of file
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named <version>_<name>.js (e.g. 001_baseline.js)
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Key of the Postgres advisory lock held while a migration runs
+const LOCK_ID = 7346201;
+
+/**
+ * Error raised for invalid migration files or a failed migration
+ */
+class MigrationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} migration - Migration the error is about (optional)
+   */
+  constructor(message, migration = null) {
+    super(migration ? `${migration.id}: ${message}` : message);
+    this.name = 'MigrationError';
+    this.migration = migration ? migration.id : null;
+  }
+}
+
+/**
+ * Migrator - Applies and reverts numbered schema migrations
+ *
+ * A migration module exports:
+ *   description  - What the migration changes
+ *   up(client)   - Apply the change
+ *   down(client) - Revert it
+ * Both run inside a transaction together with the schema_migrations update,
+ * so a failing migration leaves neither the schema nor the history changed.
+ * The checksum of each applied file is recorded, so status() can report
+ * migrations edited after they were applied.
+ */
+class Migrator {
+  /**
+   * Create a new migrator
+   * @param {Object} db - Database component (query and transaction)
+   * @param {Object} options - Migrator options
+   * @param {string} options.directory - Directory with the migration files
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.directory = options.directory || path.join(__dirname, '..', 'migrations');
+  }
+
+  /**
+   * Load the migration files
+   * @returns {Array<Object>} Migrations ({ version, name, id, checksum, description, up, down }) by version
+   * @throws {MigrationError} If a file is invalid or two files share a version
+   */
+  load() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    
+    const migrations = fs.readdirSync(this.directory)
+      .filter(file => FILE_PATTERN.test(file))
+      .map(file => {
+        const [, version, name] = file.match(FILE_PATTERN);
+        const filePath = path.join(this.directory, file);
+        const migration = {
+          version: parseInt(version, 10),
+          name,
+          id: path.basename(file, '.js')
+        };
+        
+        const definition = require(filePath);
+        
+        if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+          throw new MigrationError('must export up() and down() functions', migration);
+        }
+        
+        return {
+          ...migration,
+          checksum: this._checksum(filePath),
+          description: definition.description || '',
+          up: definition.up,
+          down: definition.down
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+    
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new MigrationError(`has the same version as ${migrations[index - 1].id}`, migration);
+      }
+    });
+    
+    return migrations;
+  }
+
+  /**
+   * Compute the checksum of a migration file
+   * Line endings are normalized so a checkout with CRLF endings matches
+   * @param {string} filePath - Migration file
+   * @returns {string} SHA-256 hex digest
+   */
+  _checksum(filePath) {
+    const source = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  /**
+   * Create the migration history table if it doesn't exist
+   * Tables created before checksums were recorded get the column added
+   * @returns {Promise<void>}
+   */
+  async _ensureTable() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        duration_ms INTEGER,
+        checksum VARCHAR(64)
+      )
+    `);
+    
+    await this.db.query('ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64)');
+  }
+
+  /**
+   * Get the applied migrations
+   * Read-only: a database without schema_migrations has none applied
+   * @returns {Promise<Array<Object>>} schema_migrations rows by version
+   */
+  async getApplied() {
+    const table = await this.db.query("SELECT to_regclass('schema_migrations') AS name");
+    
+    if (!table.rows[0].name) {
+      return [];
+    }
+    
+    const result = await this.db.query('SELECT * FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  /**
+   * Get the state of every migration
+   * A migration is modified when its file no longer matches the checksum
+   * recorded when it was applied (rows applied without one are never modified)
+   * @returns {Promise<Object>} Status ({ current, pending, migrations, missing, modified })
+   */
+  async status() {
+    const migrations = this.load();
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    
+    const isModified = migration => {
+      const row = appliedByVersion.get(migration.version);
+      return Boolean(row && row.checksum && row.checksum !== migration.checksum);
+    };
+    
+    return {
+      // Latest applied version (0 when none)
+      current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      pending: migrations.filter(migration => !appliedByVersion.has(migration.version)).length,
+      migrations: migrations.map(migration => ({
+        version: migration.version,
+        id: migration.id,
+        description: migration.description,
+        applied: appliedByVersion.has(migration.version),
+        appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null,
+        modified: isModified(migration)
+      })),
+      // Applied versions whose file no longer exists
+      missing: applied
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+      // Applied migrations whose file changed since
+      modified: migrations
+        .filter(isModified)
+        .map(migration => ({ version: migration.version, id: migration.id }))
+    };
+  }
+
+  /**
+   * Apply pending migrations in version order
+   * Stops at the first failure; migrations applied before it stay applied
+   * @param {Object} options - Options
+   * @param {number} options.to - Last version to apply (default: all)
+   * @returns {Promise<Array<Object>>} Applied migrations ({ id, duration })
+   * @throws {MigrationError} If a migration fails
+   */
+  async up(options = {}) {
+    const { to = Infinity } = options;
+    
+    await this._ensureTable();
+    const applied = new Set((await this.getApplied()).map(row => row.version));
+    
+    const pending = this.load()
+      .filter(migration => !applied.has(migration.version) && migration.version <= to);
+    
+    const results = [];
+    
+    for (const migration of pending) {
+      results.push(await this._run(migration, 'up'));
+    }
+    
+    return results;
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - Options
+   * @param {number} options.steps - Number of migrations to revert (default 1)
+   * @param {number} options.to - Revert everything after this version instead (0 reverts all)
+   * @returns {Promise<Array<Object>>} Reverted migrations ({ id, duration })
+   * @throws {MigrationError} If a migration file is missing or a migration fails
+   */
+  async down(options = {}) {
+    const { steps = 1, to = null } = options;
+    const migrations = this.load();
+    
+    const applied = (await this.getApplied()).reverse();
+    const toRevert = to !== null
+      ? applied.filter(row => row.version > to)
+      : applied.slice(0, steps);
+    
+    const results = [];
+    
+    for (const row of toRevert) {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      
+      if (!migration) {
+        throw new MigrationError(`Cannot revert migration ${row.version} (${row.name}): its file is missing`);
+      }
+      
+      results.push(await this._run(migration, 'down'));
+    }
+    
+    return results;
+  }
+
+  /**
+   * Run one migration in a transaction and record it in schema_migrations
+   * @param {Object} migration - Migration
+   * @param {string} direction - 'up' or 'down'
+   * @returns {Promise<Object>} Result ({ id, direction, duration })
+   * @throws {MigrationError} If the migration fails
+   */
+  async _run(migration, direction) {
+    const startTime = Date.now();
+    
+    try {
+      await this.db.transaction(async (client) => {
+        // Serialize migrators running against the same database
+        await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_ID]);
+        
+        const existing = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+        
+        // Another migrator got here first
+        if ((direction === 'up') === (existing.rows.length > 0)) {
+          return;
+        }
+        
+        await migration[direction](client);
+        
+        if (direction === 'up') {
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, duration_ms, checksum) VALUES ($1, $2, $3, $4)',
+            [migration.version, migration.name, Date.now() - startTime, migration.checksum]
+          );
+        } else {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+      });
+    } catch (error) {
+      throw new MigrationError(`${direction} failed: ${error.message}`, migration);
+    }
+    
+    const duration = Date.now() - startTime;
+    console.log(`[Migrator] ${direction === 'up' ? 'Applied' : 'Reverted'} ${migration.id} (${duration}ms)`);
+    
+    return { id: migration.id, direction, duration };
+  }
+}
+
+module.exports = Migrator;
+module.exports.MigrationError = MigrationError;
\ No newline at end of file
@@ -1,5 +1,10 @@
 const eventBus = require('./event-bus');
+const eventRegistry = require('./event-registry');
 const Component = require('./component-class');
+const PluginLoader = require('./plugin-loader');
+
+// Health states from best to worst
+const HEALTH_STATES = ['healthy', 'degraded', 'unhealthy'];
 
 /**
  * Application Orchestrator
@@ -16,11 +21,17 @@ class Orchestrator extends Component {
     // Component registry
     this.components = new Map();
     
-    // Component initialization order
-    this.initOrder = options.initOrder || [];
+    // Component initialization order, computed from dependencies at init
+    this.initOrder = [];
+    
+    // Loaded plugins by name ({ manifest, routes })
+    this.plugins = new Map();
     
-    // Startup dependencies
-    this.dependencies = options.dependencies || {};
+    // Name of the component currently being restarted
+    this.restarting = null;
+    
+    // Max time a component health check may take before it counts as unhealthy
+    this.healthCheckTimeout = options.healthCheckTimeout || 2000;
     
     // Track health status
     this.health = {
@@ -31,6 +42,16 @@ class Orchestrator extends Component {
     };
   }
 
+  /**
+   * Register event handlers
+   * The application shuts the orchestrator down explicitly, so unlike other
+   * components it doesn't listen for app:shutdown
+   */
+  registerEvents() {
+    this.subscribe('component:initialized', this._handleComponentInitialized.bind(this));
+    this.subscribe('component:error', this._handleComponentError.bind(this));
+  }
+
   /**
    * Register a component
    * @param {string} name - Component name
@@ -49,10 +70,8 @@ class Orchestrator extends Component {
       initialized: false
     });
     
-    // Add to initialization order if not already present
-    if (!this.initOrder.includes(name)) {
-      this.initOrder.push(name);
-    }
+    // Lifecycle is driven by the orchestrator from now on
+    component.orchestrated = true;
     
     if (this.debug) {
       console.log(`[Orchestrator] Registered component "${name}"`);
@@ -61,60 +80,107 @@ class Orchestrator extends Component {
     return this;
   }
 
+  /**
+   * Discover plugins and register the enabled ones as components
+   * @param {string} directory - Plugins directory
+   * @param {Object} settings - Plugin settings
+   * @param {Object} settings.enabled - Plugin name -> boolean; plugins not listed stay disabled
+   * @param {Object} settings.options - Plugin name -> options passed to the plugin component
+   * @returns {Array<string>} Names of the registered plugins
+   * @throws {PluginError} If an enabled plugin can't be loaded
+   */
+  loadPlugins(directory, settings = {}) {
+    const loader = new PluginLoader(directory);
+    
+    // Names are matched case-insensitively so APP_PLUGINS_ENABLED_<NAME> works
+    const lookup = (map, name) => {
+      const key = Object.keys(map || {}).find(key => key.toLowerCase() === name.toLowerCase());
+      return key ? map[key] : undefined;
+    };
+    
+    const isEnabled = name => lookup(settings.enabled, name) === true;
+    const registered = [];
+    
+    // Only enabled plugins need a valid manifest
+    for (const manifest of loader.discover(isEnabled)) {
+      if (!isEnabled(manifest.name)) {
+        console.log(`[Orchestrator] Plugin "${manifest.name}" is disabled, skipping`);
+        continue;
+      }
+      
+      const plugin = loader.load(manifest, {
+        debug: this.debug,
+        ...(lookup(settings.options, manifest.name) || {})
+      });
+      
+      this.register(manifest.name, plugin.component, manifest.dependencies);
+      this.plugins.set(manifest.name, {
+        manifest,
+        routes: plugin.routes
+      });
+      
+      registered.push(manifest.name);
+      console.log(`[Orchestrator] Loaded plugin "${manifest.name}"${manifest.version ? ` v${manifest.version}` : ''}`);
+    }
+    
+    return registered;
+  }
+
+  /**
+   * Get the routes contributed by loaded plugins
+   * @returns {Array<Object>} Route mounts ({ plugin, path, factory, component })
+   */
+  getPluginRoutes() {
+    return [...this.plugins.entries()]
+      .filter(([, plugin]) => plugin.routes)
+      .map(([name, plugin]) => ({
+        plugin: name,
+        path: plugin.routes.path,
+        factory: plugin.routes.factory,
+        component: this.getComponent(name)
+      }));
+  }
+
   /**
    * Initialize all components in dependency order
+   * Each component starts as soon as all of its dependencies are initialized,
+   * so components that don't depend on each other initialize concurrently
    * @returns {Promise<boolean>} True if all components initialized successfully
+   * @throws {Error} If a dependency is missing or circular, or a component fails
    */
   async _init() {
+    const pending = new Map();
+    
     try {
       this.health.startTime = new Date();
       this.health.status = 'starting';
       
-      // Subscribe to component initialization events
-      this.subscribe('component:initialized', this._handleComponentInitialized.bind(this));
-      this.subscribe('component:error', this._handleComponentError.bind(this));
+      // Validates dependencies and throws on cycles before anything starts
+      this.initOrder = this._computeInitOrder();
       
-      // Compute dependency order if not provided
-      if (this.initOrder.length === 0) {
-        this.initOrder = this._computeInitOrder();
+      if (this.debug) {
+        console.log(`[Orchestrator] Initialization order: ${this.initOrder.join(' -> ')}`);
       }
       
-      // Initialize components in order
-      for (const name of this.initOrder) {
-        if (!this.components.has(name)) {
-          console.warn(`[Orchestrator] Component "${name}" in initOrder but not registered, skipping`);
-          continue;
-        }
-        
-        const component = this.components.get(name);
-        
-        // Check if dependencies are initialized
-        for (const depName of component.dependencies) {
-          if (!this.components.has(depName)) {
-            throw new Error(`Component "${name}" depends on "${depName}" which is not registered`);
-          }
-          
-          const dep = this.components.get(depName);
-          if (!dep.initialized) {
-            throw new Error(`Component "${name}" depends on "${depName}" which is not initialized`);
-          }
+      const start = (name) => {
+        if (!pending.has(name)) {
+          const { dependencies } = this.components.get(name);
           
-          // Set dependency reference
-          component.instance.setDependency(depName, dep.instance);
+          // A failed dependency rejects every component that depends on it
+          pending.set(name, Promise.all(dependencies.map(start))
+            .then(() => this._initComponent(name)));
         }
         
-        // Initialize component
-        const success = await component.instance.init();
-        component.initialized = success;
-        
-        this.health.components[name] = {
-          initialized: success,
-          initTime: new Date()
-        };
-        
-        if (!success) {
-          throw new Error(`Component "${name}" failed to initialize`);
-        }
+        return pending.get(name);
+      };
+      
+      const results = await Promise.allSettled(this.initOrder.map(start));
+      
+      // Report the first failure in dependency order, which is the root cause
+      const failure = results.find(result => result.status === 'rejected');
+      
+      if (failure) {
+        throw failure.reason;
       }
       
       this.health.status = 'running';
@@ -122,18 +188,52 @@ class Orchestrator extends Component {
       // Notify all components the application is ready
       eventBus.publish('app:ready', {
         timestamp: new Date(),
-        components: [...this.components.keys()]
+        components: [...this.initOrder]
       });
       
       return true;
     } catch (error) {
-      console.error('[Orchestrator] Error initializing components:', error);
       this.health.status = 'error';
       this.health.lastError = {
         message: error.message,
         timestamp: new Date()
       };
-      return false;
+      
+      // Components that did start (or were still starting) are stopped again
+      await Promise.allSettled(pending.values());
+      await this._shutdownComponents();
+      
+      // Rethrow so init() reports the failure
+      throw error;
+    }
+  }
+
+  /**
+   * Wire up and initialize a single component
+   * Its dependencies must already be initialized
+   * @param {string} name - Component name
+   * @returns {Promise<void>}
+   */
+  async _initComponent(name) {
+    const component = this.components.get(name);
+    
+    // Set dependency references
+    for (const depName of component.dependencies) {
+      component.instance.setDependency(depName, this.components.get(depName).instance);
+    }
+    
+    const startTime = Date.now();
+    const success = await component.instance.init();
+    component.initialized = success;
+    
+    this.health.components[name] = {
+      initialized: success,
+      initTime: new Date(),
+      initDuration: Date.now() - startTime
+    };
+    
+    if (!success) {
+      throw new Error(`Component "${name}" failed to initialize`);
     }
   }
 
@@ -177,34 +277,49 @@ class Orchestrator extends Component {
 
   /**
    * Compute component initialization order based on dependencies
+   * Components are ordered depth-first in registration order, so the result
+   * is stable for a given set of registrations
    * @returns {Array<string>} Ordered component names
+   * @throws {Error} If a dependency is not registered or dependencies form a cycle
    */
   _computeInitOrder() {
     const visited = new Set();
     const order = [];
     
+    // Components on the current DFS path, to report cycles
+    const path = [];
+    
     // Depth-first search for topological sort
     const visit = (name) => {
       if (visited.has(name)) return;
       
-      visited.add(name);
+      const cycleStart = path.indexOf(name);
       
-      if (this.components.has(name)) {
-        const component = this.components.get(name);
-        
-        for (const depName of component.dependencies) {
-          visit(depName);
+      if (cycleStart !== -1) {
+        const cycle = [...path.slice(cycleStart), name];
+        throw new Error(`Circular component dependency: ${cycle.join(' -> ')}`);
+      }
+      
+      path.push(name);
+      
+      const component = this.components.get(name);
+      
+      for (const depName of component.dependencies) {
+        if (!this.components.has(depName)) {
+          throw new Error(`Component "${name}" depends on "${depName}" which is not registered`);
         }
+        
+        visit(depName);
       }
       
+      path.pop();
+      visited.add(name);
       order.push(name);
     };
     
     // Visit all components
     for (const name of this.components.keys()) {
-      if (!visited.has(name)) {
-        visit(name);
-      }
+      visit(name);
     }
     
     return order;
@@ -221,29 +336,159 @@ class Orchestrator extends Component {
   }
 
   /**
-   * Shutdown all components in reverse initialization order
-   * @returns {Promise<boolean>} True if all components shut down successfully
+   * Get the components that depend on a component, directly or transitively
+   * @param {string} name - Component name
+   * @returns {Array<string>} Dependent component names in initialization order
    */
-  async _shutdown() {
+  getDependents(name) {
+    const dependents = new Set();
+    
+    const visit = (target) => {
+      for (const [other, component] of this.components) {
+        if (component.dependencies.includes(target) && !dependents.has(other)) {
+          dependents.add(other);
+          visit(other);
+        }
+      }
+    };
+    
+    visit(name);
+    
+    return this.initOrder.filter(other => dependents.has(other));
+  }
+
+  /**
+   * Restart a component and everything that depends on it
+   * Dependents are shut down first, then all are initialized again in dependency
+   * order and re-injected with their dependencies. Components that opt out with
+   * `restartable = false` (e.g. the HTTP server) are only re-injected.
+   * Requests using these components while they restart may fail.
+   * @param {string} name - Component name
+   * @returns {Promise<Object>} Restart report with a step and health check per component
+   * @throws {Error} If the component is unknown or another restart is in progress
+   */
+  async restart(name) {
+    if (!this.components.has(name)) {
+      throw new Error(`Component "${name}" is not registered`);
+    }
+    
+    if (this.restarting) {
+      throw new Error(`A restart of "${this.restarting}" is already in progress`);
+    }
+    
+    this.restarting = name;
+    const startTime = Date.now();
+    
+    const affected = [name, ...this.getDependents(name)];
+    const steps = new Map(affected.map(component => [component, {
+      component,
+      action: this.components.get(component).instance.restartable === false ? 'reinject' : 'restart',
+      status: 'pending',
+      shutdownDuration: null,
+      initDuration: null,
+      error: null
+    }]));
+    
+    console.log(`[Orchestrator] Restarting ${affected.join(', ')}`);
+    
     try {
-      this.health.status = 'shutting_down';
-      
-      // Shutdown components in reverse order
-      const reverseOrder = [...this.initOrder].reverse();
-      
-      for (const name of reverseOrder) {
-        if (!this.components.has(name)) continue;
+      // Shut down dependents before the components they use
+      for (const componentName of [...affected].reverse()) {
+        const step = steps.get(componentName);
+        const component = this.components.get(componentName);
         
-        const component = this.components.get(name);
-        if (!component.initialized) continue;
+        if (step.action !== 'restart' || !component.initialized) continue;
         
+        const shutdownStart = Date.now();
         const success = await component.instance.shutdown();
-        component.initialized = !success;
+        step.shutdownDuration = Date.now() - shutdownStart;
         
         if (!success) {
-          console.warn(`[Orchestrator] Component "${name}" failed to shut down cleanly`);
+          // Initialize from scratch anyway; a stuck component is why we're restarting.
+          // Its handlers are still subscribed, and init would subscribe them again
+          step.error = 'Shutdown failed';
+          component.instance.unsubscribeAll();
+          component.instance.initialized = false;
+        }
+        
+        component.initialized = false;
+      }
+      
+      // Initialize again in dependency order
+      for (const componentName of affected) {
+        const step = steps.get(componentName);
+        const component = this.components.get(componentName);
+        
+        const failedDependency = component.dependencies
+          .find(dep => steps.has(dep) && ['failed', 'skipped'].includes(steps.get(dep).status));
+        
+        if (failedDependency) {
+          step.status = 'skipped';
+          step.error = `Dependency "${failedDependency}" did not restart`;
+          continue;
         }
+        
+        if (step.action === 'reinject') {
+          component.dependencies.forEach(dep => {
+            component.instance.setDependency(dep, this.components.get(dep).instance);
+          });
+          step.status = 'reinjected';
+          continue;
+        }
+        
+        const initStart = Date.now();
+        
+        try {
+          await this._initComponent(componentName);
+          step.status = 'restarted';
+        } catch (error) {
+          step.status = 'failed';
+          step.error = error.message;
+        }
+        
+        step.initDuration = Date.now() - initStart;
       }
+    } finally {
+      this.restarting = null;
+    }
+    
+    const success = [...steps.values()].every(step => ['restarted', 'reinjected'].includes(step.status));
+    const duration = Date.now() - startTime;
+    
+    const checks = await Promise.all(affected
+      .map(componentName => this._runHealthCheck(componentName, this.components.get(componentName))));
+    
+    this.publish('component:restarted', {
+      name,
+      components: affected,
+      success,
+      duration,
+      timestamp: new Date()
+    });
+    
+    if (!success) {
+      console.error(`[Orchestrator] Restart of "${name}" failed`);
+    }
+    
+    return {
+      component: name,
+      status: success ? 'restarted' : 'failed',
+      duration,
+      steps: [...steps.values()],
+      checks
+    };
+  }
+
+  /**
+   * Shutdown all components in reverse topological order
+   * Every component is shut down before the components it depends on
+   * @returns {Promise<boolean>} True if all components shut down successfully
+   */
+  async _shutdown() {
+    try {
+      this.health.status = 'shutting_down';
+      
+      await this._shutdownComponents();
       
       this.health.status = 'stopped';
       this.health.stopTime = new Date();
@@ -256,6 +501,201 @@ class Orchestrator extends Component {
     }
   }
 
+  /**
+   * Shut down initialized components in reverse initialization order
+   * @returns {Promise<void>}
+   */
+  async _shutdownComponents() {
+    const reverseOrder = [...this.initOrder].reverse();
+    
+    for (const name of reverseOrder) {
+      const component = this.components.get(name);
+      if (!component.initialized) continue;
+      
+      const success = await component.instance.shutdown();
+      component.initialized = !success;
+      
+      if (!success) {
+        console.warn(`[Orchestrator] Component "${name}" failed to shut down cleanly`);
+      }
+    }
+  }
+
+  /**
+   * Build a catalog of every known event with its schema, publishers and subscribers
+   * Combines the event registry with the subscriptions and publications
+   * recorded by each registered component
+   * @returns {Array<Object>} Event catalog sorted by event name
+   */
+  getEventCatalog() {
+    const catalog = new Map();
+    const patterns = [];
+    
+    const entry = (name) => {
+      if (!catalog.has(name)) {
+        catalog.set(name, {
+          name,
+          description: null,
+          schema: null,
+          registered: false,
+          publishers: new Set(),
+          subscribers: new Set()
+        });
+      }
+      return catalog.get(name);
+    };
+    
+    // Declared events
+    eventRegistry.list().forEach(definition => {
+      const event = entry(definition.name);
+      event.description = definition.description;
+      event.schema = definition.schema;
+      event.registered = true;
+      definition.publishers
+        .filter(publisher => publisher !== '*')
+        .forEach(publisher => event.publishers.add(publisher));
+    });
+    
+    // Observed publishers and subscribers, including the orchestrator itself
+    const components = [['Orchestrator', this], ...[...this.components.entries()]
+      .map(([name, component]) => [name, component.instance])];
+    
+    components.forEach(([name, instance]) => {
+      (instance.publishedEvents || []).forEach(event => entry(event).publishers.add(name));
+      
+      (instance.subscriptions || []).forEach(subscription => {
+        if (!subscription.event) return;
+        
+        if (eventBus.isPattern(subscription.event)) {
+          patterns.push({ pattern: subscription.event, component: name });
+        } else {
+          entry(subscription.event).subscribers.add(name);
+        }
+      });
+    });
+    
+    // Pattern subscribers receive every matching event
+    catalog.forEach(event => {
+      patterns
+        .filter(({ pattern }) => eventBus.matches(pattern, event.name))
+        .forEach(({ pattern, component }) => event.subscribers.add(`${component} (${pattern})`));
+    });
+    
+    return [...catalog.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(event => ({
+        ...event,
+        publishers: [...event.publishers].sort(),
+        subscribers: [...event.subscribers].sort()
+      }));
+  }
+
+  /**
+   * Mark the application as draining before shutdown
+   * Readiness checks fail from now on so load balancers stop sending traffic
+   */
+  beginDrain() {
+    this.health.status = 'draining';
+  }
+
+  /**
+   * Check whether the process is alive
+   * Doesn't touch external resources, so a slow database doesn't get the process restarted
+   * @returns {Object} Liveness status
+   */
+  checkLiveness() {
+    const health = this.getHealth();
+    const alive = !['error', 'stopped'].includes(health.status);
+    
+    return {
+      status: alive ? 'alive' : 'dead',
+      state: health.status,
+      timestamp: new Date(),
+      uptime: health.uptime
+    };
+  }
+
+  /**
+   * Check whether the application is ready to serve requests
+   * Runs every component's health check concurrently and aggregates the results:
+   * the overall status is the worst component status
+   * @returns {Promise<Object>} Readiness status with per-component checks
+   */
+  async checkReadiness() {
+    const health = this.getHealth();
+    
+    const checks = await Promise.all([...this.components.entries()]
+      .map(([name, component]) => this._runHealthCheck(name, component)));
+    
+    let status = checks.reduce((worst, check) =>
+      HEALTH_STATES.indexOf(check.status) > HEALTH_STATES.indexOf(worst) ? check.status : worst, 'healthy');
+    
+    if (health.status !== 'running') {
+      status = 'unhealthy';
+    }
+    
+    return {
+      status,
+      state: health.status,
+      timestamp: new Date(),
+      uptime: health.uptime,
+      checks
+    };
+  }
+
+  /**
+   * Run a single component's health check with a timeout
+   * @param {string} name - Component name
+   * @param {Object} component - Registered component
+   * @returns {Promise<Object>} Check result with latency
+   */
+  async _runHealthCheck(name, component) {
+    const check = {
+      component: name,
+      status: 'healthy',
+      latency: 0,
+      details: null,
+      error: null
+    };
+    
+    if (!component.initialized) {
+      check.status = 'unhealthy';
+      check.error = 'Component is not initialized';
+      return check;
+    }
+    
+    if (typeof component.instance.healthCheck !== 'function') {
+      return check;
+    }
+    
+    const start = Date.now();
+    let timer = null;
+    
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new Error(`Health check timed out after ${this.healthCheckTimeout}ms`));
+        }, this.healthCheckTimeout);
+      });
+      
+      const result = await Promise.race([component.instance.healthCheck(), timeout]);
+      
+      if (result) {
+        check.status = HEALTH_STATES.includes(result.status) ? result.status : 'healthy';
+        check.details = result.details || null;
+        check.error = result.error || null;
+      }
+    } catch (error) {
+      check.status = 'unhealthy';
+      check.error = error.message;
+    } finally {
+      clearTimeout(timer);
+      check.latency = Date.now() - start;
+    }
+    
+    return check;
+  }
+
   /**
    * Get application health status
    * @returns {Object} Health status
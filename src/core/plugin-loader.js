@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Plugin Loader - Discovers third-party components in a plugins directory
+ *
+ * Each plugin lives in its own subdirectory with a plugin.json manifest:
+ *
+ *   {
+ *     "name": "Streaks",                      // Component name, must be unique
+ *     "main": "index.js",                     // Module exporting the Component class (default index.js)
+ *     "dependencies": ["Database"],           // Components to initialize first
+ *     "routes": {                             // Optional HTTP routes
+ *       "path": "/api/streaks",
+ *       "module": "routes.js"                 // Exports function(component) returning an express.Router
+ *     },
+ *     "subscriptions": {                      // Event (or pattern) -> handler method
+ *       "log:created": "_handleLogCreated"
+ *     }
+ *   }
+ */
+
+const MANIFEST_FILE = 'plugin.json';
+
+/**
+ * Error thrown when a plugin can't be loaded
+ */
+class PluginError extends Error {
+  /**
+   * @param {string} plugin - Plugin directory or name
+   * @param {string} message - What went wrong
+   */
+  constructor(plugin, message) {
+    super(`Plugin "${plugin}": ${message}`);
+    this.name = 'PluginError';
+    this.plugin = plugin;
+  }
+}
+
+class PluginLoader {
+  /**
+   * Create a new plugin loader
+   * @param {string} directory - Plugins directory
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Find all plugin manifests in the plugins directory
+   * @param {Function} isEnabled - Called with a plugin name (optional); an invalid
+   *   manifest of a plugin it returns false for is skipped with a warning
+   * @returns {Array<Object>} Parsed manifests, sorted by directory name
+   * @throws {PluginError} If a manifest is invalid
+   */
+  discover(isEnabled = null) {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    
+    return fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(this.directory, entry.name))
+      .filter(dir => fs.existsSync(path.join(dir, MANIFEST_FILE)))
+      .sort()
+      .reduce((manifests, dir) => {
+        try {
+          manifests.push(this._readManifest(dir));
+        } catch (error) {
+          // A manifest without a readable name is known by its directory name
+          if (!isEnabled || isEnabled(error.plugin)) {
+            throw error;
+          }
+          
+          console.warn(`[PluginLoader] Ignoring invalid manifest of disabled plugin: ${error.message}`);
+        }
+        
+        return manifests;
+      }, []);
+  }
+
+  /**
+   * Load a plugin's component and routes
+   * @param {Object} manifest - Manifest returned by discover()
+   * @param {Object} options - Options passed to the component constructor
+   * @returns {Object} Loaded plugin ({ manifest, component, routes })
+   * @throws {PluginError} If the plugin's modules don't match the manifest
+   */
+  load(manifest, options = {}) {
+    const PluginComponent = require(path.join(manifest.directory, manifest.main));
+    
+    if (typeof PluginComponent !== 'function') {
+      throw new PluginError(manifest.name, `${manifest.main} must export a component class`);
+    }
+    
+    const component = new PluginComponent({
+      ...options,
+      subscriptions: manifest.subscriptions
+    });
+    
+    if (component.name !== manifest.name) {
+      throw new PluginError(manifest.name, `component is named "${component.name}" but the manifest says "${manifest.name}"`);
+    }
+    
+    Object.entries(manifest.subscriptions).forEach(([event, handler]) => {
+      if (typeof component[handler] !== 'function') {
+        throw new PluginError(manifest.name, `subscription to "${event}" names missing handler "${handler}"`);
+      }
+    });
+    
+    let routes = null;
+    
+    if (manifest.routes) {
+      const routesFactory = require(path.join(manifest.directory, manifest.routes.module));
+      
+      if (typeof routesFactory !== 'function') {
+        throw new PluginError(manifest.name, `${manifest.routes.module} must export a function returning a router`);
+      }
+      
+      routes = {
+        path: manifest.routes.path,
+        factory: routesFactory
+      };
+    }
+    
+    return {
+      manifest,
+      component,
+      routes
+    };
+  }
+
+  /**
+   * Read and validate a manifest
+   * @param {string} dir - Plugin directory
+   * @returns {Object} Manifest with defaults applied
+   * @private
+   */
+  _readManifest(dir) {
+    const pluginId = path.basename(dir);
+    let manifest;
+    
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      throw new PluginError(pluginId, `could not read ${MANIFEST_FILE}: ${error.message}`);
+    }
+    
+    if (!manifest.name || typeof manifest.name !== 'string') {
+      throw new PluginError(pluginId, 'manifest must declare a name');
+    }
+    
+    const dependencies = manifest.dependencies || [];
+    
+    if (!Array.isArray(dependencies) || dependencies.some(dep => typeof dep !== 'string')) {
+      throw new PluginError(manifest.name, 'dependencies must be a list of component names');
+    }
+    
+    const subscriptions = manifest.subscriptions || {};
+    
+    if (typeof subscriptions !== 'object' || Array.isArray(subscriptions)) {
+      throw new PluginError(manifest.name, 'subscriptions must map event names to handler methods');
+    }
+    
+    if (manifest.routes) {
+      const { path: mountPath, module } = manifest.routes;
+      
+      if (typeof mountPath !== 'string' || !mountPath.startsWith('/api/')) {
+        throw new PluginError(manifest.name, 'routes.path must start with /api/');
+      }
+      
+      if (typeof module !== 'string') {
+        throw new PluginError(manifest.name, 'routes.module must name the routes module');
+      }
+    }
+    
+    return {
+      name: manifest.name,
+      version: manifest.version || null,
+      description: manifest.description || '',
+      main: manifest.main || 'index.js',
+      dependencies,
+      routes: manifest.routes || null,
+      subscriptions,
+      directory: dir
+    };
+  }
+}
+
+module.exports = PluginLoader;
+module.exports.PluginError = PluginError;
\ No newline at end of file
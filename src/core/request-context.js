@@ -0,0 +1,81 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+/**
+ * Request Context - Carries per-request data (the correlation ID, client IP
+ * and authenticated user) across async boundaries so events, handlers and
+ * database logs triggered by a request can be tied back to it without
+ * passing it around explicitly
+ */
+class RequestContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function within a context
+   * @param {Object} context - Context data (e.g. { requestId })
+   * @param {Function} callback - Function to run
+   * @returns {*} Return value of the callback
+   */
+  run(context, callback) {
+    return this.storage.run(context, callback);
+  }
+
+  /**
+   * Get the current context
+   * @returns {Object|null} Context data, or null outside a request
+   */
+  get() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Add data to the current context
+   * Visible to everything downstream of the caller in the same request
+   * (e.g. the user set by the auth middleware)
+   * @param {Object} values - Context data to add
+   * @returns {boolean} True if inside a context
+   */
+  assign(values) {
+    const context = this.get();
+    
+    if (!context) {
+      return false;
+    }
+    
+    Object.assign(context, values);
+    return true;
+  }
+
+  /**
+   * Get the current correlation ID
+   * @returns {string|null} Request ID, or null outside a request
+   */
+  getRequestId() {
+    const context = this.get();
+    return context ? context.requestId : null;
+  }
+
+  /**
+   * Generate a new correlation ID
+   * @returns {string} Request ID
+   */
+  generateId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Check whether a client-supplied ID is safe to reuse
+   * @param {*} id - Incoming ID
+   * @returns {boolean} True if the ID can be used as is
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^[\w.:-]{1,128}$/.test(id);
+  }
+}
+
+// Create and export a singleton instance
+const requestContext = new RequestContext();
+
+module.exports = requestContext;
\ No newline at end of file
@@ -1,15 +1,22 @@
 const { Pool } = require('pg');
 const Component = require('./core/component-class');
 const configManager = require('./core/config-manager');
+const requestContext = require('./core/request-context');
+const Migrator = require('./core/migrator');
+const expectedSchema = require('./shared/database/schema');
 
 /**
  * Database Component
- * Handles database connections and operations
+ * Handles database connections and operations. With `database.driver` set to
+ * "memory" it runs on an in-process pg-mem database instead of PostgreSQL,
+ * migrated to the latest schema at startup.
  */
 class Database extends Component {
   /**
    * Create a new database component
    * @param {Object} options - Database options
+   * @param {string} options.schemaCheck - Overrides database.schemaCheck ('strict', 'warn' or 'off')
+   * @param {string} options.driver - Overrides database.driver ('postgres' or 'memory')
    */
   constructor(options = {}) {
     super('Database', options);
@@ -19,28 +26,60 @@ class Database extends Component {
     this.connectionRetries = 0;
     this.maxRetries = options.maxRetries || 5;
     this.retryDelay = options.retryDelay || 5000;
+    this.schemaCheck = options.schemaCheck || null;
+    this.driver = options.driver || null;
+    
+    // In-memory database, kept across restarts so they don't lose its data
+    this.memoryDb = null;
+    
+    // Result of the last schema check
+    this.schemaReport = null;
   }
 
   /**
    * Initialize database component
    */
   async _init() {
+    await this._connect();
+    
+    if (this.driver === 'memory') {
+      // A new in-memory database is empty; after a restart there is nothing to apply
+      await new Migrator(this).up();
+      console.log('[Database] Using the in-memory database, data is lost on shutdown');
+    }
+    
+    const mode = this.schemaCheck || configManager.get('database.schemaCheck', 'warn');
+    
+    if (mode === 'off') {
+      return true;
+    }
+    
+    const report = await this.checkSchema();
+    
+    if (!report.ok) {
+      this._describeDrift(report).forEach(line => console.warn(`[Database] Schema drift: ${line}`));
+      
+      if (mode === 'strict') {
+        throw new Error('Database schema does not match the application, run `npx actrak schema doctor` for details');
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Create the connection pool, retrying while the database is unreachable
+   * @returns {Promise<boolean>} True once connected
+   */
+  async _connect() {
     try {
       // Get database configuration
-      const dbConfig = configManager.getConfig('database');
+      const dbConfig = configManager.getConfig('database', { includeSecrets: true });
+      
+      this.driver = this.driver || dbConfig.driver || 'postgres';
       
       // Create connection pool
-      this.pool = new Pool({
-        host: dbConfig.host,
-        port: dbConfig.port,
-        database: dbConfig.name,
-        user: dbConfig.user,
-        password: dbConfig.password,
-        ssl: dbConfig.ssl || false,
-        max: dbConfig.poolSize || 20,
-        idleTimeoutMillis: dbConfig.idleTimeout || 30000,
-        connectionTimeoutMillis: dbConfig.connectionTimeout || 2000
-      });
+      this.pool = this._createPool(dbConfig);
       
       // Test connection
       await this.testConnection();
@@ -72,7 +111,7 @@ class Database extends Component {
         
         return new Promise(resolve => {
           setTimeout(async () => {
-            const success = await this._init();
+            const success = await this._connect();
             resolve(success);
           }, this.retryDelay);
         });
@@ -82,6 +121,102 @@ class Database extends Component {
     }
   }
 
+  /**
+   * Create the connection pool for the configured driver
+   * @param {Object} dbConfig - Database configuration
+   * @returns {Object} node-postgres compatible pool
+   * @private
+   */
+  _createPool(dbConfig) {
+    if (this.driver === 'memory') {
+      // Required here so PostgreSQL deployments never load pg-mem
+      const { createMemoryPool } = require('./shared/database/memory-pool');
+      const { pool, memoryDb } = createMemoryPool(this.memoryDb);
+      
+      this.memoryDb = memoryDb;
+      return pool;
+    }
+    
+    return new Pool({
+      host: dbConfig.host,
+      port: dbConfig.port,
+      database: dbConfig.name,
+      user: dbConfig.user,
+      password: dbConfig.password,
+      ssl: dbConfig.ssl || false,
+      max: dbConfig.poolSize || 20,
+      idleTimeoutMillis: dbConfig.idleTimeout || 30000,
+      connectionTimeoutMillis: dbConfig.connectionTimeout || 2000
+    });
+  }
+
+  /**
+   * Compare the live schema with the tables and columns the application expects
+   * Only checks presence; column types are left to the migrations
+   * @returns {Promise<Object>} Schema report
+   */
+  async checkSchema() {
+    const result = await this.query(`
+      SELECT table_name, column_name
+      FROM information_schema.columns
+      WHERE table_schema = current_schema()
+    `);
+    
+    const live = new Map();
+    
+    result.rows.forEach(row => {
+      if (!live.has(row.table_name)) {
+        live.set(row.table_name, new Set());
+      }
+      live.get(row.table_name).add(row.column_name);
+    });
+    
+    const missingTables = [];
+    const missingColumns = [];
+    
+    Object.keys(expectedSchema).forEach(table => {
+      const columns = live.get(table);
+      
+      if (!columns) {
+        missingTables.push(table);
+        return;
+      }
+      
+      expectedSchema[table]
+        .filter(column => !columns.has(column))
+        .forEach(column => missingColumns.push({ table, column }));
+    });
+    
+    const migrations = await new Migrator(this).status();
+    const pendingMigrations = migrations.migrations
+      .filter(migration => !migration.applied)
+      .map(migration => migration.id);
+    
+    this.schemaReport = {
+      ok: missingTables.length === 0 && missingColumns.length === 0 && pendingMigrations.length === 0,
+      missingTables,
+      missingColumns,
+      pendingMigrations,
+      checkedAt: new Date()
+    };
+    
+    return this.schemaReport;
+  }
+
+  /**
+   * Describe the problems in a schema report
+   * @param {Object} report - Report returned by checkSchema
+   * @returns {Array<string>} One line per problem
+   * @private
+   */
+  _describeDrift(report) {
+    return [
+      ...report.missingTables.map(table => `missing table ${table}`),
+      ...report.missingColumns.map(({ table, column }) => `missing column ${table}.${column}`),
+      ...report.pendingMigrations.map(id => `pending migration ${id}`)
+    ];
+  }
+
   /**
    * Test database connection
    * @returns {Promise<boolean>} True if connection is successful
@@ -122,7 +257,8 @@ class Database extends Component {
     const duration = Date.now() - start;
     
     if (this.debug && duration > 500) {
-      console.log(`[Database] Slow query (${duration}ms):`, text, params);
+      const requestId = requestContext.getRequestId();
+      console.log(`[Database] Slow query (${duration}ms)${requestId ? ` [${requestId}]` : ''}:`, text, params);
     }
     
     return result;
@@ -169,16 +305,39 @@ class Database extends Component {
     return true;
   }
 
+  /**
+   * Check database health
+   * Pings the pool; clients waiting for a connection mean the pool is saturated.
+   * Schema drift found at startup also reports the database as degraded.
+   * @returns {Promise<Object>} Health result
+   */
+  async healthCheck() {
+    await this.query('SELECT 1');
+    
+    const status = this.getStatus();
+    const drift = this.schemaReport && !this.schemaReport.ok;
+    
+    return {
+      status: status.waiting > 0 || drift ? 'degraded' : 'healthy',
+      details: {
+        ...status,
+        schema: this.schemaReport
+      }
+    };
+  }
+
   /**
    * Get database status
    * @returns {Object} Database status
    */
   getStatus() {
+    // The in-memory pool doesn't track clients
     return {
+      driver: this.driver,
       connected: this.connected,
-      poolSize: this.pool ? this.pool.totalCount : 0,
-      idle: this.pool ? this.pool.idleCount : 0,
-      waiting: this.pool ? this.pool.waitingCount : 0,
+      poolSize: this.pool ? this.pool.totalCount || 0 : 0,
+      idle: this.pool ? this.pool.idleCount || 0 : 0,
+      waiting: this.pool ? this.pool.waitingCount || 0 : 0,
       retries: this.connectionRetries
     };
   }
@@ -0,0 +1,289 @@
+/**
+ * Baseline schema
+ * The tables and columns the components query. Databases set up with the old
+ * db-setup.js / db-migration.js / fix-activity-tables-revised.js scripts are
+ * brought in line first: legacy tables and columns are renamed in place.
+ */
+
+/**
+ * Get the column names of a table
+ * @param {Object} client - Transaction client
+ * @param {string} table - Table name
+ * @returns {Promise<Set<string>>} Column names (empty if the table doesn't exist)
+ */
+async function getColumns(client, table) {
+  const result = await client.query(`
+    SELECT column_name
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = $1
+  `, [table]);
+
+  return new Set(result.rows.map(row => row.column_name));
+}
+
+/**
+ * Rename a legacy column if the new one doesn't exist yet
+ * @param {Object} client - Transaction client
+ * @param {string} table - Table name
+ * @param {string} from - Legacy column name
+ * @param {string} to - Current column name
+ * @returns {Promise<void>}
+ */
+async function renameColumn(client, table, from, to) {
+  const columns = await getColumns(client, table);
+
+  if (columns.has(from) && !columns.has(to)) {
+    await client.query(`ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to}`);
+  }
+}
+
+/**
+ * Upgrade tables created by the old setup scripts
+ * @param {Object} client - Transaction client
+ * @returns {Promise<void>}
+ */
+async function upgradeLegacyTables(client) {
+  // activities was renamed to activity_types
+  const activities = await getColumns(client, 'activities');
+  const activityTypes = await getColumns(client, 'activity_types');
+
+  if (activities.size > 0 && activityTypes.size === 0) {
+    await client.query('ALTER TABLE activities RENAME TO activity_types');
+  }
+
+  await renameColumn(client, 'users', 'password', 'password_hash');
+  await renameColumn(client, 'activity_logs', 'activity_id', 'activity_type_id');
+  await renameColumn(client, 'activity_logs', 'date', 'logged_at');
+  await renameColumn(client, 'activity_logs', 'duration', 'count');
+
+  // The old achievements tables were never used by the Achievement component;
+  // keep their data aside instead of dropping it
+  const userAchievements = await getColumns(client, 'user_achievements');
+
+  if (userAchievements.size > 0 && !userAchievements.has('achievement_type_id')) {
+    await client.query('ALTER TABLE user_achievements RENAME TO legacy_user_achievements');
+  }
+}
+
+module.exports = {
+  description: 'Users, activities, logs, goals, achievements, notifications, outbox, dead letters and feature flags',
+
+  /**
+   * Create the baseline schema
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async up(client) {
+    await upgradeLegacyTables(client);
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        user_id SERIAL PRIMARY KEY,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(100) NOT NULL,
+        role VARCHAR(20),
+        reset_token VARCHAR(100),
+        reset_token_expires TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP
+      )
+    `);
+    
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20)');
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS activity_types (
+        activity_type_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        unit VARCHAR(50) NOT NULL DEFAULT 'count',
+        category VARCHAR(50),
+        is_public BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query(`
+      ALTER TABLE activity_types
+        ADD COLUMN IF NOT EXISTS unit VARCHAR(50) NOT NULL DEFAULT 'count',
+        ADD COLUMN IF NOT EXISTS category VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS is_public BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS activity_logs (
+        log_id SERIAL PRIMARY KEY,
+        activity_type_id INTEGER NOT NULL REFERENCES activity_types(activity_type_id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        count NUMERIC NOT NULL DEFAULT 0,
+        notes TEXT,
+        logged_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query(`
+      ALTER TABLE activity_logs
+        ADD COLUMN IF NOT EXISTS count NUMERIC NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS notes TEXT,
+        ADD COLUMN IF NOT EXISTS logged_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_user_logged_at ON activity_logs (user_id, logged_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_activity_type ON activity_logs (activity_type_id)');
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS goals (
+        goal_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        activity_type_id INTEGER REFERENCES activity_types(activity_type_id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        target_value NUMERIC NOT NULL,
+        period_type VARCHAR(20) NOT NULL DEFAULT 'daily',
+        start_date TIMESTAMP,
+        end_date TIMESTAMP,
+        is_active BOOLEAN DEFAULT true,
+        is_completed BOOLEAN DEFAULT false,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query(`
+      ALTER TABLE goals
+        ADD COLUMN IF NOT EXISTS period_type VARCHAR(20) NOT NULL DEFAULT 'daily',
+        ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true,
+        ADD COLUMN IF NOT EXISTS is_completed BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_goals_user_activity ON goals (user_id, activity_type_id)');
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS achievement_types (
+        achievement_type_id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        icon VARCHAR(255),
+        criteria JSONB NOT NULL DEFAULT '{}',
+        point_value INTEGER NOT NULL DEFAULT 0,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        user_achievement_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        achievement_type_id INTEGER NOT NULL REFERENCES achievement_types(achievement_type_id) ON DELETE CASCADE,
+        earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        custom_message TEXT,
+        UNIQUE (user_id, achievement_type_id)
+      )
+    `);
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_points (
+        user_id INTEGER PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+        points INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        notification_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL,
+        message TEXT NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        is_read BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at)');
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS event_outbox (
+        outbox_id BIGSERIAL PRIMARY KEY,
+        event_name VARCHAR(100) NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        dispatched_at TIMESTAMP
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_event_outbox_status ON event_outbox (status, created_at)');
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS event_dead_letters (
+        dead_letter_id SERIAL PRIMARY KEY,
+        event_name VARCHAR(100) NOT NULL,
+        subscriber VARCHAR(200) NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        error TEXT,
+        stack TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_event_dead_letters_status ON event_dead_letters (status, created_at)');
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS feature_flags (
+        flag_name VARCHAR(100) PRIMARY KEY,
+        description TEXT,
+        enabled BOOLEAN NOT NULL DEFAULT false,
+        percentage INTEGER CHECK (percentage BETWEEN 0 AND 100),
+        user_ids INTEGER[] NOT NULL DEFAULT '{}',
+        roles TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  /**
+   * Drop the baseline schema, including all data
+   * Legacy tables set aside by up() are left alone
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async down(client) {
+    const tables = [
+      'feature_flags',
+      'event_dead_letters',
+      'event_outbox',
+      'notifications',
+      'user_points',
+      'user_achievements',
+      'achievement_types',
+      'goals',
+      'activity_logs',
+      'activity_types',
+      'users'
+    ];
+    
+    for (const table of tables) {
+      await client.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Soft delete
+ * Deleted activity types, logs and goals keep their rows with a deleted_at
+ * timestamp until the Trash component purges them. deleted_at isn't indexed:
+ * only the hourly purge filters on it alone, and pg-mem returns wrong results
+ * for IS NOT NULL lookups through such an index.
+ */
+
+// Tables with a deleted_at column
+const TABLES = ['activity_types', 'activity_logs', 'goals'];
+
+module.exports = {
+  description: 'deleted_at on activity_types, activity_logs and goals',
+
+  /**
+   * Add the deleted_at columns
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async up(client) {
+    for (const table of TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+    }
+  },
+
+  /**
+   * Drop the deleted_at columns, permanently removing rows still in the trash
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async down(client) {
+    for (const table of [...TABLES].reverse()) {
+      await client.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_at`);
+    }
+  }
+};
\ No newline at end of file
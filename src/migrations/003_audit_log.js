@@ -0,0 +1,44 @@
+/**
+ * Audit log
+ * One row per audited event, written by the Audit component. Rows outlive
+ * the users and entities they refer to, so there are no foreign keys.
+ */
+module.exports = {
+  description: 'audit_log table',
+
+  /**
+   * Create the audit_log table
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        audit_id SERIAL PRIMARY KEY,
+        event_name VARCHAR(100) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id INTEGER NOT NULL,
+        user_id INTEGER,
+        actor_id INTEGER,
+        before JSONB,
+        after JSONB,
+        ip VARCHAR(64),
+        request_id VARCHAR(128),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log (user_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)');
+  },
+
+  /**
+   * Drop the audit_log table
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS audit_log');
+  }
+};
\ No newline at end of file
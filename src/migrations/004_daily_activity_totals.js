@@ -0,0 +1,44 @@
+/**
+ * Daily activity totals
+ * Per user, activity type and day: the sum and number of live logs. Kept up
+ * to date by the DailyTotals component; filled from the existing logs here.
+ */
+module.exports = {
+  description: 'daily_activity_totals table',
+
+  /**
+   * Create and fill the daily_activity_totals table
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS daily_activity_totals (
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        activity_type_id INTEGER NOT NULL REFERENCES activity_types(activity_type_id) ON DELETE CASCADE,
+        day DATE NOT NULL,
+        total NUMERIC NOT NULL DEFAULT 0,
+        entries INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, activity_type_id, day)
+      )
+    `);
+    
+    await client.query(`
+      INSERT INTO daily_activity_totals (user_id, activity_type_id, day, total, entries)
+      SELECT user_id, activity_type_id, DATE(logged_at), SUM(count), COUNT(*)
+      FROM activity_logs
+      WHERE deleted_at IS NULL
+      GROUP BY user_id, activity_type_id, DATE(logged_at)
+    `);
+  },
+
+  /**
+   * Drop the daily_activity_totals table
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS daily_activity_totals');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Log archive
+ * Raw logs older than the retention period (`archive.retentionMonths`) are
+ * moved here by the LogArchive component. They keep their log_id and still
+ * count towards daily totals and achievements, but can no longer be edited
+ * or deleted on their own.
+ */
+module.exports = {
+  description: 'activity_logs_archive table',
+
+  /**
+   * Create the activity_logs_archive table
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS activity_logs_archive (
+        log_id INTEGER PRIMARY KEY,
+        activity_type_id INTEGER NOT NULL REFERENCES activity_types(activity_type_id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        count NUMERIC NOT NULL DEFAULT 0,
+        notes TEXT,
+        logged_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP,
+        updated_at TIMESTAMP,
+        archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_archive_user_logged_at ON activity_logs_archive (user_id, logged_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_archive_activity_type ON activity_logs_archive (activity_type_id)');
+  },
+
+  /**
+   * Move archived logs back into activity_logs and drop the archive table
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async down(client) {
+    await client.query(`
+      INSERT INTO activity_logs (log_id, activity_type_id, user_id, count, notes, logged_at, created_at, updated_at)
+      SELECT log_id, activity_type_id, user_id, count, notes, logged_at, created_at, updated_at
+      FROM activity_logs_archive
+      ON CONFLICT (log_id) DO NOTHING
+    `);
+    
+    await client.query('DROP TABLE IF EXISTS activity_logs_archive');
+  }
+};
\ No newline at end of file
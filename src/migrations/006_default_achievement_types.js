@@ -0,0 +1,50 @@
+/**
+ * Default achievement types
+ * Without any rows in achievement_types the Achievement component has
+ * nothing to award. Types that already exist by name are left alone, so
+ * databases seeded by hand or with demo data keep their own settings.
+ */
+const DEFAULT_TYPES = [
+  { name: 'First Steps', description: 'Log your first activity', icon: 'fa-shoe-prints', criteria: { type: 'milestone', count: 1 }, pointValue: 5 },
+  { name: 'Century', description: 'Log a total of 100', icon: 'fa-medal', criteria: { type: 'milestone', count: 100 }, pointValue: 10 },
+  { name: 'Thousand Club', description: 'Log a total of 1,000', icon: 'fa-award', criteria: { type: 'milestone', count: 1000 }, pointValue: 25 },
+  { name: 'Warming Up', description: 'Log something 3 days in a row', icon: 'fa-fire', criteria: { type: 'streak', days: 3 }, pointValue: 10 },
+  { name: 'Week Warrior', description: 'Log something 7 days in a row', icon: 'fa-fire-alt', criteria: { type: 'streak', days: 7 }, pointValue: 25 },
+  { name: 'Unstoppable', description: 'Log something 30 days in a row', icon: 'fa-bolt', criteria: { type: 'streak', days: 30 }, pointValue: 100 },
+  { name: 'Goal Getter', description: 'Complete your first goal', icon: 'fa-bullseye', criteria: { type: 'goals', count: 1 }, pointValue: 15 },
+  { name: 'Overachiever', description: 'Complete 5 goals', icon: 'fa-trophy', criteria: { type: 'goals', count: 5 }, pointValue: 50 }
+];
+
+module.exports = {
+  description: 'default achievement types',
+
+  /**
+   * Insert the default achievement types that don't exist yet
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async up(client) {
+    const existing = await client.query('SELECT name FROM achievement_types');
+    const names = new Set(existing.rows.map(row => row.name));
+    
+    for (const type of DEFAULT_TYPES.filter(type => !names.has(type.name))) {
+      await client.query(`
+        INSERT INTO achievement_types (name, description, icon, criteria, point_value, is_active)
+        VALUES ($1, $2, $3, $4, $5, true)
+      `, [type.name, type.description, type.icon, JSON.stringify(type.criteria), type.pointValue]);
+    }
+  },
+
+  /**
+   * Delete the default achievement types nobody has earned
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   */
+  async down(client) {
+    await client.query(`
+      DELETE FROM achievement_types at
+      WHERE at.name = ANY($1)
+        AND NOT EXISTS (SELECT 1 FROM user_achievements ua WHERE ua.achievement_type_id = at.achievement_type_id)
+    `, [DEFAULT_TYPES.map(type => type.name)]);
+  }
+};
\ No newline at end of file
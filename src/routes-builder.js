@@ -1,8 +1,17 @@
 const express = require('express');
+const { authenticateJWT } = require('./shared/middlewares/auth');
 const authRoutes = require('./shared/routes/authRoutes');
 const activityRoutes = require('./shared/routes/activityRoutes');
 const logRoutes = require('./shared/routes/logRoutes');
 const goalRoutes = require('./shared/routes/goalRoutes');  // Import goal routes
+const trashRoutes = require('./shared/routes/trashRoutes');
+const auditRoutes = require('./shared/routes/auditRoutes');
+const deadLetterRoutes = require('./shared/routes/deadLetterRoutes');
+const componentRoutes = require('./shared/routes/componentRoutes');
+const configRoutes = require('./shared/routes/configRoutes');
+const featureRoutes = require('./shared/routes/featureRoutes');
+const achievementRoutes = require('./shared/routes/achievementRoutes');
+const analyticsRoutes = require('./shared/routes/analyticsRoutes');
 
 /**
  * Build application routes
@@ -16,12 +25,44 @@ function routesBuilder(orchestrator) {
   const authComponent = orchestrator.getComponent('Auth');
   const activityComponent = orchestrator.getComponent('Activity');
   const goalComponent = orchestrator.getComponent('Goal');  // Get goal component
+  const trashComponent = orchestrator.getComponent('Trash');
+  const auditComponent = orchestrator.getComponent('Audit');
+  const deadLetterComponent = orchestrator.getComponent('DeadLetter');
+  const configManager = orchestrator.getComponent('ConfigManager');
+  const featureFlagsComponent = orchestrator.getComponent('FeatureFlags');
+  
+  // Optional components (null when switched off in the configuration)
+  const achievementComponent = orchestrator.getComponent('Achievement');
+  const analyticsComponent = orchestrator.getComponent('Analytics');
   
   // API Routes
   router.use('/api/auth', authRoutes(authComponent));
   router.use('/api/activity_types', activityRoutes(activityComponent));
   router.use('/api/logs', logRoutes(activityComponent));
   router.use('/api/goals', goalRoutes(goalComponent));  // Register goal routes
+  router.use('/api/trash', trashRoutes(trashComponent));
+  router.use('/api/audit', auditRoutes(auditComponent));
+  router.use('/api/features', featureRoutes(featureFlagsComponent));
+  
+  if (achievementComponent) {
+    router.use('/api/achievements', achievementRoutes(achievementComponent));
+  }
+  
+  if (analyticsComponent) {
+    router.use('/api/analytics', analyticsRoutes(analyticsComponent));
+  }
+  
+  // Admin routes
+  router.use('/api/admin/dead-letters', deadLetterRoutes(deadLetterComponent));
+  router.use('/api/admin/audit', auditRoutes.adminAuditRoutes(auditComponent));
+  router.use('/api/admin/components', componentRoutes(orchestrator));
+  router.use('/api/admin/config', configRoutes(configManager));
+  
+  // Plugin routes
+  orchestrator.getPluginRoutes().forEach(({ plugin, path, factory, component }) => {
+    router.use(path, factory(component));
+    console.log(`[Routes] Mounted routes of plugin "${plugin}" at ${path}`);
+  });
   
   // Health check endpoint
   router.get('/api/health', (req, res) => {
@@ -38,6 +79,29 @@ function routesBuilder(orchestrator) {
     });
   });
   
+  // Liveness probe: the process is up and the orchestrator hasn't failed
+  router.get('/api/health/live', (req, res) => {
+    const liveness = orchestrator.checkLiveness();
+    res.status(liveness.status === 'alive' ? 200 : 503).json(liveness);
+  });
+  
+  // Readiness probe: aggregated component health checks with latency
+  router.get('/api/health/ready', async (req, res, next) => {
+    try {
+      const readiness = await orchestrator.checkReadiness();
+      res.status(readiness.status === 'unhealthy' ? 503 : 200).json(readiness);
+    } catch (err) {
+      next(err);
+    }
+  });
+  
+  // Event catalog with schemas, publishers and subscribers
+  router.get('/api/events', authenticateJWT, (req, res) => {
+    res.json({
+      events: orchestrator.getEventCatalog()
+    });
+  });
+  
   // Debug endpoint to check routes
   router.get('/api/routes', (req, res) => {
     try {
@@ -0,0 +1,586 @@
+const { createRepositories } = require('./repositories');
+
+/**
+ * Demo data
+ * Generates users, activity types, months of logs, goals and achievements
+ * from a seed. generateDemoData() only computes the data set, so the same
+ * seed and end date always give the same rows; writeDemoData() inserts it.
+ */
+
+// Demo accounts use this email domain so they can be found and removed again
+const DEMO_EMAIL_DOMAIN = 'demo.actrak.local';
+
+const NAMES = ['alex', 'sam', 'jordan', 'taylor', 'morgan', 'casey', 'riley', 'jamie', 'avery', 'quinn', 'drew', 'robin'];
+
+// What people track and how. weekdays is the chance of logging on each day
+// from Sunday to Saturday, amount the typical amount per session, spread its
+// variation, trend the growth over the whole period and hours the time window
+const PROFILES = [
+  { name: 'Running', unit: 'km', category: 'fitness', weekdays: [0.7, 0.3, 0.5, 0.2, 0.5, 0.1, 0.6], amount: 6, spread: 0.35, decimals: 1, trend: 0.25, hours: [6, 9], sessions: 1 },
+  { name: 'Cycling', unit: 'km', category: 'fitness', weekdays: [0.7, 0.1, 0.2, 0.1, 0.2, 0.1, 0.6], amount: 25, spread: 0.4, decimals: 1, trend: 0.15, hours: [9, 17], sessions: 1 },
+  { name: 'Walking', unit: 'steps', category: 'fitness', weekdays: [0.9, 0.8, 0.8, 0.8, 0.8, 0.8, 0.9], amount: 7500, spread: 0.3, decimals: 0, trend: 0.1, hours: [18, 22], sessions: 1 },
+  { name: 'Push-ups', unit: 'reps', category: 'strength', weekdays: [0.2, 0.8, 0.7, 0.8, 0.7, 0.6, 0.2], amount: 25, spread: 0.25, decimals: 0, trend: 0.6, hours: [7, 21], sessions: 2 },
+  { name: 'Reading', unit: 'pages', category: 'learning', weekdays: [0.9, 0.6, 0.6, 0.6, 0.6, 0.5, 0.8], amount: 25, spread: 0.5, decimals: 0, trend: 0, hours: [20, 23], sessions: 1 },
+  { name: 'Meditation', unit: 'minutes', category: 'wellbeing', weekdays: [0.5, 0.8, 0.8, 0.8, 0.8, 0.7, 0.5], amount: 12, spread: 0.3, decimals: 0, trend: 0.4, hours: [6, 8], sessions: 1 },
+  { name: 'Water', unit: 'glasses', category: 'health', weekdays: [0.9, 0.95, 0.95, 0.95, 0.95, 0.95, 0.9], amount: 2, spread: 0.4, decimals: 0, trend: 0, hours: [8, 21], sessions: 4 },
+  { name: 'Sleep', unit: 'hours', category: 'health', weekdays: [0.95, 0.95, 0.95, 0.95, 0.95, 0.95, 0.95], amount: 7.3, spread: 0.1, decimals: 1, trend: 0, hours: [7, 10], sessions: 1 },
+  { name: 'Guitar Practice', unit: 'minutes', category: 'hobby', weekdays: [0.6, 0.3, 0.4, 0.3, 0.4, 0.3, 0.6], amount: 30, spread: 0.4, decimals: 0, trend: 0.2, hours: [18, 22], sessions: 1 }
+];
+
+const NOTES = ['Felt great', 'Tough one today', 'Short on time', 'Better than last week', 'Slow start', 'Tired but did it'];
+
+// Achievement types, using the Achievement component's criteria
+const ACHIEVEMENTS = [
+  { name: 'First Steps', description: 'Log your first activity', icon: 'fa-shoe-prints', criteria: { type: 'milestone', count: 1 }, pointValue: 5 },
+  { name: 'Century', description: 'Log a total of 100', icon: 'fa-medal', criteria: { type: 'milestone', count: 100 }, pointValue: 10 },
+  { name: 'Thousand Club', description: 'Log a total of 1,000', icon: 'fa-award', criteria: { type: 'milestone', count: 1000 }, pointValue: 25 },
+  { name: 'Warming Up', description: 'Log something 3 days in a row', icon: 'fa-fire', criteria: { type: 'streak', days: 3 }, pointValue: 10 },
+  { name: 'Week Warrior', description: 'Log something 7 days in a row', icon: 'fa-fire-alt', criteria: { type: 'streak', days: 7 }, pointValue: 25 },
+  { name: 'Unstoppable', description: 'Log something 30 days in a row', icon: 'fa-bolt', criteria: { type: 'streak', days: 30 }, pointValue: 100 },
+  { name: 'Goal Getter', description: 'Complete your first goal', icon: 'fa-bullseye', criteria: { type: 'goals', count: 1 }, pointValue: 15 },
+  { name: 'Overachiever', description: 'Complete 5 goals', icon: 'fa-trophy', criteria: { type: 'goals', count: 5 }, pointValue: 50 }
+];
+
+// Length of custom challenge goals in days
+const CHALLENGE_DAYS = 30;
+
+// Goal periods with the number of days they cover on average
+const GOAL_PERIODS = {
+  daily: { days: 1, label: 'a day' },
+  weekly: { days: 7, label: 'a week' },
+  monthly: { days: 30, label: 'a month' },
+  yearly: { days: 365, label: 'a year' },
+  custom: { days: CHALLENGE_DAYS, label: `in ${CHALLENGE_DAYS} days` }
+};
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ */
+class SeededRandom {
+  /**
+   * @param {number|string} seed - Seed; strings are hashed
+   */
+  constructor(seed) {
+    this.state = typeof seed === 'number' ? seed >>> 0 : SeededRandom.hash(String(seed));
+  }
+
+  /**
+   * Hash a string to a 32-bit seed (FNV-1a)
+   * @param {string} value - String to hash
+   * @returns {number} Seed
+   */
+  static hash(value) {
+    let hash = 0x811c9dc5;
+    
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return hash >>> 0;
+  }
+
+  /**
+   * Next number in [0, 1)
+   * @returns {number} Random number
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random number in [min, max)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Random number
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Random integer in [min, max]
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  /**
+   * True with the given probability
+   * @param {number} probability - Probability between 0 and 1
+   * @returns {boolean} Outcome
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Roughly normal number in [-1, 1], centered on 0
+   * @returns {number} Random number
+   */
+  normal() {
+    return (this.next() + this.next() + this.next()) / 1.5 - 1;
+  }
+
+  /**
+   * Random element of an array
+   * @param {Array} items - Items
+   * @returns {*} Item
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Shuffled copy of an array
+   * @param {Array} items - Items
+   * @returns {Array} Shuffled items
+   */
+  shuffle(items) {
+    const shuffled = [...items];
+    
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    
+    return shuffled;
+  }
+}
+
+/**
+ * Local midnight a number of days after a date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} Start of that day
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Round an amount to a number of decimals, keeping it above zero
+ * @param {number} value - Amount
+ * @param {number} decimals - Decimals to keep
+ * @returns {number} Rounded amount
+ */
+function roundAmount(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.max(Math.round(value * factor), 1) / factor;
+}
+
+/**
+ * Round a goal target to two significant digits
+ * @param {number} value - Target
+ * @returns {number} Rounded target
+ */
+function roundTarget(value) {
+  if (value < 10) return Math.max(Math.round(value * 10) / 10, 1);
+
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)) - 1);
+  return Math.round(value / magnitude) * magnitude;
+}
+
+/**
+ * Key of the goal period a date falls in, matching GoalComponent's periods
+ * @param {Date} date - Date
+ * @param {string} periodType - daily, weekly, monthly, yearly or custom
+ * @returns {string} Period key
+ */
+function periodKey(date, periodType) {
+  switch (periodType) {
+    case 'daily':
+      return addDays(date, 0).toDateString();
+    case 'weekly':
+      // Weeks start on Sunday
+      return addDays(date, -date.getDay()).toDateString();
+    case 'monthly':
+      return `${date.getFullYear()}-${date.getMonth()}`;
+    case 'yearly':
+      return String(date.getFullYear());
+    default:
+      return 'custom';
+  }
+}
+
+/**
+ * Generate one activity's logs
+ * @param {SeededRandom} random - Random number generator
+ * @param {Object} profile - Activity profile
+ * @param {Object} person - User habits ({ consistency, level, breaks })
+ * @param {Date} startDate - First day
+ * @param {number} days - Number of days
+ * @returns {Array<Object>} Logs ({ count, notes, loggedAt }) in time order
+ */
+function generateLogs(random, profile, person, startDate, days) {
+  const logs = [];
+  let loggedYesterday = false;
+
+  for (let day = 0; day < days; day++) {
+    const date = addDays(startDate, day);
+    const onBreak = person.breaks.some(({ from, to }) => day >= from && day < to);
+    
+    let probability = profile.weekdays[date.getDay()] * person.consistency;
+    
+    if (onBreak) {
+      probability *= 0.15;
+    } else if (loggedYesterday) {
+      // Habits stick: a day with a log makes the next one more likely
+      probability = Math.min(probability + 0.1, 0.98);
+    }
+    
+    loggedYesterday = random.chance(probability);
+    
+    if (!loggedYesterday) continue;
+    
+    const growth = 1 + profile.trend * day / Math.max(days - 1, 1);
+    const [fromHour, toHour] = profile.hours;
+    const minutes = Array.from({ length: random.int(1, profile.sessions) }, () => random.int(fromHour * 60, toHour * 60 - 1))
+      .sort((a, b) => a - b);
+    
+    for (const minute of minutes) {
+      const amount = profile.amount * growth * person.level * (1 + profile.spread * random.normal());
+      
+      logs.push({
+        count: roundAmount(amount, profile.decimals),
+        notes: random.chance(0.08) ? random.pick(NOTES) : '',
+        loggedAt: new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(minute / 60), minute % 60)
+      });
+    }
+  }
+
+  return logs;
+}
+
+/**
+ * Find when a goal was first reached
+ * A goal is reached once a period's logs (within the goal's dates) add up to its target
+ * @param {Object} goal - Goal
+ * @param {Array<Object>} logs - The goal activity's logs in time order
+ * @returns {Date|null} Time of the log that reached the target
+ */
+function findCompletion(goal, logs) {
+  const totals = new Map();
+
+  for (const log of logs) {
+    if (log.loggedAt < goal.startDate || (goal.endDate && log.loggedAt > goal.endDate)) continue;
+    
+    const key = periodKey(log.loggedAt, goal.periodType);
+    const total = (totals.get(key) || 0) + log.count;
+    
+    totals.set(key, total);
+    
+    if (total >= goal.targetValue) {
+      return log.loggedAt;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Generate a user's goals: one of each period type, a finished challenge and a running one
+ * @param {SeededRandom} random - Random number generator
+ * @param {Array<Object>} activities - The user's activities with their logs
+ * @param {Date} startDate - First day of the data
+ * @param {Date} endDate - Day after the last day of the data
+ * @param {number} days - Number of days
+ * @returns {Array<Object>} Goals
+ */
+function generateGoals(random, activities, startDate, endDate, days) {
+  const goals = [];
+
+  /**
+   * Add a goal for the next activity in turn
+   * @param {string} periodType - Period type
+   * @param {Function} target - Computes the raw target from the activity's stats
+   * @param {Object} dates - Start and end date
+   */
+  const addGoal = (periodType, target, { start, end = null }) => {
+    const index = goals.length % activities.length;
+    const activity = activities[index];
+    const total = activity.logs.reduce((sum, log) => sum + log.count, 0);
+    const activeDays = new Set(activity.logs.map(log => log.loggedAt.toDateString())).size;
+    
+    if (activeDays === 0) return;
+    
+    const goal = {
+      activityIndex: index,
+      name: `${activity.name} Goal`,
+      targetValue: roundTarget(target({ total, activeDays, logs: activity.logs })),
+      periodType,
+      startDate: start,
+      endDate: end,
+      isActive: !end || end >= endDate,
+      completedAt: null
+    };
+    
+    goal.description = `${goal.targetValue} ${activity.unit} of ${activity.name.toLowerCase()} ${GOAL_PERIODS[periodType].label}`;
+    goal.completedAt = findCompletion(goal, activity.logs);
+    
+    goals.push(goal);
+  };
+
+  const goalStart = () => addDays(startDate, random.int(0, Math.floor(days / 3)));
+
+  // Daily goals aim at a typical active day, the others at the average pace
+  addGoal('daily', ({ total, activeDays }) => total / activeDays * random.range(0.9, 1.2), { start: goalStart() });
+
+  ['weekly', 'monthly', 'yearly'].forEach(periodType => {
+    addGoal(periodType, ({ total }) => total / days * GOAL_PERIODS[periodType].days * random.range(0.9, 1.25), { start: goalStart() });
+  });
+
+  // A challenge that has ended, which some users make and others miss
+  const challengeEnd = addDays(endDate, -random.int(1, Math.max(Math.floor(days / 3), 1)));
+  const challengeStart = addDays(challengeEnd, -Math.min(CHALLENGE_DAYS, days));
+
+  addGoal('custom', ({ logs }) => {
+    const sum = logs
+      .filter(log => log.loggedAt >= challengeStart && log.loggedAt < challengeEnd)
+      .reduce((total, log) => total + log.count, 0);
+    
+    return Math.max(sum, 1) * random.range(0.85, 1.15);
+  }, { start: challengeStart, end: new Date(challengeEnd.getTime() - 1) });
+
+  // And one that is still running
+  const runningStart = addDays(endDate, -Math.min(10, days));
+
+  addGoal('custom', ({ total }) => total / days * CHALLENGE_DAYS * random.range(1, 1.2), {
+    start: runningStart,
+    end: new Date(addDays(runningStart, CHALLENGE_DAYS).getTime() - 1)
+  });
+
+  return goals;
+}
+
+/**
+ * Work out which achievements a user earned and when
+ * @param {Array<Object>} activities - The user's activities with their logs
+ * @param {Array<Object>} goals - The user's goals
+ * @returns {Array<Object>} Achievements ({ name, earnedAt })
+ */
+function generateAchievements(activities, goals) {
+  const logs = activities
+    .reduce((all, activity) => all.concat(activity.logs), [])
+    .sort((a, b) => a.loggedAt - b.loggedAt);
+
+  const completions = goals
+    .map(goal => goal.completedAt)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+
+  const earned = [];
+
+  ACHIEVEMENTS.forEach(({ name, criteria }) => {
+    let earnedAt = null;
+    
+    if (criteria.type === 'milestone') {
+      let total = 0;
+      earnedAt = (logs.find(log => (total += log.count) >= criteria.count) || {}).loggedAt;
+    } else if (criteria.type === 'streak') {
+      let streak = 0;
+      let lastDay = null;
+      
+      for (const log of logs) {
+        const day = addDays(log.loggedAt, 0);
+        
+        if (lastDay && day.getTime() === lastDay.getTime()) continue;
+        
+        streak = lastDay && addDays(lastDay, 1).getTime() === day.getTime() ? streak + 1 : 1;
+        lastDay = day;
+        
+        if (streak >= criteria.days) {
+          earnedAt = log.loggedAt;
+          break;
+        }
+      }
+    } else if (criteria.type === 'goals') {
+      earnedAt = completions[criteria.count - 1];
+    }
+    
+    if (earnedAt) {
+      earned.push({ name, earnedAt });
+    }
+  });
+
+  return earned;
+}
+
+/**
+ * Generate a demo data set
+ * @param {Object} options - Generator options
+ * @param {number|string} options.seed - Seed; the same seed and end date give the same data
+ * @param {number} options.users - Number of users
+ * @param {number} options.days - Days of history
+ * @param {Date} options.endDate - Day after the last day of history (defaults to today)
+ * @returns {Object} Data set ({ seed, startDate, endDate, users, achievementTypes })
+ */
+function generateDemoData({ seed = 1, users = 5, days = 120, endDate = new Date() } = {}) {
+  const random = new SeededRandom(seed);
+  const end = addDays(endDate, 0);
+  const start = addDays(end, -days);
+
+  const people = Array.from({ length: users }, (value, index) => {
+    const round = Math.floor(index / NAMES.length);
+    const username = NAMES[index % NAMES.length] + (round > 0 ? round + 1 : '');
+    
+    const person = {
+      consistency: random.range(0.55, 1),
+      level: random.range(0.7, 1.3),
+      // A few stretches of holidays or sick days
+      breaks: Array.from({ length: Math.floor(days / 60) }, () => {
+        const from = random.int(0, days - 1);
+        return { from, to: from + random.int(3, 10) };
+      })
+    };
+    
+    const activities = random.shuffle(PROFILES)
+      .slice(0, random.int(3, 5))
+      .map(profile => ({
+        name: profile.name,
+        unit: profile.unit,
+        category: profile.category,
+        logs: generateLogs(random, profile, person, start, days)
+      }));
+    
+    const goals = generateGoals(random, activities, start, end, days);
+    
+    return {
+      username,
+      email: `${username}@${DEMO_EMAIL_DOMAIN}`,
+      activities,
+      goals,
+      achievements: generateAchievements(activities, goals)
+    };
+  });
+
+  return {
+    seed,
+    startDate: start,
+    endDate: end,
+    users: people,
+    achievementTypes: ACHIEVEMENTS
+  };
+}
+
+/**
+ * Insert a generated data set in one transaction
+ * Achievement types are reused by name when they already exist.
+ * @param {Object} database - Database component
+ * @param {Object} dataSet - Data set from generateDemoData
+ * @param {Object} options - Write options
+ * @param {string} options.passwordHash - Password hash for every demo user
+ * @param {number} options.batchSize - Logs inserted per statement
+ * @returns {Promise<Object>} Number of rows written per table
+ */
+async function writeDemoData(database, dataSet, { passwordHash, batchSize = 500 }) {
+  const repositories = createRepositories(database);
+
+  const summary = {
+    users: 0,
+    activityTypes: 0,
+    logs: 0,
+    goals: 0,
+    completedGoals: 0,
+    achievements: 0
+  };
+
+  await database.transaction(async (client) => {
+    const types = new Map();
+    const existingTypes = await repositories.achievements.findActiveTypes();
+    
+    for (const type of dataSet.achievementTypes) {
+      const existing = existingTypes.find(row => row.name === type.name);
+      types.set(type.name, existing || await repositories.achievements.createType(type, client));
+    }
+    
+    for (const person of dataSet.users) {
+      const user = await repositories.users.create({
+        username: person.username,
+        email: person.email,
+        passwordHash
+      }, client);
+      
+      summary.users++;
+      
+      const activityIds = [];
+      
+      for (const activity of person.activities) {
+        const row = await repositories.activityTypes.create({
+          userId: user.user_id,
+          name: activity.name,
+          unit: activity.unit,
+          category: activity.category
+        }, client);
+        
+        activityIds.push(row.activity_type_id);
+        summary.activityTypes++;
+        
+        for (let i = 0; i < activity.logs.length; i += batchSize) {
+          const batch = activity.logs.slice(i, i + batchSize).map(log => ({
+            ...log,
+            userId: user.user_id,
+            activityId: row.activity_type_id
+          }));
+          
+          summary.logs += await repositories.logs.createMany(batch, client);
+        }
+      }
+      
+      // Logs inserted here publish no events, so fill the user's daily totals directly
+      await repositories.dailyTotals.rebuild(user.user_id, client);
+      
+      for (const goal of person.goals) {
+        const row = await repositories.goals.create({
+          ...goal,
+          userId: user.user_id,
+          activityId: activityIds[goal.activityIndex]
+        }, client);
+        
+        if (goal.completedAt || !goal.isActive) {
+          await repositories.goals.update(row.goal_id, {
+            isActive: goal.isActive,
+            isCompleted: Boolean(goal.completedAt),
+            completedAt: goal.completedAt || undefined
+          }, client);
+        }
+        
+        summary.goals++;
+        summary.completedGoals += goal.completedAt ? 1 : 0;
+      }
+      
+      let points = 0;
+      
+      for (const achievement of person.achievements) {
+        const type = types.get(achievement.name);
+        
+        if (await repositories.achievements.award(user.user_id, type.achievement_type_id, { earnedAt: achievement.earnedAt }, client)) {
+          points += type.point_value;
+          summary.achievements++;
+        }
+      }
+      
+      if (points > 0) {
+        await repositories.achievements.addPoints(user.user_id, points, client);
+      }
+    }
+  });
+
+  return summary;
+}
+
+module.exports = {
+  DEMO_EMAIL_DOMAIN,
+  SeededRandom,
+  generateDemoData,
+  writeDemoData
+};
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * In-memory PostgreSQL pool
+ * Backs the Database component when `database.driver` is "memory", so the
+ * application can boot and be tested without a PostgreSQL server. Data lives
+ * in the process and is lost on shutdown. Transactions are not isolated, and
+ * ROLLBACK does not undo the statements that ran before it. An INSERT skipped
+ * by ON CONFLICT DO NOTHING still counts and returns the existing row.
+ *
+ * pg-mem only implements part of PostgreSQL; the functions and operators our
+ * queries and migrations rely on are registered here. Keep it in sync when
+ * new SQL fails with "function ... does not exist" on the memory driver.
+ */
+
+// Interval fields scaled by `<number> * INTERVAL '...'`
+const INTERVAL_FIELDS = ['years', 'months', 'days', 'hours', 'minutes', 'seconds', 'milliseconds'];
+
+// Table definitions, whose column defaults are rewritten
+const TABLE_DDL = /^\s*(CREATE|ALTER)\s+TABLE\b/i;
+
+// pg-mem evaluates a CURRENT_TIMESTAMP default once, when the table is created
+const CURRENT_TIMESTAMP_DEFAULT = /\bDEFAULT\s+CURRENT_TIMESTAMP\b/gi;
+
+/**
+ * Create a node-postgres compatible pool on an in-memory database
+ * pg-mem is required lazily so PostgreSQL deployments don't load it.
+ * @param {Object} existing - pg-mem database to reuse, e.g. when the Database
+ *   component restarts (optional; a new, empty one by default)
+ * @returns {Object} { pool, memoryDb }
+ */
+function createMemoryPool(existing = null) {
+  const { newDb, DataType } = require('pg-mem');
+
+  // Row locks (FOR UPDATE SKIP LOCKED in the outbox) are meaningless in one process,
+  // so clauses pg-mem doesn't plan are ignored instead of rejected
+  const memoryDb = existing || newDb({ autoCreateForeignKeyIndices: true, noAstCoverageCheck: true });
+
+  if (!existing) {
+    registerFunctions(memoryDb, DataType);
+  }
+
+  const { Pool } = memoryDb.adapters.createPg();
+
+  // pg-mem hands out the pool itself as the client, so this covers transactions too
+  class MemoryPool extends Pool {
+    /**
+     * Substitute query parameters, and turn CURRENT_TIMESTAMP column defaults into NOW()
+     * @param {string|Object} query - Query text or config
+     * @param {Array} values - Query parameters
+     * @returns {Object} Query config pg-mem runs
+     */
+    adaptQuery(query, values) {
+      const adapted = super.adaptQuery(query, values);
+
+      return TABLE_DDL.test(adapted.text)
+        ? { ...adapted, text: adapted.text.replace(CURRENT_TIMESTAMP_DEFAULT, 'DEFAULT NOW()') }
+        : adapted;
+    }
+  }
+
+  return {
+    pool: new MemoryPool(),
+    memoryDb
+  };
+}
+
+/**
+ * Register the PostgreSQL functions and operators pg-mem lacks
+ * @param {Object} memoryDb - pg-mem database
+ * @param {Object} DataType - pg-mem data types
+ */
+function registerFunctions(memoryDb, DataType) {
+  const catalog = memoryDb.getSchema('pg_catalog');
+
+  // Our columns are TIMESTAMP; pg-mem's NOW() returns TIMESTAMPTZ and won't compare with them
+  catalog.registerFunction({
+    name: 'now',
+    args: [],
+    returns: DataType.timestamp,
+    implementation: () => new Date(),
+    impure: true
+  });
+
+  memoryDb.public.registerFunction({
+    name: 'date',
+    args: [DataType.timestamp],
+    returns: DataType.date,
+    implementation: value => truncate('day', value)
+  });
+
+  memoryDb.public.registerFunction({
+    name: 'date_trunc',
+    args: [DataType.text, DataType.timestamp],
+    returns: DataType.timestamp,
+    implementation: (unit, value) => truncate(unit, value)
+  });
+
+  // Used by the migrator to look for schema_migrations
+  memoryDb.public.registerFunction({
+    name: 'to_regclass',
+    args: [DataType.text],
+    returns: DataType.text,
+    implementation: name => {
+      try {
+        memoryDb.public.getTable(name);
+        return name;
+      } catch (error) {
+        return null;
+      }
+    },
+    impure: true
+  });
+
+  // A single process has nothing to lock against
+  [[DataType.integer], [DataType.integer, DataType.integer]].forEach(args => {
+    memoryDb.public.registerFunction({
+      name: 'pg_advisory_xact_lock',
+      args,
+      returns: DataType.text,
+      implementation: () => '',
+      impure: true
+    });
+  });
+
+  // `$1 * INTERVAL '1 millisecond'`; query parameters arrive as text
+  [DataType.integer, DataType.float, DataType.text].forEach(type => {
+    memoryDb.public.registerOperator({
+      operator: '*',
+      left: type,
+      right: DataType.interval,
+      returns: DataType.interval,
+      implementation: (factor, interval) => scaleInterval(interval, Number(factor))
+    });
+  });
+}
+
+/**
+ * Truncate a timestamp like PostgreSQL's date_trunc (UTC)
+ * @param {string} unit - day, week (starting Monday), month or year
+ * @param {Date} value - Timestamp
+ * @returns {Date|null} Truncated timestamp
+ */
+function truncate(unit, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const date = new Date(value);
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  switch (String(unit).toLowerCase()) {
+    case 'day':
+      return day;
+    case 'week':
+      day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+      return day;
+    case 'month':
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    case 'year':
+      return new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    default:
+      throw new Error(`date_trunc unit "${unit}" is not supported by the memory driver`);
+  }
+}
+
+/**
+ * Multiply every field of a pg-mem interval
+ * @param {Object} interval - Interval ({ days, hours, ... })
+ * @param {number} factor - Multiplier
+ * @returns {Object} Scaled interval
+ */
+function scaleInterval(interval, factor) {
+  const scaled = {};
+
+  INTERVAL_FIELDS.forEach(field => {
+    if (interval[field]) {
+      scaled[field] = interval[field] * factor;
+    }
+  });
+
+  return scaled;
+}
+
+module.exports = {
+  createMemoryPool
+};
\ No newline at end of file
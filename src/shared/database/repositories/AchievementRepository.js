@@ -0,0 +1,191 @@
+const Repository = require('./Repository');
+
+/**
+ * Achievement Repository
+ * Queries on achievement_types, user_achievements and user_points
+ */
+class AchievementRepository extends Repository {
+  /**
+   * Find an achievement type by ID
+   * @param {number} typeId - Achievement type ID
+   * @returns {Promise<Object|null>} Achievement type row
+   */
+  async findTypeById(typeId) {
+    return this._one('SELECT * FROM achievement_types WHERE achievement_type_id = $1', [typeId]);
+  }
+
+  /**
+   * List active achievement types by name
+   * @returns {Promise<Array<Object>>} Achievement type rows
+   */
+  async findActiveTypes() {
+    return this._all('SELECT * FROM achievement_types WHERE is_active = true ORDER BY name');
+  }
+
+  /**
+   * List the active achievement types a user hasn't earned yet
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Achievement type rows
+   */
+  async findUnearnedTypes(userId) {
+    const query = `
+      SELECT at.*
+      FROM achievement_types at
+      LEFT JOIN user_achievements ua ON ua.achievement_type_id = at.achievement_type_id
+        AND ua.user_id = $1
+      WHERE at.is_active = true
+        AND ua.user_achievement_id IS NULL
+    `;
+    
+    return this._all(query, [userId]);
+  }
+
+  /**
+   * Create an active achievement type
+   * @param {Object} type - Achievement type data
+   * @param {string} type.name - Name
+   * @param {string} type.description - Description
+   * @param {string} type.icon - Icon
+   * @param {Object} type.criteria - Award criteria (stored as JSON)
+   * @param {number} type.pointValue - Points awarded
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object>} Created row
+   */
+  async createType(type, client = this.db) {
+    const query = `
+      INSERT INTO achievement_types (name, description, icon, criteria, point_value, is_active)
+      VALUES ($1, $2, $3, $4, $5, true)
+      RETURNING *
+    `;
+    
+    return this._one(query, [
+      type.name,
+      type.description,
+      type.icon,
+      JSON.stringify(type.criteria),
+      type.pointValue
+    ], client);
+  }
+
+  /**
+   * Update an achievement type
+   * @param {number} typeId - Achievement type ID
+   * @param {Object} changes - Changed fields (name, description, icon, criteria, pointValue, isActive)
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Updated row
+   */
+  async updateType(typeId, changes, client = this.db) {
+    const { assignments, values } = this._buildSet({
+      ...changes,
+      criteria: changes.criteria === undefined ? undefined : JSON.stringify(changes.criteria)
+    }, {
+      name: 'name',
+      description: 'description',
+      icon: 'icon',
+      criteria: 'criteria',
+      pointValue: 'point_value',
+      isActive: 'is_active'
+    });
+    
+    const query = `
+      UPDATE achievement_types SET ${assignments.join(', ')}
+      WHERE achievement_type_id = $1
+      RETURNING *
+    `;
+    
+    return this._one(query, [typeId, ...values], client);
+  }
+
+  /**
+   * List a user's achievements with their type details, most recent first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} user_achievements rows with name, description, icon and point_value
+   */
+  async findByUser(userId) {
+    const query = `
+      SELECT ua.*, at.name, at.description, at.icon, at.point_value
+      FROM user_achievements ua
+      JOIN achievement_types at ON ua.achievement_type_id = at.achievement_type_id
+      WHERE ua.user_id = $1
+      ORDER BY ua.earned_at DESC
+    `;
+    
+    return this._all(query, [userId]);
+  }
+
+  /**
+   * Find a user's achievement of one type
+   * @param {number} userId - User ID
+   * @param {number} typeId - Achievement type ID
+   * @returns {Promise<Object|null>} user_achievements row
+   */
+  async findUserAchievement(userId, typeId) {
+    const query = 'SELECT * FROM user_achievements WHERE user_id = $1 AND achievement_type_id = $2';
+    return this._one(query, [userId, typeId]);
+  }
+
+  /**
+   * Award an achievement to a user
+   * @param {number} userId - User ID
+   * @param {number} typeId - Achievement type ID
+   * @param {Object} details - Award details
+   * @param {string} details.customMessage - Custom message (optional)
+   * @param {Date} details.earnedAt - When it was earned (defaults to now)
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Created row, or null if the user already had it
+   */
+  async award(userId, typeId, { customMessage = null, earnedAt = null } = {}, client = this.db) {
+    const query = `
+      INSERT INTO user_achievements (user_id, achievement_type_id, earned_at, custom_message)
+      VALUES ($1, $2, COALESCE($4, NOW()), $3)
+      ON CONFLICT (user_id, achievement_type_id) DO NOTHING
+      RETURNING *
+    `;
+    
+    return this._one(query, [userId, typeId, customMessage, earnedAt], client);
+  }
+
+  /**
+   * Add to a user's points
+   * @param {number} userId - User ID
+   * @param {number} points - Points to add
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<void>}
+   */
+  async addPoints(userId, points, client = this.db) {
+    const query = `
+      INSERT INTO user_points (user_id, points)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET points = user_points.points + EXCLUDED.points
+    `;
+    
+    await this._run(query, [userId, points], client);
+  }
+
+  /**
+   * Rank users by points, then by number of achievements
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Max rows
+   * @param {number} options.offset - Rows to skip
+   * @returns {Promise<Array<Object>>} Rows with user_id, username, points and achievements_count
+   */
+  async leaderboard({ limit = 10, offset = 0 } = {}) {
+    const query = `
+      SELECT
+        u.user_id,
+        u.username,
+        COALESCE(up.points, 0) AS points,
+        COUNT(ua.user_achievement_id) AS achievements_count
+      FROM users u
+      LEFT JOIN user_points up ON u.user_id = up.user_id
+      LEFT JOIN user_achievements ua ON u.user_id = ua.user_id
+      GROUP BY u.user_id, u.username, up.points
+      ORDER BY points DESC, achievements_count DESC
+      LIMIT $1 OFFSET $2
+    `;
+    
+    return this._all(query, [limit, offset]);
+  }
+}
+
+module.exports = AchievementRepository;
\ No newline at end of file
@@ -0,0 +1,165 @@
+const Repository = require('./Repository');
+
+/**
+ * Activity Type Repository
+ * Queries on the activity_types table. Activity types in the trash
+ * (deleted_at set) are left out of every query except the trash ones.
+ */
+class ActivityTypeRepository extends Repository {
+  /**
+   * Find an activity type by ID
+   * @param {number} activityId - Activity type ID
+   * @returns {Promise<Object|null>} Activity type row
+   */
+  async findById(activityId) {
+    return this._one('SELECT * FROM activity_types WHERE activity_type_id = $1 AND deleted_at IS NULL', [activityId]);
+  }
+
+  /**
+   * List a user's activity types by name
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Activity type rows
+   */
+  async findByUser(userId) {
+    return this._all('SELECT * FROM activity_types WHERE user_id = $1 AND deleted_at IS NULL ORDER BY name', [userId]);
+  }
+
+  /**
+   * Count all activity types
+   * @returns {Promise<number>} Activity types
+   */
+  async countAll() {
+    const row = await this._one('SELECT COUNT(*) AS total FROM activity_types WHERE deleted_at IS NULL');
+    return parseInt(row.total, 10);
+  }
+
+  /**
+   * Create an activity type
+   * @param {Object} activity - Activity type data
+   * @param {number} activity.userId - Owner's user ID
+   * @param {string} activity.name - Name
+   * @param {string} activity.unit - Unit counts are logged in
+   * @param {string} activity.category - Category (optional)
+   * @param {boolean} activity.isPublic - Whether other users can see it
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object>} Created row
+   */
+  async create({ userId, name, unit, category = null, isPublic = false }, client = this.db) {
+    const query = `
+      INSERT INTO activity_types (user_id, name, unit, category, is_public)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    
+    return this._one(query, [userId, name, unit, category, isPublic], client);
+  }
+
+  /**
+   * Update an activity type
+   * @param {number} activityId - Activity type ID
+   * @param {Object} changes - Changed fields (name, unit, isPublic)
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Updated row
+   */
+  async update(activityId, changes, client = this.db) {
+    const { assignments, values } = this._buildSet(changes, {
+      name: 'name',
+      unit: 'unit',
+      isPublic: 'is_public'
+    });
+    
+    const query = `
+      UPDATE activity_types SET ${assignments.join(', ')}
+      WHERE activity_type_id = $1
+      RETURNING *
+    `;
+    
+    return this._one(query, [activityId, ...values], client);
+  }
+
+  /**
+   * Move an activity type to the trash
+   * Its logs and goals are moved separately with the same deletion time.
+   * @param {number} activityId - Activity type ID
+   * @param {Date} deletedAt - Deletion time
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<boolean>} True if the activity type was moved to the trash
+   */
+  async softDelete(activityId, deletedAt, client = this.db) {
+    const query = 'UPDATE activity_types SET deleted_at = $2 WHERE activity_type_id = $1 AND deleted_at IS NULL';
+    return (await this._run(query, [activityId, deletedAt], client)) > 0;
+  }
+
+  /**
+   * Find an activity type in the trash
+   * @param {number} activityId - Activity type ID
+   * @returns {Promise<Object|null>} Activity type row
+   */
+  async findDeletedById(activityId) {
+    return this._one('SELECT * FROM activity_types WHERE activity_type_id = $1 AND deleted_at IS NOT NULL', [activityId]);
+  }
+
+  /**
+   * List a user's activity types in the trash, most recently deleted first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Activity type rows with the number of
+   *   logs and goals deleted along with them (log_count, goal_count)
+   */
+  async findDeletedByUser(userId) {
+    const query = `
+      SELECT
+        at.activity_type_id,
+        at.user_id,
+        at.name,
+        at.unit,
+        at.category,
+        at.is_public,
+        at.created_at,
+        at.updated_at,
+        at.deleted_at,
+        COUNT(DISTINCT al.log_id) AS log_count,
+        COUNT(DISTINCT g.goal_id) AS goal_count
+      FROM activity_types at
+      LEFT JOIN activity_logs al ON al.activity_type_id = at.activity_type_id
+        AND al.deleted_at = at.deleted_at
+      LEFT JOIN goals g ON g.activity_type_id = at.activity_type_id
+        AND g.deleted_at = at.deleted_at
+      WHERE at.user_id = $1
+        AND at.deleted_at IS NOT NULL
+      GROUP BY at.activity_type_id, at.user_id, at.name, at.unit, at.category,
+        at.is_public, at.created_at, at.updated_at, at.deleted_at
+      ORDER BY at.deleted_at DESC, at.activity_type_id DESC
+    `;
+    
+    return this._all(query, [userId]);
+  }
+
+  /**
+   * Take an activity type out of the trash
+   * @param {number} activityId - Activity type ID
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Restored row
+   */
+  async restore(activityId, client = this.db) {
+    const query = `
+      UPDATE activity_types SET deleted_at = NULL
+      WHERE activity_type_id = $1 AND deleted_at IS NOT NULL
+      RETURNING *
+    `;
+    
+    return this._one(query, [activityId], client);
+  }
+
+  /**
+   * Permanently delete activity types that have been in the trash since before a date
+   * Their remaining logs and goals cascade.
+   * @param {Date} before - Deleted before
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of activity types deleted
+   */
+  async purgeDeleted(before, client = this.db) {
+    return this._run('DELETE FROM activity_types WHERE deleted_at < $1', [before], client);
+  }
+}
+
+module.exports = ActivityTypeRepository;
\ No newline at end of file
@@ -0,0 +1,323 @@
+const Repository = require('./Repository');
+const { COUNTED_LOGS } = require('./LogRepository');
+
+// Period grouping expressions by name
+const PERIODS = {
+  daily: 'day',
+  weekly: "DATE_TRUNC('week', day)",
+  monthly: "DATE_TRUNC('month', day)"
+};
+
+// First key of the advisory locks serializing refreshes of an activity type's totals
+const REFRESH_LOCK = 7346202;
+
+// Recompute the totals of matching live and archived logs per user, activity type and day
+const AGGREGATE_LOGS = `
+  SELECT user_id, activity_type_id, DATE(logged_at) AS day, SUM(count) AS total, COUNT(*) AS entries
+  FROM ${COUNTED_LOGS}
+`;
+
+/**
+ * Daily Total Repository
+ * Queries on the daily_activity_totals table: the sum and number of live
+ * and archived logs per user, activity type and day. Stats, goal progress
+ * and analytics read from it; the DailyTotals component refreshes it when
+ * logs change.
+ * Date ranges are matched by day, so a range includes the whole of its
+ * first and last days.
+ */
+class DailyTotalRepository extends Repository {
+  /**
+   * Recompute one day of an activity type from its logs
+   * Runs in a transaction of its own unless given one.
+   * @param {number} userId - User ID
+   * @param {number} activityId - Activity type ID
+   * @param {Date} day - Any time on the day
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<void>}
+   */
+  async refreshDay(userId, activityId, day, client = this.db) {
+    if (client === this.db) {
+      return this.db.transaction(transaction => this.refreshDay(userId, activityId, day, transaction));
+    }
+    
+    await this._lockActivity(activityId, client);
+    
+    const query = `
+      INSERT INTO daily_activity_totals (user_id, activity_type_id, day, total, entries, updated_at)
+      SELECT $1::integer, $2::integer, $3::date, COALESCE(SUM(count), 0), COUNT(*), NOW()
+      FROM ${COUNTED_LOGS}
+      WHERE user_id = $1
+        AND activity_type_id = $2
+        AND DATE(logged_at) = $3::date
+      ON CONFLICT (user_id, activity_type_id, day)
+      DO UPDATE SET total = EXCLUDED.total, entries = EXCLUDED.entries, updated_at = EXCLUDED.updated_at
+    `;
+    
+    await this._run(query, [userId, activityId, day], client);
+    
+    // Days left without logs drop out rather than count as active
+    await this._run(`
+      DELETE FROM daily_activity_totals
+      WHERE user_id = $1 AND activity_type_id = $2 AND day = $3::date AND entries = 0
+    `, [userId, activityId, day], client);
+  }
+
+  /**
+   * Recompute every day of an activity type from its logs
+   * Used when its logs are trashed or restored along with it.
+   * Runs in a transaction of its own unless given one.
+   * @param {number} activityId - Activity type ID
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Days with logs
+   */
+  async refreshActivity(activityId, client = this.db) {
+    if (client === this.db) {
+      return this.db.transaction(transaction => this.refreshActivity(activityId, transaction));
+    }
+    
+    await this._lockActivity(activityId, client);
+    
+    await this._run('DELETE FROM daily_activity_totals WHERE activity_type_id = $1', [activityId], client);
+    
+    const query = `
+      INSERT INTO daily_activity_totals (user_id, activity_type_id, day, total, entries)
+      ${AGGREGATE_LOGS}
+      WHERE activity_type_id = $1
+      GROUP BY user_id, activity_type_id, DATE(logged_at)
+    `;
+    
+    return this._run(query, [activityId], client);
+  }
+
+  /**
+   * Recompute the totals from the logs
+   * @param {number} userId - Only this user's totals (optional)
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Days with logs
+   */
+  async rebuild(userId = null, client = this.db) {
+    if (userId) {
+      await this._run('DELETE FROM daily_activity_totals WHERE user_id = $1', [userId], client);
+    } else {
+      await this._run('DELETE FROM daily_activity_totals', [], client);
+    }
+    
+    const query = `
+      INSERT INTO daily_activity_totals (user_id, activity_type_id, day, total, entries)
+      ${AGGREGATE_LOGS}
+      ${userId ? 'WHERE user_id = $1' : ''}
+      GROUP BY user_id, activity_type_id, DATE(logged_at)
+    `;
+    
+    return this._run(query, userId ? [userId] : [], client);
+  }
+
+  /**
+   * List the days a user logged an activity type on between two dates
+   * @param {number} userId - User ID
+   * @param {number} activityId - Activity type ID
+   * @param {Date} startDate - First day
+   * @param {Date} endDate - Last day
+   * @returns {Promise<Array<Object>>} Rows with day, total and entries as numbers, oldest first
+   */
+  async findDays(userId, activityId, startDate, endDate) {
+    const query = `
+      SELECT day, total, entries
+      FROM daily_activity_totals
+      WHERE user_id = $1
+        AND activity_type_id = $2
+        AND day >= $3::date
+        AND day <= $4::date
+      ORDER BY day
+    `;
+    
+    const rows = await this._all(query, [userId, activityId, startDate, endDate]);
+    
+    return rows.map(row => ({
+      day: row.day,
+      total: parseFloat(row.total),
+      entries: parseInt(row.entries, 10)
+    }));
+  }
+
+  /**
+   * Sum a user's logs of one activity type between two dates
+   * @param {number} userId - User ID
+   * @param {number} activityId - Activity type ID
+   * @param {Date} startDate - First day
+   * @param {Date} endDate - Last day
+   * @returns {Promise<Object>} { total, entries } as numbers
+   */
+  async sumForPeriod(userId, activityId, startDate, endDate) {
+    const query = `
+      SELECT COALESCE(SUM(total), 0) AS total, COALESCE(SUM(entries), 0) AS entries
+      FROM daily_activity_totals
+      WHERE user_id = $1
+        AND activity_type_id = $2
+        AND day >= $3::date
+        AND day <= $4::date
+    `;
+    
+    const row = await this._one(query, [userId, activityId, startDate, endDate]);
+    
+    return {
+      total: parseFloat(row.total),
+      entries: parseInt(row.entries, 10)
+    };
+  }
+
+  /**
+   * List the distinct days a user logged on between two dates, oldest first
+   * @param {number} userId - User ID
+   * @param {Date} startDate - First day
+   * @param {Date} endDate - Last day
+   * @returns {Promise<Array<Date>>} Days
+   */
+  async findActiveDays(userId, startDate, endDate) {
+    const query = `
+      SELECT DISTINCT day AS active_day
+      FROM daily_activity_totals
+      WHERE user_id = $1
+        AND day >= $2::date
+        AND day <= $3::date
+      ORDER BY active_day
+    `;
+    
+    const rows = await this._all(query, [userId, startDate, endDate]);
+    return rows.map(row => row.active_day);
+  }
+
+  /**
+   * Summarize a user's logs per activity type between two dates
+   * Activity types without logs in the range are included with a zero total.
+   * @param {number} userId - User ID
+   * @param {Date} startDate - First day
+   * @param {Date} endDate - Last day
+   * @returns {Promise<Array<Object>>} Rows with activity_type_id, name, unit,
+   *   total_count, active_days, first_log and last_log (days), highest total first
+   */
+  async summarizeByActivity(userId, startDate, endDate) {
+    const query = `
+      SELECT
+        at.activity_type_id,
+        at.name,
+        at.unit,
+        COALESCE(SUM(dt.total), 0) AS total_count,
+        COUNT(dt.day) AS active_days,
+        MIN(dt.day) AS first_log,
+        MAX(dt.day) AS last_log
+      FROM activity_types at
+      LEFT JOIN daily_activity_totals dt ON at.activity_type_id = dt.activity_type_id
+        AND dt.user_id = $1
+        AND dt.day >= $2::date
+        AND dt.day <= $3::date
+      WHERE at.user_id = $1
+        AND at.deleted_at IS NULL
+      GROUP BY at.activity_type_id, at.name, at.unit
+      ORDER BY total_count DESC
+    `;
+    
+    return this._all(query, [userId, startDate, endDate]);
+  }
+
+  /**
+   * Total a user's logs per period and activity type between two dates
+   * @param {number} userId - User ID
+   * @param {Date} startDate - First day
+   * @param {Date} endDate - Last day
+   * @param {string} period - daily, weekly or monthly
+   * @returns {Promise<Array<Object>>} Rows with period, activity_type_id and total, oldest first
+   */
+  async totalsByPeriod(userId, startDate, endDate, period = 'daily') {
+    const query = `
+      SELECT
+        ${this._periodExpression(period)} AS period,
+        activity_type_id,
+        SUM(total) AS total
+      FROM daily_activity_totals
+      WHERE user_id = $1
+        AND day >= $2::date
+        AND day <= $3::date
+      GROUP BY period, activity_type_id
+      ORDER BY period ASC, activity_type_id
+    `;
+    
+    return this._all(query, [userId, startDate, endDate]);
+  }
+
+  /**
+   * Total a user's logs per period, most recent period first
+   * @param {number} userId - User ID
+   * @param {string} period - weekly or monthly
+   * @param {Object} options - Query options
+   * @param {number} options.activityId - Only this activity type; otherwise rows are per activity type (optional)
+   * @param {number} options.limit - Max periods when filtering by activity type (optional)
+   * @returns {Promise<Array<Object>>} Rows with period, total, active_days (and activity_type_id)
+   */
+  async trendsByPeriod(userId, period = 'weekly', options = {}) {
+    const { activityId = null, limit = 12 } = options;
+    const expression = this._periodExpression(period);
+    
+    if (activityId) {
+      const query = `
+        SELECT
+          ${expression} AS period,
+          COALESCE(SUM(total), 0) AS total,
+          COUNT(*) AS active_days
+        FROM daily_activity_totals
+        WHERE user_id = $1
+          AND activity_type_id = $2
+        GROUP BY period
+        ORDER BY period DESC
+        LIMIT $3
+      `;
+      
+      return this._all(query, [userId, activityId, limit]);
+    }
+    
+    const query = `
+      SELECT
+        ${expression} AS period,
+        activity_type_id,
+        COALESCE(SUM(total), 0) AS total,
+        COUNT(*) AS active_days
+      FROM daily_activity_totals
+      WHERE user_id = $1
+      GROUP BY period, activity_type_id
+      ORDER BY period DESC, activity_type_id
+    `;
+    
+    return this._all(query, [userId]);
+  }
+
+  /**
+   * Get the SQL grouping expression of a period
+   * @param {string} period - daily, weekly or monthly
+   * @returns {string} SQL expression over day
+   * @private
+   */
+  _periodExpression(period) {
+    if (!PERIODS[period]) {
+      throw new Error(`Unknown period "${period}", expected one of ${Object.keys(PERIODS).join(', ')}`);
+    }
+    
+    return PERIODS[period];
+  }
+
+  /**
+   * Wait for other refreshes of an activity type's totals to commit
+   * Held until the transaction ends, so each refresh sums the logs as
+   * committed after the previous one and concurrent refreshes of the same
+   * day can't write a stale total last.
+   * @param {number} activityId - Activity type ID
+   * @param {Object} client - Transaction client
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _lockActivity(activityId, client) {
+    await client.query('SELECT pg_advisory_xact_lock($1::integer, $2::integer)', [REFRESH_LOCK, activityId]);
+  }
+}
+
+module.exports = DailyTotalRepository;
\ No newline at end of file
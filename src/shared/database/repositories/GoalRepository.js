@@ -0,0 +1,246 @@
+const Repository = require('./Repository');
+
+/**
+ * Goal Repository
+ * Queries on the goals table. Goals in the trash (deleted_at set) are left
+ * out of every query except the trash ones.
+ */
+class GoalRepository extends Repository {
+  /**
+   * Find a goal by ID
+   * @param {number} goalId - Goal ID
+   * @returns {Promise<Object|null>} Goal row
+   */
+  async findById(goalId) {
+    return this._one('SELECT * FROM goals WHERE goal_id = $1 AND deleted_at IS NULL', [goalId]);
+  }
+
+  /**
+   * List a user's goals, newest first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Goal rows
+   */
+  async findByUser(userId) {
+    return this._all('SELECT * FROM goals WHERE user_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC', [userId]);
+  }
+
+  /**
+   * List a user's active goals for one activity type
+   * @param {number} userId - User ID
+   * @param {number} activityId - Activity type ID
+   * @returns {Promise<Array<Object>>} Goal rows
+   */
+  async findActiveByActivity(userId, activityId) {
+    const query = `
+      SELECT * FROM goals
+      WHERE user_id = $1 AND activity_type_id = $2 AND is_active = true AND deleted_at IS NULL
+    `;
+    
+    return this._all(query, [userId, activityId]);
+  }
+
+  /**
+   * Count a user's completed goals
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Completed goals
+   */
+  async countCompleted(userId) {
+    const query = 'SELECT COUNT(*) AS completed FROM goals WHERE user_id = $1 AND is_completed = true AND deleted_at IS NULL';
+    const row = await this._one(query, [userId]);
+    return parseInt(row.completed, 10);
+  }
+
+  /**
+   * Count all goals and the completed ones
+   * @returns {Promise<Object>} { total, completed }
+   */
+  async countAll() {
+    const query = `
+      SELECT COUNT(*) AS total, COALESCE(SUM(CASE WHEN is_completed THEN 1 ELSE 0 END), 0) AS completed
+      FROM goals
+      WHERE deleted_at IS NULL
+    `;
+    
+    const row = await this._one(query);
+    return { total: parseInt(row.total, 10), completed: parseInt(row.completed, 10) };
+  }
+
+  /**
+   * Create an active goal
+   * @param {Object} goal - Goal data
+   * @param {number} goal.userId - User ID
+   * @param {number} goal.activityId - Activity type ID
+   * @param {string} goal.name - Name
+   * @param {string} goal.description - Description
+   * @param {number} goal.targetValue - Target amount per period
+   * @param {string} goal.periodType - daily, weekly, monthly, yearly or custom
+   * @param {Date} goal.startDate - Start date (optional)
+   * @param {Date} goal.endDate - End date (optional)
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object>} Created row
+   */
+  async create(goal, client = this.db) {
+    const query = `
+      INSERT INTO goals (
+        user_id,
+        activity_type_id,
+        name,
+        description,
+        target_value,
+        period_type,
+        start_date,
+        end_date,
+        is_active
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true)
+      RETURNING *
+    `;
+    
+    return this._one(query, [
+      goal.userId,
+      goal.activityId,
+      goal.name,
+      goal.description,
+      goal.targetValue,
+      goal.periodType,
+      goal.startDate,
+      goal.endDate
+    ], client);
+  }
+
+  /**
+   * Update a goal
+   * @param {number} goalId - Goal ID
+   * @param {Object} changes - Changed fields (targetValue, periodType, startDate, endDate, isActive, isCompleted, completedAt)
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Updated row
+   */
+  async update(goalId, changes, client = this.db) {
+    const { assignments, values } = this._buildSet(changes, {
+      targetValue: 'target_value',
+      periodType: 'period_type',
+      startDate: 'start_date',
+      endDate: 'end_date',
+      isActive: 'is_active',
+      isCompleted: 'is_completed',
+      completedAt: 'completed_at'
+    });
+    
+    const query = `
+      UPDATE goals SET ${assignments.join(', ')}
+      WHERE goal_id = $1
+      RETURNING *
+    `;
+    
+    return this._one(query, [goalId, ...values], client);
+  }
+
+  /**
+   * Mark a goal as completed
+   * @param {number} goalId - Goal ID
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Completed goal row, or null if it was completed before
+   */
+  async markCompleted(goalId, client = this.db) {
+    const query = `
+      UPDATE goals SET is_completed = true, completed_at = NOW()
+      WHERE goal_id = $1 AND is_completed = false
+      RETURNING *
+    `;
+    
+    return this._one(query, [goalId], client);
+  }
+
+  /**
+   * Move a goal to the trash
+   * @param {number} goalId - Goal ID
+   * @param {Date} deletedAt - Deletion time
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<boolean>} True if the goal was moved to the trash
+   */
+  async softDelete(goalId, deletedAt, client = this.db) {
+    const query = 'UPDATE goals SET deleted_at = $2 WHERE goal_id = $1 AND deleted_at IS NULL';
+    return (await this._run(query, [goalId, deletedAt], client)) > 0;
+  }
+
+  /**
+   * Move the goals of an activity type to the trash along with it
+   * @param {number} activityId - Activity type ID
+   * @param {Date} deletedAt - Deletion time of the activity type
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of goals moved
+   */
+  async softDeleteByActivity(activityId, deletedAt, client = this.db) {
+    const query = 'UPDATE goals SET deleted_at = $2 WHERE activity_type_id = $1 AND deleted_at IS NULL';
+    return this._run(query, [activityId, deletedAt], client);
+  }
+
+  /**
+   * Find a goal in the trash
+   * @param {number} goalId - Goal ID
+   * @returns {Promise<Object|null>} Goal row
+   */
+  async findDeletedById(goalId) {
+    return this._one('SELECT * FROM goals WHERE goal_id = $1 AND deleted_at IS NOT NULL', [goalId]);
+  }
+
+  /**
+   * List the goals a user deleted on their own, most recently deleted first
+   * Goals deleted along with their activity type are listed with it instead.
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Goal rows with activity_name and unit
+   */
+  async findDeletedByUser(userId) {
+    const query = `
+      SELECT g.*, at.name AS activity_name, at.unit
+      FROM goals g
+      JOIN activity_types at ON at.activity_type_id = g.activity_type_id
+        AND at.deleted_at IS NULL
+      WHERE g.user_id = $1
+        AND g.deleted_at IS NOT NULL
+      ORDER BY g.deleted_at DESC, g.goal_id DESC
+    `;
+    
+    return this._all(query, [userId]);
+  }
+
+  /**
+   * Take a goal out of the trash
+   * @param {number} goalId - Goal ID
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Restored row
+   */
+  async restore(goalId, client = this.db) {
+    const query = `
+      UPDATE goals SET deleted_at = NULL
+      WHERE goal_id = $1 AND deleted_at IS NOT NULL
+      RETURNING *
+    `;
+    
+    return this._one(query, [goalId], client);
+  }
+
+  /**
+   * Take the goals deleted along with an activity type out of the trash
+   * @param {number} activityId - Activity type ID
+   * @param {Date} deletedAt - Deletion time of the activity type
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of goals restored
+   */
+  async restoreByActivity(activityId, deletedAt, client = this.db) {
+    const query = 'UPDATE goals SET deleted_at = NULL WHERE activity_type_id = $1 AND deleted_at = $2';
+    return this._run(query, [activityId, deletedAt], client);
+  }
+
+  /**
+   * Permanently delete goals that have been in the trash since before a date
+   * @param {Date} before - Deleted before
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of goals deleted
+   */
+  async purgeDeleted(before, client = this.db) {
+    return this._run('DELETE FROM goals WHERE deleted_at < $1', [before], client);
+  }
+}
+
+module.exports = GoalRepository;
\ No newline at end of file
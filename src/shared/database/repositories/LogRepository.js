@@ -0,0 +1,397 @@
+const Repository = require('./Repository');
+
+// Columns logs may be sorted by
+const ORDER_COLUMNS = ['logged_at', 'created_at', 'count', 'log_id'];
+
+// Logs that count towards totals: live logs and archived logs whose activity
+// type isn't in the trash (live logs go to the trash along with their type)
+const COUNTED_LOGS = `
+  (
+    SELECT user_id, activity_type_id, count, logged_at
+    FROM activity_logs
+    WHERE deleted_at IS NULL
+    UNION ALL
+    SELECT ala.user_id, ala.activity_type_id, ala.count, ala.logged_at
+    FROM activity_logs_archive ala
+    JOIN activity_types at ON at.activity_type_id = ala.activity_type_id
+      AND at.deleted_at IS NULL
+  ) counted_logs
+`;
+
+/**
+ * Log Repository
+ * Queries on the activity_logs table and its archive, including the
+ * aggregates achievements check as logs come in; stats, goals and analytics
+ * read daily_activity_totals (see DailyTotalRepository). Logs in the trash
+ * (deleted_at set) are left out of every query except the trash ones.
+ * Archived logs (older than the retention period) are read-only and only
+ * show up in totals and exports.
+ */
+class LogRepository extends Repository {
+  /**
+   * Find a log by ID
+   * @param {number} logId - Log ID
+   * @returns {Promise<Object|null>} Log row
+   */
+  async findById(logId) {
+    return this._one('SELECT * FROM activity_logs WHERE log_id = $1 AND deleted_at IS NULL', [logId]);
+  }
+
+  /**
+   * List a user's logs
+   * @param {number} userId - User ID
+   * @param {Object} filters - Query filters
+   * @param {number} filters.activityId - Only logs of this activity type (optional)
+   * @param {Date} filters.startDate - Logged at or after (optional)
+   * @param {Date} filters.endDate - Logged at or before (optional)
+   * @param {number} filters.limit - Max rows (default 100)
+   * @param {number} filters.offset - Rows to skip
+   * @param {string} filters.orderBy - Sort column (logged_at, created_at, count or log_id)
+   * @param {string} filters.orderDir - ASC or DESC
+   * @returns {Promise<Array<Object>>} Log rows
+   */
+  async findByUser(userId, filters = {}) {
+    const {
+      activityId = null,
+      startDate = null,
+      endDate = null,
+      limit = 100,
+      offset = 0,
+      orderBy = 'logged_at',
+      orderDir = 'DESC'
+    } = filters;
+    
+    if (!ORDER_COLUMNS.includes(orderBy)) {
+      const error = new Error('Invalid sort order');
+      error.name = 'ValidationError';
+      error.details = [`orderBy must be one of ${ORDER_COLUMNS.join(', ')}`];
+      throw error;
+    }
+    
+    const direction = String(orderDir).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    
+    let query = 'SELECT * FROM activity_logs WHERE user_id = $1 AND deleted_at IS NULL';
+    const params = [userId];
+    
+    if (activityId) {
+      params.push(activityId);
+      query += ` AND activity_type_id = $${params.length}`;
+    }
+    
+    if (startDate) {
+      params.push(startDate);
+      query += ` AND logged_at >= $${params.length}`;
+    }
+    
+    if (endDate) {
+      params.push(endDate);
+      query += ` AND logged_at <= $${params.length}`;
+    }
+    
+    params.push(limit, offset);
+    query += ` ORDER BY ${orderBy} ${direction} LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    
+    return this._all(query, params);
+  }
+
+  /**
+   * Create a log
+   * @param {Object} log - Log data
+   * @param {number} log.userId - User ID
+   * @param {number} log.activityId - Activity type ID
+   * @param {number} log.count - Logged amount
+   * @param {string} log.notes - Notes
+   * @param {Date} log.loggedAt - When the activity happened
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object>} Created row
+   */
+  async create({ userId, activityId, count, notes = '', loggedAt = new Date() }, client = this.db) {
+    const query = `
+      INSERT INTO activity_logs (user_id, activity_type_id, count, notes, logged_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    
+    return this._one(query, [userId, activityId, count, notes, loggedAt], client);
+  }
+
+  /**
+   * Insert several logs with one statement
+   * @param {Array<Object>} logs - Logs ({ userId, activityId, count, notes, loggedAt })
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of rows inserted
+   */
+  async createMany(logs, client = this.db) {
+    if (logs.length === 0) return 0;
+    
+    const params = [];
+    const rows = logs.map(({ userId, activityId, count, notes = '', loggedAt = new Date() }) => {
+      params.push(userId, activityId, count, notes, loggedAt);
+      const offset = params.length - 5;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5})`;
+    });
+    
+    const query = `
+      INSERT INTO activity_logs (user_id, activity_type_id, count, notes, logged_at)
+      VALUES ${rows.join(', ')}
+    `;
+    
+    return this._run(query, params, client);
+  }
+
+  /**
+   * Update a log
+   * @param {number} logId - Log ID
+   * @param {Object} changes - Changed fields (count, notes, loggedAt)
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Updated row
+   */
+  async update(logId, changes, client = this.db) {
+    const { assignments, values } = this._buildSet(changes, {
+      count: 'count',
+      notes: 'notes',
+      loggedAt: 'logged_at'
+    });
+    
+    const query = `
+      UPDATE activity_logs SET ${assignments.join(', ')}
+      WHERE log_id = $1
+      RETURNING *
+    `;
+    
+    return this._one(query, [logId, ...values], client);
+  }
+
+  /**
+   * Move a log to the trash
+   * @param {number} logId - Log ID
+   * @param {Date} deletedAt - Deletion time
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<boolean>} True if the log was moved to the trash
+   */
+  async softDelete(logId, deletedAt, client = this.db) {
+    const query = 'UPDATE activity_logs SET deleted_at = $2 WHERE log_id = $1 AND deleted_at IS NULL';
+    return (await this._run(query, [logId, deletedAt], client)) > 0;
+  }
+
+  /**
+   * Move the logs of an activity type to the trash along with it
+   * @param {number} activityId - Activity type ID
+   * @param {Date} deletedAt - Deletion time of the activity type
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of logs moved
+   */
+  async softDeleteByActivity(activityId, deletedAt, client = this.db) {
+    const query = 'UPDATE activity_logs SET deleted_at = $2 WHERE activity_type_id = $1 AND deleted_at IS NULL';
+    return this._run(query, [activityId, deletedAt], client);
+  }
+
+  /**
+   * Find a log in the trash
+   * @param {number} logId - Log ID
+   * @returns {Promise<Object|null>} Log row
+   */
+  async findDeletedById(logId) {
+    return this._one('SELECT * FROM activity_logs WHERE log_id = $1 AND deleted_at IS NOT NULL', [logId]);
+  }
+
+  /**
+   * List the logs a user deleted on their own, most recently deleted first
+   * Logs deleted along with their activity type are listed with it instead.
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Log rows with activity_name and unit
+   */
+  async findDeletedByUser(userId) {
+    const query = `
+      SELECT al.*, at.name AS activity_name, at.unit
+      FROM activity_logs al
+      JOIN activity_types at ON at.activity_type_id = al.activity_type_id
+        AND at.deleted_at IS NULL
+      WHERE al.user_id = $1
+        AND al.deleted_at IS NOT NULL
+      ORDER BY al.deleted_at DESC, al.log_id DESC
+    `;
+    
+    return this._all(query, [userId]);
+  }
+
+  /**
+   * Take a log out of the trash
+   * @param {number} logId - Log ID
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Restored row
+   */
+  async restore(logId, client = this.db) {
+    const query = `
+      UPDATE activity_logs SET deleted_at = NULL
+      WHERE log_id = $1 AND deleted_at IS NOT NULL
+      RETURNING *
+    `;
+    
+    return this._one(query, [logId], client);
+  }
+
+  /**
+   * Take the logs deleted along with an activity type out of the trash
+   * @param {number} activityId - Activity type ID
+   * @param {Date} deletedAt - Deletion time of the activity type
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of logs restored
+   */
+  async restoreByActivity(activityId, deletedAt, client = this.db) {
+    const query = 'UPDATE activity_logs SET deleted_at = NULL WHERE activity_type_id = $1 AND deleted_at = $2';
+    return this._run(query, [activityId, deletedAt], client);
+  }
+
+  /**
+   * Permanently delete logs that have been in the trash since before a date
+   * @param {Date} before - Deleted before
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of logs deleted
+   */
+  async purgeDeleted(before, client = this.db) {
+    return this._run('DELETE FROM activity_logs WHERE deleted_at < $1', [before], client);
+  }
+
+  /**
+   * Move live logs from before a date to the archive
+   * Moves the oldest logs by ID first, at most `limit` per call; logs in the
+   * trash are left for the trash purge.
+   * @param {Date} before - Logged before
+   * @param {number} limit - Max logs to move
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of logs archived
+   */
+  async archiveBefore(before, limit, client = this.db) {
+    const last = await this._one(`
+      SELECT MAX(log_id) AS log_id FROM (
+        SELECT log_id FROM activity_logs
+        WHERE logged_at < $1 AND deleted_at IS NULL
+        ORDER BY log_id
+        LIMIT $2
+      ) batch
+    `, [before, limit], client);
+    
+    if (!last || last.log_id === null) return 0;
+    
+    const archived = await this._run(`
+      INSERT INTO activity_logs_archive (log_id, activity_type_id, user_id, count, notes, logged_at, created_at, updated_at, archived_at)
+      SELECT log_id, activity_type_id, user_id, count, notes, logged_at, created_at, updated_at, NOW()
+      FROM activity_logs
+      WHERE logged_at < $1 AND deleted_at IS NULL AND log_id <= $2
+    `, [before, last.log_id], client);
+    
+    await this._run(
+      'DELETE FROM activity_logs WHERE logged_at < $1 AND deleted_at IS NULL AND log_id <= $2',
+      [before, last.log_id],
+      client
+    );
+    
+    return archived;
+  }
+
+  /**
+   * List a user's live and archived logs for an export, oldest first
+   * Logs of activity types in the trash are left out.
+   * @param {number} userId - User ID
+   * @param {Object} filters - Query filters
+   * @param {Date} filters.startDate - Logged at or after (optional)
+   * @param {Date} filters.endDate - Logged at or before (optional)
+   * @returns {Promise<Array<Object>>} Log rows with activity_name, unit, category and archived
+   */
+  async findForExport(userId, filters = {}) {
+    const { startDate = null, endDate = null } = filters;
+    
+    let conditions = '';
+    const params = [userId];
+    
+    if (startDate) {
+      params.push(startDate);
+      conditions += ` AND logged_at >= $${params.length}`;
+    }
+    
+    if (endDate) {
+      params.push(endDate);
+      conditions += ` AND logged_at <= $${params.length}`;
+    }
+    
+    const query = `
+      SELECT l.*, at.name AS activity_name, at.unit, at.category
+      FROM (
+        SELECT log_id, activity_type_id, count, notes, logged_at, false AS archived
+        FROM activity_logs
+        WHERE user_id = $1 AND deleted_at IS NULL${conditions}
+        UNION ALL
+        SELECT log_id, activity_type_id, count, notes, logged_at, true AS archived
+        FROM activity_logs_archive
+        WHERE user_id = $1${conditions}
+      ) l
+      JOIN activity_types at ON at.activity_type_id = l.activity_type_id
+        AND at.deleted_at IS NULL
+      ORDER BY l.logged_at, l.log_id
+    `;
+    
+    return this._all(query, params);
+  }
+
+  /**
+   * Count all logs, archived ones included
+   * @returns {Promise<number>} Logs
+   */
+  async countAll() {
+    const row = await this._one(`SELECT COUNT(*) AS total FROM ${COUNTED_LOGS}`);
+    return parseInt(row.total, 10);
+  }
+
+  /**
+   * Sum all of a user's logs, archived ones included
+   * @param {number} userId - User ID
+   * @param {number} activityId - Only this activity type (optional)
+   * @returns {Promise<number>} Total logged amount
+   */
+  async sumForUser(userId, activityId = null) {
+    let query = `SELECT COALESCE(SUM(count), 0) AS total FROM ${COUNTED_LOGS} WHERE user_id = $1`;
+    const params = [userId];
+    
+    if (activityId) {
+      params.push(activityId);
+      query += ' AND activity_type_id = $2';
+    }
+    
+    const row = await this._one(query, params);
+    return parseFloat(row.total);
+  }
+
+  /**
+   * List the distinct days a user logged on, most recent first, archived logs included
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options
+   * @param {number} options.activityId - Only this activity type (optional)
+   * @param {number} options.limit - Max days (optional)
+   * @returns {Promise<Array<Date>>} Days
+   */
+  async findRecentDays(userId, options = {}) {
+    const { activityId = null, limit = null } = options;
+    
+    let query = `SELECT DISTINCT DATE(logged_at) AS day FROM ${COUNTED_LOGS} WHERE user_id = $1`;
+    const params = [userId];
+    
+    if (activityId) {
+      params.push(activityId);
+      query += ` AND activity_type_id = $${params.length}`;
+    }
+    
+    query += ' ORDER BY day DESC';
+    
+    if (limit) {
+      params.push(limit);
+      query += ` LIMIT $${params.length}`;
+    }
+    
+    const rows = await this._all(query, params);
+    return rows.map(row => row.day);
+  }
+}
+
+module.exports = LogRepository;
+module.exports.COUNTED_LOGS = COUNTED_LOGS;
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Repository base class
+ * A repository owns the SQL for one aggregate. Methods take an optional
+ * client as their last argument so callers can run them inside
+ * Database.transaction; they return database rows as-is.
+ */
+class Repository {
+  /**
+   * Create a new repository
+   * @param {Object} db - Database component (or anything with query())
+   */
+  constructor(db) {
+    if (!db) {
+      throw new Error('Repository requires a database');
+    }
+    
+    this.db = db;
+  }
+
+  /**
+   * Run a query and return all rows
+   * @param {string} text - SQL query text
+   * @param {Array} params - Query parameters
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Array<Object>>} Result rows
+   */
+  async _all(text, params = [], client = this.db) {
+    const result = await client.query(text, params);
+    return result.rows;
+  }
+
+  /**
+   * Run a query and return the first row
+   * @param {string} text - SQL query text
+   * @param {Array} params - Query parameters
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} First row, or null
+   */
+  async _one(text, params = [], client = this.db) {
+    const result = await client.query(text, params);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Run a statement and return the number of affected rows
+   * @param {string} text - SQL statement
+   * @param {Array} params - Statement parameters
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Affected rows
+   */
+  async _run(text, params = [], client = this.db) {
+    const result = await client.query(text, params);
+    return result.rowCount;
+  }
+
+  /**
+   * Build the SET clause of an UPDATE from the changed fields
+   * Fields missing from `columns` or set to undefined are ignored, so
+   * request bodies can be passed through without building SQL from them.
+   * @param {Object} changes - Field -> new value
+   * @param {Object} columns - Field -> column name
+   * @param {number} offset - Number of parameters before the first value
+   * @returns {Object} Assignments (with updated_at) and their values
+   */
+  _buildSet(changes, columns, offset = 1) {
+    const assignments = [];
+    const values = [];
+    
+    Object.keys(columns).forEach(field => {
+      if (changes[field] === undefined) return;
+      
+      values.push(changes[field]);
+      assignments.push(`${columns[field]} = $${offset + values.length}`);
+    });
+    
+    assignments.push('updated_at = NOW()');
+    
+    return { assignments, values };
+  }
+}
+
+module.exports = Repository;
\ No newline at end of file
@@ -0,0 +1,178 @@
+const Repository = require('./Repository');
+
+// Columns that must never leave the auth code (events, snapshots, responses)
+const SECRET_COLUMNS = ['password_hash', 'reset_token', 'reset_token_expires'];
+
+/**
+ * Copy a user row without its password hash and reset token
+ * @param {Object|null} user - User row
+ * @returns {Object|null} User row without the secret columns
+ */
+function withoutSecrets(user) {
+  if (!user) {
+    return null;
+  }
+  
+  const copy = { ...user };
+  SECRET_COLUMNS.forEach(column => delete copy[column]);
+  return copy;
+}
+
+/**
+ * User Repository
+ * Queries on the users table
+ */
+class UserRepository extends Repository {
+  /**
+   * Find a user by ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} User row, including the password hash
+   */
+  async findById(userId) {
+    return this._one('SELECT * FROM users WHERE user_id = $1', [userId]);
+  }
+
+  /**
+   * Find a user by username or email
+   * @param {string} username - Username
+   * @param {string} email - Email
+   * @returns {Promise<Object|null>} User row
+   */
+  async findByUsernameOrEmail(username, email) {
+    return this._one('SELECT * FROM users WHERE username = $1 OR email = $2', [username, email]);
+  }
+
+  /**
+   * Find a user by email
+   * @param {string} email - Email
+   * @returns {Promise<Object|null>} User row
+   */
+  async findByEmail(email) {
+    return this._one('SELECT * FROM users WHERE email = $1', [email]);
+  }
+
+  /**
+   * Find the user holding an unexpired password reset token
+   * @param {string} token - Reset token
+   * @returns {Promise<Object|null>} User row
+   */
+  async findByResetToken(token) {
+    const query = `
+      SELECT * FROM users
+      WHERE reset_token = $1 AND reset_token_expires > NOW()
+    `;
+    
+    return this._one(query, [token]);
+  }
+
+  /**
+   * Create a user
+   * @param {Object} user - User data
+   * @param {string} user.username - Username
+   * @param {string} user.email - Email
+   * @param {string} user.passwordHash - bcrypt hash of the password
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object>} Created user (without the password hash)
+   */
+  async create({ username, email, passwordHash }, client = this.db) {
+    const query = `
+      INSERT INTO users (username, email, password_hash)
+      VALUES ($1, $2, $3)
+      RETURNING user_id, username, email, created_at
+    `;
+    
+    return this._one(query, [username, email, passwordHash], client);
+  }
+
+  /**
+   * Replace a user's password hash
+   * @param {number} userId - User ID
+   * @param {string} passwordHash - New bcrypt hash
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Updated user row, or null if the user doesn't exist
+   */
+  async updatePassword(userId, passwordHash, client = this.db) {
+    const query = `
+      UPDATE users
+      SET password_hash = $2, updated_at = NOW()
+      WHERE user_id = $1
+      RETURNING *
+    `;
+    
+    return this._one(query, [userId, passwordHash], client);
+  }
+
+  /**
+   * Replace a user's password hash and consume their reset token
+   * @param {number} userId - User ID
+   * @param {string} passwordHash - New bcrypt hash
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Updated user row, or null if the user doesn't exist
+   */
+  async resetPassword(userId, passwordHash, client = this.db) {
+    const query = `
+      UPDATE users
+      SET password_hash = $2, reset_token = NULL, reset_token_expires = NULL, updated_at = NOW()
+      WHERE user_id = $1
+      RETURNING *
+    `;
+    
+    return this._one(query, [userId, passwordHash], client);
+  }
+
+  /**
+   * Store a password reset token valid for one hour
+   * @param {number} userId - User ID
+   * @param {string} token - Reset token
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Updated user row, or null if the user doesn't exist
+   */
+  async setResetToken(userId, token, client = this.db) {
+    const query = `
+      UPDATE users
+      SET reset_token = $2, reset_token_expires = NOW() + INTERVAL '1 hour'
+      WHERE user_id = $1
+      RETURNING *
+    `;
+    
+    return this._one(query, [userId, token], client);
+  }
+
+  /**
+   * Count all users and those who signed up since a date
+   * @param {Date} since - Start of the recent period
+   * @returns {Promise<Object>} { total, recent }
+   */
+  async countAll(since) {
+    const query = `
+      SELECT COUNT(*) AS total, COALESCE(SUM(CASE WHEN created_at >= $1 THEN 1 ELSE 0 END), 0) AS recent
+      FROM users
+    `;
+    
+    const row = await this._one(query, [since]);
+    return { total: parseInt(row.total, 10), recent: parseInt(row.recent, 10) };
+  }
+
+  /**
+   * Record a successful login
+   * @param {number} userId - User ID
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<Object|null>} Updated user row, or null if the user doesn't exist
+   */
+  async touchLastLogin(userId, client = this.db) {
+    return this._one('UPDATE users SET last_login = NOW() WHERE user_id = $1 RETURNING *', [userId], client);
+  }
+
+  /**
+   * Delete every user whose email is on a domain (their data cascades)
+   * @param {string} domain - Email domain, without the @
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<number>} Number of users deleted
+   */
+  async deleteByEmailDomain(domain, client = this.db) {
+    return this._run('DELETE FROM users WHERE email LIKE $1', [`%@${domain}`], client);
+  }
+}
+
+module.exports = UserRepository;
+module.exports.withoutSecrets = withoutSecrets;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const UserRepository = require('./UserRepository');
+const ActivityTypeRepository = require('./ActivityTypeRepository');
+const LogRepository = require('./LogRepository');
+const GoalRepository = require('./GoalRepository');
+const DailyTotalRepository = require('./DailyTotalRepository');
+const AchievementRepository = require('./AchievementRepository');
+
+/**
+ * Create the repositories over a database
+ * @param {Object} db - Database component (or anything with query())
+ * @returns {Object} Repositories by aggregate
+ */
+function createRepositories(db) {
+  return {
+    users: new UserRepository(db),
+    activityTypes: new ActivityTypeRepository(db),
+    logs: new LogRepository(db),
+    goals: new GoalRepository(db),
+    dailyTotals: new DailyTotalRepository(db),
+    achievements: new AchievementRepository(db)
+  };
+}
+
+module.exports = {
+  createRepositories,
+  UserRepository,
+  ActivityTypeRepository,
+  LogRepository,
+  GoalRepository,
+  DailyTotalRepository,
+  AchievementRepository
+};
\ No newline at end of file
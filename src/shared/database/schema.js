@@ -0,0 +1,59 @@
+/**
+ * Expected database schema
+ * Tables and columns the components query, as created by src/migrations.
+ * The Database component compares the live schema against this list at
+ * startup; update it together with any migration that adds or renames columns.
+ */
+module.exports = {
+  users: [
+    'user_id', 'username', 'email', 'password_hash', 'role', 'reset_token',
+    'reset_token_expires', 'created_at', 'updated_at', 'last_login'
+  ],
+  activity_types: [
+    'activity_type_id', 'user_id', 'name', 'unit', 'category', 'is_public',
+    'created_at', 'updated_at', 'deleted_at'
+  ],
+  activity_logs: [
+    'log_id', 'activity_type_id', 'user_id', 'count', 'notes', 'logged_at',
+    'created_at', 'updated_at', 'deleted_at'
+  ],
+  goals: [
+    'goal_id', 'user_id', 'activity_type_id', 'name', 'description', 'target_value',
+    'period_type', 'start_date', 'end_date', 'is_active', 'is_completed',
+    'completed_at', 'created_at', 'updated_at', 'deleted_at'
+  ],
+  achievement_types: [
+    'achievement_type_id', 'name', 'description', 'icon', 'criteria', 'point_value',
+    'is_active', 'created_at', 'updated_at'
+  ],
+  user_achievements: [
+    'user_achievement_id', 'user_id', 'achievement_type_id', 'earned_at', 'custom_message'
+  ],
+  user_points: ['user_id', 'points'],
+  notifications: [
+    'notification_id', 'user_id', 'title', 'message', 'type', 'is_read', 'created_at'
+  ],
+  event_outbox: [
+    'outbox_id', 'event_name', 'payload', 'status', 'attempts', 'last_error',
+    'created_at', 'locked_at', 'dispatched_at'
+  ],
+  event_dead_letters: [
+    'dead_letter_id', 'event_name', 'subscriber', 'payload', 'error', 'stack',
+    'attempts', 'status', 'created_at', 'updated_at'
+  ],
+  feature_flags: [
+    'flag_name', 'description', 'enabled', 'percentage', 'user_ids', 'roles',
+    'created_at', 'updated_at'
+  ],
+  audit_log: [
+    'audit_id', 'event_name', 'action', 'entity_type', 'entity_id', 'user_id',
+    'actor_id', 'before', 'after', 'ip', 'request_id', 'created_at'
+  ],
+  daily_activity_totals: [
+    'user_id', 'activity_type_id', 'day', 'total', 'entries', 'updated_at'
+  ],
+  activity_logs_archive: [
+    'log_id', 'activity_type_id', 'user_id', 'count', 'notes', 'logged_at',
+    'created_at', 'updated_at', 'archived_at'
+  ]
+};
\ No newline at end of file
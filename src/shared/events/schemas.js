@@ -0,0 +1,363 @@
+/**
+ * Application event definitions
+ * Every event published through Component.publish should be declared here.
+ * See src/core/event-registry.js for the type spec syntax.
+ */
+module.exports = {
+  // Lifecycle events
+  'component:initialized': {
+    description: 'A component finished initializing',
+    publishers: ['*'],
+    schema: {
+      name: 'string'
+    }
+  },
+  'component:error': {
+    description: 'A component failed during initialization or shutdown',
+    publishers: ['*'],
+    schema: {
+      name: 'string',
+      error: 'any',
+      phase: 'string'
+    }
+  },
+  'component:restarted': {
+    description: 'A component and its dependents were restarted at runtime',
+    publishers: ['Orchestrator'],
+    schema: {
+      name: 'string',
+      components: 'array',
+      success: 'boolean',
+      duration: 'number'
+    }
+  },
+  'app:ready': {
+    description: 'All components are initialized',
+    publishers: ['Orchestrator'],
+    schema: {
+      components: 'array'
+    }
+  },
+  'app:error': {
+    description: 'A component reported an error',
+    publishers: ['Orchestrator'],
+    schema: {
+      component: 'string',
+      error: 'any',
+      phase: 'string'
+    }
+  },
+  'app:shutdown': {
+    description: 'The application is shutting down',
+    publishers: ['Application'],
+    schema: {}
+  },
+  'config:changed': {
+    description: 'Configuration values were changed at runtime by a reload or set()',
+    publishers: ['ConfigManager'],
+    schema: {
+      paths: 'array',
+      // { path, previous, value, restartRequired } per key, secrets redacted
+      changes: 'array',
+      // Changed keys that only apply after a restart
+      restartRequired: 'array',
+      trigger: 'string'
+    }
+  },
+  'database:error': {
+    description: 'An idle database client raised an error',
+    publishers: ['Database'],
+    schema: {
+      error: 'any'
+    }
+  },
+  'outbox:replayed': {
+    description: 'Stored events were replayed from the outbox',
+    publishers: ['Outbox'],
+    schema: {
+      since: 'date',
+      until: 'date?',
+      replayed: 'number',
+      failed: 'number'
+    }
+  },
+
+  'trash:purged': {
+    description: 'Items past the trash retention were permanently deleted',
+    publishers: ['Trash'],
+    schema: {
+      before: 'date',
+      activities: 'number',
+      logs: 'number',
+      goals: 'number'
+    }
+  },
+  'logs:archived': {
+    description: 'Logs past the retention period were moved to the archive',
+    publishers: ['LogArchive'],
+    schema: {
+      before: 'date',
+      logs: 'number'
+    }
+  },
+
+  // Feature flag events
+  'feature:updated': {
+    description: 'A feature flag was created or changed in the database',
+    publishers: ['FeatureFlags'],
+    schema: {
+      name: 'string',
+      enabled: 'boolean'
+    }
+  },
+  'feature:deleted': {
+    description: 'A feature flag was removed from the database',
+    publishers: ['FeatureFlags'],
+    schema: {
+      name: 'string'
+    }
+  },
+
+  // User events
+  'user:created': {
+    description: 'A user registered',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id',
+      username: 'string'
+    }
+  },
+  'user:updated': {
+    description: 'A user profile was updated',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id'
+    }
+  },
+  'user:deleted': {
+    description: 'A user account was deleted',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id'
+    }
+  },
+  'user:login': {
+    description: 'A user logged in',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id',
+      username: 'string'
+    }
+  },
+  'user:logout': {
+    description: 'A user logged out',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id'
+    }
+  },
+  'user:password_changed': {
+    description: 'A user changed their password',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id'
+    }
+  },
+  'user:password_reset_requested': {
+    description: 'A password reset token was issued',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id',
+      email: 'string'
+    }
+  },
+  'user:password_reset': {
+    description: 'A password was reset with a reset token',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id'
+    }
+  },
+  'auth:tokens_invalidated': {
+    description: 'All tokens of a user should be considered revoked',
+    publishers: ['Auth'],
+    schema: {
+      userId: 'id'
+    }
+  },
+
+  // Activity events
+  'activity:created': {
+    description: 'An activity type was created',
+    publishers: ['Activity'],
+    schema: {
+      activityId: 'id',
+      userId: 'id',
+      name: 'string'
+    }
+  },
+  'activity:updated': {
+    description: 'An activity type was updated',
+    publishers: ['Activity'],
+    schema: {
+      activityId: 'id',
+      userId: 'id',
+      name: 'string'
+    }
+  },
+  'activity:deleted': {
+    description: 'An activity type was moved to the trash',
+    publishers: ['Activity'],
+    schema: {
+      activityId: 'id',
+      userId: 'id',
+      // Logs and goals moved to the trash along with it
+      logs: 'number?',
+      goals: 'number?'
+    }
+  },
+  'activity:restored': {
+    description: 'An activity type was restored from the trash with its logs and goals',
+    publishers: ['Activity'],
+    schema: {
+      activityId: 'id',
+      userId: 'id',
+      name: 'string',
+      logs: 'number',
+      goals: 'number'
+    }
+  },
+
+  // Log events
+  'log:created': {
+    description: 'An activity log entry was created',
+    publishers: ['Activity'],
+    schema: {
+      logId: 'id',
+      userId: 'id',
+      activityId: 'id',
+      count: 'number'
+    }
+  },
+  'log:updated': {
+    description: 'An activity log entry was updated',
+    publishers: ['Activity'],
+    schema: {
+      logId: 'id',
+      userId: 'id',
+      activityId: 'id',
+      // Passed through from the request body as sent by the client
+      count: 'number|string'
+    }
+  },
+  'log:deleted': {
+    description: 'An activity log entry was moved to the trash',
+    publishers: ['Activity'],
+    schema: {
+      logId: 'id',
+      userId: 'id',
+      activityId: 'id'
+    }
+  },
+  'log:restored': {
+    description: 'An activity log entry was restored from the trash',
+    publishers: ['Activity'],
+    schema: {
+      logId: 'id',
+      userId: 'id',
+      activityId: 'id',
+      count: 'number'
+    }
+  },
+
+  'totals:updated': {
+    description: 'Daily activity totals were recomputed after logs changed',
+    publishers: ['DailyTotals'],
+    schema: {
+      userId: 'id',
+      activityId: 'id',
+      // Day of the changed log; absent when every day of the activity type was recomputed
+      day: 'date?'
+    }
+  },
+
+  // Goal events
+  'goal:created': {
+    description: 'A goal was created',
+    publishers: ['Goal'],
+    schema: {
+      goalId: 'id',
+      userId: 'id',
+      activityId: 'id',
+      activityName: 'string',
+      activityUnit: 'string',
+      activityCategory: 'string?'
+    }
+  },
+  'goal:updated': {
+    description: 'A goal was updated',
+    publishers: ['Goal'],
+    schema: {
+      goalId: 'id',
+      userId: 'id',
+      activityId: 'id',
+      activityName: 'string',
+      activityUnit: 'string',
+      activityCategory: 'string?'
+    }
+  },
+  'goal:deleted': {
+    description: 'A goal was moved to the trash',
+    publishers: ['Goal'],
+    schema: {
+      goalId: 'id',
+      userId: 'id'
+    }
+  },
+  'goal:restored': {
+    description: 'A goal was restored from the trash',
+    publishers: ['Goal'],
+    schema: {
+      goalId: 'id',
+      userId: 'id',
+      activityId: 'id'
+    }
+  },
+  'goal:achieved': {
+    description: 'A goal reached its target for the current period',
+    publishers: ['Goal'],
+    schema: {
+      userId: 'id',
+      goalId: 'id',
+      // Name of the goal's activity
+      goalName: 'string',
+      goalTarget: 'number|string',
+      goalUnit: 'string',
+      goalPeriod: 'string'
+    }
+  },
+
+  // Achievement and notification events
+  'achievement:earned': {
+    description: 'A user earned an achievement',
+    publishers: ['Achievement'],
+    schema: {
+      userId: 'id',
+      achievementId: 'id',
+      achievementName: 'string',
+      achievementDescription: 'string?',
+      earnedDate: 'date',
+      customMessage: 'string?'
+    }
+  },
+  'notification:created': {
+    description: 'A notification was sent to a user',
+    publishers: ['Notification'],
+    schema: {
+      userId: 'id',
+      title: 'string',
+      message: 'string',
+      type: 'string'
+    }
+  }
+};
\ No newline at end of file
@@ -3,6 +3,8 @@
  * For use with the event-based component architecture
  */
 
+const requestContext = require('../../core/request-context');
+
 // Get the auth component from the orchestrator
 const getAuthComponent = () => {
   // In a real implementation, we'd get this from the app context
@@ -63,6 +65,9 @@ const authenticateJWT = (req, res, next) => {
       username: decoded.username
     };
     
+    // Events published while handling the request are attributed to this user
+    requestContext.assign({ userId: decoded.userId });
+    
     next();
   } catch (error) {
     console.error('[Auth] Authentication error:', error);
@@ -1,9 +1,19 @@
+const requestContext = require('../../core/request-context');
+
+/**
+ * Get the correlation ID of a request
+ * @param {Object} req - Request object
+ * @returns {string|null} Request ID
+ */
+const getRequestId = (req) => req.id || requestContext.getRequestId();
+
 /**
  * Error logger middleware
  * Logs errors before they are handled
  */
 const errorLogger = (err, req, res, next) => {
   console.error('Error occurred:', {
+    requestId: getRequestId(req),
     message: err.message,
     stack: err.stack,
     path: req.path,
@@ -18,12 +28,16 @@ const errorLogger = (err, req, res, next) => {
 /**
  * Error handler middleware
  * Formats and returns error responses
+ * Every response carries the request's correlation ID as requestId
  */
 const errorHandler = (err, req, res, next) => {
+  const requestId = getRequestId(req);
+  
   // Check for known error types
   if (err.name === 'ValidationError') {
     return res.status(400).json({
       error: 'Validation Error',
+      requestId,
       message: err.message,
       details: err.details || []
     });
@@ -32,6 +46,7 @@ const errorHandler = (err, req, res, next) => {
   if (err.name === 'UnauthorizedError' || err.message === 'Invalid token') {
     return res.status(401).json({
       error: 'Unauthorized',
+      requestId,
       message: 'Authentication is required to access this resource'
     });
   }
@@ -42,6 +57,7 @@ const errorHandler = (err, req, res, next) => {
     if (err.code === '23505') {
       return res.status(409).json({
         error: 'Conflict',
+        requestId,
         message: 'A record with this data already exists'
       });
     }
@@ -50,6 +66,7 @@ const errorHandler = (err, req, res, next) => {
     if (err.code === '23503') {
       return res.status(409).json({
         error: 'Conflict',
+        requestId,
         message: 'Cannot delete or update due to foreign key constraint'
       });
     }
@@ -58,6 +75,7 @@ const errorHandler = (err, req, res, next) => {
     if (err.code === '23502') {
       return res.status(400).json({
         error: 'Bad Request',
+        requestId,
         message: 'Required field is missing'
       });
     }
@@ -69,7 +87,8 @@ const errorHandler = (err, req, res, next) => {
   
   const errorResponse = {
     error: err.name || 'Error',
-    message: err.message || 'An unexpected error occurred'
+    message: err.message || 'An unexpected error occurred',
+    requestId
   };
   
   // Add stack trace and details in development
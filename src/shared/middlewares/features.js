@@ -0,0 +1,37 @@
+/**
+ * Feature flag middleware
+ * Gates routes behind a flag of the FeatureFlags component
+ */
+
+// Get the feature flags component from the orchestrator (see auth middleware)
+const getFeatureFlagsComponent = () => {
+  return global.appOrchestrator?.getComponent('FeatureFlags');
+};
+
+/**
+ * Require a feature flag to be enabled for the current user
+ * Responds 404 when the flag is off, so gated routes look like they don't exist.
+ * Use after authenticateJWT to target by user and role.
+ * @param {string} flag - Flag name
+ * @returns {Function} Middleware function
+ */
+const requireFeature = (flag) => {
+  return async (req, res, next) => {
+    try {
+      const featureFlags = getFeatureFlagsComponent();
+      
+      if (!featureFlags || !(await featureFlags.isEnabled(flag, req.user || null))) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      
+      next();
+    } catch (error) {
+      console.error('Feature flag check error:', error);
+      return res.status(500).json({ error: 'Error checking feature flags' });
+    }
+  };
+};
+
+module.exports = {
+  requireFeature
+};
\ No newline at end of file
@@ -1,6 +1,24 @@
+const requestContext = require('../../core/request-context');
+const configManager = require('../../core/config-manager');
+
+// Log levels from most to least severe
+const LEVELS = ['error', 'warn', 'info', 'http', 'debug'];
+
+/**
+ * Check whether messages of a level are logged at the configured logging.level
+ * Read on every call so a configuration reload applies immediately
+ * @param {string} level - Message level
+ * @returns {boolean} True if the message should be logged
+ */
+const isLogged = (level) => {
+  return LEVELS.indexOf(level) <= LEVELS.indexOf(configManager.get('logging.level', 'info'));
+};
+
 /**
  * API logger middleware
- * Logs detailed request information
+ * Logs detailed request information and assigns the request a correlation ID.
+ * An incoming X-Request-Id header is reused; the ID is echoed back in the
+ * response and kept in the request context for the rest of the request.
  * @param {Object} req - Request object
  * @param {Object} res - Response object
  * @param {Function} next - Next middleware function
@@ -11,25 +29,32 @@ const apiLogger = (req, res, next) => {
     return next();
   }
   
+  // Reuse the caller's correlation ID when it's well-formed
+  const incomingId = req.get('X-Request-Id');
+  req.id = requestContext.isValidId(incomingId) ? incomingId : requestContext.generateId();
+  res.setHeader('X-Request-Id', req.id);
+  
   // Get request start time
   req.startTime = Date.now();
   
   // Log the request
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`, {
-    ip: req.ip,
-    userAgent: req.headers['user-agent'],
-    body: req.method !== 'GET' ? req.body : undefined,
-    query: req.query,
-    user: req.user ? req.user.id : 'unauthenticated'
-  });
+  if (isLogged('info')) {
+    console.log(`[${new Date().toISOString()}] [${req.id}] ${req.method} ${req.originalUrl}`, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      body: req.method !== 'GET' ? req.body : undefined,
+      query: req.query,
+      user: req.user ? req.user.id : 'unauthenticated'
+    });
+  }
   
   // Log response on completion
   res.on('finish', () => {
     const duration = Date.now() - req.startTime;
     
     // Only log non-200 responses or slow responses
-    if (res.statusCode !== 200 || duration > 1000) {
-      console.log(`[${new Date().toISOString()}] Response: ${res.statusCode} (${duration}ms)`, {
+    if ((res.statusCode !== 200 || duration > 1000) && isLogged('info')) {
+      console.log(`[${new Date().toISOString()}] [${req.id}] Response: ${res.statusCode} (${duration}ms)`, {
         method: req.method,
         url: req.originalUrl,
         status: res.statusCode,
@@ -38,7 +63,8 @@ const apiLogger = (req, res, next) => {
     }
   });
   
-  next();
+  // Everything downstream (routes, events, queries) runs inside the request context
+  requestContext.run({ requestId: req.id, ip: req.ip }, next);
 };
 
 module.exports = apiLogger;
\ No newline at end of file
@@ -1,12 +1,21 @@
+const rateLimit = require('express-rate-limit');
+const configManager = require('../../core/config-manager');
+
 /**
- * API rate limiter middleware
- * Limits the number of requests from a single IP
+ * Create the API rate limiter middleware
+ * Limits the number of requests from a single IP per window (rateLimit.windowMs,
+ * read once). The limit (rateLimit.max, 0 = unlimited) is read on every request
+ * so a configuration reload applies immediately.
+ * @returns {Function} Express middleware
  */
-const apiRateLimiter = (req, res, next) => {
-  // Simple stub rate limiter
-  // In a real implementation, this would use a rate limiter like express-rate-limit
-  // For now, we'll just pass all requests through
-  next();
-};
+const createApiRateLimiter = () => rateLimit({
+  windowMs: configManager.get('rateLimit.windowMs', 60000),
+  limit: () => configManager.get('rateLimit.max', 0),
+  // express-rate-limit blocks every request at a limit of 0
+  skip: () => !configManager.get('rateLimit.max', 0),
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later' }
+});
 
-module.exports = apiRateLimiter;
\ No newline at end of file
+module.exports = createApiRateLimiter;
\ No newline at end of file
@@ -9,28 +9,6 @@ const { authenticateJWT, isAdmin } = require('../middlewares/auth');
 function achievementRoutes(achievementComponent) {
   const router = express.Router();
   
-  /**
-   * Get all achievements for a user
-   * GET /api/achievements/:userId
-   */
-  router.get('/:userId', authenticateJWT, async (req, res, next) => {
-    try {
-      const userId = parseInt(req.params.userId);
-      
-      // Check if user has permission to access achievements
-      if (userId !== req.user.id) {
-        return res.status(403).json({ error: 'You do not have permission to access these achievements' });
-      }
-      
-      // Get achievements from component
-      const achievements = await achievementComponent.getUserAchievements(userId);
-      
-      res.json(achievements);
-    } catch (err) {
-      next(err);
-    }
-  });
-  
   /**
    * Get achievement by ID
    * GET /api/achievements/achievement/:achievementId
@@ -179,6 +157,29 @@ function achievementRoutes(achievementComponent) {
     }
   });
   
+  /**
+   * Get all achievements for a user
+   * GET /api/achievements/:userId
+   * Defined last so it doesn't shadow /types and /leaderboard
+   */
+  router.get('/:userId', authenticateJWT, async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      
+      // Check if user has permission to access achievements
+      if (userId !== req.user.id) {
+        return res.status(403).json({ error: 'You do not have permission to access these achievements' });
+      }
+      
+      // Get achievements from component
+      const achievements = await achievementComponent.getUserAchievements(userId);
+      
+      res.json(achievements);
+    } catch (err) {
+      next(err);
+    }
+  });
+  
   return router;
 }
 
@@ -162,10 +162,6 @@ function analyticsRoutes(analyticsComponent) {
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=activity_data.csv');
         res.send(exportData);
-      } else if (format === 'excel' || format === 'xlsx') {
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', 'attachment; filename=activity_data.xlsx');
-        res.send(exportData);
       } else {
         // Default to JSON
         res.json(exportData);
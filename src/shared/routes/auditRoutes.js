@@ -0,0 +1,122 @@
+const express = require('express');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth');
+
+// Entity types in the audit log
+const ENTITY_TYPES = ['activity', 'log', 'goal', 'user', 'achievement'];
+
+/**
+ * Parse the audit filters shared by the user and admin endpoints
+ * @param {Object} query - Request query
+ * @returns {Object} Filters for AuditComponent.search
+ * @throws {Error} ValidationError if a filter is invalid
+ */
+function parseFilters(query) {
+  const errors = [];
+
+  const parseDate = (name) => {
+    if (!query[name]) return null;
+    
+    const date = new Date(query[name]);
+    
+    if (isNaN(date.getTime())) {
+      errors.push(`${name} must be a date`);
+      return null;
+    }
+    
+    return date;
+  };
+
+  const parseId = (name) => {
+    if (!query[name]) return null;
+    
+    if (!/^\d+$/.test(query[name])) {
+      errors.push(`${name} must be a positive integer`);
+      return null;
+    }
+    
+    return parseInt(query[name]);
+  };
+
+  if (query.entityType && !ENTITY_TYPES.includes(query.entityType)) {
+    errors.push(`entityType must be one of ${ENTITY_TYPES.join(', ')}`);
+  }
+
+  const filters = {
+    userId: parseId('userId'),
+    actorId: parseId('actorId'),
+    entityType: query.entityType || null,
+    entityId: parseId('entityId'),
+    action: query.action || null,
+    requestId: query.requestId || null,
+    from: parseDate('from'),
+    to: parseDate('to'),
+    limit: Math.min(parseInt(query.limit) || 50, 500),
+    offset: parseInt(query.offset) || 0
+  };
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid audit filters: ${errors.join('; ')}`);
+    error.name = 'ValidationError';
+    error.details = errors;
+    throw error;
+  }
+
+  return filters;
+}
+
+/**
+ * Create audit routes for the current user
+ * @param {Object} auditComponent - Audit component
+ * @returns {Object} Express router
+ */
+function auditRoutes(auditComponent) {
+  const router = express.Router();
+
+  /**
+   * List audit entries about the current user's data
+   * Changes made by admins or other components are included
+   * GET /api/audit?entityType=log&entityId=12&action=updated&from=2024-01-01&to=2024-02-01
+   */
+  router.get('/', authenticateJWT, async (req, res, next) => {
+    try {
+      const entries = await auditComponent.search({
+        ...parseFilters(req.query),
+        userId: req.user.id
+      });
+      
+      res.json(entries);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Create admin audit routes
+ * @param {Object} auditComponent - Audit component
+ * @returns {Object} Express router
+ */
+function adminAuditRoutes(auditComponent) {
+  const router = express.Router();
+
+  /**
+   * Search the audit log of all users
+   * GET /api/admin/audit?userId=3&actorId=1&entityType=goal&entityId=7&requestId=...&from=2024-01-01
+   */
+  router.get('/', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      const entries = await auditComponent.search(parseFilters(req.query));
+      
+      res.json(entries);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = auditRoutes;
+module.exports.adminAuditRoutes = adminAuditRoutes;
\ No newline at end of file
@@ -0,0 +1,57 @@
+const express = require('express');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth');
+
+/**
+ * Create component administration routes
+ * @param {Object} orchestrator - Application orchestrator
+ * @returns {Object} Express router
+ */
+function componentRoutes(orchestrator) {
+  const router = express.Router();
+
+  /**
+   * List components with their dependencies and dependents
+   * GET /api/admin/components
+   */
+  router.get('/', authenticateJWT, isAdmin, (req, res) => {
+    const health = orchestrator.getHealth();
+    
+    res.json(orchestrator.initOrder.map(name => ({
+      name,
+      initialized: orchestrator.components.get(name).initialized,
+      dependencies: orchestrator.components.get(name).dependencies,
+      dependents: orchestrator.getDependents(name),
+      initTime: health.components[name] ? health.components[name].initTime : null
+    })));
+  });
+
+  /**
+   * Restart a component and its dependents
+   * POST /api/admin/components/:name/restart
+   */
+  router.post('/:name/restart', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      const { name } = req.params;
+      
+      if (!orchestrator.components.has(name)) {
+        return res.status(404).json({ error: 'Component not found' });
+      }
+      
+      if (orchestrator.restarting) {
+        return res.status(409).json({ error: `A restart of "${orchestrator.restarting}" is already in progress` });
+      }
+      
+      console.log(`[ComponentsRoute] User ${req.user.id} restarting component "${name}"`);
+      
+      const report = await orchestrator.restart(name);
+      
+      res.status(report.status === 'restarted' ? 200 : 500).json(report);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = componentRoutes;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const express = require('express');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth');
+
+/**
+ * Create configuration administration routes
+ * @param {Object} configManager - Configuration manager
+ * @returns {Object} Express router
+ */
+function configRoutes(configManager) {
+  const router = express.Router();
+
+  /**
+   * Get the effective configuration with the source of every value
+   * Secrets are redacted
+   * GET /api/admin/config
+   */
+  router.get('/', authenticateJWT, isAdmin, (req, res) => {
+    res.json({
+      environment: configManager.get('app.environment'),
+      config: configManager.getEffectiveConfig()
+    });
+  });
+
+  /**
+   * Re-read the configuration sources and apply the result
+   * POST /api/admin/config/reload
+   */
+  router.post('/reload', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      if (configManager.reloading) {
+        return res.status(409).json({ error: 'A reload is already in progress' });
+      }
+      
+      const result = await configManager.reload();
+      
+      if (!result.success) {
+        return res.status(400).json({ error: 'Invalid configuration, nothing was changed', errors: result.errors });
+      }
+      
+      res.json({
+        changes: result.changes,
+        restartRequired: result.restartRequired
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = configRoutes;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const express = require('express');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth');
+
+/**
+ * Create dead letter routes
+ * @param {Object} deadLetterComponent - Dead letter component
+ * @returns {Object} Express router
+ */
+function deadLetterRoutes(deadLetterComponent) {
+  const router = express.Router();
+
+  /**
+   * List dead letters
+   * GET /api/admin/dead-letters?status=pending&event=log:created&subscriber=Achievement._handleLogCreated
+   */
+  router.get('/', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      const deadLetters = await deadLetterComponent.list({
+        status: req.query.status || 'pending',
+        event: req.query.event || null,
+        subscriber: req.query.subscriber || null,
+        limit: parseInt(req.query.limit) || 50,
+        offset: parseInt(req.query.offset) || 0
+      });
+      
+      res.json(deadLetters);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Get a dead letter
+   * GET /api/admin/dead-letters/:deadLetterId
+   */
+  router.get('/:deadLetterId', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      const deadLetter = await deadLetterComponent.getById(parseInt(req.params.deadLetterId));
+      
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      
+      res.json(deadLetter);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Deliver a dead letter to its subscriber again
+   * POST /api/admin/dead-letters/:deadLetterId/retry
+   */
+  router.post('/:deadLetterId/retry', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      const deadLetterId = parseInt(req.params.deadLetterId);
+      const deadLetter = await deadLetterComponent.getById(deadLetterId);
+      
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      
+      if (deadLetter.status !== 'pending') {
+        return res.status(409).json({ error: `Dead letter is already ${deadLetter.status}` });
+      }
+      
+      const { deadLetter: updated, result } = await deadLetterComponent.retry(deadLetterId);
+      
+      res.status(result.status === 'fulfilled' ? 200 : 502).json({
+        deadLetter: updated,
+        result
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Discard a dead letter
+   * DELETE /api/admin/dead-letters/:deadLetterId
+   */
+  router.delete('/:deadLetterId', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      const discarded = await deadLetterComponent.discard(parseInt(req.params.deadLetterId));
+      
+      if (!discarded) {
+        return res.status(404).json({ error: 'Pending dead letter not found' });
+      }
+      
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = deadLetterRoutes;
\ No newline at end of file
@@ -0,0 +1,68 @@
+const express = require('express');
+const { authenticateJWT, isAdmin } = require('../middlewares/auth');
+
+/**
+ * Create feature flag routes
+ * @param {Object} featureFlagsComponent - Feature flags component
+ * @returns {Object} Express router
+ */
+function featureRoutes(featureFlagsComponent) {
+  const router = express.Router();
+
+  /**
+   * Get the flags enabled for the current user, for gating UI
+   * GET /api/features
+   */
+  router.get('/', authenticateJWT, async (req, res, next) => {
+    try {
+      const flags = await featureFlagsComponent.getEnabledFlags(req.user);
+      res.json({ flags });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * List flag definitions with their source (config or database)
+   * GET /api/features/definitions
+   */
+  router.get('/definitions', authenticateJWT, isAdmin, (req, res) => {
+    res.json(featureFlagsComponent.list());
+  });
+
+  /**
+   * Create or replace a flag
+   * PUT /api/features/:name
+   * Body: { enabled, percentage?, users?, roles?, description? }
+   */
+  router.put('/:name', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      const flag = await featureFlagsComponent.setFlag(req.params.name, req.body);
+      res.json(flag);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Remove a flag stored in the database
+   * DELETE /api/features/:name
+   */
+  router.delete('/:name', authenticateJWT, isAdmin, async (req, res, next) => {
+    try {
+      const deleted = await featureFlagsComponent.deleteFlag(req.params.name);
+      
+      if (!deleted) {
+        return res.status(404).json({ error: 'Feature flag not found in the database' });
+      }
+      
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = featureRoutes;
\ No newline at end of file
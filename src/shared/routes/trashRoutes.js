@@ -0,0 +1,63 @@
+const express = require('express');
+const { authenticateJWT } = require('../middlewares/auth');
+
+// Item types in the trash, as used in URLs
+const TYPES = ['activities', 'logs', 'goals'];
+
+/**
+ * Create trash routes
+ * @param {Object} trashComponent - Trash component
+ * @returns {Object} Express router
+ */
+function trashRoutes(trashComponent) {
+  const router = express.Router();
+
+  /**
+   * List the current user's deleted activities, logs and goals
+   * GET /api/trash
+   */
+  router.get('/', authenticateJWT, async (req, res, next) => {
+    try {
+      const trash = await trashComponent.listTrash(req.user.id);
+      res.json(trash);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Restore an item; an activity comes back with the logs and goals deleted along with it
+   * POST /api/trash/:type/:id/restore (type is activities, logs or goals)
+   */
+  router.post('/:type/:id/restore', authenticateJWT, async (req, res, next) => {
+    try {
+      const { type } = req.params;
+      const id = parseInt(req.params.id);
+      
+      if (!TYPES.includes(type)) {
+        return res.status(404).json({ error: `Unknown trash type, expected one of ${TYPES.join(', ')}` });
+      }
+      
+      const item = await trashComponent.getItem(type, id);
+      
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found in the trash' });
+      }
+      
+      // Check if user has permission to restore the item
+      if (item.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'You do not have permission to restore this item' });
+      }
+      
+      const restored = await trashComponent.restore(type, id);
+      
+      res.json(restored);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = trashRoutes;
\ No newline at end of file
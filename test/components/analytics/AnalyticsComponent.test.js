@@ -0,0 +1,51 @@
+const AnalyticsComponent = require('../../../src/components/analytics/AnalyticsComponent');
+const GoalComponent = require('../../../src/components/goals/GoalComponent');
+const { startApp, stopApp, createUser } = require('../../helpers/app');
+
+describe('AnalyticsComponent', () => {
+  let orchestrator;
+  let database;
+  let activity;
+  let goal;
+  let analytics;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    orchestrator = await startApp([
+      ['Goal', new GoalComponent(), ['Database', 'Activity', 'Outbox']],
+      ['Analytics', new AnalyticsComponent(), ['Database', 'Activity', 'Goal']]
+    ]);
+    
+    database = orchestrator.getComponent('Database');
+    activity = orchestrator.getComponent('Activity');
+    goal = orchestrator.getComponent('Goal');
+    analytics = orchestrator.getComponent('Analytics');
+  });
+
+  afterEach(async () => {
+    await stopApp(orchestrator);
+    jest.restoreAllMocks();
+  });
+
+  test('counts users, activity types, logs and goals across the system', async () => {
+    const alice = await createUser(database, 'alice');
+    await createUser(database, 'bob');
+    await database.query("UPDATE users SET created_at = NOW() - INTERVAL '30 days' WHERE user_id = $1", [alice]);
+    
+    const run = await activity.createActivity(alice, 'Run', 'km');
+    const swim = await activity.createActivity(alice, 'Swim', 'm');
+    await activity.createActivityLog(alice, run.activity_type_id, 5);
+    await activity.createActivityLog(alice, run.activity_type_id, 3);
+    const created = await goal.createGoal(alice, run.activity_type_id, { targetCount: 100, periodType: 'daily' });
+    await goal.createGoal(alice, swim.activity_type_id, { targetCount: 100, periodType: 'daily' });
+    await database.query('UPDATE goals SET is_completed = true WHERE goal_id = $1', [created.goal_id]);
+    await activity.deleteActivity(swim.activity_type_id);
+    
+    expect(await analytics.getSystemStatistics()).toMatchObject({
+      users: { total: 2, newLast7Days: 1 },
+      activity_types: { totalTypes: 1, totalLogs: 2 },
+      goals: { total: 1, completed: 1 }
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+const AuditComponent = require('../../../src/components/audit/AuditComponent');
+const eventBus = require('../../../src/core/event-bus');
+const requestContext = require('../../../src/core/request-context');
+const { startDatabase } = require('../../helpers/app');
+
+describe('AuditComponent', () => {
+  let database;
+  let audit;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = await startDatabase();
+    
+    audit = new AuditComponent();
+    audit.setDependency('Database', database);
+    await audit.init();
+  });
+
+  afterEach(async () => {
+    await audit.shutdown();
+    await database.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  test('records the actor, IP and correlation ID of the request', async () => {
+    await requestContext.run({ requestId: 'req-1', ip: '10.0.0.1', userId: 5 }, () =>
+      eventBus.publishAsync('user:logout', { userId: 1 }));
+    
+    const [entry] = await audit.search({ requestId: 'req-1' });
+    
+    expect(entry).toMatchObject({
+      event_name: 'user:logout',
+      entity_type: 'user',
+      entity_id: 1,
+      user_id: 1,
+      actor_id: 5,
+      ip: '10.0.0.1'
+    });
+  });
+
+  test('records the payload of an award as its snapshot', async () => {
+    await eventBus.publishAsync('achievement:earned', {
+      userId: 1,
+      achievementId: 3,
+      achievementName: 'First Log',
+      earnedDate: new Date('2026-03-09T10:00:00Z'),
+      timestamp: new Date()
+    });
+    
+    const [entry] = await audit.search({ entityType: 'achievement', entityId: 3 });
+    
+    expect(entry.before).toBeNull();
+    expect(entry.after).toEqual({
+      userId: 1,
+      achievementId: 3,
+      achievementName: 'First Log',
+      earnedDate: '2026-03-09T10:00:00.000Z'
+    });
+  });
+
+  test('records a replayed event only once', async () => {
+    await eventBus.publishAsync('user:logout', { userId: 1, requestId: 'req-2' });
+    await eventBus.publishAsync('user:logout', { userId: 1, requestId: 'req-2', replayed: true });
+    
+    expect(await audit.search({ requestId: 'req-2' })).toHaveLength(1);
+  });
+
+  test('records the snapshots carried by the event', async () => {
+    const before = { log_id: 7, user_id: 1, count: '5', notes: '' };
+    const after = { ...before, count: '7' };
+    
+    await eventBus.publishAsync('log:updated', {
+      logId: 7,
+      userId: 1,
+      activityId: 3,
+      count: 7,
+      snapshot: { before, after }
+    });
+    
+    // The log isn't in the database, nothing is read back
+    const [entry] = await audit.search({ entityType: 'log', entityId: 7 });
+    
+    expect(entry.action).toBe('updated');
+    expect(entry.before).toEqual(before);
+    expect(entry.after).toEqual(after);
+  });
+
+  test('leaves secrets out of user snapshots', async () => {
+    const user = { user_id: 1, username: 'alice', password_hash: 'x', reset_token: 'y', reset_token_expires: null };
+    
+    await eventBus.publishAsync('user:password_changed', {
+      userId: 1,
+      snapshot: { before: user, after: { ...user, password_hash: 'z' } }
+    });
+    
+    const [entry] = await audit.search({ entityType: 'user', entityId: 1 });
+    
+    expect(entry.before).toEqual({ user_id: 1, username: 'alice' });
+    expect(entry.after).toEqual({ user_id: 1, username: 'alice' });
+  });
+
+  test('records events without a snapshot with empty snapshots', async () => {
+    await eventBus.publishAsync('user:logout', { userId: 1 });
+    
+    const [entry] = await audit.search({ entityType: 'user', entityId: 1 });
+    
+    expect(entry.action).toBe('logout');
+    expect(entry.before).toBeNull();
+    expect(entry.after).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+const eventBus = require('../../../src/core/event-bus');
+const DailyTotalsComponent = require('../../../src/components/daily-totals/DailyTotalsComponent');
+const GoalComponent = require('../../../src/components/goals/GoalComponent');
+const { startApp, stopApp, createUser } = require('../../helpers/app');
+
+const MONDAY = new Date('2026-03-09T10:00:00Z');
+const TUESDAY = new Date('2026-03-10T10:00:00Z');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('DailyTotalsComponent', () => {
+  let orchestrator;
+  let database;
+  let activity;
+  let dailyTotals;
+  let goal;
+  let userId;
+  let run;
+
+  const totals = async () => {
+    const days = await dailyTotals.dailyTotals.findDays(userId, run.activity_type_id, MONDAY, TUESDAY);
+    return days.map(day => [day.total, day.entries]);
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    orchestrator = await startApp([
+      ['DailyTotals', new DailyTotalsComponent(), ['Database']],
+      ['Goal', new GoalComponent(), ['Database', 'Activity', 'Outbox']]
+    ]);
+    
+    database = orchestrator.getComponent('Database');
+    activity = orchestrator.getComponent('Activity');
+    dailyTotals = orchestrator.getComponent('DailyTotals');
+    goal = orchestrator.getComponent('Goal');
+    
+    userId = await createUser(database);
+    run = await activity.createActivity(userId, 'Run', 'km');
+  });
+
+  afterEach(async () => {
+    await stopApp(orchestrator);
+    jest.restoreAllMocks();
+  });
+
+  test('sums the logs of each day as they are created', async () => {
+    await activity.createActivityLog(userId, run.activity_type_id, 5, '', MONDAY);
+    await activity.createActivityLog(userId, run.activity_type_id, 3, '', MONDAY);
+    await activity.createActivityLog(userId, run.activity_type_id, 4, '', TUESDAY);
+    
+    expect(await totals()).toEqual([[8, 2], [4, 1]]);
+  });
+
+  test('follows updated, deleted and restored logs', async () => {
+    const log = await activity.createActivityLog(userId, run.activity_type_id, 5, '', MONDAY);
+    await activity.createActivityLog(userId, run.activity_type_id, 4, '', TUESDAY);
+    
+    await activity.updateActivityLog(log.log_id, 7, '');
+    expect(await totals()).toEqual([[7, 1], [4, 1]]);
+    
+    // A day without logs drops out
+    await activity.deleteActivityLog(log.log_id);
+    expect(await totals()).toEqual([[4, 1]]);
+    
+    await activity.restoreActivityLog(log.log_id);
+    expect(await totals()).toEqual([[7, 1], [4, 1]]);
+  });
+
+  test('drops and restores every day of a trashed activity', async () => {
+    await activity.createActivityLog(userId, run.activity_type_id, 5, '', MONDAY);
+    await activity.createActivityLog(userId, run.activity_type_id, 4, '', TUESDAY);
+    
+    await activity.deleteActivity(run.activity_type_id);
+    expect(await totals()).toEqual([]);
+    
+    await activity.restoreActivity(run.activity_type_id);
+    expect(await totals()).toEqual([[5, 1], [4, 1]]);
+  });
+
+  test('reports stats that include a change as soon as it returns', async () => {
+    const log = await activity.createActivityLog(userId, run.activity_type_id, 5);
+    
+    await activity.updateActivityLog(log.log_id, 7, '');
+    expect((await activity.getActivityStats(userId, run.activity_type_id)).today).toBe(7);
+    
+    await activity.deleteActivityLog(log.log_id);
+    expect((await activity.getActivityStats(userId, run.activity_type_id)).today).toBe(0);
+  });
+
+  test('subscribes the Activity component to its events once', () => {
+    expect(eventBus.getStats()).toMatchObject({ 'activity:created': 1, 'activity:updated': 1 });
+  });
+
+  test('keeps a committed log when its delivery fails', async () => {
+    const outbox = orchestrator.getComponent('Outbox');
+    jest.spyOn(outbox, 'deliver').mockRejectedValueOnce(new Error('connection lost'));
+    
+    const log = await activity.createActivityLog(userId, run.activity_type_id, 5, '', MONDAY);
+    
+    expect((await activity.getActivityLogs(userId)).map(row => row.log_id)).toEqual([log.log_id]);
+    expect(await totals()).toEqual([]);
+    
+    // The dispatcher delivers the event later
+    outbox.claimDelay = 1;
+    await wait(10);
+    expect(await outbox.dispatchPending()).toBe(1);
+    expect(await totals()).toEqual([[5, 1]]);
+  });
+
+  test('rebuilds totals that drifted from the logs', async () => {
+    await activity.createActivityLog(userId, run.activity_type_id, 5, '', MONDAY);
+    await database.query('UPDATE daily_activity_totals SET total = 99');
+    
+    expect(await dailyTotals.dailyTotals.rebuild(userId)).toBe(1);
+    expect(await totals()).toEqual([[5, 1]]);
+  });
+
+  test('achieves a goal once when the totals reach its target', async () => {
+    const achieved = [];
+    const subscription = eventBus.subscribe('goal:achieved', function recordAchievement(data) {
+      achieved.push(data.goalId);
+    });
+    
+    const created = await goal.createGoal(userId, run.activity_type_id, { targetCount: 10, periodType: 'daily' });
+    
+    await activity.createActivityLog(userId, run.activity_type_id, 6);
+    await activity.createActivityLog(userId, run.activity_type_id, 6);
+    await activity.createActivityLog(userId, run.activity_type_id, 6);
+    await eventBus.drain(1000);
+    subscription.unsubscribe();
+    
+    expect(achieved).toEqual([created.goal_id]);
+    expect((await goal.getGoalById(created.goal_id)).is_completed).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+const LogArchiveComponent = require('../../../src/components/log-archive/LogArchiveComponent');
+const { createRepositories } = require('../../../src/shared/database/repositories');
+const { startDatabase, createUser, count } = require('../../helpers/app');
+
+const NOW = new Date('2026-06-15T12:00:00');
+
+describe('LogArchiveComponent', () => {
+  let database;
+  let archive;
+  let repositories;
+  let settings;
+  let userId;
+  let activityId;
+
+  const log = (amount, loggedAt) => repositories.logs.create({ userId, activityId, count: amount, notes: '', loggedAt });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    database = await startDatabase();
+    
+    settings = { 'archive.retentionMonths': 3, 'archive.batchSize': 2 };
+    
+    archive = new LogArchiveComponent({ autoArchive: false });
+    archive.setDependency('Database', database);
+    archive.setDependency('ConfigManager', { get: (key, fallback) => (key in settings ? settings[key] : fallback) });
+    await archive.init();
+    
+    repositories = createRepositories(database);
+    
+    userId = await createUser(database);
+    activityId = (await repositories.activityTypes.create({ userId, name: 'Run', unit: 'km' })).activity_type_id;
+  });
+
+  afterEach(async () => {
+    await archive.shutdown();
+    await database.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  test('archives nothing while the retention period is 0', async () => {
+    settings['archive.retentionMonths'] = 0;
+    await log(1, new Date('2020-01-01T12:00:00'));
+    
+    expect(await archive.archive(NOW)).toEqual({ before: null, logs: 0 });
+    expect(await count(database, 'activity_logs')).toBe(1);
+  });
+
+  test('moves live logs from before the cutoff day in batches', async () => {
+    for (let day = 1; day <= 5; day++) {
+      await log(day, new Date(`2026-02-0${day}T12:00:00`));
+    }
+    
+    // On the cutoff day, which stays live as a whole
+    await log(10, new Date('2026-03-15T00:30:00'));
+    
+    const trashed = await log(20, new Date('2026-01-01T12:00:00'));
+    await repositories.logs.softDelete(trashed.log_id, new Date());
+    
+    const result = await archive.archive(NOW);
+    
+    expect(result).toEqual({ before: new Date('2026-03-15T00:00:00'), logs: 5 });
+    expect(await count(database, 'activity_logs_archive')).toBe(5);
+    
+    // The cutoff day's log and the trashed log, which is left for the trash purge
+    expect(await count(database, 'activity_logs')).toBe(2);
+    
+    expect(await archive.archive(NOW)).toEqual({ before: result.before, logs: 0 });
+  });
+
+  test('keeps archived logs in the totals unless their activity is trashed', async () => {
+    await log(5, new Date('2026-01-10T12:00:00'));
+    await log(7, new Date('2026-06-10T12:00:00'));
+    
+    await archive.archive(NOW);
+    
+    expect(await repositories.logs.sumForUser(userId)).toBe(12);
+    expect(await repositories.dailyTotals.rebuild(userId)).toBe(2);
+    
+    await repositories.activityTypes.softDelete(activityId, new Date());
+    
+    expect(await repositories.logs.sumForUser(userId)).toBe(7);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+const OutboxComponent = require('../../../src/components/outbox/OutboxComponent');
+const eventBus = require('../../../src/core/event-bus');
+const { startDatabase, count } = require('../../helpers/app');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('OutboxComponent', () => {
+  let database;
+  let outbox;
+  let received;
+  let subscriptions;
+
+  const payload = logId => ({ logId, userId: 1, activityId: 2, count: 3 });
+
+  const subscribe = handler => {
+    subscriptions.push(eventBus.subscribe('log:created', handler));
+  };
+
+  const statusOf = async outboxId => {
+    const result = await database.query('SELECT status, attempts, last_error FROM event_outbox WHERE outbox_id = $1', [outboxId]);
+    return result.rows[0];
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    database = await startDatabase();
+    
+    outbox = new OutboxComponent({ autoDispatch: false, claimDelay: 1, lockTimeout: 1 });
+    outbox.setDependency('Database', database);
+    await outbox.init();
+    
+    received = [];
+    subscriptions = [];
+    subscribe(function recordDelivery(data) {
+      received.push(data);
+    });
+  });
+
+  afterEach(async () => {
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+    await outbox.shutdown();
+    await database.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  describe('deliver', () => {
+    test('publishes the stored event once and marks it dispatched', async () => {
+      const record = await outbox.enqueue(database, 'log:created', payload(1));
+      
+      const report = await outbox.deliver(record);
+      
+      expect(report.failed).toBe(0);
+      expect(received).toEqual([payload(1)]);
+      expect(await statusOf(record.outboxId)).toEqual({ status: 'dispatched', attempts: 1, last_error: null });
+      
+      // Already delivered, e.g. by the dispatcher
+      expect(await outbox.deliver(record)).toBeNull();
+      expect(received).toHaveLength(1);
+    });
+    
+    test('marks the event failed with the handler errors', async () => {
+      subscribe(function failDelivery() {
+        throw new Error('boom');
+      });
+      
+      const record = await outbox.enqueue(database, 'log:created', payload(1));
+      await outbox.deliver(record);
+      
+      const row = await statusOf(record.outboxId);
+      
+      expect(row.status).toBe('failed');
+      expect(row.last_error).toBe('failDelivery: boom');
+    });
+    
+    test('refuses an invalid payload before storing it', async () => {
+      await expect(outbox.enqueue(database, 'log:created', { logId: 1 })).rejects.toThrow('Invalid payload');
+      
+      expect(await count(database, 'event_outbox')).toBe(0);
+    });
+  });
+
+  describe('dispatchPending', () => {
+    test('delivers undelivered and abandoned events in creation order', async () => {
+      const abandoned = await outbox.enqueue(database, 'log:created', payload(1));
+      const pending = await outbox.enqueue(database, 'log:created', payload(2));
+      const delivered = await outbox.enqueue(database, 'log:created', payload(3));
+      
+      await database.query("UPDATE event_outbox SET status = 'processing', locked_at = NOW() WHERE outbox_id = $1", [abandoned.outboxId]);
+      await database.query("UPDATE event_outbox SET status = 'dispatched' WHERE outbox_id = $1", [delivered.outboxId]);
+      await wait(10);
+      
+      expect(await outbox.dispatchPending()).toBe(2);
+      
+      expect(received.map(data => data.logId)).toEqual([1, 2]);
+      expect((await statusOf(abandoned.outboxId)).status).toBe('dispatched');
+      expect((await statusOf(pending.outboxId)).status).toBe('dispatched');
+      
+      expect(await outbox.dispatchPending()).toBe(0);
+    });
+    
+    test('leaves events alone until they are older than the claim delay', async () => {
+      outbox.claimDelay = 60000;
+      await outbox.enqueue(database, 'log:created', payload(1));
+      
+      expect(await outbox.dispatchPending()).toBe(0);
+      expect(received).toEqual([]);
+    });
+  });
+
+  describe('cleanup', () => {
+    test('deletes dispatched events past the retention period only', async () => {
+      const old = await outbox.enqueue(database, 'log:created', payload(1));
+      const recent = await outbox.enqueue(database, 'log:created', payload(2));
+      const failed = await outbox.enqueue(database, 'log:created', payload(3));
+      await outbox.enqueue(database, 'log:created', payload(4));
+      
+      await database.query("UPDATE event_outbox SET status = 'dispatched', dispatched_at = NOW() - INTERVAL '31 days' WHERE outbox_id = $1", [old.outboxId]);
+      await database.query("UPDATE event_outbox SET status = 'dispatched', dispatched_at = NOW() - INTERVAL '29 days' WHERE outbox_id = $1", [recent.outboxId]);
+      await database.query("UPDATE event_outbox SET status = 'failed', dispatched_at = NOW() - INTERVAL '31 days' WHERE outbox_id = $1", [failed.outboxId]);
+      
+      expect(await outbox.cleanup()).toBe(1);
+      
+      expect(await statusOf(old.outboxId)).toBeUndefined();
+      expect(await count(database, 'event_outbox')).toBe(3);
+    });
+    
+    test('keeps everything with a retention of 0 days', async () => {
+      outbox.config = { get: () => 0 };
+      const record = await outbox.enqueue(database, 'log:created', payload(1));
+      await database.query("UPDATE event_outbox SET status = 'dispatched', dispatched_at = NOW() - INTERVAL '1 year' WHERE outbox_id = $1", [record.outboxId]);
+      
+      expect(await outbox.cleanup()).toBe(0);
+      expect(await count(database, 'event_outbox')).toBe(1);
+    });
+  });
+
+  describe('replay', () => {
+    test('re-publishes stored events marked as replayed', async () => {
+      const since = new Date(Date.now() - 1000);
+      const record = await outbox.enqueue(database, 'log:created', payload(1));
+      await outbox.deliver(record);
+      
+      const summary = await outbox.replay(since, { events: ['log:created'] });
+      
+      expect(summary.replayed).toBe(1);
+      expect(summary.events).toEqual({ 'log:created': 1 });
+      expect(received).toEqual([payload(1), { ...payload(1), replayed: true }]);
+    });
+  });
+});
\ No newline at end of file
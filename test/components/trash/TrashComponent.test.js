@@ -0,0 +1,110 @@
+const GoalComponent = require('../../../src/components/goals/GoalComponent');
+const TrashComponent = require('../../../src/components/trash/TrashComponent');
+const { startApp, stopApp, createUser, count } = require('../../helpers/app');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('TrashComponent', () => {
+  let orchestrator;
+  let database;
+  let activity;
+  let goal;
+  let trash;
+  let userId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    orchestrator = await startApp([
+      ['Goal', new GoalComponent(), ['Database', 'Activity', 'Outbox']],
+      ['Trash', new TrashComponent({ autoPurge: false }), ['Database', 'Activity', 'Goal']]
+    ]);
+    
+    database = orchestrator.getComponent('Database');
+    activity = orchestrator.getComponent('Activity');
+    goal = orchestrator.getComponent('Goal');
+    trash = orchestrator.getComponent('Trash');
+    userId = await createUser(database);
+  });
+
+  afterEach(async () => {
+    await stopApp(orchestrator);
+    jest.restoreAllMocks();
+  });
+
+  const createActivityWithData = async () => {
+    const run = await activity.createActivity(userId, 'Run', 'km');
+    const log = await activity.createActivityLog(userId, run.activity_type_id, 5);
+    await goal.createGoal(userId, run.activity_type_id, { targetCount: 10, periodType: 'daily' });
+    return { run, log };
+  };
+
+  test('lists a deleted activity with the logs and goals deleted along with it', async () => {
+    const { run } = await createActivityWithData();
+    
+    await activity.deleteActivity(run.activity_type_id);
+    
+    const listing = await trash.listTrash(userId);
+    
+    expect(listing.retentionDays).toBe(30);
+    expect(listing.activities).toHaveLength(1);
+    expect(listing.activities[0]).toMatchObject({ name: 'Run', log_count: 1, goal_count: 1 });
+    expect(listing.activities[0].purge_at.getTime() - new Date(listing.activities[0].deleted_at).getTime()).toBe(30 * DAY);
+    
+    // Deleted along with the activity, so not listed on their own
+    expect(listing.logs).toEqual([]);
+    expect(listing.goals).toEqual([]);
+  });
+
+  test('restores an activity with its logs and goals', async () => {
+    const { run } = await createActivityWithData();
+    await activity.deleteActivity(run.activity_type_id);
+    
+    const restored = await trash.restore('activities', run.activity_type_id);
+    
+    expect(restored).toMatchObject({ logs: 1, goals: 1 });
+    expect(await activity.getActivityLogs(userId, run.activity_type_id)).toHaveLength(1);
+    expect(await goal.getUserGoals(userId)).toHaveLength(1);
+    expect(await trash.listTrash(userId)).toMatchObject({ activities: [], logs: [], goals: [] });
+  });
+
+  test('refuses to restore a log whose activity is in the trash', async () => {
+    const { run, log } = await createActivityWithData();
+    await activity.deleteActivity(run.activity_type_id);
+    
+    await expect(trash.restore('logs', log.log_id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('restores a log deleted on its own', async () => {
+    const { log } = await createActivityWithData();
+    await activity.deleteActivityLog(log.log_id);
+    
+    expect((await trash.listTrash(userId)).logs.map(item => item.log_id)).toEqual([log.log_id]);
+    
+    await trash.restore('logs', log.log_id);
+    
+    expect(await trash.getItem('logs', log.log_id)).toBeNull();
+  });
+
+  test('rejects unknown item types', async () => {
+    await expect(trash.restore('users', 1)).rejects.toThrow('Unknown trash type "users"');
+    await expect(trash.getItem('users', 1)).rejects.toThrow('Unknown trash type "users"');
+  });
+
+  test('purges only what has been in the trash longer than the retention period', async () => {
+    const { run } = await createActivityWithData();
+    const { log } = await createActivityWithData();
+    await activity.deleteActivity(run.activity_type_id);
+    await activity.deleteActivityLog(log.log_id);
+    
+    expect(await trash.purge()).toEqual({ activities: 0, logs: 0, goals: 0 });
+    
+    const purged = await trash.purge(new Date(Date.now() + 31 * DAY));
+    
+    expect(purged).toEqual({ activities: 1, logs: 2, goals: 1 });
+    expect(await count(database, 'activity_types')).toBe(1);
+    expect(await count(database, 'activity_logs')).toBe(0);
+    expect(await count(database, 'goals')).toBe(1);
+  });
+});
\ No newline at end of file
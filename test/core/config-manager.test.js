@@ -0,0 +1,317 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configManager = require('../../src/core/config-manager');
+const eventBus = require('../../src/core/event-bus');
+
+const ConfigManager = configManager.constructor;
+
+describe('ConfigManager', () => {
+  let directory;
+  let envPath;
+  let manager;
+  let environment;
+  let argv;
+  let variables;
+
+  const writeEnv = lines => {
+    lines.forEach(line => variables.add(line.split('=')[0]));
+    fs.writeFileSync(envPath, lines.join('\n'));
+  };
+
+  const writeConfig = (file, values) => {
+    fs.writeFileSync(path.join(directory, 'config', file), JSON.stringify(values));
+  };
+
+  const setEnv = (key, value) => {
+    variables.add(key);
+    process.env[key] = value;
+  };
+
+  const create = () => {
+    manager = new ConfigManager({ configPath: path.join(directory, 'config'), envPath });
+    return manager;
+  };
+
+  const sourceOf = keyPath => manager.getEffectiveConfig().find(entry => entry.path === keyPath);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-manager-'));
+    envPath = path.join(directory, 'config.env');
+    fs.mkdirSync(path.join(directory, 'config'));
+    
+    variables = new Set();
+    environment = process.env.NODE_ENV;
+    argv = process.argv;
+    process.argv = argv.slice(0, 2);
+    
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    variables.forEach(key => delete process.env[key]);
+    manager = null;
+    
+    process.env.NODE_ENV = environment;
+    process.argv = argv;
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('reads values from the .env file and the config directory', async () => {
+    writeEnv(['DB_PORT=6543']);
+    writeConfig('server.json', { port: 4000 });
+    
+    expect(await create().init()).toBe(true);
+    
+    expect(manager.get('database.port')).toBe(6543);
+    expect(manager.get('server.port')).toBe(4000);
+    expect(process.env.DB_PORT).toBe('6543');
+  });
+
+  test('refuses unknown keys', async () => {
+    writeConfig('server.json', { prot: 4000 });
+    
+    expect(await create().init()).toBe(false);
+  });
+
+  test('reports every invalid key with its source', async () => {
+    writeConfig('server.json', { port: 'http' });
+    setEnv('APP_DATABASE_POOLSIZE', '0');
+    
+    await expect(create()._init()).rejects.toMatchObject({
+      name: 'ConfigValidationError',
+      errors: [
+        expect.stringMatching(/^server\.port: .*\(from file:.*server\.json\)$/),
+        expect.stringMatching(/^database\.poolSize: .*\(from env:APP_DATABASE_POOLSIZE\)$/)
+      ]
+    });
+  });
+
+  test('applies the profile of the current environment over config files', async () => {
+    process.env.NODE_ENV = 'test';
+    writeConfig('server.json', { port: 4000, host: '0.0.0.0' });
+    writeConfig('test.json', { server: { port: 5000 } });
+    
+    expect(await create().init()).toBe(true);
+    
+    expect(manager.get('server.port')).toBe(5000);
+    expect(manager.get('server.host')).toBe('0.0.0.0');
+    expect(sourceOf('server.port').source).toMatch(/^profile:.*test\.json$/);
+  });
+
+  test('only warns about invalid event payloads unless a profile says otherwise', async () => {
+    expect(await create().init()).toBe(true);
+    
+    expect(manager.get('events.validation')).toBe('warn');
+    
+    process.env.NODE_ENV = 'test';
+    manager = new ConfigManager({ configPath: path.resolve(__dirname, '../../config'), envPath });
+    
+    expect(await manager.init()).toBe(true);
+    expect(manager.get('events.validation')).toBe('strict');
+  });
+
+  test('lets APP_ variables and then arguments override files', async () => {
+    writeConfig('server.json', { port: 4000, shutdownTimeout: 500 });
+    setEnv('APP_SERVER_PORT', '4001');
+    setEnv('APP_SERVER_SHUTDOWNTIMEOUT', '600');
+    process.argv = [...process.argv, '--server.port=4002'];
+    
+    expect(await create().init()).toBe(true);
+    
+    expect(manager.get('server.port')).toBe(4002);
+    expect(manager.get('server.shutdownTimeout')).toBe(600);
+    expect(sourceOf('server.port').source).toBe('cli:--server.port');
+    expect(sourceOf('server.shutdownTimeout').source).toBe('env:APP_SERVER_SHUTDOWNTIMEOUT');
+  });
+
+  test('redacts secrets in the effective configuration', async () => {
+    writeEnv(['DB_PASSWORD=s3cret-password']);
+    
+    expect(await create().init()).toBe(true);
+    
+    expect(sourceOf('database.password')).toEqual({
+      path: 'database.password',
+      value: '[REDACTED]',
+      source: 'env:DB_PASSWORD',
+      restartRequired: true
+    });
+  });
+
+  describe('secret files', () => {
+    const writeSecret = (name, contents) => {
+      const filePath = path.join(directory, name);
+      fs.writeFileSync(filePath, contents);
+      return filePath;
+    };
+    
+    test('reads secrets from the files named by _FILE variables', async () => {
+      setEnv('DB_PASSWORD', 'from-variable');
+      setEnv('DB_PASSWORD_FILE', writeSecret('db-password', 'from-file\n'));
+      setEnv('APP_SECURITY_JWTSECRET_FILE', writeSecret('jwt-secret', 'jwt-from-file'));
+      
+      expect(await create().init()).toBe(true);
+      
+      expect(manager.get('database.password')).toBe('from-file');
+      expect(manager.get('security.jwtSecret')).toBe('jwt-from-file');
+      expect(sourceOf('database.password').source).toBe('env:DB_PASSWORD_FILE');
+      expect(sourceOf('security.jwtSecret').source).toBe('env:APP_SECURITY_JWTSECRET_FILE');
+    });
+    
+    test('reports a secret file that cannot be read', async () => {
+      setEnv('DB_PASSWORD_FILE', path.join(directory, 'missing'));
+      
+      await expect(create()._init()).rejects.toMatchObject({
+        errors: [expect.stringMatching(/^DB_PASSWORD_FILE: cannot read secret file .*missing \(ENOENT\)$/)]
+      });
+    });
+    
+    test('redacts secrets from getConfig unless they are asked for', async () => {
+      writeEnv(['DB_PASSWORD=s3cret-password']);
+      await create().init();
+      
+      expect(manager.getConfig('database').password).toBe('[REDACTED]');
+      expect(manager.getConfig('database', { includeSecrets: true }).password).toBe('s3cret-password');
+      expect(manager.get('database.password')).toBe('s3cret-password');
+    });
+  });
+
+  describe('in production', () => {
+    beforeEach(() => {
+      process.env.NODE_ENV = 'production';
+    });
+    
+    test('refuses to start with the built-in secrets', async () => {
+      await expect(create()._init()).rejects.toMatchObject({
+        errors: [
+          expect.stringMatching(/^database\.password: must be configured in production.*\(set DB_PASSWORD or DB_PASSWORD_FILE\)/),
+          expect.stringMatching(/^security\.jwtSecret: must be configured in production.*\(set JWT_SECRET or JWT_SECRET_FILE\)/)
+        ]
+      });
+    });
+    
+    test('refuses a sample JWT secret', async () => {
+      writeEnv(['DB_PASSWORD=s3cret-password', 'JWT_SECRET=your_secret_key']);
+      
+      await expect(create()._init()).rejects.toMatchObject({
+        errors: [expect.stringMatching(/^security\.jwtSecret: must be configured in production, the built-in default or a sample value/)]
+      });
+    });
+    
+    test('starts with configured secrets', async () => {
+      writeEnv(['DB_PASSWORD=s3cret-password', 'JWT_SECRET=a-long-random-jwt-secret']);
+      
+      expect(await create().init()).toBe(true);
+      
+      expect(manager.get('security.jwtSecret')).toBe('a-long-random-jwt-secret');
+    });
+    
+    test('refuses a reload to a sample secret', async () => {
+      writeEnv(['DB_PASSWORD=s3cret-password', 'JWT_SECRET=a-long-random-jwt-secret']);
+      expect(await create().init()).toBe(true);
+      
+      writeEnv(['DB_PASSWORD=s3cret-password', 'JWT_SECRET=changeme']);
+      const result = await manager.reload();
+      
+      expect(result.success).toBe(false);
+      expect(result.errors.join('\n')).toMatch(/security\.jwtSecret: must be configured in production/);
+      expect(manager.get('security.jwtSecret')).toBe('a-long-random-jwt-secret');
+      expect(process.env.JWT_SECRET).toBe('a-long-random-jwt-secret');
+    });
+  });
+
+  describe('reload', () => {
+    let published;
+    let subscription;
+    
+    beforeEach(() => {
+      published = [];
+      subscription = eventBus.subscribe('config:changed', data => published.push(data));
+    });
+    
+    afterEach(() => {
+      subscription.unsubscribe();
+    });
+    
+    test('publishes the changed keys and flags those that need a restart', async () => {
+      writeConfig('server.json', { port: 4000 });
+      await create().init();
+      
+      writeConfig('server.json', { port: 4001 });
+      writeConfig('rateLimit.json', { max: 50 });
+      const result = await manager.reload();
+      
+      expect(result).toMatchObject({ success: true, restartRequired: ['server.port'], errors: [] });
+      expect(result.changes).toEqual([
+        { path: 'server.port', previous: 4000, value: 4001, restartRequired: true },
+        { path: 'rateLimit.max', previous: 0, value: 50, restartRequired: false }
+      ]);
+      expect(manager.get('rateLimit.max')).toBe(50);
+      expect(published).toMatchObject([{ paths: ['server.port', 'rateLimit.max'], trigger: 'reload' }]);
+    });
+    
+    test('publishes nothing when nothing changed', async () => {
+      writeConfig('server.json', { port: 4000 });
+      await create().init();
+      
+      const result = await manager.reload();
+      
+      expect(result).toMatchObject({ success: true, changes: [] });
+      expect(published).toEqual([]);
+    });
+    
+    test('keeps the configuration when the reloaded one is invalid', async () => {
+      writeConfig('server.json', { port: 4000 });
+      await create().init();
+      
+      writeConfig('server.json', { port: 'http' });
+      const result = await manager.reload();
+      
+      expect(result.success).toBe(false);
+      expect(result.errors.join('\n')).toMatch(/server\.port/);
+      expect(manager.get('server.port')).toBe(4000);
+      expect(published).toEqual([]);
+    });
+    
+    test('applies a changed .env file', async () => {
+      writeEnv(['DB_PORT=6543', 'DB_NAME=first']);
+      await create().init();
+      
+      writeEnv(['DB_PORT=6544']);
+      const result = await manager.reload();
+      
+      expect(result.success).toBe(true);
+      expect(result.changes.map(change => change.path).sort()).toEqual(['database.name', 'database.port']);
+      expect(manager.get('database.name')).toBe('activity_tracker');
+      expect(process.env.DB_PORT).toBe('6544');
+      expect(process.env.DB_NAME).toBeUndefined();
+    });
+    
+    test('keeps the environment when a changed .env file is invalid', async () => {
+      writeEnv(['DB_PORT=6543', 'DB_NAME=first']);
+      await create().init();
+      
+      writeEnv(['DB_PORT=not-a-port']);
+      const result = await manager.reload();
+      
+      expect(result.success).toBe(false);
+      expect(result.errors.join('\n')).toMatch(/database\.port/);
+      expect(manager.get('database.port')).toBe(6543);
+      expect(process.env.DB_PORT).toBe('6543');
+      expect(process.env.DB_NAME).toBe('first');
+    });
+    
+    test('publishes values changed at runtime', async () => {
+      await create().init();
+      
+      expect(manager.set('rateLimit.max', 20)).toBe(true);
+      expect(manager.set('rateLimit.max', -1)).toBe(false);
+      
+      expect(manager.get('rateLimit.max')).toBe(20);
+      expect(published).toMatchObject([{ paths: ['rateLimit.max'], trigger: 'set' }]);
+    });
+  });
+});
\ No newline at end of file
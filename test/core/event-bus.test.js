@@ -0,0 +1,240 @@
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('EventBus', () => {
+  let eventBus;
+
+  beforeEach(() => {
+    jest.resetModules();
+    eventBus = require('../../src/core/event-bus');
+    eventBus.setDebug(false);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    eventBus.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('publishAsync', () => {
+    test('waits for every handler and reports each outcome', async () => {
+      const calls = [];
+      
+      eventBus.subscribe('log:created', async function recordCall(data) {
+        await wait(5);
+        calls.push(data.logId);
+      });
+      eventBus.subscribe('log:created', function failCall() {
+        throw new Error('boom');
+      });
+      
+      const report = await eventBus.publishAsync('log:created', { logId: 1 });
+      
+      expect(calls).toEqual([1]);
+      expect(report).toMatchObject({ subscribers: 2, succeeded: 1, failed: 1, timedOut: 0 });
+      expect(report.results.find(result => result.subscriber === 'failCall')).toMatchObject({
+        status: 'rejected',
+        error: 'boom'
+      });
+    });
+    
+    test('reports handlers slower than their timeout', async () => {
+      eventBus.subscribe('log:created', () => wait(50), null, { timeout: 10 });
+      
+      const report = await eventBus.publishAsync('log:created', {});
+      
+      expect(report.timedOut).toBe(1);
+      expect(report.results[0].status).toBe('timeout');
+    });
+    
+    test('resolves with an empty report without subscribers', async () => {
+      const report = await eventBus.publishAsync('log:created', {});
+      
+      expect(report).toMatchObject({ subscribers: 0, results: [] });
+    });
+  });
+
+  describe('patterns', () => {
+    test('"*" matches one segment and "**" any number', async () => {
+      const received = [];
+      
+      eventBus.subscribe('log:*', (data, event) => received.push(`log:* ${event}`));
+      eventBus.subscribe('*:deleted', (data, event) => received.push(`*:deleted ${event}`));
+      eventBus.subscribe('**', (data, event) => received.push(`** ${event}`));
+      
+      await eventBus.publishAsync('log:created', {});
+      await eventBus.publishAsync('log:created:late', {});
+      await eventBus.publishAsync('goal:deleted', {});
+      
+      expect(received.sort()).toEqual([
+        '** goal:deleted',
+        '** log:created',
+        '** log:created:late',
+        '*:deleted goal:deleted',
+        'log:* log:created'
+      ]);
+    });
+    
+    test('delivers to exact and pattern subscribers with the event name', async () => {
+      const received = [];
+      
+      eventBus.subscribe('log:created', (data, event) => received.push(`exact ${event}`));
+      eventBus.subscribe('log:*', (data, event) => received.push(`pattern ${event}`));
+      eventBus.subscribe('goal:*', (data, event) => received.push(`other ${event}`));
+      
+      await eventBus.publishAsync('log:created', {});
+      
+      expect(received.sort()).toEqual(['exact log:created', 'pattern log:created']);
+    });
+    
+    test('unsubscribed handlers receive nothing', async () => {
+      const handler = jest.fn();
+      const subscription = eventBus.subscribe('log:*', handler);
+      
+      subscription.unsubscribe();
+      await eventBus.publishAsync('log:created', {});
+      
+      expect(handler).not.toHaveBeenCalled();
+    });
+    
+    test('counts exact subscribers and pattern subscribers separately', () => {
+      eventBus.subscribe('log:created', () => {});
+      eventBus.subscribe('log:created', () => {});
+      eventBus.subscribe('log:*', () => {});
+      
+      expect(eventBus.getStats()).toEqual({ 'log:created': 2 });
+      expect(eventBus.getPatternStats()).toEqual({ 'log:*': 1 });
+    });
+  });
+
+  describe('retries and dead letters', () => {
+    test('retries a failing handler until it succeeds', async () => {
+      let attempts = 0;
+      const deadLetters = [];
+      
+      eventBus.setDeadLetterHandler(entry => deadLetters.push(entry));
+      eventBus.subscribe('log:created', async () => {
+        attempts++;
+        if (attempts < 3) throw new Error(`attempt ${attempts}`);
+      }, null, { retry: { attempts: 3, backoff: 5 } });
+      
+      const report = await eventBus.publishAsync('log:created', {});
+      await wait(50);
+      
+      expect(report.results[0]).toMatchObject({ status: 'rejected', retrying: true });
+      expect(attempts).toBe(3);
+      expect(deadLetters).toEqual([]);
+    });
+    
+    test('dead-letters a delivery that fails every attempt', async () => {
+      const deadLetters = [];
+      
+      eventBus.setDeadLetterHandler(entry => deadLetters.push(entry));
+      eventBus.subscribe('log:created', function alwaysFail() {
+        throw new Error('still broken');
+      }, null, { retry: { attempts: 2, backoff: 5 } });
+      
+      eventBus.publish('log:created', { logId: 7 });
+      await wait(50);
+      
+      expect(deadLetters).toHaveLength(1);
+      expect(deadLetters[0]).toMatchObject({
+        event: 'log:created',
+        subscriber: 'alwaysFail',
+        data: { logId: 7 },
+        error: 'still broken',
+        attempts: 2
+      });
+    });
+    
+    test('does not retry a timed-out handler that finishes late', async () => {
+      let runs = 0;
+      const deadLetters = [];
+      
+      eventBus.setDeadLetterHandler(entry => deadLetters.push(entry));
+      eventBus.subscribe('log:created', async () => {
+        runs++;
+        await wait(30);
+      }, null, { timeout: 5, retry: { attempts: 3, backoff: 5 } });
+      
+      const report = await eventBus.publishAsync('log:created', {});
+      await eventBus.drain(1000);
+      
+      expect(report.results[0].status).toBe('timeout');
+      expect(runs).toBe(1);
+      expect(deadLetters).toEqual([]);
+    });
+    
+    test('retries a timed-out handler only once it has failed', async () => {
+      const started = [];
+      
+      eventBus.subscribe('log:created', async () => {
+        started.push(Date.now());
+        await wait(30);
+        if (started.length === 1) throw new Error('late failure');
+      }, null, { timeout: 5, retry: { attempts: 2, backoff: 5 } });
+      
+      await eventBus.publishAsync('log:created', {});
+      await eventBus.drain(1000);
+      
+      expect(started).toHaveLength(2);
+      expect(started[1] - started[0]).toBeGreaterThanOrEqual(30);
+    });
+    
+    test('redeliver skips retries', async () => {
+      let calls = 0;
+      
+      eventBus.subscribe('log:created', function flaky() {
+        calls++;
+        throw new Error('boom');
+      }, null, { retry: { attempts: 3, backoff: 5 } });
+      
+      const result = await eventBus.redeliver('log:created', 'flaky', {});
+      await wait(20);
+      
+      expect(result.status).toBe('rejected');
+      expect(calls).toBe(1);
+    });
+  });
+
+  describe('drain', () => {
+    test('waits for running handlers and scheduled retries', async () => {
+      let attempts = 0;
+      
+      eventBus.subscribe('log:created', async () => {
+        attempts++;
+        await wait(20);
+        if (attempts < 2) throw new Error('try again');
+      }, null, { retry: { attempts: 2, backoff: 20 } });
+      
+      eventBus.publish('log:created', {});
+      
+      expect(await eventBus.drain(1000)).toEqual({ handlers: [], retries: [] });
+      expect(attempts).toBe(2);
+    });
+    
+    test('reports the work still outstanding at the deadline', async () => {
+      eventBus.subscribe('log:created', function slowHandler() {
+        return wait(200);
+      });
+      
+      eventBus.publish('log:created', {});
+      const pending = await eventBus.drain(10);
+      
+      expect(pending.retries).toEqual([]);
+      expect(pending.handlers).toMatchObject([{ event: 'log:created', subscriber: 'slowHandler' }]);
+    });
+    
+    test('has nothing left to wait for after clear', async () => {
+      eventBus.subscribe('log:created', () => wait(200));
+      eventBus.subscribe('log:updated', () => {
+        throw new Error('try again');
+      }, null, { retry: { attempts: 2, backoff: 200 } });
+      
+      eventBus.publish('log:created', {});
+      eventBus.publish('log:updated', {});
+      eventBus.clear();
+      
+      expect(eventBus.getPending()).toEqual({ handlers: [], retries: [] });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../../src/core/migrator');
+const { startDatabase } = require('../helpers/app');
+
+const { MigrationError } = Migrator;
+
+const MIGRATIONS_PATH = path.resolve(__dirname, '../../src/migrations');
+
+describe('Migrator', () => {
+  let database;
+  let directory;
+  let migrator;
+  let latest;
+
+  const writeMigration = (file, source) => {
+    fs.writeFileSync(path.join(directory, file), source);
+  };
+
+  const createTable = table => `
+    module.exports = {
+      description: 'Add ${table}',
+      up: client => client.query('CREATE TABLE ${table} (id SERIAL PRIMARY KEY)'),
+      down: client => client.query('DROP TABLE ${table}')
+    };
+  `;
+
+  const tableExists = async table => {
+    const result = await database.query('SELECT to_regclass($1) AS name', [table]);
+    return Boolean(result.rows[0].name);
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    // The in-memory database starts with the real migrations applied
+    database = await startDatabase();
+    
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.readdirSync(MIGRATIONS_PATH).forEach(file => {
+      fs.copyFileSync(path.join(MIGRATIONS_PATH, file), path.join(directory, file));
+    });
+    writeMigration('901_add-streaks.js', createTable('streaks'));
+    writeMigration('902_add-badges.js', createTable('badges'));
+    writeMigration('README.md', 'Not a migration');
+    
+    latest = new Migrator(database).load().pop().version;
+    
+    migrator = new Migrator(database, { directory });
+  });
+
+  afterEach(async () => {
+    await database.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('reports applied and pending migrations', async () => {
+    const status = await migrator.status();
+    
+    expect(status).toMatchObject({ current: latest, pending: 2, missing: [], modified: [] });
+    expect(status.migrations[0]).toMatchObject({ id: '001_baseline', applied: true });
+    expect(status.migrations.slice(-2).map(migration => [migration.id, migration.applied])).toEqual([
+      ['901_add-streaks', false],
+      ['902_add-badges', false]
+    ]);
+  });
+
+  test('applies pending migrations in version order, once', async () => {
+    const applied = await migrator.up();
+    
+    expect(applied.map(result => result.id)).toEqual(['901_add-streaks', '902_add-badges']);
+    expect(await tableExists('streaks')).toBe(true);
+    expect(await tableExists('badges')).toBe(true);
+    expect(await migrator.up()).toEqual([]);
+    expect((await migrator.status()).current).toBe(902);
+  });
+
+  test('applies migrations up to a version', async () => {
+    await migrator.up({ to: 901 });
+    
+    expect(await tableExists('streaks')).toBe(true);
+    expect(await tableExists('badges')).toBe(false);
+    expect((await migrator.status()).pending).toBe(1);
+  });
+
+  test('reverts the newest migrations first', async () => {
+    await migrator.up();
+    
+    const reverted = await migrator.down({ to: latest });
+    
+    expect(reverted.map(result => result.id)).toEqual(['902_add-badges', '901_add-streaks']);
+    expect(await tableExists('streaks')).toBe(false);
+    expect((await migrator.status()).current).toBe(latest);
+  });
+
+  test('reports applied migrations whose file changed since', async () => {
+    await migrator.up();
+    writeMigration('902_add-badges.js', createTable('medals'));
+    
+    const status = await migrator.status();
+    
+    expect(status.modified).toEqual([{ version: 902, id: '902_add-badges' }]);
+    expect(status.migrations.slice(-2).map(migration => migration.modified)).toEqual([false, true]);
+  });
+
+  test('does not record a failing migration', async () => {
+    writeMigration('903_broken.js', `
+      module.exports = {
+        up: client => client.query('ALTER TABLE missing ADD COLUMN name TEXT'),
+        down: () => {}
+      };
+    `);
+    
+    const up = migrator.up();
+    
+    await expect(up).rejects.toThrow(MigrationError);
+    await expect(up).rejects.toThrow(/^903_broken: up failed/);
+    expect((await migrator.status()).migrations.slice(-3).map(migration => migration.applied)).toEqual([true, true, false]);
+  });
+
+  test('refuses invalid migration files', () => {
+    writeMigration('901_add-streak-days.js', createTable('streak_days'));
+    
+    expect(() => migrator.load()).toThrow('901_add-streaks: has the same version as 901_add-streak-days');
+    
+    fs.unlinkSync(path.join(directory, '901_add-streak-days.js'));
+    writeMigration('903_incomplete.js', 'module.exports = { up: () => {} };');
+    
+    expect(() => migrator.load()).toThrow('903_incomplete: must export up() and down() functions');
+  });
+
+  test('reports applied migrations whose file is missing', async () => {
+    await migrator.up();
+    fs.unlinkSync(path.join(directory, '902_add-badges.js'));
+    
+    expect((await migrator.status()).missing).toMatchObject([{ version: 902, name: 'add-badges' }]);
+    await expect(migrator.down()).rejects.toThrow('Cannot revert migration 902 (add-badges): its file is missing');
+  });
+});
\ No newline at end of file
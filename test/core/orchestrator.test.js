@@ -0,0 +1,234 @@
+const Component = require('../../src/core/component-class');
+const Orchestrator = require('../../src/core/orchestrator');
+const eventBus = require('../../src/core/event-bus');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Component that records when it starts and stops
+ */
+class TestComponent extends Component {
+  constructor(name, calls, options = {}) {
+    super(name, options);
+    this.calls = calls;
+  }
+
+  async _init() {
+    if (this.options.fail) {
+      throw new Error(`${this.name} failed`);
+    }
+    
+    this.calls.push(`init ${this.name}`);
+  }
+
+  registerEvents() {
+    super.registerEvents();
+    this.subscribe('test:ping', () => this.calls.push(`ping ${this.name}`));
+  }
+
+  async _shutdown() {
+    if (this.options.failShutdown) {
+      throw new Error(`${this.name} failed to stop`);
+    }
+    
+    this.calls.push(`shutdown ${this.name}`);
+  }
+
+  async healthCheck() {
+    return this.options.healthCheck ? this.options.healthCheck() : null;
+  }
+}
+
+describe('Orchestrator', () => {
+  let orchestrator;
+  let calls;
+
+  const register = (name, dependencies = [], options = {}) => {
+    orchestrator.register(name, new TestComponent(name, calls, options), dependencies);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    orchestrator = new Orchestrator();
+    calls = [];
+  });
+
+  afterEach(async () => {
+    await orchestrator.shutdown();
+    eventBus.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('initialization order', () => {
+    test('puts every component after its dependencies', () => {
+      register('Api', ['Goals', 'Database']);
+      register('Goals', ['Activity']);
+      register('Activity', ['Database']);
+      register('Database');
+      
+      expect(orchestrator._computeInitOrder()).toEqual(['Database', 'Activity', 'Goals', 'Api']);
+    });
+    
+    test('keeps registration order between independent components', () => {
+      register('B');
+      register('A');
+      register('C', ['A']);
+      
+      expect(orchestrator._computeInitOrder()).toEqual(['B', 'A', 'C']);
+    });
+    
+    test('reports the components on a dependency cycle', () => {
+      register('Database');
+      register('A', ['Database', 'B']);
+      register('B', ['C']);
+      register('C', ['A']);
+      
+      expect(() => orchestrator._computeInitOrder()).toThrow('Circular component dependency: A -> B -> C -> A');
+    });
+    
+    test('reports a dependency that is not registered', () => {
+      register('A', ['Missing']);
+      
+      expect(() => orchestrator._computeInitOrder()).toThrow('Component "A" depends on "Missing" which is not registered');
+    });
+  });
+
+  describe('lifecycle', () => {
+    test('starts dependencies first and stops in reverse order', async () => {
+      register('Goals', ['Database']);
+      register('Database');
+      
+      expect(await orchestrator.init()).toBe(true);
+      expect(orchestrator.getComponent('Goals').getDependency('Database')).toBe(orchestrator.getComponent('Database'));
+      
+      await orchestrator.shutdown();
+      
+      expect(calls).toEqual(['init Database', 'init Goals', 'shutdown Goals', 'shutdown Database']);
+    });
+    
+    test('starts nothing when dependencies form a cycle', async () => {
+      register('A', ['B']);
+      register('B', ['A']);
+      
+      expect(await orchestrator.init()).toBe(false);
+      expect(calls).toEqual([]);
+    });
+    
+    test('stops the started components when one fails', async () => {
+      register('Database');
+      register('Goals', ['Database'], { fail: true });
+      register('Api', ['Goals']);
+      
+      expect(await orchestrator.init()).toBe(false);
+      expect(calls).toEqual(['init Database', 'shutdown Database']);
+    });
+  });
+
+  describe('health', () => {
+    test('is alive but not ready before it starts', async () => {
+      register('Database');
+      
+      expect(orchestrator.checkLiveness().status).toBe('alive');
+      expect(await orchestrator.checkReadiness()).toMatchObject({
+        status: 'unhealthy',
+        checks: [{ component: 'Database', status: 'unhealthy', error: 'Component is not initialized' }]
+      });
+    });
+    
+    test('reports the worst component status', async () => {
+      register('Database', [], { healthCheck: () => ({ status: 'degraded', details: { waiting: 3 } }) });
+      register('Goals', ['Database']);
+      await orchestrator.init();
+      
+      const readiness = await orchestrator.checkReadiness();
+      
+      expect(readiness.status).toBe('degraded');
+      expect(readiness.checks).toMatchObject([
+        { component: 'Database', status: 'degraded', details: { waiting: 3 } },
+        { component: 'Goals', status: 'healthy' }
+      ]);
+    });
+    
+    test('counts failing and slow checks as unhealthy', async () => {
+      orchestrator.healthCheckTimeout = 10;
+      register('Database', [], { healthCheck: () => Promise.reject(new Error('connection refused')) });
+      register('Cache', [], { healthCheck: () => wait(50) });
+      await orchestrator.init();
+      
+      const readiness = await orchestrator.checkReadiness();
+      
+      expect(readiness.status).toBe('unhealthy');
+      expect(readiness.checks).toMatchObject([
+        { component: 'Database', status: 'unhealthy', error: 'connection refused' },
+        { component: 'Cache', status: 'unhealthy', error: 'Health check timed out after 10ms' }
+      ]);
+    });
+    
+    test('is dead once stopped', async () => {
+      register('Database');
+      await orchestrator.init();
+      await orchestrator.shutdown();
+      
+      expect(orchestrator.checkLiveness().status).toBe('dead');
+    });
+  });
+
+  describe('restart', () => {
+    beforeEach(async () => {
+      register('Database');
+      register('Goals', ['Database']);
+      register('Api', ['Goals']);
+      register('Cache');
+      
+      await orchestrator.init();
+      calls.length = 0;
+    });
+    
+    test('restarts a component and its dependents in dependency order', async () => {
+      const report = await orchestrator.restart('Goals');
+      
+      expect(calls).toEqual(['shutdown Api', 'shutdown Goals', 'init Goals', 'init Api']);
+      expect(report).toMatchObject({ component: 'Goals', status: 'restarted' });
+      expect(report.steps.map(step => step.status)).toEqual(['restarted', 'restarted']);
+      expect(report.checks.map(check => check.status)).toEqual(['healthy', 'healthy']);
+    });
+    
+    test('only re-injects components that are not restartable', async () => {
+      orchestrator.getComponent('Api').restartable = false;
+      
+      const report = await orchestrator.restart('Goals');
+      
+      expect(calls).toEqual(['shutdown Goals', 'init Goals']);
+      expect(report.steps.map(step => [step.component, step.status])).toEqual([['Goals', 'restarted'], ['Api', 'reinjected']]);
+    });
+    
+    test('skips the dependents of a component that fails to start again', async () => {
+      orchestrator.getComponent('Goals').options.fail = true;
+      
+      const report = await orchestrator.restart('Goals');
+      
+      expect(report.status).toBe('failed');
+      expect(report.steps).toMatchObject([
+        { component: 'Goals', status: 'failed', error: 'Component "Goals" failed to initialize' },
+        { component: 'Api', status: 'skipped', error: 'Dependency "Goals" did not restart' }
+      ]);
+    });
+    
+    test('does not subscribe a component twice when its shutdown fails', async () => {
+      orchestrator.getComponent('Cache').options.failShutdown = true;
+      
+      const report = await orchestrator.restart('Cache');
+      eventBus.publish('test:ping');
+      
+      expect(report.steps).toMatchObject([{ component: 'Cache', status: 'restarted', error: 'Shutdown failed' }]);
+      expect(calls.filter(call => call === 'ping Cache')).toHaveLength(1);
+      
+      orchestrator.getComponent('Cache').options.failShutdown = false;
+    });
+    
+    test('refuses unknown components', async () => {
+      await expect(orchestrator.restart('Missing')).rejects.toThrow('Component "Missing" is not registered');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PluginLoader = require('../../src/core/plugin-loader');
+const Orchestrator = require('../../src/core/orchestrator');
+const eventBus = require('../../src/core/event-bus');
+
+const { PluginError } = PluginLoader;
+
+const COMPONENT_PATH = path.resolve(__dirname, '../../src/core/component-class');
+
+describe('PluginLoader', () => {
+  let directory;
+
+  const writePlugin = (dir, manifest, files = {}) => {
+    fs.mkdirSync(path.join(directory, dir));
+    fs.writeFileSync(
+      path.join(directory, dir, 'plugin.json'),
+      typeof manifest === 'string' ? manifest : JSON.stringify(manifest)
+    );
+    
+    Object.entries(files).forEach(([file, source]) => {
+      fs.writeFileSync(path.join(directory, dir, file), source);
+    });
+  };
+
+  const componentSource = name => `
+    const Component = require(${JSON.stringify(COMPONENT_PATH)});
+    
+    module.exports = class extends Component {
+      constructor(options) {
+        super(${JSON.stringify(name)}, options);
+      }
+      
+      _handleLogCreated() {}
+    };
+  `;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('discover', () => {
+    test('returns nothing when the directory is missing', () => {
+      expect(new PluginLoader(path.join(directory, 'missing')).discover()).toEqual([]);
+    });
+    
+    test('reads manifests in directory order with defaults applied', () => {
+      writePlugin('streaks', { name: 'Streaks', version: '1.0.0', dependencies: ['Database'] });
+      writePlugin('badges', { name: 'Badges' });
+      fs.mkdirSync(path.join(directory, 'no-manifest'));
+      
+      const manifests = new PluginLoader(directory).discover();
+      
+      expect(manifests).toEqual([
+        {
+          name: 'Badges',
+          version: null,
+          description: '',
+          main: 'index.js',
+          dependencies: [],
+          routes: null,
+          subscriptions: {},
+          directory: path.join(directory, 'badges')
+        },
+        expect.objectContaining({ name: 'Streaks', version: '1.0.0', dependencies: ['Database'] })
+      ]);
+    });
+    
+    test.each([
+      ['{ not json', /Plugin "broken": could not read plugin\.json/],
+      [{ version: '1.0.0' }, 'Plugin "broken": manifest must declare a name'],
+      [{ name: 'Broken', dependencies: 'Database' }, 'Plugin "Broken": dependencies must be a list of component names'],
+      [{ name: 'Broken', subscriptions: ['log:created'] }, 'Plugin "Broken": subscriptions must map event names to handler methods'],
+      [{ name: 'Broken', routes: { path: '/broken', module: 'routes.js' } }, 'Plugin "Broken": routes.path must start with /api/'],
+      [{ name: 'Broken', routes: { path: '/api/broken' } }, 'Plugin "Broken": routes.module must name the routes module']
+    ])('refuses the manifest %j', (manifest, message) => {
+      writePlugin('broken', manifest);
+      
+      const discover = () => new PluginLoader(directory).discover();
+      
+      expect(discover).toThrow(PluginError);
+      expect(discover).toThrow(message);
+    });
+    
+    test('skips an invalid manifest of a disabled plugin', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      writePlugin('broken', '{ not json');
+      writePlugin('nameless', { version: '1.0.0' });
+      writePlugin('badges', { name: 'Badges', dependencies: 'Database' });
+      writePlugin('streaks', { name: 'Streaks' });
+      
+      const manifests = new PluginLoader(directory).discover(name => name === 'Streaks');
+      
+      expect(manifests.map(manifest => manifest.name)).toEqual(['Streaks']);
+      expect(console.warn).toHaveBeenCalledTimes(3);
+      expect(() => new PluginLoader(directory).discover(name => name === 'Badges'))
+        .toThrow('Plugin "Badges": dependencies must be a list of component names');
+    });
+  });
+
+  describe('load', () => {
+    test('creates the component with its subscriptions and routes', () => {
+      writePlugin('streaks', {
+        name: 'Streaks',
+        routes: { path: '/api/streaks', module: 'routes.js' },
+        subscriptions: { 'log:created': '_handleLogCreated' }
+      }, {
+        'index.js': componentSource('Streaks'),
+        'routes.js': 'module.exports = () => null;'
+      });
+      
+      const loader = new PluginLoader(directory);
+      const plugin = loader.load(loader.discover()[0], { debug: true });
+      
+      expect(plugin.component.name).toBe('Streaks');
+      expect(plugin.component.options).toMatchObject({ debug: true, subscriptions: { 'log:created': '_handleLogCreated' } });
+      expect(plugin.routes.path).toBe('/api/streaks');
+      expect(typeof plugin.routes.factory).toBe('function');
+    });
+    
+    test('refuses a component named differently from the manifest', () => {
+      writePlugin('streaks', { name: 'Streaks' }, { 'index.js': componentSource('Badges') });
+      
+      const loader = new PluginLoader(directory);
+      
+      expect(() => loader.load(loader.discover()[0]))
+        .toThrow('Plugin "Streaks": component is named "Badges" but the manifest says "Streaks"');
+    });
+    
+    test('refuses a subscription to a missing handler', () => {
+      writePlugin('streaks', { name: 'Streaks', subscriptions: { 'goal:achieved': '_handleGoal' } }, {
+        'index.js': componentSource('Streaks')
+      });
+      
+      const loader = new PluginLoader(directory);
+      
+      expect(() => loader.load(loader.discover()[0]))
+        .toThrow('Plugin "Streaks": subscription to "goal:achieved" names missing handler "_handleGoal"');
+    });
+  });
+
+  describe('Orchestrator.loadPlugins', () => {
+    let orchestrator;
+    
+    beforeEach(() => {
+      orchestrator = new Orchestrator();
+    });
+    
+    afterEach(async () => {
+      await orchestrator.shutdown();
+      eventBus.clear();
+    });
+    
+    test('registers enabled plugins only', () => {
+      writePlugin('streaks', { name: 'Streaks' }, { 'index.js': componentSource('Streaks') });
+      writePlugin('badges', { name: 'Badges' }, { 'index.js': componentSource('Badges') });
+      
+      const registered = orchestrator.loadPlugins(directory, { enabled: { streaks: true, Badges: false } });
+      
+      expect(registered).toEqual(['Streaks']);
+      expect(orchestrator.getComponent('Streaks').name).toBe('Streaks');
+      expect(orchestrator.getComponent('Badges')).toBeNull();
+    });
+    
+    test('starts with a broken plugin that is disabled', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      writePlugin('streaks', { name: 'Streaks' }, { 'index.js': componentSource('Streaks') });
+      writePlugin('badges', { name: 'Badges', routes: { path: '/badges' } });
+      
+      expect(orchestrator.loadPlugins(directory, { enabled: { Streaks: true } })).toEqual(['Streaks']);
+      expect(() => orchestrator.loadPlugins(directory, { enabled: { Badges: true } }))
+        .toThrow('Plugin "Badges": routes.path must start with /api/');
+    });
+  });
+});
\ No newline at end of file
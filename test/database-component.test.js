@@ -0,0 +1,39 @@
+const { startDatabase } = require('./helpers/app');
+
+describe('Database (memory driver)', () => {
+  let database;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = await startDatabase();
+  });
+
+  afterEach(async () => {
+    await database.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  test('starts migrated to the expected schema', async () => {
+    const report = await database.checkSchema();
+    
+    expect(report.ok).toBe(true);
+  });
+
+  test('seeds the default achievement types', async () => {
+    const result = await database.query('SELECT name, criteria FROM achievement_types ORDER BY point_value, name');
+    
+    expect(result.rows).toHaveLength(8);
+    expect(result.rows[0]).toEqual({ name: 'First Steps', criteria: { type: 'milestone', count: 1 } });
+  });
+
+  test('keeps its data when the component restarts', async () => {
+    await database.query("INSERT INTO users (username, email, password_hash) VALUES ('alice', 'a@example.com', 'x')");
+    
+    await database.shutdown();
+    await database.init();
+    
+    const result = await database.query('SELECT username FROM users');
+    
+    expect(result.rows).toEqual([{ username: 'alice' }]);
+  });
+});
\ No newline at end of file
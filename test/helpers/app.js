@@ -0,0 +1,91 @@
+const Orchestrator = require('../../src/core/orchestrator');
+const eventBus = require('../../src/core/event-bus');
+const Database = require('../../src/database-component');
+const OutboxComponent = require('../../src/components/outbox/OutboxComponent');
+const ActivityComponent = require('../../src/activity-component');
+
+/**
+ * Test fixtures on the in-memory database
+ */
+
+/**
+ * Start a migrated in-memory database
+ * @returns {Promise<Database>} Initialized Database component
+ */
+async function startDatabase() {
+  const database = new Database({ driver: 'memory', schemaCheck: 'strict' });
+
+  if (!(await database.init())) {
+    throw new Error('In-memory database failed to start');
+  }
+
+  return database;
+}
+
+/**
+ * Start Database, Outbox and Activity, then the given components
+ * The outbox only dispatches when a test calls dispatchPending()
+ * @param {Array<Array>} components - [name, component, dependencies] in registration order
+ * @returns {Promise<Orchestrator>} Initialized orchestrator
+ */
+async function startApp(components = []) {
+  const orchestrator = new Orchestrator();
+
+  orchestrator
+    .register('Database', new Database({ driver: 'memory', schemaCheck: 'strict' }))
+    .register('Outbox', new OutboxComponent({ autoDispatch: false }), ['Database'])
+    .register('Activity', new ActivityComponent(), ['Database', 'Outbox']);
+
+  components.forEach(([name, component, dependencies]) => {
+    orchestrator.register(name, component, dependencies);
+  });
+
+  if (!(await orchestrator.init())) {
+    throw new Error('Test application failed to start');
+  }
+
+  return orchestrator;
+}
+
+/**
+ * Shut down an application started with startApp
+ * @param {Orchestrator} orchestrator - Orchestrator to stop
+ */
+async function stopApp(orchestrator) {
+  await orchestrator.shutdown();
+  eventBus.clear();
+}
+
+/**
+ * Insert a user
+ * @param {Object} database - Database component
+ * @param {string} username - Username, also used for the email address
+ * @returns {Promise<number>} User ID
+ */
+async function createUser(database, username = 'alice') {
+  const result = await database.query(
+    'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING user_id',
+    [username, `${username}@example.com`, 'x']
+  );
+
+  return result.rows[0].user_id;
+}
+
+/**
+ * Count the rows of a table
+ * @param {Object} database - Database component
+ * @param {string} table - Table name
+ * @returns {Promise<number>} Row count
+ */
+async function count(database, table) {
+  const result = await database.query(`SELECT COUNT(*)::integer AS count FROM ${table}`);
+  return result.rows[0].count;
+}
+
+module.exports = {
+  startDatabase,
+  startApp,
+  stopApp,
+  createUser,
+  count
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+const { DEMO_EMAIL_DOMAIN, generateDemoData, writeDemoData } = require('../../../src/shared/database/demo-data');
+const { startDatabase, count } = require('../../helpers/app');
+
+const END_DATE = new Date(2026, 2, 1);
+
+describe('demo data', () => {
+  describe('generateDemoData', () => {
+    test('gives the same data for the same seed and end date', () => {
+      const options = { seed: 42, users: 3, days: 90, endDate: END_DATE };
+      
+      expect(generateDemoData(options)).toEqual(generateDemoData({ ...options, endDate: new Date(END_DATE) }));
+      expect(generateDemoData({ ...options, seed: 'demo' })).toEqual(generateDemoData({ ...options, seed: 'demo' }));
+    });
+    
+    test('gives different data for another seed', () => {
+      const options = { users: 2, days: 30, endDate: END_DATE };
+      
+      expect(generateDemoData({ ...options, seed: 1 }).users).not.toEqual(generateDemoData({ ...options, seed: 2 }).users);
+    });
+    
+    test('covers the requested days with demo users and every goal period', () => {
+      const dataSet = generateDemoData({ seed: 7, users: 2, days: 60, endDate: END_DATE });
+      const logs = dataSet.users.flatMap(person => person.activities.flatMap(activity => activity.logs));
+      
+      expect(dataSet.users.map(person => person.email)).toEqual([`alex@${DEMO_EMAIL_DOMAIN}`, `sam@${DEMO_EMAIL_DOMAIN}`]);
+      expect(logs.every(log => log.loggedAt >= dataSet.startDate && log.loggedAt < dataSet.endDate)).toBe(true);
+      expect(new Set(dataSet.users[0].goals.map(goal => goal.periodType)))
+        .toEqual(new Set(['daily', 'weekly', 'monthly', 'yearly', 'custom']));
+    });
+  });
+
+  describe('writeDemoData', () => {
+    let database;
+    
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      database = await startDatabase();
+    });
+    
+    afterEach(async () => {
+      await database.shutdown();
+      jest.restoreAllMocks();
+    });
+    
+    test('inserts every generated row', async () => {
+      const dataSet = generateDemoData({ seed: 3, users: 2, days: 30, endDate: END_DATE });
+      const logs = dataSet.users.reduce((total, person) =>
+        total + person.activities.reduce((sum, activity) => sum + activity.logs.length, 0), 0);
+      
+      const summary = await writeDemoData(database, dataSet, { passwordHash: 'hash' });
+      
+      expect(summary).toMatchObject({ users: 2, logs });
+      expect(await count(database, 'activity_logs')).toBe(logs);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { createMemoryPool } = require('../../../src/shared/database/memory-pool');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createMemoryPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    ({ pool } = createMemoryPool());
+  });
+
+  test('CURRENT_TIMESTAMP column defaults are evaluated per insert', async () => {
+    await pool.query('CREATE TABLE items (item_id SERIAL PRIMARY KEY, name TEXT, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)');
+    await pool.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP');
+    
+    await pool.query('INSERT INTO items (name) VALUES ($1)', ['first']);
+    await wait(20);
+    await pool.query('INSERT INTO items (name) VALUES ($1)', ['second']);
+    
+    const { rows } = await pool.query('SELECT * FROM items ORDER BY item_id');
+    
+    expect(rows[1].created_at.getTime()).toBeGreaterThan(rows[0].created_at.getTime());
+    expect(rows[1].updated_at.getTime()).toBeGreaterThan(rows[0].updated_at.getTime());
+  });
+
+  test('values that look like a default are stored as given', async () => {
+    await pool.query('CREATE TABLE notes (body TEXT)');
+    await pool.query('INSERT INTO notes (body) VALUES ($1)', ['DEFAULT CURRENT_TIMESTAMP']);
+    
+    const { rows } = await pool.query('SELECT body FROM notes');
+    
+    expect(rows[0].body).toBe('DEFAULT CURRENT_TIMESTAMP');
+  });
+
+  test('NOW() compares with TIMESTAMP columns', async () => {
+    await pool.query('CREATE TABLE events (name TEXT, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)');
+    await pool.query('INSERT INTO events (name) VALUES ($1)', ['ping']);
+    await wait(5);
+    
+    const { rows } = await pool.query("SELECT COUNT(*) AS count FROM events WHERE created_at < NOW() AND created_at > NOW() - INTERVAL '1 minute'");
+    
+    expect(Number(rows[0].count)).toBe(1);
+  });
+
+  test('date, date_trunc and interval multiplication are available', async () => {
+    const { rows } = await pool.query(`
+      SELECT
+        DATE(TIMESTAMP '2024-03-14 15:30:00') AS day,
+        DATE_TRUNC('week', TIMESTAMP '2024-03-14 15:30:00') AS week,
+        DATE_TRUNC('month', TIMESTAMP '2024-03-14 15:30:00') AS month,
+        TIMESTAMP '2024-03-14 00:00:00' + ($1 * INTERVAL '1 millisecond') AS later
+    `, [1500]);
+    
+    expect(rows[0].day).toEqual(new Date('2024-03-14T00:00:00Z'));
+    expect(rows[0].week).toEqual(new Date('2024-03-11T00:00:00Z'));
+    expect(rows[0].month).toEqual(new Date('2024-03-01T00:00:00Z'));
+    expect(rows[0].later).toEqual(new Date('2024-03-14T00:00:01.500Z'));
+  });
+});
\ No newline at end of file
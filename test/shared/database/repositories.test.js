@@ -0,0 +1,255 @@
+const { createRepositories } = require('../../../src/shared/database/repositories');
+const Repository = require('../../../src/shared/database/repositories/Repository');
+const { withoutSecrets } = require('../../../src/shared/database/repositories/UserRepository');
+const { startDatabase } = require('../../helpers/app');
+
+describe('repositories (memory driver)', () => {
+  let database;
+  let repositories;
+  let user;
+  let run;
+
+  const log = (count, loggedAt) => repositories.logs.create({
+    userId: user.user_id,
+    activityId: run.activity_type_id,
+    count,
+    loggedAt
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    database = await startDatabase();
+    
+    repositories = createRepositories(database);
+    user = await repositories.users.create({ username: 'alice', email: 'alice@example.com', passwordHash: 'hash' });
+    run = await repositories.activityTypes.create({ userId: user.user_id, name: 'Run', unit: 'km' });
+  });
+
+  afterEach(async () => {
+    await database.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  describe('Repository', () => {
+    test('requires a database', () => {
+      expect(() => new Repository()).toThrow('Repository requires a database');
+    });
+    
+    test('builds SET clauses from known, defined fields only', () => {
+      const repository = new Repository(database);
+      
+      const set = repository._buildSet({ name: 'Swim', unit: undefined, user_id: 2 }, { name: 'name', unit: 'unit' });
+      
+      expect(set).toEqual({ assignments: ['name = $2', 'updated_at = NOW()'], values: ['Swim'] });
+    });
+  });
+
+  describe('UserRepository', () => {
+    test('creates users without returning the password hash', () => {
+      expect(user.password_hash).toBeUndefined();
+      expect(user).toMatchObject({ username: 'alice', email: 'alice@example.com' });
+    });
+    
+    test('finds users by a valid reset token only', async () => {
+      const updated = await repositories.users.setResetToken(user.user_id, 'token');
+      
+      expect(updated.reset_token).toBe('token');
+      expect((await repositories.users.findByResetToken('token')).user_id).toBe(user.user_id);
+      
+      await repositories.users.resetPassword(user.user_id, 'new-hash');
+      
+      expect(await repositories.users.findByResetToken('token')).toBeNull();
+      expect((await repositories.users.findById(user.user_id)).password_hash).toBe('new-hash');
+    });
+    
+    test('strips secrets from user rows', async () => {
+      const row = await repositories.users.findByUsernameOrEmail('nobody', 'alice@example.com');
+      
+      expect(row.password_hash).toBe('hash');
+      expect(withoutSecrets(row)).not.toHaveProperty('password_hash');
+      expect(withoutSecrets(row)).not.toHaveProperty('reset_token');
+      expect(withoutSecrets(row)).toMatchObject({ user_id: user.user_id, username: 'alice' });
+      expect(withoutSecrets(null)).toBeNull();
+    });
+    
+    test('deletes users by email domain', async () => {
+      await repositories.users.create({ username: 'bob', email: 'bob@demo.test', passwordHash: 'hash' });
+      
+      expect(await repositories.users.deleteByEmailDomain('demo.test')).toBe(1);
+      expect(await repositories.users.findByEmail('bob@demo.test')).toBeNull();
+    });
+  });
+
+  describe('ActivityTypeRepository', () => {
+    test('updates the given fields', async () => {
+      const updated = await repositories.activityTypes.update(run.activity_type_id, { name: 'Trail run', unit: undefined });
+      
+      expect(updated).toMatchObject({ name: 'Trail run', unit: 'km' });
+    });
+    
+    test('hides trashed activity types until they are restored', async () => {
+      expect(await repositories.activityTypes.softDelete(run.activity_type_id, new Date())).toBe(true);
+      
+      expect(await repositories.activityTypes.findById(run.activity_type_id)).toBeNull();
+      expect(await repositories.activityTypes.findByUser(user.user_id)).toEqual([]);
+      expect(await repositories.activityTypes.findDeletedById(run.activity_type_id)).not.toBeNull();
+      
+      const restored = await repositories.activityTypes.restore(run.activity_type_id);
+      
+      expect(restored.deleted_at).toBeNull();
+      expect(await repositories.activityTypes.restore(run.activity_type_id)).toBeNull();
+    });
+  });
+
+  describe('LogRepository', () => {
+    test('filters, sorts and pages a user\'s logs', async () => {
+      await log(1, new Date('2026-03-01T12:00:00Z'));
+      await log(2, new Date('2026-03-02T12:00:00Z'));
+      await log(3, new Date('2026-03-03T12:00:00Z'));
+      
+      const logs = await repositories.logs.findByUser(user.user_id, {
+        startDate: new Date('2026-03-02T00:00:00Z'),
+        orderBy: 'count',
+        orderDir: 'asc'
+      });
+      
+      expect(logs.map(row => Number(row.count))).toEqual([2, 3]);
+      
+      const page = await repositories.logs.findByUser(user.user_id, { limit: 1, offset: 1 });
+      
+      expect(page.map(row => Number(row.count))).toEqual([2]);
+    });
+    
+    test('refuses unknown sort columns', async () => {
+      await expect(repositories.logs.findByUser(user.user_id, { orderBy: 'notes; DROP TABLE users' }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+    
+    test('restores only the logs trashed together with their activity type', async () => {
+      const alone = await log(1, new Date('2026-03-01T12:00:00Z'));
+      await log(2, new Date('2026-03-02T12:00:00Z'));
+      
+      await repositories.logs.softDelete(alone.log_id, new Date('2026-03-05T00:00:00Z'));
+      
+      const deletedAt = new Date('2026-03-06T00:00:00Z');
+      
+      expect(await repositories.logs.softDeleteByActivity(run.activity_type_id, deletedAt)).toBe(1);
+      expect(await repositories.logs.restoreByActivity(run.activity_type_id, deletedAt)).toBe(1);
+      
+      expect((await repositories.logs.findDeletedByUser(user.user_id)).map(row => row.log_id)).toEqual([alone.log_id]);
+    });
+    
+    test('purges trashed logs deleted before a date', async () => {
+      const old = await log(1, new Date('2026-03-01T12:00:00Z'));
+      const recent = await log(2, new Date('2026-03-02T12:00:00Z'));
+      await repositories.logs.softDelete(old.log_id, new Date('2026-03-05T00:00:00Z'));
+      await repositories.logs.softDelete(recent.log_id, new Date('2026-03-20T00:00:00Z'));
+      
+      expect(await repositories.logs.purgeDeleted(new Date('2026-03-10T00:00:00Z'))).toBe(1);
+      expect(await repositories.logs.findDeletedById(recent.log_id)).not.toBeNull();
+    });
+  });
+
+  describe('GoalRepository', () => {
+    let goal;
+    
+    beforeEach(async () => {
+      goal = await repositories.goals.create({
+        userId: user.user_id,
+        activityId: run.activity_type_id,
+        name: 'Run Goal',
+        description: 'Target: 10 km (Daily)',
+        targetValue: 10,
+        periodType: 'daily'
+      });
+    });
+    
+    test('marks a goal completed only once', async () => {
+      const completed = await repositories.goals.markCompleted(goal.goal_id);
+      
+      expect(completed).toMatchObject({ goal_id: goal.goal_id, is_completed: true });
+      expect(completed.completed_at).not.toBeNull();
+      expect(await repositories.goals.markCompleted(goal.goal_id)).toBeNull();
+      expect(await repositories.goals.countCompleted(user.user_id)).toBe(1);
+    });
+    
+    test('lists active goals of an activity type', async () => {
+      expect((await repositories.goals.findActiveByActivity(user.user_id, run.activity_type_id)).map(row => row.goal_id))
+        .toEqual([goal.goal_id]);
+      
+      await repositories.goals.update(goal.goal_id, { isActive: false });
+      
+      expect(await repositories.goals.findActiveByActivity(user.user_id, run.activity_type_id)).toEqual([]);
+    });
+  });
+
+  describe('DailyTotalRepository', () => {
+    test('totals days, periods and active days from the logs', async () => {
+      await log(5, new Date('2026-03-02T12:00:00Z'));
+      await log(3, new Date('2026-03-02T13:00:00Z'));
+      await log(4, new Date('2026-03-10T12:00:00Z'));
+      
+      expect(await repositories.dailyTotals.rebuild()).toBe(2);
+      
+      const start = new Date('2026-03-01T00:00:00Z');
+      const end = new Date('2026-03-31T00:00:00Z');
+      
+      expect(await repositories.dailyTotals.sumForPeriod(user.user_id, run.activity_type_id, start, end))
+        .toEqual({ total: 12, entries: 3 });
+      expect(await repositories.dailyTotals.findActiveDays(user.user_id, start, end)).toHaveLength(2);
+      
+      const monthly = await repositories.dailyTotals.totalsByPeriod(user.user_id, start, end, 'monthly');
+      
+      expect(monthly.map(row => Number(row.total))).toEqual([12]);
+    });
+    
+    test('recomputes one day without touching the others', async () => {
+      const first = await log(5, new Date('2026-03-02T12:00:00Z'));
+      await log(4, new Date('2026-03-10T12:00:00Z'));
+      await repositories.dailyTotals.rebuild();
+      
+      await repositories.logs.update(first.log_id, { count: 8 });
+      await repositories.dailyTotals.refreshDay(user.user_id, run.activity_type_id, new Date('2026-03-02T12:00:00Z'));
+      
+      const days = await repositories.dailyTotals.findDays(
+        user.user_id,
+        run.activity_type_id,
+        new Date('2026-03-01T00:00:00Z'),
+        new Date('2026-03-31T00:00:00Z')
+      );
+      
+      expect(days.map(day => day.total)).toEqual([8, 4]);
+    });
+  });
+
+  describe('AchievementRepository', () => {
+    test('awards an achievement once and ranks users by points', async () => {
+      const type = await repositories.achievements.createType({
+        name: 'First Log',
+        description: 'Log an activity',
+        icon: 'star',
+        criteria: { type: 'log_count', value: 1 },
+        pointValue: 10
+      });
+      
+      expect(await repositories.achievements.award(user.user_id, type.achievement_type_id)).not.toBeNull();
+      
+      // pg-mem returns the existing row where PostgreSQL returns none, so count instead
+      await repositories.achievements.award(user.user_id, type.achievement_type_id);
+      
+      expect(await repositories.achievements.findByUser(user.user_id)).toHaveLength(1);
+      expect((await repositories.achievements.findUnearnedTypes(user.user_id)).map(unearned => unearned.name))
+        .not.toContain('First Log');
+      
+      await repositories.achievements.addPoints(user.user_id, 10);
+      await repositories.achievements.addPoints(user.user_id, 5);
+      
+      const [leader] = await repositories.achievements.leaderboard();
+      
+      expect(leader.username).toBe('alice');
+      expect(Number(leader.points)).toBe(15);
+      expect(Number(leader.achievements_count)).toBe(1);
+    });
+  });
+});
\ No newline at end of file
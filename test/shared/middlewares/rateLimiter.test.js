@@ -0,0 +1,70 @@
+const express = require('express');
+const configManager = require('../../../src/core/config-manager');
+const createApiRateLimiter = require('../../../src/shared/middlewares/rateLimiter');
+
+describe('apiRateLimiter', () => {
+  let settings;
+  let server;
+  let url;
+
+  const start = () => new Promise(resolve => {
+    const app = express();
+    app.use(createApiRateLimiter());
+    app.get('/ping', (req, res) => res.json({ ok: true }));
+    
+    server = app.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/ping`;
+      resolve();
+    });
+  });
+
+  const statuses = async requests => {
+    const result = [];
+    
+    for (let i = 0; i < requests; i++) {
+      result.push((await fetch(url)).status);
+    }
+    
+    return result;
+  };
+
+  beforeEach(() => {
+    settings = { 'rateLimit.windowMs': 60000, 'rateLimit.max': 2 };
+    jest.spyOn(configManager, 'get').mockImplementation((key, fallback) =>
+      key in settings ? settings[key] : fallback);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  test('refuses requests over the limit with 429 and Retry-After', async () => {
+    await start();
+    
+    expect(await statuses(2)).toEqual([200, 200]);
+    
+    const response = await fetch(url);
+    
+    expect(response.status).toBe(429);
+    expect(response.headers.get('retry-after')).toBe('60');
+    expect(await response.json()).toEqual({ error: 'Too many requests, please try again later' });
+  });
+
+  test('does not limit requests at a limit of 0', async () => {
+    settings['rateLimit.max'] = 0;
+    await start();
+    
+    expect(await statuses(5)).toEqual([200, 200, 200, 200, 200]);
+  });
+
+  test('applies a changed limit to the next request', async () => {
+    await start();
+    
+    expect(await statuses(3)).toEqual([200, 200, 429]);
+    
+    settings['rateLimit.max'] = 5;
+    
+    expect(await statuses(3)).toEqual([200, 200, 429]);
+  });
+});
\ No newline at end of file